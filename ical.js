@@ -1,21 +1,29 @@
 /* eslint-disable max-params */
 
 import {randomUUID} from 'node:crypto';
-import {RRuleTemporal} from 'rrule-temporal';
-import {toText as toTextFunction} from 'rrule-temporal/totext';
 import {getDateKey} from './lib/date-utils.js';
+import {
+  activateDiagnostics,
+  createDiagnosticsContext,
+  createParseError,
+  finishDiagnostics,
+  reportDiagnostic,
+} from './lib/diagnostics.js';
 import {
   parseValue,
   finalizeEndedComponent,
-  createTemporalRule,
   storeParameter,
   typeParameter,
   addTZFactory,
   createDateParameterFactory,
   createComponentParameterHandlers,
   createExdateParameterFactory,
+  createRdateParameterFactory,
+  readContentLine,
+  unfoldLines,
 } from './lib/ical-parser-utils.js';
-import {Temporal} from './lib/temporal.js';
+import {createRule} from './lib/rrule-compat.js';
+import {isTemporalMode, toTemporalCalendar} from './lib/temporal-dates.js';
 import tzUtil from './lib/tz-utils.js';
 
 /**
@@ -28,7 +36,7 @@ import tzUtil from './lib/tz-utils.js';
  */
 function storeRecurrenceOverride(recurrences, recurrenceId, recurrenceObject) {
   if (typeof recurrenceId.toISOString !== 'function') {
-    console.warn(`[node-ical] Invalid recurrenceid (no toISOString): ${recurrenceId}`);
+    reportDiagnostic('INVALID_DATE', `Invalid recurrenceid (no toISOString): ${recurrenceId}`);
     return;
   }
 
@@ -48,7 +56,7 @@ function storeRecurrenceOverride(recurrences, recurrenceId, recurrenceObject) {
     if (newSeq < existingSeq) {
       // Older version - ignore it
       const key = isoKey || dateKey;
-      console.warn(`[node-ical] Ignoring older RECURRENCE-ID override (SEQUENCE ${newSeq} < ${existingSeq}) for ${key}`);
+      reportDiagnostic('OLDER_SEQUENCE', `Ignoring older RECURRENCE-ID override (SEQUENCE ${newSeq} < ${existingSeq}) for ${key}`, {severity: 'info'});
       return;
     }
     // If newSeq >= existingSeq, continue and overwrite (newer or same version)
@@ -62,119 +70,6 @@ function storeRecurrenceOverride(recurrences, recurrenceId, recurrenceObject) {
   }
 }
 
-/**
- * Wrapper class to convert RRuleTemporal (Temporal.ZonedDateTime) to Date objects
- * This maintains backward compatibility while using rrule-temporal internally
- */
-class RRuleCompatWrapper {
-  static #temporalToDate(value) {
-    if (value === undefined || value === null) {
-      return value;
-    }
-
-    if (Array.isArray(value)) {
-      return value.map(item => RRuleCompatWrapper.#temporalToDate(item));
-    }
-
-    // Convert known Temporal instances to Date
-    if (typeof value === 'object' && !(value instanceof Date) && typeof value.epochMilliseconds === 'number') {
-      return new Date(value.epochMilliseconds);
-    }
-
-    return value;
-  }
-
-  constructor(rruleTemporal, dateOnly = false) {
-    this._rrule = rruleTemporal;
-    // VALUE=DATE events are anchored to UTC midnight in rrule-temporal.
-    // Converting via epochMilliseconds shifts the date backwards in timezones
-    // west of UTC; instead we use the ZonedDateTime calendar components directly.
-    this._dateOnly = dateOnly;
-  }
-
-  #serializeOptions() {
-    const raw = this._rrule.options();
-    const converted = {};
-
-    for (const [key, value] of Object.entries(raw)) {
-      converted[key] = RRuleCompatWrapper.#temporalToDate(value);
-    }
-
-    // Map rrule-temporal `byDay` to legacy `byweekday`
-    if (converted.byweekday === undefined && raw.byDay !== undefined) {
-      converted.byweekday = RRuleCompatWrapper.#temporalToDate(raw.byDay);
-    }
-
-    return converted;
-  }
-
-  // Convert a ZonedDateTime to a JS Date.
-  // For VALUE=DATE events the ZDT calendar components (year/month/day in UTC)
-  // represent the intended calendar date; create a local-midnight Date so that
-  // .toDateString() returns the correct day regardless of the host timezone.
-  // Mark the result with dateOnly=true so that downstream helpers that
-  // distinguish date-only from timed dates (e.g. createLocalDateFromUTC) also
-  // use local getters rather than UTC getters.
-  #zdtToDate(zdt) {
-    if (this._dateOnly) {
-      const d = new Date(zdt.year, zdt.month - 1, zdt.day, 0, 0, 0, 0);
-      d.dateOnly = true;
-      return d;
-    }
-
-    return new Date(zdt.epochMilliseconds);
-  }
-
-  between(after, before, inclusive = false) {
-    const results = this._rrule.between(after, before, inclusive);
-    return results.map(zdt => this.#zdtToDate(zdt));
-  }
-
-  all(iterator) {
-    // If the caller supplied an iterator, wrap it so it receives a converted Date
-    // rather than a raw Temporal.ZonedDateTime — keeping the public API consistent
-    // with between() and matching the declared return type.
-    const wrappedIterator = iterator
-      ? (zdt, index) => iterator(this.#zdtToDate(zdt), index)
-      : undefined;
-    const results = this._rrule.all(wrappedIterator);
-    return results.map(zdt => this.#zdtToDate(zdt));
-  }
-
-  before(date, inclusive = false) {
-    const result = this._rrule.previous(date, inclusive);
-    return result ? this.#zdtToDate(result) : undefined;
-  }
-
-  after(date, inclusive = false) {
-    const result = this._rrule.next(date, inclusive);
-    return result ? this.#zdtToDate(result) : undefined;
-  }
-
-  toText(locale) {
-    return toTextFunction(this._rrule, locale);
-  }
-
-  // Delegate other methods
-  toString() {
-    return this._rrule.toString();
-  }
-
-  // Expose options as a property for compatibility with the old rrule.js API
-  // (the wrapper hides the underlying method-based interface)
-  get options() {
-    return this.#serializeOptions();
-  }
-
-  // OrigOptions: the original options as passed to the constructor (before processing).
-  // In rrule.js, this was used for toString() and clone() operations.
-  // For rrule-temporal, options() already returns the unprocessed original options,
-  // so origOptions and options are equivalent.
-  get origOptions() {
-    return this.#serializeOptions();
-  }
-}
-
 /**
  *  A tolerant, minimal icalendar parser
  *  (https://tools.ietf.org/html/rfc5545)
@@ -192,6 +87,7 @@ const {
   geoParameter,
   categoriesParameter,
   recurrenceParameter,
+  triggerParameter,
   freebusyParameter,
 } = createComponentParameterHandlers({
   dateParameter,
@@ -203,6 +99,12 @@ const exdateParameter = createExdateParameterFactory({
   getDateKey,
 });
 
+const rdateParameter = createRdateParameterFactory({
+  dateParameter,
+  getDateKey,
+  utcAdd: tzUtil.utcAdd,
+});
+
 // EXDATE is an entry that represents exceptions to a recurrence rule (ex: "repeat every day except on 7/4").
 // The EXDATE entry itself can also contain a comma-separated list, so we parse each date separately.
 // Multiple EXDATE entries can exist in a calendar record.
@@ -239,26 +141,42 @@ const ical = {
       // Recurrence rules are only valid for VEVENT, VTODO, and VJOURNAL.
       // More specifically, we need to filter the VCALENDAR type because we might end up with a defined rrule
       // due to the subtypes.
+      let ruleAnchor;
+      if (curr.start) {
+        ruleAnchor = curr;
+      } else if (value === 'VTODO' && curr.due) {
+        // A VTODO without DTSTART recurs from its DUE date
+        ruleAnchor = {start: curr.due};
+      }
 
       if (['VEVENT', 'VTODO', 'VJOURNAL'].includes(value) && curr.rrule) {
         let rule = curr.rrule.replace('RRULE:', '');
         // Make sure the rrule starts with FREQ=
         rule = rule.slice(rule.lastIndexOf('FREQ='));
 
-        if (curr.start) {
-          curr.rrule = createTemporalRule(curr, rule, {
-            RRuleTemporal,
-            RRuleCompatWrapper,
-            Temporal,
-            tzUtil,
-          });
+        if (ruleAnchor) {
+          curr.rrule = createRule(ruleAnchor, rule);
         }
       }
 
+      // EXRULE (RFC 2445, deprecated by RFC 5545) uses the RRULE grammar; a component may carry several.
+      if (['VEVENT', 'VTODO', 'VJOURNAL'].includes(value) && curr.exrule && ruleAnchor) {
+        curr.exrule = curr.exrule.flatMap(line => {
+          const rule = line.replace('EXRULE:', '');
+          try {
+            return [createRule(ruleAnchor, rule.slice(rule.lastIndexOf('FREQ=')))];
+          } catch (error) {
+            reportDiagnostic('MALFORMED_EXRULE', `Ignoring malformed EXRULE value: "${line}" (${error?.message ?? String(error)})`);
+            return [];
+          }
+        });
+      }
+
       return finalizeEndedComponent(value, curr, stack, {
         storeRecurrenceOverride,
         randomIdFactory: randomUUID,
         utcAdd: tzUtil.utcAdd,
+        tzUtil,
       });
     },
     SUMMARY: storeParameter('summary'),
@@ -273,7 +191,7 @@ const ical = {
         return typeParameter('datetype')(value, parameters, curr);
       }
 
-      throw new Error('duplicate DTSTART encountered, line=' + line);
+      throw createParseError('DUPLICATE_PROPERTY', 'duplicate DTSTART encountered, line=' + line);
     },
     DTEND(value, parameters, curr, stack, line) {
       // If already defined, this is a duplicate for this event
@@ -281,7 +199,7 @@ const ical = {
         return dateParameter('end')(value, parameters, curr, stack);
       }
 
-      throw new Error('duplicate DTEND encountered, line=' + line);
+      throw createParseError('DUPLICATE_PROPERTY', 'duplicate DTEND encountered, line=' + line);
     },
     DUE(value, parameters, curr, stack, line) {
       // If already defined, this is a duplicate for this event
@@ -289,9 +207,12 @@ const ical = {
         return dateParameter('due')(value, parameters, curr, stack);
       }
 
-      throw new Error('duplicate DUE encountered, line=' + line);
+      throw createParseError('DUPLICATE_PROPERTY', 'duplicate DUE encountered, line=' + line);
     },
     EXDATE: exdateParameter('exdate'),
+    // RDATE adds extra instances to the recurrence set (VALUE=DATE, DATE-TIME or PERIOD).
+    // Stored with the same dual-key scheme as EXDATE; PERIOD values carry a `periodEnd`.
+    RDATE: rdateParameter('rdate'),
     CLASS: storeParameter('class'),
     TRANSP: storeParameter('transparency'),
     GEO: geoParameter('geo'),
@@ -303,6 +224,7 @@ const ical = {
     CREATED: dateParameter('created'),
     'LAST-MODIFIED': dateParameter('lastmodified'),
     'RECURRENCE-ID': recurrenceParameter('recurrenceid'),
+    TRIGGER: triggerParameter('trigger'),
     SEQUENCE(value, parameters, curr) {
       curr.sequence = parseValue(value);
       return curr;
@@ -311,6 +233,10 @@ const ical = {
       curr.rrule = line;
       return curr;
     },
+    EXRULE(value, parameters, curr, stack, line) {
+      curr.exrule = [...(curr.exrule ?? []), line];
+      return curr;
+    },
   },
 
   handleObject(name, value, parameters, ctx, stack, line) {
@@ -338,6 +264,8 @@ const ical = {
    * @param {Array} [stack] - Parser stack for nested components (internal)
    * @param {number} [startIndex=0] - Current position in lines array (internal)
    * @param {icsCallback} [cb] - Callback for async mode: cb(error, data)
+   * @param {object} [diagnosticsContext] - Diagnostics context (internal, see the options of parseICS)
+   * @param {{timezone?: string, temporal?: boolean}} [settings] - Checked `timezone` and `dates` options (internal, see the options of parseICS)
    * @returns {object | undefined} Parsed calendar data (sync mode), undefined (async mode with callback)
    *
    * @example
@@ -348,53 +276,33 @@ const ical = {
    * // Async mode (with batching)
    * parseLines(lines, 2000, undefined, undefined, 0, (err, data) => { ... });
    */
-  parseLines(lines, batchSize = 0, ctx, stack, startIndex = 0, cb) {
+  parseLines(lines, batchSize = 0, ctx, stack, startIndex = 0, cb, diagnosticsContext, settings = {}) {
     ctx ||= {};
     stack ||= [];
 
     let parseError = null;
     let parseResult = null;
+    const restoreDiagnostics = diagnosticsContext ? activateDiagnostics(diagnosticsContext) : undefined;
+    const restoreTimezone = settings.timezone ? tzUtil.activateTimezone(settings.timezone) : undefined;
 
     try {
       const endIndex = batchSize > 0 ? Math.min(startIndex + batchSize, lines.length) : lines.length;
-
-      for (let i = startIndex; i < endIndex; i++) {
-        let l = lines[i];
-        // Unfold : RFC#3.1
-        let nextLine = lines[i + 1];
-        while (typeof nextLine === 'string' && /[\t ]/v.test(nextLine[0])) {
-          l += nextLine.slice(1);
-          i++;
-          nextLine = lines[i + 1];
-        }
-
-        // Remove any double quotes in any tzid statement // except around (utc+hh:mm
-        if (l.includes('TZID=') && !l.includes('"(')) {
-          l = l.replaceAll('"', '');
-        }
-
-        const exp = /^((?:\w|-)+)((?:;(?:\w|-)+=(?:"[^"]*"|[^":;]+))*):(.*)$/v;
-        let kv = l.match(exp);
-
-        if (kv === null) {
-          // Invalid line - must have k&v
-          continue;
+      // A folded line may run past the end of the batch; the next batch starts after it
+      let nextIndex = startIndex;
+
+      for (const unfolded of unfoldLines(lines, startIndex, endIndex)) {
+        nextIndex = unfolded.nextIndex;
+        const contentLine = readContentLine(unfolded.line, unfolded.lineNumber, ctx, diagnosticsContext);
+        if (contentLine !== null) {
+          ctx = this.handleObject(contentLine.name, contentLine.value, contentLine.parameters, ctx, stack, contentLine.line) || {};
         }
-
-        kv = kv.slice(1);
-
-        const value = kv.at(-1);
-        const name = kv[0];
-        const parameters = kv[1] ? kv[1].split(';').slice(1) : [];
-
-        ctx = this.handleObject(name, value, parameters, ctx, stack, l) || {};
       }
 
       // Check if more batches needed
-      if (batchSize > 0 && endIndex < lines.length) {
+      if (batchSize > 0 && nextIndex < lines.length) {
         // Async mode: schedule next batch
         setImmediate(() => {
-          this.parseLines(lines, batchSize, ctx, stack, endIndex, cb);
+          this.parseLines(lines, batchSize, ctx, stack, nextIndex, cb, diagnosticsContext, settings);
         });
         return; // Exit early, callback will be invoked by recursive call
       }
@@ -402,9 +310,15 @@ const ical = {
       // Finished parsing - prepare result
       delete ctx.type;
       delete ctx.params;
-      parseResult = ctx;
+      parseResult = diagnosticsContext ? finishDiagnostics(diagnosticsContext, ctx) : ctx;
+      if (settings.temporal) {
+        parseResult = toTemporalCalendar(parseResult);
+      }
     } catch (error) {
       parseError = error;
+    } finally {
+      restoreTimezone?.();
+      restoreDiagnostics?.();
     }
 
     // Call callback outside try-catch to prevent double-calling if cb throws
@@ -424,7 +338,26 @@ const ical = {
   /**
    * Parse an iCalendar string.
    *
+   * By default the parser is tolerant: problems it recovers from (malformed
+   * DURATION/TRIGGER values, invalid dates, unknown TZIDs, …) are logged (to
+   * `options.logger`, the `setLogger` logger or the console) or skipped silently.
+   * Pass `{diagnostics: true}` to collect them instead as a non-enumerable
+   * `diagnostics` array on the result, each entry being
+   * `{severity, code, line, path, message, uid?, tzid?}`. With `{strict: true}`
+   * the first problem throws a `ParseError` carrying the same fields.
+   *
+   * Values without a timezone - DATE values, floating times without a VTIMEZONE
+   * to borrow, custom Microsoft TZIDs without VTIMEZONE - are local to the host
+   * unless `options.timezone` names the IANA zone to use instead; such Dates
+   * then carry that zone as `tz`.
+   *
+   * With `{dates: 'temporal'}` the result holds Temporal values instead of Dates:
+   * `Temporal.PlainDate` for DATE values, `Temporal.ZonedDateTime` for DATE-TIMEs
+   * with a zone (the offset in effect for zones only defined by a VTIMEZONE) and
+   * `Temporal.PlainDateTime` for floating times; `rrule` returns them as well.
+   *
    * @param {string} string - Raw iCalendar data (ICS format)
+   * @param {{strict?: boolean, diagnostics?: boolean, logger?: object, timezone?: string, dates?: 'date'|'temporal'}} [options] - `strict` throws on the first problem, `diagnostics` collects them on the result, `logger` receives warnings, `timezone` replaces the host zone, `dates` picks Dates or Temporal values
    * @param {icsCallback} [cb] - Optional callback for async mode: cb(error, data)
    * @returns {object | undefined} Parsed calendar data (sync) or undefined (async)
    *
@@ -439,21 +372,58 @@ const ical = {
    *   else console.log(data);
    * });
    *
+   * @example
+   * // Collect problems instead of logging them
+   * const {diagnostics} = ical.parseICS(icsString, {diagnostics: true});
+   *
+   * @example
+   * // Same result on every host
+   * const data = ical.parseICS(icsString, {timezone: 'Europe/Berlin'});
+   *
+   * @example
+   * // Temporal values instead of tagged Dates
+   * const data = ical.parseICS(icsString, {dates: 'temporal'});
+   *
    * @todo for v1.0: Split into separate parseICS() (sync) and parseICSAsync() (Promise-based) functions.
    * The current dual-mode API (sync if no callback, async if callback) is an anti-pattern that
    * makes the function behavior unpredictable and harder to type correctly in TypeScript.
    */
-  parseICS(string, cb) {
+  parseICS(string, options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = undefined;
+    }
+
+    let diagnosticsContext;
+    let settings;
+    try {
+      diagnosticsContext = createDiagnosticsContext(options);
+      settings = {
+        timezone: tzUtil.assertTimezone(options?.timezone),
+        temporal: isTemporalMode(options?.dates),
+      };
+    } catch (error) {
+      if (!cb) {
+        throw error;
+      }
+
+      // Invalid options reach the callback like parse errors do
+      setImmediate(() => {
+        cb(error, {});
+      });
+      return;
+    }
+
     const lines = string.split(/\r?\n/v);
 
     if (cb) {
       // Async mode: use batching to prevent event loop blocking
       setImmediate(() => {
-        this.parseLines(lines, PARSE_BATCH_SIZE, undefined, undefined, 0, cb);
+        this.parseLines(lines, PARSE_BATCH_SIZE, undefined, undefined, 0, cb, diagnosticsContext, settings);
       });
     } else {
       // Sync mode: parse all at once (no batching)
-      return this.parseLines(lines);
+      return this.parseLines(lines, 0, undefined, undefined, 0, undefined, diagnosticsContext, settings);
     }
   },
 };
@@ -0,0 +1,255 @@
+import expandRecurringEvent from './expand-recurring-event.js';
+import {applyDurationToDate} from './ical-parser-utils.js';
+import {toDateComponent} from './temporal-dates.js';
+import tzUtil from './tz-utils.js';
+
+function getDurationValue(duration) {
+  const value = duration?.val ?? duration;
+  return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Resolve the component and START/END anchors for an event, a todo or an
+ * expanded instance. Instances carry their own start/end; RELATED=END refers
+ * to DUE on a VTODO and to DTEND elsewhere.
+ * @param {object} source - Calendar component or expanded instance
+ * @returns {{component: object, start: (Date|undefined), end: (Date|undefined)}} Component holding the alarms and the dates relative triggers are measured from
+ */
+function resolveAnchors(source) {
+  if (source.type === undefined && source.event && typeof source.event === 'object') {
+    // Instances of a todo carry their own DUE
+    return {component: source.event, start: source.start, end: source.due ?? source.end};
+  }
+
+  const end = source.type === 'VTODO' ? (source.due ?? source.end) : source.end;
+  return {component: source, start: source.start, end};
+}
+
+/**
+ * Compute the first fire time of an alarm from its parsed TRIGGER.
+ * @param {object} parsedTrigger - `alarm.parsedTrigger`
+ * @param {Date} [start] - START anchor
+ * @param {Date} [end] - END anchor
+ * @returns {Date|undefined} Fire time, or undefined when the anchor is missing
+ */
+function getTriggerTime(parsedTrigger, start, end) {
+  if (parsedTrigger.type === 'absolute') {
+    return new Date(parsedTrigger.date);
+  }
+
+  const anchor = parsedTrigger.related === 'END' ? end : start;
+  if (!(anchor instanceof Date)) {
+    return undefined;
+  }
+
+  return applyDurationToDate(anchor, parsedTrigger.duration, tzUtil.utcAdd);
+}
+
+/**
+ * Expand REPEAT/DURATION into the fire times following the first one.
+ * REPEAT and DURATION must both be present for an alarm to repeat.
+ * @param {object} alarm - VALARM component
+ * @param {Date} first - Fire time of the TRIGGER itself
+ * @returns {Array<{alarm: object, date: Date, repetition: number}>} Repetitions, 1…REPEAT
+ */
+function getRepetitionTimes(alarm, first) {
+  const repeat = Number(alarm.repeat?.val ?? alarm.repeat);
+  const interval = getDurationValue(alarm.duration);
+  if (!interval || !Number.isSafeInteger(repeat) || repeat <= 0) {
+    return [];
+  }
+
+  const times = [];
+  let previous = first;
+  for (let repetition = 1; repetition <= repeat; repetition++) {
+    previous = applyDurationToDate(previous, interval, tzUtil.utcAdd);
+    if (!previous) {
+      break;
+    }
+
+    times.push({alarm, date: previous, repetition});
+  }
+
+  return times;
+}
+
+/**
+ * Fire times of a list of alarms for the given START/END anchors.
+ * @param {Array<object>} alarms - VALARM components
+ * @param {Date} [start] - START anchor
+ * @param {Date} [end] - END anchor
+ * @returns {Array<{alarm: object, date: Date, repetition: number}>} Fire times sorted by date
+ */
+function computeAlarmTimes(alarms, start, end) {
+  const times = [];
+
+  for (const alarm of alarms) {
+    if (!alarm?.parsedTrigger) {
+      continue;
+    }
+
+    const first = getTriggerTime(alarm.parsedTrigger, start, end);
+    if (!first) {
+      continue;
+    }
+
+    times.push({alarm, date: first, repetition: 0}, ...getRepetitionTimes(alarm, first));
+  }
+
+  return times.toSorted((a, b) => a.date - b.date);
+}
+
+/**
+ * Compute when the alarms of an event, todo or expanded instance go off.
+ * Each VALARM produces its TRIGGER time plus one entry per REPEAT, spaced by
+ * its DURATION (RFC 5545 §3.6.6). Relative triggers are measured from the
+ * instance's own start/end, so pass expanded instances to get the times of a
+ * particular occurrence of a recurring event.
+ * @param {object} eventOrInstance - VEVENT/VTODO component or instance from expandRecurringEvent
+ * @returns {Array<{alarm: object, date: Date, repetition: number}>} Fire times sorted by date; `repetition` is 0 for the trigger itself
+ *
+ * @example
+ * for (const instance of ical.expandRecurringEvent(event, {from, to})) {
+ *   for (const {alarm, date} of ical.getAlarmTimes(instance)) {
+ *     scheduleReminder(date, alarm.description ?? instance.summary);
+ *   }
+ * }
+ */
+function getAlarmTimes(eventOrInstance) {
+  if (!eventOrInstance || typeof eventOrInstance !== 'object') {
+    throw new TypeError('getAlarmTimes expects a calendar component or an expanded instance');
+  }
+
+  // Components parsed with {dates: 'temporal'} fire at the instants of their Dates
+  const {component, start, end} = resolveAnchors(toDateComponent(eventOrInstance));
+  return computeAlarmTimes(component.alarms ?? [], start, end);
+}
+
+/**
+ * How far before and after an instance's start its alarms (or those of its
+ * overrides) can fire, so expansion can be limited to instances that matter.
+ * @param {object} component - Base VEVENT/VTODO
+ * @returns {{leadMs: number, lagMs: number}} Earliest fire time before, latest after the anchor
+ */
+function getAlarmMargins(component) {
+  let leadMs = 0;
+  let lagMs = 0;
+
+  for (const source of [component, ...new Set(Object.values(component.recurrences ?? {}))]) {
+    for (const alarm of source.alarms ?? []) {
+      const parsedTrigger = alarm?.parsedTrigger;
+      if (parsedTrigger) {
+        const offsetMs = parsedTrigger.type === 'absolute'
+          ? parsedTrigger.date - new Date(source.start ?? source.due ?? parsedTrigger.date)
+          : parsedTrigger.offsetMs;
+        const repeatSpanMs = getRepetitionTimes(alarm, new Date(0)).at(-1)?.date.getTime() ?? 0;
+
+        leadMs = Math.max(leadMs, -offsetMs);
+        lagMs = Math.max(lagMs, offsetMs + repeatSpanMs);
+      }
+    }
+  }
+
+  return {leadMs, lagMs};
+}
+
+function hasAlarms(component) {
+  return [component, ...Object.values(component.recurrences ?? {})].some(source => source?.alarms?.length > 0);
+}
+
+/**
+ * Fire times of one expanded instance that fall within [from, to].
+ * @param {object} instance - Instance from expandRecurringEvent
+ * @param {object} component - Base VEVENT/VTODO the instance belongs to
+ * @param {{from: Date, to: Date}} window - Window to keep fire times in
+ * @param {Map<object, Set<number>>} reportedAbsolute - Absolute alarm repetitions already reported for this component
+ * @returns {Array<{alarm: object, instance: object, date: Date, repetition: number}>} Fire times in the window, each paired with the instance
+ */
+function getInstanceAlarms(instance, component, {from, to}, reportedAbsolute) {
+  const {start, end} = resolveAnchors(instance);
+  const alarms = instance.event.alarms ?? component.alarms ?? [];
+  const results = [];
+
+  for (const time of computeAlarmTimes(alarms, start, end)) {
+    if (time.date < from || time.date > to) {
+      continue;
+    }
+
+    // Every instance sharing an absolute alarm yields the same time; keep the first
+    if (time.alarm.parsedTrigger.type === 'absolute') {
+      const reported = reportedAbsolute.get(time.alarm) ?? new Set();
+      if (reported.has(time.repetition)) {
+        continue;
+      }
+
+      reportedAbsolute.set(time.alarm, reported.add(time.repetition));
+    }
+
+    results.push({...time, instance});
+  }
+
+  return results;
+}
+
+/**
+ * Find every alarm of a calendar that fires within a time window.
+ * Recurring VEVENTs and VTODOs are expanded with `expandRecurringEvent`, so
+ * EXDATE, RDATE and RECURRENCE-ID overrides apply; an override's own VALARMs
+ * replace the series' alarms for that instance, an override without VALARMs
+ * keeps them. Absolute triggers are reported once, not once per instance.
+ * @param {object} calendar - Parsed calendar (CalendarResponse)
+ * @param {object} options
+ * @param {Date} options.from - Start of the window (inclusive)
+ * @param {Date} options.to - End of the window (inclusive)
+ * @returns {Array<{alarm: object, instance: object, date: Date, repetition: number}>} Alarms sorted by fire time
+ *
+ * @example
+ * // Run on every tick of a notification worker
+ * const now = new Date();
+ * for (const {alarm, instance, date} of ical.getAlarms(data, {from: now, to: new Date(now.getTime() + 60 * 60 * 1000)})) {
+ *   notify(date, alarm.description ?? instance.summary);
+ * }
+ */
+function getAlarms(calendar, options) {
+  if (!calendar || typeof calendar !== 'object') {
+    throw new TypeError('calendar must be a parsed calendar object');
+  }
+
+  const {from, to} = options ?? {};
+  if (!(from instanceof Date) || Number.isNaN(from.getTime())) {
+    throw new TypeError('options.from must be a valid Date object');
+  }
+
+  if (!(to instanceof Date) || Number.isNaN(to.getTime())) {
+    throw new TypeError('options.to must be a valid Date object');
+  }
+
+  if (from > to) {
+    throw new RangeError('options.from must be before or equal to options.to');
+  }
+
+  const results = [];
+
+  // The same component object can be reachable under several keys; handle it once.
+  for (const component of new Set(Object.values(toDateComponent(calendar)))) {
+    if (!component || !['VEVENT', 'VTODO'].includes(component.type) || !(component.start || component.due) || !hasAlarms(component)) {
+      continue;
+    }
+
+    const {leadMs, lagMs} = getAlarmMargins(component);
+    const instances = expandRecurringEvent(component, {
+      from: new Date(from.getTime() - lagMs),
+      to: new Date(to.getTime() + leadMs),
+      expandOngoing: true,
+    });
+    const reportedAbsolute = new Map();
+
+    for (const instance of instances) {
+      results.push(...getInstanceAlarms(instance, component, {from, to}, reportedAbsolute));
+    }
+  }
+
+  return results.toSorted((a, b) => a.date - b.date);
+}
+
+export {getAlarmTimes, getAlarms};
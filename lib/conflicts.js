@@ -0,0 +1,112 @@
+import expandCalendar from './expand-calendar.js';
+
+function isInstance(value) {
+  return value?.start instanceof Date && value.end instanceof Date && typeof value.event === 'object';
+}
+
+// Only opaque, non-cancelled time can be double-booked (TRANSP defaults to OPAQUE).
+function isBlocking(instance) {
+  return String(instance.event?.status ?? '').toUpperCase() !== 'CANCELLED'
+    && String(instance.event?.transparency ?? 'OPAQUE').toUpperCase() === 'OPAQUE';
+}
+
+/**
+ * Gather the instances to check: expand calendars in the window, or take
+ * already expanded instances as they are (limited to the window when given).
+ * @param {object|Array<object>} calendarOrInstances - Calendar, calendars or instances
+ * @param {Date} [from]
+ * @param {Date} [to]
+ * @returns {Array<object>} Blocking instances
+ */
+function collectInstances(calendarOrInstances, from, to) {
+  const items = Array.isArray(calendarOrInstances) ? calendarOrInstances : [calendarOrInstances];
+  const instances = [];
+
+  for (const item of items) {
+    if (isInstance(item)) {
+      if ((!from || item.end >= from) && (!to || item.start <= to)) {
+        instances.push(item);
+      }
+
+      continue;
+    }
+
+    if (!item || typeof item !== 'object') {
+      throw new TypeError('findConflicts expects a parsed calendar, an array of calendars or an array of instances');
+    }
+
+    if (!from || !to) {
+      throw new TypeError('options.from and options.to are required to expand a calendar');
+    }
+
+    instances.push(...expandCalendar(item, {
+      from,
+      to,
+      expandOngoing: true,
+      excludeCancelled: true,
+      transparency: 'OPAQUE',
+    }));
+  }
+
+  return instances.filter(instance => isBlocking(instance));
+}
+
+/**
+ * Find double-bookings: pairs of opaque instances whose time overlaps.
+ * Calendars are expanded like `expandCalendar` with ongoing events included, so
+ * RRULE/RDATE/EXDATE and RECURRENCE-ID overrides apply and an override never
+ * appears next to the occurrence it replaces. Instances of the same UID are
+ * never reported against each other, so the same meeting imported from two team
+ * calendars is not a conflict. Overlap is measured on absolute time, so events in
+ * different timezones compare correctly; full-day events cover their local
+ * calendar days. Zero-length instances occupy no time and never conflict.
+ * @param {object|Array<object>} calendarOrInstances - Parsed calendar, array of calendars, or array of expanded instances
+ * @param {object} [options]
+ * @param {Date} [options.from] - Start of the window (required for calendars)
+ * @param {Date} [options.to] - End of the window (required for calendars)
+ * @returns {Array<{instances: Array<object>, start: Date, end: Date}>} Conflicting pairs with the overlapping time, sorted by overlap start
+ *
+ * @example
+ * for (const {instances: [a, b], start, end} of ical.findConflicts([teamA, teamB], {from, to})) {
+ *   console.log(`${a.summary} overlaps ${b.summary} from ${start} to ${end}`);
+ * }
+ */
+function findConflicts(calendarOrInstances, options) {
+  const {from, to} = options ?? {};
+  if (from !== undefined && (!(from instanceof Date) || Number.isNaN(from.getTime()))) {
+    throw new TypeError('options.from must be a valid Date object');
+  }
+
+  if (to !== undefined && (!(to instanceof Date) || Number.isNaN(to.getTime()))) {
+    throw new TypeError('options.to must be a valid Date object');
+  }
+
+  if (from && to && from > to) {
+    throw new RangeError('options.from must be before or equal to options.to');
+  }
+
+  const instances = collectInstances(calendarOrInstances, from, to)
+    .filter(instance => instance.end > instance.start)
+    .toSorted((a, b) => (a.start - b.start) || (a.end - b.end));
+  const conflicts = [];
+  let active = [];
+
+  // Sweep by start: every instance still running when another starts overlaps it
+  for (const instance of instances) {
+    active = active.filter(other => other.end > instance.start);
+
+    for (const other of active) {
+      const uid = other.event?.uid;
+      if (uid === undefined || uid !== instance.event?.uid) {
+        const end = Math.min(other.end.getTime(), instance.end.getTime());
+        conflicts.push({instances: [other, instance], start: instance.start, end: new Date(end)});
+      }
+    }
+
+    active.push(instance);
+  }
+
+  return conflicts.toSorted((a, b) => a.start - b.start);
+}
+
+export default findConflicts;
@@ -1,10 +1,114 @@
+import {applyDurationToDate, getDurationString} from './ical-parser-utils.js';
+import tzUtil from './tz-utils.js';
+import {createMemoryCache} from './url-cache.js';
+
+const WEBCAL_SCHEME_PATTERN = /^webcal(s?):/iv;
+
+/**
+ * Map webcal:// and webcals:// subscription links to the http(s) URL fetch understands.
+ *
+ * @param {string|URL} url - Calendar URL as supplied by the caller
+ * @returns {string|URL} The http(s) URL for webcal links, otherwise the input unchanged
+ */
+function normalizeCalendarUrl(url) {
+  const href = String(url);
+  if (!WEBCAL_SCHEME_PATTERN.test(href)) {
+    return url;
+  }
+
+  return href.replace(WEBCAL_SCHEME_PATTERN, (_match, secure) => `http${secure ? 's' : ''}:`);
+}
+
+/**
+ * Read the poll interval a calendar advertises via REFRESH-INTERVAL (RFC 7986),
+ * falling back to the de-facto X-PUBLISHED-TTL.
+ *
+ * @param {object} data - Parsed calendar
+ * @returns {number|undefined} Interval in milliseconds, or undefined when none (or no positive one) is advertised
+ */
+function getRefreshInterval(data) {
+  // Properties with parameters (REFRESH-INTERVAL;VALUE=DURATION, sometimes X-PUBLISHED-TTL too)
+  // end up as {params, val} next to the components.
+  const candidates = [
+    data.vcalendar?.['refresh-interval'] ?? data['refresh-interval'],
+    data.vcalendar?.['PUBLISHED-TTL'] ?? data['PUBLISHED-TTL'],
+  ];
+
+  for (const candidate of candidates) {
+    const durationString = getDurationString(candidate);
+    const end = durationString ? applyDurationToDate(new Date(0), durationString, tzUtil.utcAdd) : undefined;
+    if (end && end.getTime() > 0) {
+      return end.getTime();
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Key of the parse options a result depends on, for the parsed results kept next
+ * to a cached body. The logger only decides where warnings go.
+ *
+ * @param {{strict?: boolean, diagnostics?: boolean, timezone?: string, dates?: string}} parseOptions
+ * @returns {string} Key for the `parsed` map of a cache entry
+ */
+function getParseKey({strict, diagnostics, timezone, dates}) {
+  return JSON.stringify([Boolean(strict), Boolean(diagnostics), timezone ?? '', dates ?? 'date']);
+}
+
+/**
+ * Deep-copy a parsed calendar, so that callers never share (and edit) one result.
+ * Plain objects, arrays and Dates are copied with all their own properties,
+ * including the non-enumerable `tz`/`dateOnly`/`diagnostics` metadata; rule
+ * objects and Temporal values cannot be edited and are shared.
+ *
+ * @param {unknown} value - Parsed calendar, or a value inside it
+ * @param {Map<object, object>} [copies] - Copies made so far, so shared references stay shared
+ * @returns {unknown} Copy of the value, or the value itself when it is shared
+ */
+function copyParsedValue(value, copies = new Map()) {
+  if (typeof value !== 'object' || value === null) {
+    return value;
+  }
+
+  if (copies.has(value)) {
+    return copies.get(value);
+  }
+
+  let copy;
+  if (value instanceof Date) {
+    copy = new Date(value);
+  } else if (Array.isArray(value)) {
+    copy = [];
+  } else {
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) {
+      return value;
+    }
+
+    copy = Object.create(prototype);
+  }
+
+  copies.set(value, copy);
+  for (const [key, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(value))) {
+    // The indices of an array set its length
+    if (Array.isArray(copy) && key === 'length') {
+      continue;
+    }
+
+    Object.defineProperty(copy, key, {...descriptor, value: copyParsedValue(descriptor.value, copies)});
+  }
+
+  return copy;
+}
+
 /**
  * Build core parse/fetch APIs shared by CJS and ESM entrypoints.
  *
  * @param {object} options
- * @param {(ics: string, cb?: (error: Error | null, parsedData: object) => void) => object | void} options.parseICSImpl - Calendar parser function.
+ * @param {(ics: string, options?: object, cb?: (error: Error | null, parsedData: object) => void) => object | void} options.parseICSImpl - Calendar parser function.
  * @param {object} options.fsModule - fs module implementation.
- * @param {(url: string, options?: object) => Promise<{ok: boolean, status: number, statusText: string, text: () => Promise<string>}>} [options.fetchImpl] - Fetch implementation (defaults to global fetch).
+ * @param {(url: string, options?: object) => Promise<{ok: boolean, status: number, statusText: string, headers?: {get: (name: string) => string | null}, text: () => Promise<string>}>} [options.fetchImpl] - Fetch implementation (defaults to global fetch).
  * @returns {{
  *   syncApi: object,
  *   asyncApi: object,
@@ -41,9 +145,9 @@ function createCoreApi({parseICSImpl, fsModule, fetchImpl = fetch}) {
     );
   }
 
-  function parseICSAsync(data) {
+  function parseICSAsync(data, parseOptions) {
     return new Promise((resolve, reject) => {
-      parseICSImpl(data, (error, parsedData) => {
+      parseICSImpl(data, parseOptions, (error, parsedData) => {
         if (error) {
           reject(error);
           return;
@@ -54,20 +158,145 @@ function createCoreApi({parseICSImpl, fsModule, fetchImpl = fetch}) {
     });
   }
 
-  async function parseFileAsync(filename) {
+  async function parseFileAsync(filename, parseOptions) {
     const data = await fsModule.promises.readFile(filename, 'utf8');
-    return parseICSAsync(data);
+    return parseICSAsync(data, parseOptions);
   }
 
-  async function fromURLAsync(url, options) {
+  // Let callers pass either (options, callback) or just (callback).
+  function splitOptionsAndCallback(options, callback) {
+    if (typeof options === 'function' && callback === undefined) {
+      return [undefined, options];
+    }
+
+    return [options, callback];
+  }
+
+  let defaultCache;
+
+  // `responseCache: true` shares one in-memory store per API instance.
+  function resolveCacheStore(responseCache) {
+    if (responseCache === true) {
+      defaultCache ??= createMemoryCache();
+      return defaultCache;
+    }
+
+    if (responseCache && typeof responseCache.get === 'function' && typeof responseCache.set === 'function') {
+      return responseCache;
+    }
+
+    if (responseCache) {
+      throw new TypeError('responseCache must be true or a store with get() and set() methods');
+    }
+
+    return undefined;
+  }
+
+  // Attach fetch metadata (fromCache, refreshInterval) without touching the enumerable (UID-keyed) entries.
+  function defineResultInfo(data, name, value) {
+    Object.defineProperty(data, name, {
+      value,
+      enumerable: false,
+      configurable: true,
+      writable: true,
+    });
+    return data;
+  }
+
+  function withRefreshInterval(data, refreshInterval) {
+    return refreshInterval ? defineResultInfo(data, 'refreshInterval', getRefreshInterval(data)) : data;
+  }
+
+  async function fromURLAsync(rawUrl, options) {
     const fetchOptions = (options && typeof options === 'object') ? {...options} : {};
+    const {
+      responseCache,
+      refreshInterval,
+      strict,
+      diagnostics,
+      logger,
+      timezone,
+      dates,
+    } = fetchOptions;
+    delete fetchOptions.responseCache;
+    delete fetchOptions.refreshInterval;
+    delete fetchOptions.strict;
+    delete fetchOptions.diagnostics;
+    delete fetchOptions.logger;
+    delete fetchOptions.timezone;
+    delete fetchOptions.dates;
+    const parseOptions = {
+      strict,
+      diagnostics,
+      logger,
+      timezone,
+      dates,
+    };
+
+    const url = normalizeCalendarUrl(rawUrl);
+    const cacheStore = resolveCacheStore(responseCache);
+    const cacheKey = String(url);
+    const parseKey = getParseKey(parseOptions);
+    const cached = cacheStore ? await cacheStore.get(cacheKey) : undefined;
+
+    if (cached && (cached.etag || cached.lastModified)) {
+      const headers = new Headers(fetchOptions.headers);
+      if (cached.etag && !headers.has('If-None-Match')) {
+        headers.set('If-None-Match', cached.etag);
+      }
+
+      if (cached.lastModified && !headers.has('If-Modified-Since')) {
+        headers.set('If-Modified-Since', cached.lastModified);
+      }
+
+      fetchOptions.headers = headers;
+    }
+
     const response = await fetchImpl(url, fetchOptions);
+
+    if (cached && response.status === 304) {
+      // In-memory stores keep the parsed results next to the body; hand out a copy of those
+      const parsedResults = cached.parsed instanceof Map ? cached.parsed : undefined;
+      const parsed = parsedResults?.get(parseKey);
+      let data;
+      if (parsed) {
+        data = copyParsedValue(parsed);
+      } else {
+        data = await parseICSAsync(cached.body, parseOptions);
+        parsedResults?.set(parseKey, copyParsedValue(data));
+      }
+
+      return withRefreshInterval(defineResultInfo(data, 'fromCache', true), refreshInterval);
+    }
+
     if (!response.ok) {
       throw new Error(`${response.status} ${response.statusText}`);
     }
 
-    const data = await response.text();
-    return parseICSAsync(data);
+    const body = await response.text();
+    const data = await parseICSAsync(body, parseOptions);
+
+    if (!cacheStore) {
+      return withRefreshInterval(data, refreshInterval);
+    }
+
+    const etag = response.headers?.get('ETag') ?? undefined;
+    const lastModified = response.headers?.get('Last-Modified') ?? undefined;
+    // Without validators there is nothing to revalidate against later on; drop what the feed no longer sends.
+    if (etag || lastModified) {
+      // Stores that persist entries (e.g. createFileCache) only keep the body; Dates do not survive JSON
+      const parsed = new Map([[parseKey, copyParsedValue(data)]]);
+      await cacheStore.set(cacheKey, {
+        etag,
+        lastModified,
+        body,
+        parsed,
+      });
+    } else if (cached) {
+      await cacheStore.delete?.(cacheKey);
+    }
+
+    return withRefreshInterval(defineResultInfo(data, 'fromCache', false), refreshInterval);
   }
 
   const syncApi = {};
@@ -83,37 +312,41 @@ function createCoreApi({parseICSImpl, fsModule, fetchImpl = fetch}) {
     return promiseCallback(fromURLAsync(url, options), callback);
   };
 
-  asyncApi.parseFile = function (filename, callback) {
-    return promiseCallback(parseFileAsync(filename), callback);
+  asyncApi.parseFile = function (filename, options, callback) {
+    [options, callback] = splitOptionsAndCallback(options, callback);
+    return promiseCallback(parseFileAsync(filename, options), callback);
   };
 
-  asyncApi.parseICS = function (data, callback) {
-    return promiseCallback(parseICSAsync(data), callback);
+  asyncApi.parseICS = function (data, options, callback) {
+    [options, callback] = splitOptionsAndCallback(options, callback);
+    return promiseCallback(parseICSAsync(data, options), callback);
   };
 
-  syncApi.parseFile = function (filename) {
+  syncApi.parseFile = function (filename, options) {
     const data = fsModule.readFileSync(filename, 'utf8');
-    return parseICSImpl(data);
+    return parseICSImpl(data, options);
   };
 
-  syncApi.parseICS = function (data) {
-    return parseICSImpl(data);
+  syncApi.parseICS = function (data, options) {
+    return parseICSImpl(data, options);
   };
 
-  autodetectApi.parseFile = function (filename, callback) {
+  autodetectApi.parseFile = function (filename, options, callback) {
+    [options, callback] = splitOptionsAndCallback(options, callback);
     if (!callback) {
-      return syncApi.parseFile(filename);
+      return syncApi.parseFile(filename, options);
     }
 
-    asyncApi.parseFile(filename, callback);
+    asyncApi.parseFile(filename, options, callback);
   };
 
-  autodetectApi.parseICS = function (data, callback) {
+  autodetectApi.parseICS = function (data, options, callback) {
+    [options, callback] = splitOptionsAndCallback(options, callback);
     if (!callback) {
-      return syncApi.parseICS(data);
+      return syncApi.parseICS(data, options);
     }
 
-    asyncApi.parseICS(data, callback);
+    asyncApi.parseICS(data, options, callback);
   };
 
   const {fromURL} = asyncApi;
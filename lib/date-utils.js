@@ -1,34 +1,40 @@
+import {reportDiagnostic} from './diagnostics.js';
 import {Temporal} from './temporal.js';
 import tzUtil from './tz-utils.js';
 
 /**
  * Construct a date-only key (YYYY-MM-DD) from a Date object.
- * For date-only events, uses local date components to avoid timezone shifts.
+ * For date-only events, uses local date components to avoid timezone shifts
+ * (in the zone the value was parsed in, see the `timezone` parse option).
  * For date-time events with a timezone, uses Temporal to extract the calendar date
  * in the original timezone (avoids UTC shift, e.g. Exchange O365 RECURRENCE-ID
  * midnight-CET becoming previous day in UTC – see GitHub issue #459).
+ * Dates in a VTIMEZONE without IANA equivalent use the rules attached as `zoneRules`.
  * For date-time events without timezone, extracts the date from the ISO timestamp.
  * @param {Date} dateValue - Date object with optional dateOnly and tz properties
  * @returns {string} Date key in YYYY-MM-DD format
  */
 function getDateKey(dateValue) {
   if (dateValue.dateOnly) {
-    return `${dateValue.getFullYear()}-${String(dateValue.getMonth() + 1).padStart(2, '0')}-${String(dateValue.getDate()).padStart(2, '0')}`;
+    const {year, month, day} = tzUtil.getLocalDateParts(dateValue);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
   }
 
   // When the Date carries timezone metadata, extract the calendar date in that timezone.
   // This prevents midnight-in-local-tz (e.g. 00:00 CET = 23:00 UTC the day before)
   // from being mapped to the wrong calendar day.
   // Temporal handles both IANA zones and fixed-offset strings (e.g. "+01:00") uniformly.
+  if (dateValue.zoneRules) {
+    return new Date(dateValue.zoneRules.toWallClockMilliseconds(dateValue.getTime())).toISOString().slice(0, 10);
+  }
+
   if (dateValue.tz) {
+    let failure;
     try {
       const resolved = tzUtil.resolveTZID(dateValue.tz);
       const tzId = resolved?.iana || resolved?.offset;
       if (resolved && !tzId) {
-        console.warn(
-          '[node-ical] Could not resolve TZID to an IANA name or UTC offset; falling back to UTC-based date key.',
-          {tzid: dateValue.tz, resolved},
-        );
+        failure = `Could not resolve TZID "${dateValue.tz}" to an IANA name or UTC offset; falling back to UTC-based date key.`;
       }
 
       if (tzId) {
@@ -38,7 +44,12 @@ function getDateKey(dateValue) {
           .toString();
       }
     } catch (error) {
-      console.warn(`[node-ical] Failed to resolve timezone for date key (TZID="${dateValue.tz}"), falling back to UTC: ${error?.message ?? String(error)}`);
+      failure = `Failed to resolve timezone for date key (TZID="${dateValue.tz}"), falling back to UTC: ${error?.message ?? String(error)}`;
+    }
+
+    // Reported outside the try block: strict parsing throws from here
+    if (failure) {
+      reportDiagnostic('UNKNOWN_TZID', failure, {tzid: dateValue.tz});
     }
   }
 
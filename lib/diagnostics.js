@@ -0,0 +1,272 @@
+/**
+ * Parse diagnostics: problems the tolerant parser recovers from (or skips) are
+ * reported here. By default they are logged (to the console unless a logger is
+ * configured); a diagnostics-enabled parse records them on the result instead,
+ * and a strict parse throws them as a ParseError.
+ */
+
+// Context of the parse or expansion currently running; both are synchronous per batch, so one slot suffices.
+let activeContext;
+// Logger installed with setLogger(); undefined writes to the console.
+let moduleLogger;
+
+/**
+ * Error thrown for broken input: always for fatal problems (e.g. duplicate DTSTART),
+ * and for every problem when parsing with `{strict: true}`.
+ */
+class ParseError extends Error {
+  /**
+   * Create a parse error; the details default to an unlocated `error`.
+   * @param {string} message
+   * @param {object} [details]
+   * @param {string} [details.code] - Machine-readable problem code, e.g. "MALFORMED_DURATION"
+   * @param {'error'|'warning'|'info'} [details.severity='error']
+   * @param {number} [details.line] - 1-based line number in the input
+   * @param {string[]} [details.path] - Enclosing components, outermost first, e.g. ['VCALENDAR', 'VEVENT']
+   */
+  constructor(message, {code, severity = 'error', line, path = []} = {}) {
+    super(message);
+    this.name = 'ParseError';
+    this.code = code;
+    this.severity = severity;
+    this.line = line;
+    this.path = path;
+  }
+}
+
+function assertLogger(logger, name) {
+  if (logger !== undefined && logger !== null && typeof logger.warn !== 'function') {
+    throw new TypeError(`${name} must be an object with a warn(message, metadata) method`);
+  }
+}
+
+/**
+ * Install the logger used for warnings when no `logger` option is passed.
+ * It receives `warn(message, metadata)` with metadata `{code, severity, uid, tzid, line, path}`.
+ * Call without an argument to restore the default console output.
+ * @param {{warn: (message: string, metadata: object) => void}} [logger]
+ *
+ * @example
+ * ical.setLogger({
+ *   warn: (message, {code, uid, line}) => log.warn({code, uid, line}, message),
+ * });
+ */
+function setLogger(logger) {
+  assertLogger(logger, 'logger');
+  moduleLogger = logger ?? undefined;
+}
+
+/**
+ * Create the context for one parse or expansion, if its options (or a module
+ * logger) need one; without it reports go straight to the console.
+ * @param {{strict?: boolean, diagnostics?: boolean, logger?: object}} [options] - Parse or expansion options
+ * @param {object} [component] - Component being expanded, for the `uid` metadata
+ * @returns {object|undefined} Context, or undefined when plain console output suffices
+ */
+function createDiagnosticsContext(options, component) {
+  assertLogger(options?.logger, 'options.logger');
+  if (!options?.strict && !options?.diagnostics && !options?.logger && !moduleLogger) {
+    return undefined;
+  }
+
+  return {
+    strict: Boolean(options?.strict),
+    collect: Boolean(options?.strict || options?.diagnostics),
+    logger: options?.logger ?? undefined,
+    diagnostics: [],
+    // `${code}@${line}` of the recorded diagnostics, to record each problem once per line
+    reported: new Set(),
+    line: undefined,
+    path: [],
+    openComponents: [],
+    component,
+  };
+}
+
+/**
+ * Route reports to a context until the returned function is called.
+ * @param {object|undefined} context
+ * @returns {() => void} Restores the previously active context
+ */
+function activateDiagnostics(context) {
+  const previous = activeContext;
+  activeContext = context;
+  return () => {
+    activeContext = previous;
+  };
+}
+
+function formatLocation({line, path}) {
+  const parts = [];
+  if (line !== undefined) {
+    parts.push(`line ${line}`);
+  }
+
+  if (path.length > 0) {
+    parts.push(path.join(' > '));
+  }
+
+  return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+}
+
+/**
+ * Build a ParseError located at the line currently being parsed.
+ * @param {string} code - Problem code
+ * @param {string} message - Description of the problem
+ * @returns {ParseError} Error carrying code, line and component path
+ */
+function createParseError(code, message) {
+  if (activeContext?.line === undefined) {
+    return new ParseError(message, {code});
+  }
+
+  const {line, path} = activeContext;
+  return new ParseError(message + formatLocation({line, path}), {code, line, path});
+}
+
+/**
+ * Report a problem found while parsing or expanding.
+ * Problems are logged unless `silent` is set (used for problems the parser has
+ * always skipped quietly); a diagnostics-enabled parse records them instead,
+ * at most once per code and line. In strict mode any problem above `info`
+ * severity throws a ParseError.
+ * @param {string} code - Problem code, e.g. "MALFORMED_DURATION"
+ * @param {string} message - Description of the problem
+ * @param {object} [options]
+ * @param {'error'|'warning'|'info'} [options.severity='warning']
+ * @param {string} [options.tzid] - TZID involved, for the log metadata
+ * @param {boolean} [options.silent=false] - Only record the problem, never log it
+ */
+function reportDiagnostic(code, message, {severity = 'warning', tzid, silent = false} = {}) {
+  const context = activeContext;
+  const {line, path = []} = context ?? {};
+
+  if (context?.strict && severity !== 'info') {
+    throw new ParseError(message + formatLocation({line, path}), {
+      code,
+      severity,
+      line,
+      path,
+    });
+  }
+
+  const uid = context?.component?.uid;
+  if (context?.collect) {
+    const key = `${code}@${line}`;
+    if (!context.reported.has(key)) {
+      context.reported.add(key);
+      const diagnostic = {
+        severity,
+        code,
+        line,
+        path,
+        message,
+      };
+      if (uid !== undefined) {
+        diagnostic.uid = uid;
+      }
+
+      if (tzid !== undefined) {
+        diagnostic.tzid = tzid;
+      }
+
+      context.diagnostics.push(diagnostic);
+    }
+
+    return;
+  }
+
+  if (silent) {
+    return;
+  }
+
+  const logger = context?.logger ?? moduleLogger;
+  if (logger) {
+    logger.warn(message, {
+      code,
+      severity,
+      uid,
+      tzid,
+      line,
+      path,
+    });
+  } else {
+    console.warn(`[node-ical] ${message}`);
+  }
+}
+
+/**
+ * Record where the parser is before handling a content line, keeping track of
+ * BEGIN/END nesting to report mismatched END lines.
+ * @param {object} context
+ * @param {number} line - 1-based line number
+ * @param {object} component - Component the line belongs to, for the `uid` metadata
+ * @param {string} [name] - Property name (undefined for lines that are not content lines)
+ * @param {string} [value] - Property value
+ */
+function trackContentLine(context, line, component, name, value) {
+  const {openComponents} = context;
+  context.line = line;
+  context.component = component;
+
+  if (name === 'BEGIN') {
+    openComponents.push(String(value).toUpperCase());
+    context.path = [...openComponents];
+    return;
+  }
+
+  context.path = [...openComponents];
+  if (name !== 'END') {
+    return;
+  }
+
+  const ended = String(value).toUpperCase();
+  const index = openComponents.lastIndexOf(ended);
+  if (index === -1) {
+    reportDiagnostic('UNEXPECTED_END', `END:${ended} without matching BEGIN`, {severity: 'error', silent: true});
+    return;
+  }
+
+  if (index !== openComponents.length - 1) {
+    reportDiagnostic('UNTERMINATED_COMPONENT', `${openComponents.at(-1)} is not terminated before END:${ended}`, {severity: 'error', silent: true});
+  }
+
+  openComponents.length = index;
+}
+
+/**
+ * Finish a parse: report components left open and, when collecting, expose the
+ * diagnostics as a non-enumerable `diagnostics` property of the result.
+ * @param {object} context
+ * @param {object} result - Parsed calendar
+ * @returns {object} The result
+ */
+function finishDiagnostics(context, result) {
+  if (context.openComponents.length > 0) {
+    context.path = [...context.openComponents];
+    reportDiagnostic('UNTERMINATED_COMPONENT', `${context.openComponents.at(-1)} is not terminated by an END line`, {severity: 'error', silent: true});
+  }
+
+  if (!context.collect) {
+    return result;
+  }
+
+  Object.defineProperty(result, 'diagnostics', {
+    value: context.diagnostics,
+    enumerable: false,
+    configurable: true,
+    writable: true,
+  });
+  return result;
+}
+
+export {
+  ParseError,
+  activateDiagnostics,
+  createDiagnosticsContext,
+  createParseError,
+  finishDiagnostics,
+  reportDiagnostic,
+  setLogger,
+  trackContentLine,
+};
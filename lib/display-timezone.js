@@ -0,0 +1,74 @@
+import {Temporal} from './temporal.js';
+import tzUtil from './tz-utils.js';
+
+/**
+ * Check the `displayTimezone` option of an expansion. Accepts what a TZID
+ * accepts: IANA names, Windows zone names and UTC offset labels.
+ *
+ * @param {unknown} displayTimezone
+ * @returns {string|undefined} IANA zone or offset (e.g. "+05:30"), undefined when the option is not set
+ * @throws {RangeError} When the value names no known zone
+ */
+function resolveDisplayTimezone(displayTimezone) {
+  if (displayTimezone === undefined) {
+    return undefined;
+  }
+
+  const {iana, offset} = tzUtil.resolveTZID(typeof displayTimezone === 'string' ? displayTimezone : undefined);
+  if (!iana && !offset) {
+    throw new RangeError(`options.displayTimezone "${displayTimezone}" is not a known timezone`);
+  }
+
+  return iana ?? offset;
+}
+
+function toPlainDate(date) {
+  const {year, month, day} = tzUtil.getLocalDateParts(date);
+  return Temporal.PlainDate.from({year, month, day});
+}
+
+/**
+ * Add the wall-clock fields of an instance in the display zone as `display`.
+ * Timed instances are converted to that zone; full-day instances keep their
+ * dates, since a DATE is the same day everywhere. Must run while the zone of
+ * the expansion is active, which full-day ends are created in.
+ *
+ * @param {object} instance - Expanded instance with Date `start`/`end`
+ * @param {string} timeZone - Zone from resolveDisplayTimezone()
+ * @returns {object} The instance
+ */
+function addDisplayFields(instance, timeZone) {
+  let start;
+  let end;
+  let time;
+  let endTime;
+
+  if (instance.isFullDay) {
+    start = toPlainDate(instance.start);
+    end = toPlainDate(instance.end);
+  } else {
+    const zonedStart = Temporal.Instant.fromEpochMilliseconds(instance.start.getTime()).toZonedDateTimeISO(timeZone);
+    const zonedEnd = Temporal.Instant.fromEpochMilliseconds(instance.end.getTime()).toZonedDateTimeISO(timeZone);
+    start = zonedStart.toPlainDate();
+    end = zonedEnd.toPlainDate();
+    time = zonedStart.toPlainTime().toString();
+    endTime = zonedEnd.toPlainTime().toString();
+  }
+
+  // The end is exclusive: an instance ending at midnight does not cover that day
+  const endsAtMidnight = instance.isFullDay || endTime === '00:00:00';
+  const lastDay = endsAtMidnight && Temporal.PlainDate.compare(end, start) > 0 ? end.subtract({days: 1}) : end;
+
+  instance.display = {
+    timeZone,
+    date: start.toString(),
+    time,
+    weekday: start.dayOfWeek,
+    endDate: end.toString(),
+    endTime,
+    daySpan: start.until(lastDay).days + 1,
+  };
+  return instance;
+}
+
+export {resolveDisplayTimezone, addDisplayFields};
@@ -0,0 +1,119 @@
+import expandRecurringEvent from './expand-recurring-event.js';
+import {isTemporalMode, toTemporalInstance} from './temporal-dates.js';
+
+/**
+ * Read a property for an instance: overrides are complete components, but fall
+ * back to the base event for properties the override does not repeat.
+ * @param {object} instance - Expanded instance
+ * @param {object} component - The base component the instance was expanded from
+ * @param {string} key - Property name
+ * @returns {unknown} Property value
+ */
+function getInstanceProperty(instance, component, key) {
+  return instance.event?.[key] ?? component[key];
+}
+
+function normalizeCategories(categories) {
+  if (categories === undefined || categories === null) {
+    return [];
+  }
+
+  const list = Array.isArray(categories) ? categories : [categories];
+  return list.map(category => String(category?.val ?? category).toLowerCase());
+}
+
+/**
+ * Build the per-instance filter for the calendar-wide options.
+ * @param {object} filters
+ * @param {string[]} [filters.categories]
+ * @param {boolean} filters.excludeCancelled
+ * @param {string} [filters.transparency]
+ * @returns {(instance: object, component: object) => boolean} Predicate keeping matching instances
+ */
+function createInstanceFilter({categories, excludeCancelled, transparency}) {
+  const wantedCategories = categories === undefined ? undefined : new Set(normalizeCategories(categories));
+  const wantedTransparency = transparency?.toUpperCase();
+
+  return (instance, component) => {
+    if (excludeCancelled && String(getInstanceProperty(instance, component, 'status') ?? '').toUpperCase() === 'CANCELLED') {
+      return false;
+    }
+
+    // TRANSP defaults to OPAQUE (RFC 5545 §3.8.2.7)
+    if (wantedTransparency && String(getInstanceProperty(instance, component, 'transparency') ?? 'OPAQUE').toUpperCase() !== wantedTransparency) {
+      return false;
+    }
+
+    if (wantedCategories) {
+      const instanceCategories = normalizeCategories(getInstanceProperty(instance, component, 'categories'));
+      if (instanceCategories.every(category => !wantedCategories.has(category))) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+}
+
+/**
+ * Expand every matching component of a parsed calendar into one list of instances.
+ * Each component goes through `expandRecurringEvent`, so RRULE/RDATE/EXDATE and
+ * RECURRENCE-ID overrides behave exactly as they do for single events; overrides
+ * stored in a base event's `recurrences` are never reported twice.
+ * @param {object} calendar - Parsed calendar (CalendarResponse)
+ * @param {object} options - Expansion options
+ * @param {Date|Temporal.Instant|Temporal.ZonedDateTime} options.from - Start of date range (inclusive)
+ * @param {Date|Temporal.Instant|Temporal.ZonedDateTime} options.to - End of date range (inclusive)
+ * @param {boolean} [options.includeOverrides=true] - Apply RECURRENCE-ID overrides
+ * @param {boolean} [options.excludeExdates=true] - Filter out EXDATE and EXRULE exclusions
+ * @param {boolean} [options.expandOngoing=false] - Include ongoing events
+ * @param {{warn: (message: string, metadata: object) => void}} [options.logger] - Receives warnings instead of the `setLogger` logger or the console
+ * @param {string} [options.timezone] - IANA zone for full-day instances and the day boundaries of `from`/`to` (default: the host zone)
+ * @param {string} [options.displayTimezone] - Zone to add the local date and time of each instance in, as `display`
+ * @param {'date'|'temporal'} [options.dates='date'] - Instances with Dates or with Temporal values
+ * @param {string[]} [options.types=['VEVENT']] - Component types to expand
+ * @param {string[]} [options.categories] - Keep only instances with at least one of these categories (case-insensitive)
+ * @param {boolean} [options.excludeCancelled=false] - Drop instances whose STATUS is CANCELLED
+ * @param {string} [options.transparency] - Keep only OPAQUE or TRANSPARENT instances
+ * @returns {Array<object>} Instances of all components, sorted by start
+ */
+function expandCalendar(calendar, options) {
+  if (!calendar || typeof calendar !== 'object') {
+    throw new TypeError('calendar must be a parsed calendar object');
+  }
+
+  const {
+    types = ['VEVENT'],
+    categories,
+    excludeCancelled = false,
+    transparency,
+    dates,
+    ...expandOptions
+  } = options ?? {};
+  const temporal = isTemporalMode(dates);
+
+  const wantedTypes = new Set(types.map(type => String(type).toUpperCase()));
+  const keepInstance = createInstanceFilter({categories, excludeCancelled, transparency});
+  const instances = [];
+
+  // The same component object can be reachable under several keys; expand it once.
+  for (const component of new Set(Object.values(calendar))) {
+    // A VTODO without DTSTART is anchored on its DUE date
+    const hasAnchor = component?.start || (component?.type === 'VTODO' && component.due);
+    if (!hasAnchor || typeof component !== 'object' || !wantedTypes.has(component.type)) {
+      continue;
+    }
+
+    for (const instance of expandRecurringEvent(component, expandOptions)) {
+      if (keepInstance(instance, component)) {
+        instances.push(instance);
+      }
+    }
+  }
+
+  // Temporal values cannot be subtracted, so they are only created after sorting
+  const sorted = instances.toSorted((a, b) => (a.start - b.start) || (a.end - b.end));
+  return temporal ? sorted.map(instance => toTemporalInstance(instance)) : sorted;
+}
+
+export default expandCalendar;
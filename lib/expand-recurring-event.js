@@ -1,7 +1,20 @@
 import {getDateKey} from './date-utils.js';
+import {activateDiagnostics, createDiagnosticsContext} from './diagnostics.js';
+import {addDisplayFields, resolveDisplayTimezone} from './display-timezone.js';
+import {
+  isTemporalMode,
+  toDateComponent,
+  toDateInput,
+  toTemporalInstance,
+} from './temporal-dates.js';
+import tzUtil from './tz-utils.js';
 
 // Shared recurring expansion implementation used by both CJS and ESM entrypoints.
 
+// Consecutive recurrence dates iterateOccurrences() may skip (excluded or overridden)
+// before it concludes that an unbounded series produces no further instances
+const MAX_SKIPPED_DATES = 10_000;
+
 /**
  * Generate date key for EXDATE/RECURRENCE-ID lookups from an RRULE-generated date.
  * RRULE-generated dates carry no .tz or .dateOnly metadata, so isFullDay must be
@@ -13,10 +26,8 @@ import {getDateKey} from './date-utils.js';
  */
 function generateDateKey(date, isFullDay) {
   if (isFullDay) {
-    // Full-day events: use local getters - RRULE returns local-midnight dates
-    const year = date.getFullYear();
-    const month = date.getMonth() + 1;
-    const day = date.getDate();
+    // Full-day events: use the local day - RRULE returns local-midnight dates
+    const {year, month, day} = tzUtil.getLocalDateParts(date);
     return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
   }
 
@@ -25,7 +36,7 @@ function generateDateKey(date, isFullDay) {
 }
 
 /**
- * Copy timezone metadata (tz, dateOnly) from source Date to target Date.
+ * Copy timezone metadata (tz, zoneRules, dateOnly) from source Date to target Date.
  * @param {Date} target - Target Date object to copy metadata to
  * @param {Date} source - Source Date object to copy metadata from
  * @returns {Date} Target Date with copied metadata
@@ -61,6 +72,10 @@ function copyDateMeta(target, source) {
     copyMetaProperty('dateOnly', source.dateOnly);
   }
 
+  if (source?.zoneRules) {
+    Object.defineProperty(target, 'zoneRules', {value: source.zoneRules, enumerable: false, configurable: true});
+  }
+
   return target;
 }
 
@@ -68,33 +83,77 @@ function copyDateMeta(target, source) {
  * Create date from UTC components to avoid DST issues for full-day events.
  * This ensures that a DATE value of 20250107 stays as January 7th regardless of timezone.
  * For dateOnly events, uses local components (DATE values are timezone-independent).
+ * "Local" is the zone of the `timezone` option when one is active, else the host zone.
  * @param {Date} utcDate - Date from RRULE (UTC midnight) or dateOnly event
  * @returns {Date} Date representing the same calendar day at local midnight
  */
 function createLocalDateFromUTC(utcDate) {
-  if (utcDate?.dateOnly) {
-    const year = utcDate.getFullYear();
-    const month = utcDate.getMonth();
-    const day = utcDate.getDate();
-    return new Date(year, month, day, 0, 0, 0, 0);
+  const {year, month, day} = utcDate?.dateOnly
+    ? tzUtil.getLocalDateParts(utcDate)
+    : {year: utcDate.getUTCFullYear(), month: utcDate.getUTCMonth() + 1, day: utcDate.getUTCDate()};
+  return createLocalMidnight(year, month, day);
+}
+
+// Local midnight of a day (rolling over out-of-range days), tagged with the `timezone` option if any
+function createLocalMidnight(year, month, day) {
+  return tzUtil.attachTz(tzUtil.createLocalDate({year, month, day}), tzUtil.getDefaultTimezone());
+}
+
+// Day number (days since the epoch) of the local calendar day of a date
+function getLocalDayNumber(date) {
+  const {year, month, day} = tzUtil.getLocalDateParts(date);
+  return Date.UTC(year, month - 1, day) / (24 * 60 * 60 * 1000);
+}
+
+// UTC midnight of the local calendar day of a date: the time line date-only rules run on
+function toUtcDay(date) {
+  const {year, month, day} = tzUtil.getLocalDateParts(date);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Start of a component for expansion. A VTODO without DTSTART recurs from its DUE date.
+ * @param {object} component - VEVENT/VTODO (base or override)
+ * @returns {Date|undefined} Anchor of the component's instances
+ */
+function getComponentStart(component) {
+  return component?.start ?? (component?.type === 'VTODO' ? component.due : undefined);
+}
+
+/**
+ * End of a component for expansion. A VTODO ends at its DUE date (or DTSTART + DURATION);
+ * the implicit end the parser derives otherwise is ignored, so an override without DUE
+ * keeps the series' duration.
+ * @param {object} component - VEVENT/VTODO (base or override)
+ * @returns {Date|undefined} End of the component, if it has one
+ */
+function getComponentEnd(component) {
+  if (component?.type !== 'VTODO') {
+    return component?.end;
   }
 
-  const year = utcDate.getUTCFullYear();
-  const month = utcDate.getUTCMonth();
-  const day = utcDate.getUTCDate();
-  return new Date(year, month, day, 0, 0, 0, 0);
+  return component.due ?? (component.duration === undefined ? undefined : component.end);
+}
+
+function isFullDayComponent(component) {
+  return component.datetype === 'date' || Boolean(getComponentStart(component)?.dateOnly);
+}
+
+// Full-day events span at least one day; a full-day todo may be due on its start date.
+function getMinimumDaySpan(eventData) {
+  return eventData?.type === 'VTODO' ? 0 : 1;
 }
 
 function getFullDaySpanDays(eventData) {
-  if (eventData?.start && eventData.end) {
-    const startDate = new Date(eventData.start);
-    const endDate = new Date(eventData.end);
-    const startDay = Date.UTC(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
-    const endDay = Date.UTC(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
-    return Math.max(1, Math.round((endDay - startDay) / (24 * 60 * 60 * 1000)));
+  const startValue = getComponentStart(eventData);
+  const endValue = getComponentEnd(eventData);
+  if (startValue && endValue) {
+    const startDay = getLocalDayNumber(startValue instanceof Date ? startValue : new Date(startValue));
+    const endDay = getLocalDayNumber(endValue instanceof Date ? endValue : new Date(endValue));
+    return Math.max(getMinimumDaySpan(eventData), Math.round(endDay - startDay));
   }
 
-  return 1;
+  return getMinimumDaySpan(eventData);
 }
 
 /**
@@ -108,8 +167,10 @@ function getEventDurationMs(eventData, isFullDay) {
     return getFullDaySpanDays(eventData) * 24 * 60 * 60 * 1000;
   }
 
-  if (eventData?.start && eventData.end) {
-    return new Date(eventData.end).getTime() - new Date(eventData.start).getTime();
+  const startValue = getComponentStart(eventData);
+  const endValue = getComponentEnd(eventData);
+  if (startValue && endValue) {
+    return new Date(endValue).getTime() - new Date(startValue).getTime();
   }
 
   return 0;
@@ -124,15 +185,18 @@ function getEventDurationMs(eventData, isFullDay) {
  * @returns {Date} End time for this instance
  */
 function calculateEndTime(start, eventData, isFullDay, baseDurationMs) {
+  const hasOwnSpan = Boolean(getComponentStart(eventData) && getComponentEnd(eventData));
+
   if (isFullDay) {
-    const daySpan = eventData?.start && eventData.end
+    const daySpan = hasOwnSpan
       ? getFullDaySpanDays(eventData)
-      : Math.max(1, Math.round((baseDurationMs ?? (24 * 60 * 60 * 1000)) / (24 * 60 * 60 * 1000)));
+      : Math.max(getMinimumDaySpan(eventData), Math.round((baseDurationMs ?? (24 * 60 * 60 * 1000)) / (24 * 60 * 60 * 1000)));
 
-    return new Date(start.getFullYear(), start.getMonth(), start.getDate() + daySpan, 0, 0, 0, 0);
+    const {year, month, day} = tzUtil.getLocalDateParts(start);
+    return createLocalMidnight(year, month, day + daySpan);
   }
 
-  const durationMs = (eventData?.start && eventData.end)
+  const durationMs = hasOwnSpan
     ? getEventDurationMs(eventData, isFullDay)
     : (baseDurationMs ?? 0);
 
@@ -149,12 +213,28 @@ function getOverrideRecurrenceKey(overrideEvent) {
     : overrideEvent.recurrenceid.toISOString();
 }
 
+/**
+ * Give instances of a todo with a DUE date their own `due`: the instance end, which
+ * keeps the series' DTSTART-to-DUE distance unless an override sets its own DUE.
+ * @param {object} instance - Freshly built instance
+ * @param {object} event - The base component
+ * @returns {object} The instance
+ */
+function addTodoDue(instance, event) {
+  if (event.type === 'VTODO' && (instance.event.due || event.due)) {
+    instance.due = copyDateMeta(new Date(instance.end), instance.end);
+  }
+
+  return instance;
+}
+
 function buildOverrideInstance(overrideEvent, event, isFullDay, baseDurationMs) {
-  if (!(overrideEvent?.start instanceof Date) && !(overrideEvent?.start)) {
+  const overrideStart = getComponentStart(overrideEvent);
+  if (!overrideStart) {
     return null;
   }
 
-  let start = overrideEvent.start instanceof Date ? overrideEvent.start : new Date(overrideEvent.start);
+  let start = overrideStart instanceof Date ? overrideStart : new Date(overrideStart);
   if (isFullDay) {
     start = createLocalDateFromUTC(start);
   }
@@ -170,10 +250,10 @@ function buildOverrideInstance(overrideEvent, event, isFullDay, baseDurationMs)
     event: overrideEvent,
   };
 
-  copyDateMeta(instance.start, overrideEvent.start);
-  copyDateMeta(instance.end, overrideEvent.end || event.end);
+  copyDateMeta(instance.start, overrideStart);
+  copyDateMeta(instance.end, getComponentEnd(overrideEvent) || getComponentEnd(event));
 
-  return instance;
+  return addTodoDue(instance, event);
 }
 
 function collectOverrideInstances(event, {
@@ -224,10 +304,11 @@ function collectOverrideInstances(event, {
  */
 function processNonRecurringEvent(event, options) {
   const {from, to, expandOngoing} = options;
-  const isFullDay = event.datetype === 'date' || Boolean(event.start?.dateOnly);
+  const isFullDay = isFullDayComponent(event);
   const baseDurationMs = getEventDurationMs(event, isFullDay);
+  const startValue = getComponentStart(event);
 
-  let eventStart = event.start instanceof Date ? event.start : new Date(event.start);
+  let eventStart = startValue instanceof Date ? startValue : new Date(startValue);
 
   if (isFullDay) {
     eventStart = createLocalDateFromUTC(eventStart);
@@ -253,10 +334,10 @@ function processNonRecurringEvent(event, options) {
     event,
   };
 
-  copyDateMeta(instance.start, event.start);
-  copyDateMeta(instance.end, event.end);
+  copyDateMeta(instance.start, startValue);
+  copyDateMeta(instance.end, getComponentEnd(event));
 
-  return [instance];
+  return [addTodoDue(instance, event)];
 }
 
 /**
@@ -288,6 +369,63 @@ function isExcludedByExdate(date, event, dateKey, isFullDay) {
   return hasIsoExdate || Boolean(dateKeyExdate?.dateOnly);
 }
 
+/**
+ * Create the EXRULE (RFC 2445) check for one expansion: a date is excluded when one of
+ * the event's exclusion rules generates an occurrence at exactly that start. The rules
+ * are evaluated once for the expected window of candidate dates and the matches kept as
+ * a Set; a candidate outside the window moves it, growing it each time for lazily
+ * iterated series.
+ * @param {object} event - The calendar event
+ * @param {boolean} isFullDay - Whether the event is a full-day event
+ * @param {Date} [windowStart] - Earliest candidate date expected
+ * @param {Date} [windowEnd] - Latest candidate date expected
+ * @returns {function(Date): boolean} Returns true if the date is excluded
+ */
+function createExruleCheck(event, isFullDay, windowStart, windowEnd) {
+  const exrules = Array.isArray(event.exrule)
+    ? event.exrule.filter(exrule => typeof exrule?.between === 'function')
+    : [];
+  if (exrules.length === 0) {
+    return () => false;
+  }
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  // Full-day occurrences are matched by local day, timed ones by instant
+  const toKey = date => (isFullDay ? generateDateKey(date, true) : date.getTime());
+  // Date-only rules run on UTC midnight; full-day instance dates are local midnight
+  const toRuleTime = date => (isFullDay ? toUtcDay(date) : date).getTime();
+  const excluded = new Set();
+  let covered;
+  let spanMs = 7 * dayMs;
+
+  const cover = (startMs, endMs) => {
+    excluded.clear();
+    for (const exrule of exrules) {
+      for (const occurrence of exrule.between(new Date(startMs), new Date(endMs), true)) {
+        excluded.add(toKey(occurrence));
+      }
+    }
+
+    covered = {startMs, endMs};
+  };
+
+  if (windowStart && windowEnd) {
+    // A day of slack on both sides for the shift between local and UTC days
+    const slackMs = isFullDay ? dayMs : 0;
+    cover(toRuleTime(windowStart) - slackMs, toRuleTime(windowEnd) + slackMs);
+  }
+
+  return date => {
+    const ruleTime = toRuleTime(date);
+    if (!covered || ruleTime < covered.startMs || ruleTime > covered.endMs) {
+      cover(ruleTime, ruleTime + spanMs);
+      spanMs = Math.min(spanMs * 2, 366 * dayMs);
+    }
+
+    return excluded.has(toKey(date));
+  };
+}
+
 /**
  * Validate that from/to are proper Dates in the right order.
  * @param {Date} from
@@ -320,14 +458,16 @@ function adjustSearchRange(from, to, isFullDay, expandOngoing, baseDurationMs) {
   let searchFrom;
   let searchTo;
 
+  const toParts = tzUtil.getLocalDateParts(to);
   if (isFullDay) {
-    searchFrom = new Date(Date.UTC(from.getFullYear(), from.getMonth(), from.getDate()));
-    searchTo = new Date(Date.UTC(to.getFullYear(), to.getMonth(), to.getDate(), 23, 59, 59, 999));
+    searchFrom = toUtcDay(from);
+    searchTo = new Date(Date.UTC(toParts.year, toParts.month - 1, toParts.day, 23, 59, 59, 999));
   } else {
-    const isMidnight = to.getHours() === 0 && to.getMinutes() === 0 && to.getSeconds() === 0;
+    const isMidnight = toParts.hour === 0 && toParts.minute === 0 && toParts.second === 0;
     searchFrom = from;
+    // Up to the last millisecond of that local day
     searchTo = isMidnight
-      ? new Date(to.getFullYear(), to.getMonth(), to.getDate(), 23, 59, 59, 999)
+      ? new Date(createLocalMidnight(toParts.year, toParts.month, toParts.day + 1).getTime() - 1)
       : to;
   }
 
@@ -339,37 +479,200 @@ function adjustSearchRange(from, to, isFullDay, expandOngoing, baseDurationMs) {
 }
 
 /**
- * Build a single recurring event instance for an RRULE-generated date.
+ * Convert a parsed RDATE value into the same shape RRULE expansion produces:
+ * a fresh Date (so instance metadata never leaks back into the parsed event),
+ * flagged dateOnly for full-day events.
+ * @param {Date} rdate - Parsed RDATE value
+ * @param {boolean} isFullDay
+ * @returns {Date} Fresh Date for the instance start
+ */
+function toRecurrenceDate(rdate, isFullDay) {
+  const date = new Date(rdate);
+  if (isFullDay && rdate.dateOnly) {
+    date.dateOnly = true;
+    tzUtil.attachTz(date, rdate.tz);
+  }
+
+  return date;
+}
+
+/**
+ * Collect the recurrence set dates: RRULE occurrences inside the search window,
+ * plus every RDATE (and DTSTART for RDATE-only series). Duplicates are merged;
+ * RDATE periods keep their explicit end.
+ * @param {object} event - The base VEVENT
+ * @param {Date} searchFrom
+ * @param {Date} searchTo
+ * @param {boolean} isFullDay
+ * @returns {Array<{date: Date, periodEnd: (Date|undefined)}>} Deduplicated instance dates
+ */
+function collectRecurrenceDates(event, searchFrom, searchTo, isFullDay) {
+  const byTime = new Map();
+  const add = (date, periodEnd) => {
+    const time = date.getTime();
+    if (!byTime.has(time) || periodEnd) {
+      byTime.set(time, {date, periodEnd});
+    }
+  };
+
+  if (event.rrule) {
+    for (const date of event.rrule.between(searchFrom, searchTo, true)) {
+      add(date);
+    }
+  } else if (getComponentStart(event)) {
+    // DTSTART is always the first instance of the recurrence set (RFC 5545 §3.8.5.2)
+    const startValue = getComponentStart(event);
+    add(toRecurrenceDate(startValue instanceof Date ? startValue : new Date(startValue), isFullDay));
+  }
+
+  // RDATE entries use dual keys; both reference the same Date, so dedupe by identity
+  for (const rdate of new Set(Object.values(event.rdate ?? {}))) {
+    if (rdate instanceof Date && !Number.isNaN(rdate.getTime())) {
+      add(toRecurrenceDate(rdate, isFullDay), rdate.periodEnd);
+    }
+  }
+
+  return byTime.values().toArray();
+}
+
+/**
+ * Check whether a RECURRENCE-ID override replaces the occurrence at `date`.
+ * @param {Date} date - RRULE- or RDATE-generated Date
+ * @param {object} event - The base VEVENT
+ * @param {boolean} isFullDay
+ * @returns {boolean} True if an override exists for this occurrence
+ */
+function isOverridden(date, event, isFullDay) {
+  const key = isFullDay ? generateDateKey(date, isFullDay) : date.toISOString();
+  return Boolean(event.recurrences && Object.hasOwn(event.recurrences, key));
+}
+
+/**
+ * Collect the RECURRENCE-ID;RANGE=THISANDFUTURE overrides of a series, oldest first.
+ * @param {object} event - The base VEVENT
+ * @returns {Array<object>} Range overrides sorted by RECURRENCE-ID
+ */
+function getRangeOverrides(event) {
+  if (!event.recurrences) {
+    return [];
+  }
+
+  return [...new Set(Object.values(event.recurrences))]
+    .filter(overrideEvent => overrideEvent?.recurrencerange === 'THISANDFUTURE'
+      && overrideEvent.recurrenceid instanceof Date
+      && getComponentStart(overrideEvent))
+    .toSorted((a, b) => a.recurrenceid - b.recurrenceid);
+}
+
+/**
+ * Time shift a THISANDFUTURE override applies to later instances: the distance
+ * between its RECURRENCE-ID and its new DTSTART. Full-day series shift by whole days.
+ * @param {object} rangeOverride - Override carrying `recurrencerange`
+ * @param {boolean} isFullDay
+ * @returns {number} Shift in milliseconds (a multiple of a day for full-day series)
+ */
+function getRangeShiftMs(rangeOverride, isFullDay) {
+  const startValue = getComponentStart(rangeOverride);
+  const start = startValue instanceof Date ? startValue : new Date(startValue);
+
+  if (isFullDay) {
+    const [fromYear, fromMonth, fromDay] = getDateKey(rangeOverride.recurrenceid).split('-').map(Number);
+    const [toYear, toMonth, toDay] = getDateKey(start).split('-').map(Number);
+    return Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay);
+  }
+
+  return start.getTime() - rangeOverride.recurrenceid.getTime();
+}
+
+/**
+ * How far THISANDFUTURE overrides can move instances, so search windows can be widened.
+ * @param {Array<object>} rangeOverrides
+ * @param {boolean} isFullDay
+ * @returns {{maxForwardMs: number, maxBackwardMs: number}} Largest later and earlier shift
+ */
+function getRangeShiftBounds(rangeOverrides, isFullDay) {
+  const shifts = rangeOverrides.map(rangeOverride => getRangeShiftMs(rangeOverride, isFullDay));
+  return {
+    maxForwardMs: Math.max(0, ...shifts),
+    maxBackwardMs: Math.max(0, ...shifts.map(shift => -shift)),
+  };
+}
+
+/**
+ * Find the THISANDFUTURE override in effect for an occurrence: the latest one
+ * whose RECURRENCE-ID is at or before the occurrence's original date.
+ * @param {Date} date - RRULE- or RDATE-generated Date
+ * @param {Array<object>} rangeOverrides - Range overrides sorted by RECURRENCE-ID
+ * @param {boolean} isFullDay
+ * @returns {object|undefined} The governing override, if any
+ */
+function findRangeOverride(date, rangeOverrides, isFullDay) {
+  const dateKey = isFullDay ? generateDateKey(date, isFullDay) : undefined;
+  let match;
+
+  for (const rangeOverride of rangeOverrides) {
+    const applies = isFullDay
+      ? getDateKey(rangeOverride.recurrenceid) <= dateKey
+      : rangeOverride.recurrenceid.getTime() <= date.getTime();
+    if (!applies) {
+      break;
+    }
+
+    match = rangeOverride;
+  }
+
+  return match;
+}
+
+/**
+ * Build a single recurring event instance for an RRULE- or RDATE-generated date.
  * @param {Date} date - RRULE-generated Date
  * @param {object} event - The base VEVENT
  * @param {boolean} isFullDay - Pre-computed full-day flag
  * @param {number} baseDurationMs - Pre-computed base duration
- * @param {{excludeExdates: boolean, includeOverrides: boolean}} options
+ * @param {{excludeExdates: boolean, includeOverrides: boolean, periodEnd?: Date, rangeOverrides?: Array<object>, isExcludedByExrule?: function(Date): boolean}} options
  * @returns {object|null} Event instance or null if excluded
  */
 function buildRecurringInstance(date, event, isFullDay, baseDurationMs, options) {
-  const {excludeExdates, includeOverrides} = options;
+  const {
+    excludeExdates,
+    includeOverrides,
+    periodEnd,
+    rangeOverrides = [],
+    isExcludedByExrule,
+  } = options;
   const dateKey = generateDateKey(date, isFullDay);
 
-  if (excludeExdates && isExcludedByExdate(date, event, dateKey, isFullDay)) {
+  if (excludeExdates && (isExcludedByExdate(date, event, dateKey, isFullDay) || isExcludedByExrule(date))) {
     return null;
   }
 
   const isoKey = isFullDay ? null : date.toISOString();
   const overrideEvent = includeOverrides
     && (isoKey ? event.recurrences?.[isoKey] : event.recurrences?.[dateKey]);
+
+  if (!overrideEvent) {
+    const rangeOverride = findRangeOverride(date, rangeOverrides, isFullDay);
+    if (rangeOverride) {
+      return buildRangeShiftedInstance(date, event, rangeOverride, isFullDay, baseDurationMs);
+    }
+  }
+
   const isOverride = Boolean(overrideEvent);
   const instanceEvent = isOverride ? overrideEvent : event;
 
-  let start = (isOverride && instanceEvent.start)
-    ? (instanceEvent.start instanceof Date ? instanceEvent.start : new Date(instanceEvent.start))
+  const overrideStart = isOverride ? getComponentStart(instanceEvent) : undefined;
+  let start = overrideStart
+    ? (overrideStart instanceof Date ? overrideStart : new Date(overrideStart))
     : date;
 
   if (isFullDay) {
     start = createLocalDateFromUTC(start);
   }
 
-  const end = calculateEndTime(start, instanceEvent, isFullDay, baseDurationMs);
+  // An RDATE;VALUE=PERIOD instance defines its own end unless it is overridden
+  const endSource = (!isOverride && periodEnd instanceof Date) ? {start: date, end: periodEnd} : instanceEvent;
+  const end = calculateEndTime(start, endSource, isFullDay, baseDurationMs);
   const instance = {
     start,
     end,
@@ -380,10 +683,48 @@ function buildRecurringInstance(date, event, isFullDay, baseDurationMs, options)
     event: instanceEvent,
   };
 
-  copyDateMeta(instance.start, (isOverride ? instanceEvent : event).start);
-  copyDateMeta(instance.end, instanceEvent.end || event.end);
+  copyDateMeta(instance.start, getComponentStart(isOverride ? instanceEvent : event));
+  copyDateMeta(instance.end, getComponentEnd(instanceEvent) || getComponentEnd(event));
 
-  return instance;
+  return addTodoDue(instance, event);
+}
+
+/**
+ * Build an instance that follows a THISANDFUTURE override: moved by the override's
+ * time shift, lasting as long as the override, and carrying its properties.
+ * @param {Date} date - RRULE- or RDATE-generated Date (the original slot)
+ * @param {object} event - The base VEVENT
+ * @param {object} rangeOverride - The governing THISANDFUTURE override
+ * @param {boolean} isFullDay
+ * @param {number} baseDurationMs
+ * @returns {object} Event instance
+ */
+function buildRangeShiftedInstance(date, event, rangeOverride, isFullDay, baseDurationMs) {
+  const shiftMs = getRangeShiftMs(rangeOverride, isFullDay);
+  let start;
+
+  if (isFullDay) {
+    const {year, month, day} = tzUtil.getLocalDateParts(createLocalDateFromUTC(date));
+    const shiftDays = Math.round(shiftMs / (24 * 60 * 60 * 1000));
+    start = createLocalMidnight(year, month, day + shiftDays);
+  } else {
+    start = new Date(date.getTime() + shiftMs);
+  }
+
+  const instance = {
+    start,
+    end: calculateEndTime(start, rangeOverride, isFullDay, baseDurationMs),
+    summary: rangeOverride.summary || event.summary || '',
+    isFullDay,
+    isRecurring: true,
+    isOverride: true,
+    event: rangeOverride,
+  };
+
+  copyDateMeta(instance.start, getComponentStart(rangeOverride));
+  copyDateMeta(instance.end, getComponentEnd(rangeOverride) || getComponentEnd(event));
+
+  return addTodoDue(instance, event);
 }
 
 /**
@@ -396,10 +737,10 @@ function buildRecurringInstance(date, event, isFullDay, baseDurationMs, options)
  */
 function isInstanceInRange(instance, from, to, expandOngoing) {
   if (instance.isFullDay) {
-    const instanceDate = new Date(instance.start.getFullYear(), instance.start.getMonth(), instance.start.getDate());
-    const fromDate = new Date(from.getFullYear(), from.getMonth(), from.getDate());
-    const toDate = new Date(to.getFullYear(), to.getMonth(), to.getDate());
-    const instanceEndDate = new Date(instance.end.getFullYear(), instance.end.getMonth(), instance.end.getDate());
+    const instanceDate = getLocalDayNumber(instance.start);
+    const fromDate = getLocalDayNumber(from);
+    const toDate = getLocalDayNumber(to);
+    const instanceEndDate = getLocalDayNumber(instance.end);
 
     return expandOngoing
       ? (instanceEndDate >= fromDate && instanceDate <= toDate)
@@ -411,45 +752,102 @@ function isInstanceInRange(instance, from, to, expandOngoing) {
     : (instance.start >= from && instance.start <= to);
 }
 
+/**
+ * Zone of the local days of an expansion: full-day instances start at its midnight,
+ * and `from`/`to` are cut into days there. DATE values parsed with the `timezone`
+ * option keep the zone they were parsed in.
+ * @param {object} event
+ * @param {{timezone?: string}} [options]
+ * @returns {string|undefined} IANA zone, or undefined for the host zone
+ */
+function getExpansionTimezone(event, options) {
+  const timezone = tzUtil.assertTimezone(options?.timezone);
+  const start = getComponentStart(event);
+  return start?.dateOnly && start.tz ? start.tz : timezone;
+}
+
 /**
  * Expand a recurring event into individual instances within a date range.
- * Handles RRULE expansion, EXDATE filtering, and RECURRENCE-ID overrides.
+ * Handles RRULE and RDATE expansion, EXDATE filtering, and RECURRENCE-ID overrides.
  * Also works for non-recurring events (returns a single instance if within range).
- * @param {object} event - The VEVENT object (with or without rrule)
+ * VTODO instances run from DTSTART to DUE and carry a `due`; a VTODO without DTSTART
+ * recurs from its DUE date.
+ * @param {object} event - The VEVENT or VTODO object (with or without rrule/rdate)
  * @param {object} options - Expansion options
- * @param {Date} options.from - Start of date range (inclusive)
- * @param {Date} options.to - End of date range (inclusive)
+ * @param {Date|Temporal.Instant|Temporal.ZonedDateTime} options.from - Start of date range (inclusive)
+ * @param {Date|Temporal.Instant|Temporal.ZonedDateTime} options.to - End of date range (inclusive)
  * @param {boolean} [options.includeOverrides=true] - Apply RECURRENCE-ID overrides
- * @param {boolean} [options.excludeExdates=true] - Filter out EXDATE exclusions
+ * @param {boolean} [options.excludeExdates=true] - Filter out EXDATE and EXRULE exclusions
  * @param {boolean} [options.expandOngoing=false] - Include ongoing events
+ * @param {{warn: (message: string, metadata: object) => void}} [options.logger] - Receives warnings instead of the `setLogger` logger or the console
+ * @param {string} [options.timezone] - IANA zone for full-day instances and the day boundaries of `from`/`to` (default: the host zone)
+ * @param {string} [options.displayTimezone] - Zone to add the local date and time of each instance in, as `display`
+ * @param {'date'|'temporal'} [options.dates='date'] - Instances with Dates or with Temporal values (see the `dates` parse option)
  * @returns {Array<object>} Sorted array of event instances
  */
 function expandRecurringEvent(event, options) {
+  const temporal = isTemporalMode(options?.dates);
+  const displayTimezone = resolveDisplayTimezone(options?.displayTimezone);
+  // Components with Temporal values ({dates: 'temporal'}) are expanded from Dates
+  const dateEvent = toDateComponent(event, tzUtil.assertTimezone(options?.timezone));
+  const timezone = getExpansionTimezone(dateEvent, options);
+  const restoreDiagnostics = activateDiagnostics(createDiagnosticsContext(options, dateEvent));
+  const restoreTimezone = tzUtil.activateTimezone(timezone);
+  let instances;
+  try {
+    instances = expandEventInstances(dateEvent, options);
+    if (displayTimezone) {
+      for (const instance of instances) {
+        addDisplayFields(instance, displayTimezone);
+      }
+    }
+  } finally {
+    restoreTimezone();
+    restoreDiagnostics();
+  }
+
+  return temporal ? instances.map(instance => toTemporalInstance(instance)) : instances;
+}
+
+function expandEventInstances(event, options) {
   const {
-    from,
-    to,
     includeOverrides = true,
     excludeExdates = true,
     expandOngoing = false,
   } = options;
+  const from = toDateInput(options.from);
+  const to = toDateInput(options.to);
 
   validateDateRange(from, to);
 
-  if (!event.rrule) {
+  if (!event.rrule && !event.rdate) {
     return processNonRecurringEvent(event, {from, to, expandOngoing});
   }
 
-  const isFullDay = event.datetype === 'date' || Boolean(event.start?.dateOnly);
+  const isFullDay = isFullDayComponent(event);
   const baseDurationMs = getEventDurationMs(event, isFullDay);
   const {searchFrom, searchTo} = adjustSearchRange(from, to, isFullDay, expandOngoing, baseDurationMs);
-  const dates = event.rrule.between(searchFrom, searchTo, true);
+  const rangeOverrides = includeOverrides ? getRangeOverrides(event) : [];
+  // THISANDFUTURE shifts can move occurrences from outside the window into it
+  const {maxForwardMs, maxBackwardMs} = getRangeShiftBounds(rangeOverrides, isFullDay);
+  const windowStart = new Date(searchFrom.getTime() - maxForwardMs);
+  const windowEnd = new Date(searchTo.getTime() + maxBackwardMs);
+  const dates = collectRecurrenceDates(event, windowStart, windowEnd, isFullDay);
+  const isExcludedByExrule = excludeExdates ? createExruleCheck(event, isFullDay, windowStart, windowEnd) : undefined;
   const instances = [];
   const seenRecurrenceKeys = new Set();
 
-  for (const date of dates) {
-    const instance = buildRecurringInstance(date, event, isFullDay, baseDurationMs, {excludeExdates, includeOverrides});
+  for (const {date, periodEnd} of dates) {
+    const instance = buildRecurringInstance(date, event, isFullDay, baseDurationMs, {
+      excludeExdates,
+      includeOverrides,
+      periodEnd,
+      rangeOverrides,
+      isExcludedByExrule,
+    });
     if (instance && isInstanceInRange(instance, from, to, expandOngoing)) {
-      seenRecurrenceKeys.add(instance.isOverride ? getOverrideRecurrenceKey(instance.event) : date.toISOString());
+      const replacedByOverride = instance.isOverride && isOverridden(date, event, isFullDay);
+      seenRecurrenceKeys.add(replacedByOverride ? getOverrideRecurrenceKey(instance.event) : date.toISOString());
       instances.push(instance);
     }
   }
@@ -468,4 +866,228 @@ function expandRecurringEvent(event, options) {
   return instances.toSorted((a, b) => a.start - b.start);
 }
 
+/**
+ * Lazily walk the RRULE occurrences (or DTSTART for RDATE-only series) merged
+ * with the sorted RDATE dates, yielding `{date, periodEnd}` in chronological order.
+ * @param {object} event - The base VEVENT
+ * @param {Date} searchFrom - Occurrences strictly after this date are produced
+ * @param {boolean} isFullDay
+ * @yields {{date: Date, periodEnd: (Date|undefined)}} Recurrence set dates, deduplicated
+ */
+function * iterateRecurrenceDates(event, searchFrom, isFullDay) {
+  const extraDates = new Map();
+  const addExtra = (date, periodEnd) => {
+    const time = date.getTime();
+    if (time > searchFrom.getTime() && (!extraDates.has(time) || periodEnd)) {
+      extraDates.set(time, {date, periodEnd});
+    }
+  };
+
+  const startValue = getComponentStart(event);
+  if (!event.rrule && startValue) {
+    // DTSTART is always the first instance of the recurrence set (RFC 5545 §3.8.5.2)
+    addExtra(toRecurrenceDate(startValue instanceof Date ? startValue : new Date(startValue), isFullDay));
+  }
+
+  for (const rdate of new Set(Object.values(event.rdate ?? {}))) {
+    if (rdate instanceof Date && !Number.isNaN(rdate.getTime())) {
+      addExtra(toRecurrenceDate(rdate, isFullDay), rdate.periodEnd);
+    }
+  }
+
+  const extras = extraDates.values().toArray().toSorted((a, b) => a.date - b.date);
+  // Full-day occurrences come back at local midnight while the rule runs on UTC midnight;
+  // east of UTC local midnight is earlier, so continuing from it would repeat the same date.
+  const nextRuleDate = previous => {
+    const cursor = previous.dateOnly ? toUtcDay(previous) : previous;
+    return event.rrule.after(cursor, false);
+  };
+
+  let extraIndex = 0;
+  let ruleDate = event.rrule?.after(searchFrom, false);
+
+  while (ruleDate || extraIndex < extras.length) {
+    const extra = extras[extraIndex];
+    if (extra && (!ruleDate || extra.date.getTime() <= ruleDate.getTime())) {
+      extraIndex++;
+      if (ruleDate?.getTime() === extra.date.getTime()) {
+        // Same instant from RRULE and RDATE: a single instance, keeping the RDATE period end
+        ruleDate = nextRuleDate(ruleDate);
+      }
+
+      yield extra;
+    } else {
+      yield {date: ruleDate};
+      ruleDate = nextRuleDate(ruleDate);
+    }
+  }
+}
+
+/**
+ * Lazily iterate over the instances of an event, in chronological order, without
+ * a closed date window. Produces the same instance objects as `expandRecurringEvent`
+ * and applies EXDATE and RECURRENCE-ID overrides as it goes; RRULE occurrences are
+ * computed one at a time with `rrule.after()`.
+ * Series without COUNT/UNTIL never end on their own, so pass `before` or `limit`
+ * (or stop iterating) for those. Without `before`, iteration also ends once
+ * MAX_SKIPPED_DATES recurrence dates in a row are excluded or overridden, so a series
+ * whose remaining slots are all excluded does not loop forever.
+ * @param {object} event - The VEVENT or VTODO object (with or without rrule/rdate)
+ * @param {object} options - Iteration options
+ * @param {Date|Temporal.Instant|Temporal.ZonedDateTime} options.after - Only instances starting after this date
+ * @param {Date|Temporal.Instant|Temporal.ZonedDateTime} [options.before] - Stop before the first instance starting at or after this date
+ * @param {number} [options.limit] - Maximum number of instances to produce
+ * @param {boolean} [options.inclusive=false] - Also produce an instance starting exactly at `after`
+ * @param {boolean} [options.includeOverrides=true] - Apply RECURRENCE-ID overrides
+ * @param {boolean} [options.excludeExdates=true] - Filter out EXDATE and EXRULE exclusions
+ * @param {string} [options.timezone] - IANA zone for full-day instances (default: the host zone)
+ * @param {string} [options.displayTimezone] - Zone to add the local date and time of each instance in, as `display`
+ * @param {'date'|'temporal'} [options.dates='date'] - Instances with Dates or with Temporal values
+ * @yields {object} Event instances sorted by start
+ *
+ * @example
+ * // Next five occurrences from now
+ * for (const instance of iterateOccurrences(event, {after: new Date(), limit: 5})) {
+ *   console.log(instance.start, instance.summary);
+ * }
+ */
+function * iterateOccurrences(event, options) {
+  const temporal = isTemporalMode(options?.dates);
+  const displayTimezone = resolveDisplayTimezone(options?.displayTimezone);
+  const dateEvent = toDateComponent(event, tzUtil.assertTimezone(options?.timezone));
+  const timezone = getExpansionTimezone(dateEvent, options);
+  const instances = iterateEventInstances(dateEvent, options);
+
+  // The zone is only active while an instance is computed, not while the caller holds it
+  while (true) {
+    const restoreTimezone = tzUtil.activateTimezone(timezone);
+    let step;
+    try {
+      step = instances.next();
+      if (displayTimezone && !step.done) {
+        addDisplayFields(step.value, displayTimezone);
+      }
+    } finally {
+      restoreTimezone();
+    }
+
+    if (step.done) {
+      return;
+    }
+
+    yield temporal ? toTemporalInstance(step.value) : step.value;
+  }
+}
+
+function * iterateEventInstances(event, options) {
+  const {
+    limit = Infinity,
+    inclusive = false,
+    includeOverrides = true,
+    excludeExdates = true,
+  } = options ?? {};
+  const after = toDateInput(options?.after);
+  if (!(after instanceof Date) || Number.isNaN(after.getTime())) {
+    throw new TypeError('options.after must be a valid Date object');
+  }
+
+  const before = toDateInput(options?.before);
+  if (before !== undefined && (!(before instanceof Date) || Number.isNaN(before.getTime()))) {
+    throw new TypeError('options.before must be a valid Date object');
+  }
+
+  if (typeof limit !== 'number' || Number.isNaN(limit) || limit < 0) {
+    throw new RangeError('options.limit must be a non-negative number');
+  }
+
+  const isWanted = instance => (inclusive ? instance.start >= after : instance.start > after);
+  const isPastEnd = instance => before !== undefined && instance.start >= before;
+  let count = 0;
+
+  if (count >= limit) {
+    return;
+  }
+
+  if (!event.rrule && !event.rdate) {
+    const [instance] = processNonRecurringEvent(event, {from: new Date(-8.64e15), to: new Date(8.64e15), expandOngoing: false});
+    if (instance && isWanted(instance) && !isPastEnd(instance)) {
+      yield instance;
+    }
+
+    return;
+  }
+
+  const isFullDay = isFullDayComponent(event);
+  const baseDurationMs = getEventDurationMs(event, isFullDay);
+  const rangeOverrides = includeOverrides ? getRangeOverrides(event) : [];
+  const {maxForwardMs, maxBackwardMs} = getRangeShiftBounds(rangeOverrides, isFullDay);
+
+  // Full-day RRULE dates are UTC-based, so leave a day of slack and filter by the local start.
+  const slackMs = isFullDay ? 24 * 60 * 60 * 1000 : 0;
+  const searchFrom = new Date(after.getTime() - (slackMs || 1) - maxForwardMs);
+  const isExcludedByExrule = createExruleCheck(event, isFullDay);
+
+  // Instances wait here, sorted by start, until no later recurrence date can produce an
+  // earlier one. Overrides can move an instance anywhere, so they are all queued upfront;
+  // THISANDFUTURE shifts move instances by at most maxBackwardMs.
+  const pending = includeOverrides
+    ? [...new Set(Object.values(event.recurrences ?? {}))]
+      .filter(overrideEvent => getOverrideRecurrenceKey(overrideEvent))
+      .map(overrideEvent => buildOverrideInstance(overrideEvent, event, isFullDay, baseDurationMs))
+      .filter(instance => instance && isWanted(instance))
+      .toSorted((a, b) => a.start - b.start)
+    : [];
+
+  const enqueue = instance => {
+    const index = pending.findIndex(queued => queued.start > instance.start);
+    pending.splice(index === -1 ? pending.length : index, 0, instance);
+  };
+
+  const release = function * (bound = new Date(8.64e15)) {
+    while (pending.length > 0 && pending[0].start < bound) {
+      const instance = pending.shift();
+      if (isPastEnd(instance)) {
+        return false;
+      }
+
+      yield instance;
+      if (++count >= limit) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+
+  let skipped = 0;
+  for (const {date, periodEnd} of iterateRecurrenceDates(event, searchFrom, isFullDay)) {
+    // Excluded slots must not keep the walk going forever
+    if (before === undefined ? skipped >= MAX_SKIPPED_DATES : date.getTime() >= before.getTime() + slackMs + maxBackwardMs) {
+      break;
+    }
+
+    // Overridden slots are produced from the queued overrides instead
+    const instance = buildRecurringInstance(date, event, isFullDay, baseDurationMs, {
+      excludeExdates,
+      includeOverrides: false,
+      periodEnd,
+      rangeOverrides,
+      isExcludedByExrule,
+    });
+    if (instance && isWanted(instance) && !(includeOverrides && isOverridden(date, event, isFullDay))) {
+      enqueue(instance);
+      skipped = 0;
+    } else {
+      skipped++;
+    }
+
+    if (!(yield * release(new Date(date.getTime() - slackMs - maxBackwardMs)))) {
+      return;
+    }
+  }
+
+  yield * release();
+}
+
 export default expandRecurringEvent;
+export {iterateOccurrences};
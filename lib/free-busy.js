@@ -0,0 +1,119 @@
+import {randomUUID} from 'node:crypto';
+import expandCalendar from './expand-calendar.js';
+import tzUtil from './tz-utils.js';
+
+// When periods of different types overlap, the more restrictive one wins.
+const FBTYPE_PRIORITY = ['BUSY-UNAVAILABLE', 'BUSY', 'BUSY-TENTATIVE'];
+
+function toUtcDate(time) {
+  return tzUtil.attachTz(new Date(time), 'Etc/UTC');
+}
+
+function getBusyType(instance) {
+  return String(instance.event?.status ?? '').toUpperCase() === 'TENTATIVE' ? 'BUSY-TENTATIVE' : 'BUSY';
+}
+
+/**
+ * Merge possibly overlapping periods into a sorted, non-overlapping list.
+ * Touching or overlapping periods of the same type are joined; where types
+ * overlap, the one first in FBTYPE_PRIORITY takes the shared time.
+ * @param {Array<{type: string, start: number, end: number}>} periods - Periods as epoch milliseconds
+ * @returns {Array<{type: string, start: Date, end: Date}>} Merged periods sorted by start
+ */
+function mergePeriods(periods) {
+  const edges = periods
+    .flatMap(({type, start, end}) => [{time: start, type, delta: 1}, {time: end, type, delta: -1}])
+    .toSorted((a, b) => a.time - b.time);
+  const active = new Map(FBTYPE_PRIORITY.map(type => [type, 0]));
+  const merged = [];
+  let current;
+
+  for (let index = 0; index < edges.length;) {
+    const {time} = edges[index];
+    while (index < edges.length && edges[index].time === time) {
+      active.set(edges[index].type, active.get(edges[index].type) + edges[index].delta);
+      index++;
+    }
+
+    const type = FBTYPE_PRIORITY.find(candidate => active.get(candidate) > 0);
+    if (type === current?.type) {
+      continue;
+    }
+
+    if (current) {
+      merged.push({type: current.type, start: toUtcDate(current.start), end: toUtcDate(time)});
+    }
+
+    current = type ? {type, start: time} : undefined;
+  }
+
+  return merged;
+}
+
+/**
+ * Compute the busy time of a calendar within a window, as FREEBUSY periods.
+ * Events are expanded with `expandCalendar` (RRULE, RDATE, EXDATE and overrides
+ * apply); TRANSPARENT and CANCELLED instances are skipped, TENTATIVE ones are
+ * reported as BUSY-TENTATIVE. Periods are clipped to the window and merged.
+ * @param {object} calendar - Parsed calendar (CalendarResponse)
+ * @param {object} options
+ * @param {Date} options.from - Start of the window
+ * @param {Date} options.to - End of the window
+ * @param {boolean} [options.asComponent=false] - Return a VFREEBUSY component instead of the periods
+ * @returns {Array<{type: string, start: Date, end: Date}>|object} Busy periods sorted by start (UTC dates), or a VFREEBUSY component holding them
+ *
+ * @example
+ * const busy = ical.computeFreeBusy(data, {from: new Date('2025-03-10'), to: new Date('2025-03-15')});
+ * // [{type: 'BUSY', start: 2025-03-10T09:00:00.000Z, end: 2025-03-10T10:30:00.000Z}, ...]
+ */
+function computeFreeBusy(calendar, options) {
+  if (!calendar || typeof calendar !== 'object') {
+    throw new TypeError('calendar must be a parsed calendar object');
+  }
+
+  const {from, to, asComponent = false} = options ?? {};
+  if (!(from instanceof Date) || Number.isNaN(from.getTime())) {
+    throw new TypeError('options.from must be a valid Date object');
+  }
+
+  if (!(to instanceof Date) || Number.isNaN(to.getTime())) {
+    throw new TypeError('options.to must be a valid Date object');
+  }
+
+  if (from > to) {
+    throw new RangeError('options.from must be before or equal to options.to');
+  }
+
+  const instances = expandCalendar(calendar, {
+    from,
+    to,
+    expandOngoing: true,
+    excludeCancelled: true,
+    transparency: 'OPAQUE',
+  });
+
+  const periods = [];
+  for (const instance of instances) {
+    const start = Math.max(instance.start.getTime(), from.getTime());
+    const end = Math.min(instance.end.getTime(), to.getTime());
+    if (end > start) {
+      periods.push({type: getBusyType(instance), start, end});
+    }
+  }
+
+  const freebusy = mergePeriods(periods);
+  if (!asComponent) {
+    return freebusy;
+  }
+
+  return {
+    type: 'VFREEBUSY',
+    uid: randomUUID(),
+    dtstamp: toUtcDate(Date.now()),
+    start: toUtcDate(from.getTime()),
+    end: toUtcDate(to.getTime()),
+    freebusy,
+  };
+}
+
+export default computeFreeBusy;
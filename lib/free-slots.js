@@ -0,0 +1,232 @@
+import computeFreeBusy from './free-busy.js';
+import {applyDurationToDate} from './ical-parser-utils.js';
+import {Temporal} from './temporal.js';
+import tzUtil from './tz-utils.js';
+
+const DEFAULT_GRANULARITY_MS = 15 * 60 * 1000;
+const HARD_BUSY_TYPES = new Set(['BUSY', 'BUSY-UNAVAILABLE']);
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/v;
+
+/**
+ * Read a duration option: milliseconds, or an RFC 5545 duration such as "PT30M".
+ * @param {number|string} value - Milliseconds or duration string
+ * @param {string} name - Option name for error messages
+ * @returns {number} Positive duration in milliseconds
+ */
+function parseDurationOption(value, name) {
+  const durationMs = typeof value === 'string'
+    ? applyDurationToDate(new Date(0), value, tzUtil.utcAdd)?.getTime()
+    : value;
+
+  if (typeof durationMs !== 'number' || !Number.isFinite(durationMs) || durationMs <= 0) {
+    throw new RangeError(`options.${name} must be a positive number of milliseconds or a duration like "PT30M"`);
+  }
+
+  return durationMs;
+}
+
+function parseTimeOfDay(value, name) {
+  const match = TIME_PATTERN.exec(String(value));
+  const hour = Number(match?.[1]);
+  const minute = Number(match?.[2]);
+  if (!match || hour > 24 || minute > 59 || (hour === 24 && minute > 0)) {
+    throw new RangeError(`options.workingHours.${name} must be a time like "09:00"`);
+  }
+
+  return (hour * 60) + minute;
+}
+
+/**
+ * Normalize the workingHours option. Days are ISO weekdays (1 = Monday … 7 = Sunday).
+ * @param {{start?: string, end?: string, days?: number[]}} [workingHours]
+ * @returns {{startMinutes: number, endMinutes: number, days: Set<number>}} Working day bounds in minutes after midnight
+ */
+function parseWorkingHours(workingHours) {
+  if (workingHours === undefined) {
+    return {startMinutes: 0, endMinutes: 24 * 60, days: new Set([1, 2, 3, 4, 5, 6, 7])};
+  }
+
+  const startMinutes = parseTimeOfDay(workingHours.start ?? '00:00', 'start');
+  const endMinutes = parseTimeOfDay(workingHours.end ?? '24:00', 'end');
+  if (endMinutes <= startMinutes) {
+    throw new RangeError('options.workingHours.end must be after options.workingHours.start');
+  }
+
+  return {startMinutes, endMinutes, days: new Set(workingHours.days ?? [1, 2, 3, 4, 5])};
+}
+
+function resolveTimeZone(timezone) {
+  const tzInfo = tzUtil.resolveTZID(timezone);
+  const timeZone = tzInfo.iana || tzInfo.offset;
+  if (!timeZone) {
+    throw new RangeError(`options.timezone "${timezone}" is not a known timezone`);
+  }
+
+  return timeZone;
+}
+
+/**
+ * Epoch milliseconds of a wall-clock time on a date in a timezone. Minutes past
+ * 24:00 roll over to the next day; times in a DST gap move forward.
+ * @param {Temporal.PlainDate} date
+ * @param {number} minutes - Minutes after midnight
+ * @param {string} timeZone
+ * @returns {number} Epoch milliseconds
+ */
+function wallClockToEpochMs(date, minutes, timeZone) {
+  return date.add({days: Math.floor(minutes / (24 * 60))})
+    .toPlainDateTime({hour: Math.floor((minutes % (24 * 60)) / 60), minute: minutes % 60})
+    .toZonedDateTime(timeZone)
+    .epochMilliseconds;
+}
+
+/**
+ * Working-hour windows between from and to, one per working day.
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string} timeZone
+ * @param {{startMinutes: number, endMinutes: number, days: Set<number>}} hours
+ * @returns {Array<{start: number, end: number, dayStart: number}>} Windows as epoch milliseconds, clipped to [from, to]
+ */
+function getWorkingWindows(from, to, timeZone, hours) {
+  const windows = [];
+  const lastDay = Temporal.Instant.fromEpochMilliseconds(to.getTime()).toZonedDateTimeISO(timeZone).toPlainDate();
+  let day = Temporal.Instant.fromEpochMilliseconds(from.getTime()).toZonedDateTimeISO(timeZone).toPlainDate();
+
+  while (Temporal.PlainDate.compare(day, lastDay) <= 0) {
+    if (hours.days.has(day.dayOfWeek)) {
+      const dayStart = wallClockToEpochMs(day, hours.startMinutes, timeZone);
+      const start = Math.max(dayStart, from.getTime());
+      const end = Math.min(wallClockToEpochMs(day, hours.endMinutes, timeZone), to.getTime());
+      if (end > start) {
+        windows.push({start, end, dayStart});
+      }
+    }
+
+    day = day.add({days: 1});
+  }
+
+  return windows;
+}
+
+/**
+ * Collect the busy time of one calendar: expanded events plus the FREEBUSY
+ * periods of any VFREEBUSY components it contains.
+ * @param {object} calendar - Parsed calendar
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {{busy: Array<{start: number, end: number}>, tentative: Array<{start: number, end: number}>}} Periods as epoch milliseconds
+ */
+function collectBusyTime(calendar, from, to) {
+  const periods = [...computeFreeBusy(calendar, {from, to})];
+
+  for (const component of new Set(Object.values(calendar))) {
+    if (component?.type === 'VFREEBUSY' && Array.isArray(component.freebusy)) {
+      periods.push(...component.freebusy.filter(period => period?.start instanceof Date && period.end instanceof Date && period.type !== 'FREE'));
+    }
+  }
+
+  const busy = [];
+  const tentative = [];
+  for (const period of periods) {
+    const interval = {start: period.start.getTime(), end: period.end.getTime()};
+    (HARD_BUSY_TYPES.has(period.type ?? 'BUSY') ? busy : tentative).push(interval);
+  }
+
+  return {busy, tentative};
+}
+
+function overlaps(intervals, start, end) {
+  return intervals.some(interval => interval.start < end && interval.end > start);
+}
+
+/**
+ * Find time slots in which every calendar is free.
+ * Busy time comes from the expanded events of each calendar (as computed by
+ * `computeFreeBusy`) and from the FREEBUSY periods of VFREEBUSY components.
+ * Candidate slots start at multiples of `granularity` after the start of each
+ * working day, in `timezone`, so working hours follow DST changes. A slot is
+ * never BUSY for any calendar; slots overlapping BUSY-TENTATIVE time are
+ * still offered but ranked after those that are free for everyone.
+ * @param {object|Array<object>} calendars - Parsed calendars (one per attendee)
+ * @param {object} options
+ * @param {Date} options.from - Start of the search window
+ * @param {Date} options.to - End of the search window
+ * @param {number|string} options.duration - Slot length in milliseconds, or a duration like "PT30M"
+ * @param {{start?: string, end?: string, days?: number[]}} [options.workingHours] - Local working hours, e.g. `{start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5]}` (ISO weekdays, Monday = 1)
+ * @param {string} [options.timezone] - Timezone of the working hours (default: the host timezone)
+ * @param {number|string} [options.granularity=15 minutes] - Spacing of candidate start times
+ * @param {number} [options.limit] - Maximum number of slots to return
+ * @returns {Array<{start: Date, end: Date, tentative: number}>} Slots ranked by number of calendars tentatively busy, then by start
+ *
+ * @example
+ * const calendars = await Promise.all(attendeeUrls.map(url => ical.fromURL(url)));
+ * const [best] = ical.findFreeSlots(calendars, {
+ *   from: new Date('2025-03-10T00:00:00Z'),
+ *   to: new Date('2025-03-15T00:00:00Z'),
+ *   duration: 'PT1H',
+ *   workingHours: {start: '09:00', end: '17:00'},
+ *   timezone: 'Europe/Berlin',
+ * });
+ */
+function findFreeSlots(calendars, options) {
+  const calendarList = Array.isArray(calendars) ? calendars : [calendars];
+  if (calendarList.some(calendar => !calendar || typeof calendar !== 'object')) {
+    throw new TypeError('calendars must be a parsed calendar object or an array of them');
+  }
+
+  const {
+    from,
+    to,
+    duration,
+    workingHours,
+    timezone = tzUtil.guessLocalZone(),
+    granularity = DEFAULT_GRANULARITY_MS,
+    limit = Infinity,
+  } = options ?? {};
+
+  if (!(from instanceof Date) || Number.isNaN(from.getTime())) {
+    throw new TypeError('options.from must be a valid Date object');
+  }
+
+  if (!(to instanceof Date) || Number.isNaN(to.getTime())) {
+    throw new TypeError('options.to must be a valid Date object');
+  }
+
+  if (from > to) {
+    throw new RangeError('options.from must be before or equal to options.to');
+  }
+
+  if (typeof limit !== 'number' || Number.isNaN(limit) || limit < 0) {
+    throw new RangeError('options.limit must be a non-negative number');
+  }
+
+  const durationMs = parseDurationOption(duration, 'duration');
+  const granularityMs = parseDurationOption(granularity, 'granularity');
+  const hours = parseWorkingHours(workingHours);
+  const timeZone = resolveTimeZone(timezone);
+
+  const busyTimes = calendarList.map(calendar => collectBusyTime(calendar, from, to));
+  const slots = [];
+
+  for (const {start, end, dayStart} of getWorkingWindows(from, to, timeZone, hours)) {
+    const firstStart = dayStart + (Math.ceil((start - dayStart) / granularityMs) * granularityMs);
+
+    for (let slotStart = firstStart; slotStart + durationMs <= end; slotStart += granularityMs) {
+      const slotEnd = slotStart + durationMs;
+      if (busyTimes.every(({busy}) => !overlaps(busy, slotStart, slotEnd))) {
+        slots.push({
+          start: tzUtil.attachTz(new Date(slotStart), timeZone),
+          end: tzUtil.attachTz(new Date(slotEnd), timeZone),
+          tentative: busyTimes.filter(({tentative}) => overlaps(tentative, slotStart, slotEnd)).length,
+        });
+      }
+    }
+  }
+
+  return slots
+    .toSorted((a, b) => (a.tentative - b.tentative) || (a.start - b.start))
+    .slice(0, limit);
+}
+
+export default findFreeSlots;
@@ -1,3 +1,6 @@
+import {reportDiagnostic, trackContentLine} from './diagnostics.js';
+import {formatStamp, parseStamp} from './vtimezone.js';
+
 // Unescape Text re RFC 4.3.11
 function text(t = '') {
   return t
@@ -8,6 +11,100 @@ function text(t = '') {
     .replace(/^"(.*)"$/v, '$1'); // Remove surrounding double quotes, if present
 }
 
+/**
+ * Unfold the content line starting at `index` (RFC 5545 §3.1): lines that start
+ * with a space or tab continue the line before them.
+ *
+ * @param {string[]} lines - Raw lines of the calendar
+ * @param {number} index - Index of the first physical line
+ * @returns {{line: string, lastIndex: number}} The unfolded line and the index of its last physical line
+ */
+function unfoldLine(lines, index) {
+  let line = lines[index];
+  let lastIndex = index;
+  let nextLine = lines[lastIndex + 1];
+  while (typeof nextLine === 'string' && /[\t ]/v.test(nextLine[0])) {
+    line += nextLine.slice(1);
+    lastIndex++;
+    nextLine = lines[lastIndex + 1];
+  }
+
+  return {line, lastIndex};
+}
+
+/**
+ * Unfold the content lines starting from `startIndex` up to `endIndex`.
+ *
+ * @param {string[]} lines - Raw lines of the calendar
+ * @param {number} [startIndex=0] - Index of the first physical line
+ * @param {number} [endIndex=lines.length] - Index at which no further content line starts
+ * @yields {{line: string, lineNumber: number, nextIndex: number}} Unfolded line, 1-based number of its first physical line and index of the line after it
+ */
+function * unfoldLines(lines, startIndex = 0, endIndex = lines.length) {
+  for (let i = startIndex; i < endIndex; i++) {
+    const {line, lastIndex} = unfoldLine(lines, i);
+    yield {line, lineNumber: i + 1, nextIndex: lastIndex + 1};
+    i = lastIndex;
+  }
+}
+
+const CONTENT_LINE_PATTERN = /^((?:\w|-)+)((?:;(?:\w|-)+=(?:"[^"]*"|[^":;]+))*):(.*)$/v;
+
+/**
+ * Split an unfolded content line into property name, parameters and value.
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {{name: string, parameters: string[], value: string, line: string} | null} Parts, or null for invalid lines
+ */
+function splitContentLine(line) {
+  // Remove any double quotes in any tzid statement // except around (utc+hh:mm
+  if (line.includes('TZID=') && !line.includes('"(')) {
+    line = line.replaceAll('"', '');
+  }
+
+  const kv = CONTENT_LINE_PATTERN.exec(line);
+  if (kv === null) {
+    return null;
+  }
+
+  return {
+    name: kv[1],
+    parameters: kv[2] ? kv[2].split(';').slice(1) : [],
+    value: kv[3],
+    line,
+  };
+}
+
+/**
+ * Split an unfolded line for the parser and, with a diagnostics context, record
+ * where the parser is; lines that are not content lines are reported as
+ * INVALID_CONTENT_LINE (blank ones are skipped quietly).
+ *
+ * @param {string} line - Unfolded line
+ * @param {number} lineNumber - 1-based number of its first physical line
+ * @param {object} component - Component the line belongs to, for the `uid` metadata
+ * @param {object} [diagnosticsContext] - Context of the running parse
+ * @returns {{name: string, parameters: string[], value: string, line: string} | null} Parts, or null for lines to skip
+ */
+function readContentLine(line, lineNumber, component, diagnosticsContext) {
+  const contentLine = splitContentLine(line);
+  if (!diagnosticsContext) {
+    return contentLine;
+  }
+
+  if (contentLine === null) {
+    if (line.trim() !== '') {
+      trackContentLine(diagnosticsContext, lineNumber, component);
+      reportDiagnostic('INVALID_CONTENT_LINE', `Skipping line that is not a "NAME:value" content line: "${line}"`, {severity: 'error', silent: true});
+    }
+
+    return null;
+  }
+
+  trackContentLine(diagnosticsContext, lineNumber, component, contentLine.name, contentLine.value);
+  return contentLine;
+}
+
 function parseValue(value) {
   if (typeof value === 'string') {
     const upperValue = value.toUpperCase();
@@ -150,7 +247,7 @@ function applyUidSequenceMerge(existingEntry, incomingEntry, uid) {
   const newSeq = Number.isFinite(incomingEntry.sequence) ? incomingEntry.sequence : 0;
 
   if (newSeq < existingSeq) {
-    console.warn(`[node-ical] Ignoring older event version (SEQUENCE ${newSeq} < ${existingSeq}) for UID ${uid}`);
+    reportDiagnostic('OLDER_SEQUENCE', `Ignoring older event version (SEQUENCE ${newSeq} < ${existingSeq}) for UID ${uid}`, {severity: 'info'});
     return;
   }
 
@@ -184,9 +281,12 @@ function storeRecurrenceOverrideForEntry(parentEntry, sourceEntry, storeRecurren
 }
 
 function cleanupBaseSeriesRecurrenceId(entry, uid) {
-  if (uid !== '__proto__' && entry.rrule !== undefined && entry.recurrenceid !== undefined) {
-    delete entry.recurrenceid;
+  if (uid === '__proto__' || entry.rrule === undefined || entry.recurrenceid === undefined) {
+    return;
   }
+
+  delete entry.recurrenceid;
+  delete entry.recurrencerange;
 }
 
 function handleUidEntryInParent(parentEntry, sourceEntry, storeRecurrenceOverride) {
@@ -266,6 +366,10 @@ function cloneDateWithMeta(source, newTime = source) {
     cloned.dateOnly = source.dateOnly;
   }
 
+  if (source?.zoneRules) {
+    Object.defineProperty(cloned, 'zoneRules', {value: source.zoneRules, enumerable: false, configurable: true});
+  }
+
   return cloned;
 }
 
@@ -342,7 +446,13 @@ function applyDurationToDate(start, durationString, utcAdd) {
   return hasComponent ? endTime : undefined;
 }
 
-function applyImplicitEndDate(entry, utcAdd) {
+// Midnight after the local day of a DATE value, in the zone it was created in
+function getNextLocalDay(date, tzUtil) {
+  const {year, month, day} = tzUtil.getLocalDateParts(date);
+  return tzUtil.createLocalDate({year, month, day: day + 1}, date.dateOnly ? date.tz : tzUtil.getDefaultTimezone());
+}
+
+function applyImplicitEndDate(entry, utcAdd, tzUtil) {
   if (entry.end) {
     return entry;
   }
@@ -353,7 +463,7 @@ function applyImplicitEndDate(entry, utcAdd) {
       : cloneDateWithMeta(
         entry.start,
         entry.start
-          ? new Date(entry.start.getFullYear(), entry.start.getMonth(), entry.start.getDate() + 1, 0, 0, 0, 0)
+          ? getNextLocalDay(entry.start, tzUtil)
           : entry.start,
       );
     return entry;
@@ -366,7 +476,7 @@ function applyImplicitEndDate(entry, utcAdd) {
     return entry;
   }
 
-  console.warn(`[node-ical] Ignoring malformed DURATION value: "${durationString}" – treating as zero duration`);
+  reportDiagnostic('MALFORMED_DURATION', `Ignoring malformed DURATION value: "${durationString}" – treating as zero duration`);
   entry.end = cloneDateWithMeta(entry.start);
   return entry;
 }
@@ -375,6 +485,7 @@ function finalizeEndedComponent(component, current, parentStack, {
   storeRecurrenceOverride,
   randomIdFactory,
   utcAdd,
+  tzUtil,
 }) {
   if (component === 'VCALENDAR') {
     return splitVCalendarProperties(current);
@@ -385,7 +496,7 @@ function finalizeEndedComponent(component, current, parentStack, {
   // Implicit end derivation only applies to start-bearing VEVENT/VTODO components.
   const supportsImplicitEnd = ['VEVENT', 'VTODO'].includes(component) && current.start instanceof Date;
   if (supportsImplicitEnd) {
-    applyImplicitEndDate(current, utcAdd);
+    applyImplicitEndDate(current, utcAdd, tzUtil);
   }
 
   if (handleUidEntryInParent(parentEntry, current, storeRecurrenceOverride)) {
@@ -395,11 +506,9 @@ function finalizeEndedComponent(component, current, parentStack, {
   return handleNonUidEntryInParent(parentEntry, current, component, randomIdFactory);
 }
 
-function buildDateOnlyStamp(date) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}${month}${day}`;
+function buildDateOnlyStamp(date, tzUtil) {
+  const {year, month, day} = tzUtil.getLocalDateParts(date);
+  return `${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`;
 }
 
 function normalizeRruleUntil(rruleOnly, startDate, tzUtil) {
@@ -431,11 +540,13 @@ function normalizeRruleUntil(rruleOnly, startDate, tzUtil) {
   let converted = false;
   if (startDate.tz) {
     try {
-      const tzInfo = tzUtil.resolveTZID(startDate.tz);
+      const tzInfo = startDate.zoneRules ? {} : tzUtil.resolveTZID(startDate.tz);
       const untilLocal = datePart + timePart;
       let untilDateObject;
 
-      if (tzInfo.iana && tzUtil.isValidIana(tzInfo.iana)) {
+      if (startDate.zoneRules) {
+        untilDateObject = tzUtil.parseDateTimeWithRules(untilLocal, startDate.zoneRules);
+      } else if (tzInfo.iana && tzUtil.isValidIana(tzInfo.iana)) {
         untilDateObject = tzUtil.parseDateTimeInZone(untilLocal, tzInfo.iana);
       } else if (Number.isFinite(tzInfo.offsetMinutes)) {
         untilDateObject = tzUtil.parseWithOffset(untilLocal, tzInfo.offset);
@@ -465,25 +576,39 @@ function buildRruleStringForTemporal(rule, startDate, tzUtil) {
   return normalizeRruleUntil(rruleOnly, startDate, tzUtil);
 }
 
-function buildDateOnlyRruleString(startDate, rruleOnly) {
-  const dtstartString = `DTSTART;VALUE=DATE:${buildDateOnlyStamp(startDate)}`;
+function buildDateOnlyRruleString(startDate, rruleOnly, tzUtil) {
+  const dtstartString = `DTSTART;VALUE=DATE:${buildDateOnlyStamp(startDate, tzUtil)}`;
   return `${dtstartString}\nRRULE:${rruleOnly}`;
 }
 
+/**
+ * Move the UTC UNTIL of a rule to the wall-clock time of a VTIMEZONE, for rules
+ * expanded on wall-clock time.
+ * @param {string} rruleOnly - Rule with UNTIL in UTC (see normalizeRruleUntil)
+ * @param {object} zoneRules - Evaluator from createVTimezoneEvaluator()
+ * @returns {string} Rule with a wall-clock UNTIL
+ */
+function toWallClockUntil(rruleOnly, zoneRules) {
+  return rruleOnly.replace(/UNTIL=(\d{8}T\d{6})Z/v, (match, stamp) => {
+    const untilMs = parseStamp(stamp).wallMs;
+    return `UNTIL=${formatStamp(zoneRules.toWallClockMilliseconds(untilMs))}Z`;
+  });
+}
+
 function buildTemporalDtstart(startDate, Temporal, tzUtil) {
   const tzInfo = startDate.tz ? tzUtil.resolveTZID(startDate.tz) : undefined;
   let timeZone = 'UTC';
   if (tzInfo?.iana || tzInfo?.offset) {
     timeZone = tzInfo.iana || tzInfo.offset;
   } else if (tzInfo) {
-    console.warn('[node-ical] TZID resolved to neither IANA nor UTC offset; falling back to UTC for DTSTART conversion.');
+    reportDiagnostic('UNKNOWN_TZID', 'TZID resolved to neither IANA nor UTC offset; falling back to UTC for DTSTART conversion.', {tzid: startDate.tz});
   }
 
   try {
     return Temporal.Instant.fromEpochMilliseconds(startDate.getTime())
       .toZonedDateTimeISO(timeZone);
   } catch (error) {
-    console.warn(`[node-ical] Failed to convert timezone "${timeZone}", falling back to UTC: ${error?.message ?? String(error)}`);
+    reportDiagnostic('UNKNOWN_TZID', `Failed to convert timezone "${timeZone}", falling back to UTC: ${error?.message ?? String(error)}`, {tzid: startDate.tz});
     return Temporal.Instant.fromEpochMilliseconds(startDate.getTime())
       .toZonedDateTimeISO('UTC');
   }
@@ -497,10 +622,24 @@ function buildRruleCompatWrapper(entry, rruleOnly, {
 }) {
   if (entry.start.dateOnly) {
     const rruleTemporal = new RRuleTemporal({
-      rruleString: buildDateOnlyRruleString(entry.start, rruleOnly),
+      rruleString: buildDateOnlyRruleString(entry.start, rruleOnly, tzUtil),
+    });
+
+    // Occurrences are midnight in the zone of DTSTART (see the `timezone` parse option)
+    return new RRuleCompatWrapper(rruleTemporal, true, undefined, undefined, entry.start.tz);
+  }
+
+  // A VTIMEZONE without IANA equivalent: expand on its wall-clock time (as UTC),
+  // and let the wrapper convert occurrences with the VTIMEZONE's rules.
+  const {zoneRules} = entry.start;
+  if (zoneRules) {
+    const startWallMs = zoneRules.toWallClockMilliseconds(entry.start.getTime());
+    const rruleTemporal = new RRuleTemporal({
+      rruleString: toWallClockUntil(rruleOnly, zoneRules),
+      dtstart: Temporal.Instant.fromEpochMilliseconds(startWallMs).toZonedDateTimeISO('UTC'),
     });
 
-    return new RRuleCompatWrapper(rruleTemporal, true);
+    return new RRuleCompatWrapper(rruleTemporal, false, zoneRules, rruleOnly);
   }
 
   const rruleTemporal = new RRuleTemporal({
@@ -595,6 +734,11 @@ function addTZFactory(attachTz) {
   };
 }
 
+// Outlook and Exchange TZIDs that only name the VTIMEZONE sent along with them
+function isMicrosoftCustomTzid(tz) {
+  return tz === 'tzone://Microsoft/Custom' || tz === '(no TZ description)' || tz.startsWith('Customized Time Zone') || tz.startsWith('tzone://Microsoft/');
+}
+
 // Find a VTIMEZONE block in the parser stack. When tzid is given, only
 // the block whose quote-stripped tzid matches is returned; without tzid
 // the first VTIMEZONE found is returned.
@@ -662,8 +806,10 @@ function createDateParameterFactory({addTZ, tzUtil}) {
 
         const comps = /^(\d{4})(\d{2})(\d{2}).*$/v.exec(value);
         if (comps !== null) {
-          // No TZ info - assume same timezone as this computer
-          newDate = new Date(comps[1], Number(comps[2]) - 1, comps[3]);
+          // No TZ info - midnight in the zone of the `timezone` option, else in this computer's zone
+          const timezone = tzUtil.getDefaultTimezone();
+          newDate = tzUtil.createLocalDate({year: Number(comps[1]), month: Number(comps[2]), day: Number(comps[3])});
+          tzUtil.attachTz(newDate, timezone);
 
           newDate.dateOnly = true;
 
@@ -693,6 +839,9 @@ function createDateParameterFactory({addTZ, tzUtil}) {
           // VTIMEZONE and could crash on exotic years like 0001).
           newDate = new Date(year, monthIndex, day, hour, minute, second);
           newDate.setFullYear(year);
+          // The local Date cannot hold wall-clock times in a DST gap of the host zone;
+          // keep the stamp for the VTIMEZONE rule engine.
+          Object.defineProperty(newDate, 'wallClock', {value, enumerable: false, configurable: true});
         } else {
           // Floating DATE-TIME values (no TZID parameter) are, per RFC 5545, meant to stay
           // in local wall-clock time with no timezone conversion. However, some very common
@@ -701,6 +850,20 @@ function createDateParameterFactory({addTZ, tzUtil}) {
           // (see node-ical issue #305 / PR #307 - washougal.k12.wa.us school calendar). Borrowing
           // that VTIMEZONE keeps those calendars working correctly instead of silently reverting
           // to whatever timezone the host process happens to run in.
+          // Without a usable VTIMEZONE the time is local to the `timezone` option (which the
+          // Date then carries as `tz`), else to this computer.
+          const timezone = tzUtil.getDefaultTimezone();
+          const createFloatingDate = () => {
+            if (!timezone) {
+              return new Date(year, monthIndex, day, hour, minute, second);
+            }
+
+            // Tagged with the zone, but remembered as floating so stringify() can write it back as such
+            const floatingDate = tzUtil.parseDateTimeInZone(value, timezone);
+            Object.defineProperty(floatingDate, 'floatingZone', {value: timezone, enumerable: false, configurable: true});
+            return floatingDate;
+          };
+
           const fallbackWithStackTimezone = () => {
             const vTimezone = findVtimezoneInStack(stack);
 
@@ -710,7 +873,7 @@ function createDateParameterFactory({addTZ, tzUtil}) {
               : null;
 
             if (!normalizedTzId) {
-              return new Date(year, monthIndex, day, hour, minute, second);
+              return createFloatingDate();
             }
 
             let resolvedTzId = String(normalizedTzId).replace(/^"(.*)"$/v, '$1');
@@ -723,10 +886,15 @@ function createDateParameterFactory({addTZ, tzUtil}) {
             // Only replace resolvedTzId when resolution actually succeeds; otherwise keep the
             // original value so resolveTZID can make a best effort - never substitute the host
             // zone via guessLocalZone().
+            // Without an exact IANA equivalent, the VTIMEZONE's own rules apply (but a TZID
+            // that names a real zone still wins over them).
+            const zoneRules = tzUtil.createVTimezoneEvaluator(vTimezone);
             if (vTimezone) {
               const resolved = tzUtil.resolveVTimezoneToIana(vTimezone, year);
               if (resolved.iana || resolved.offset) {
                 resolvedTzId = resolved.iana || resolved.offset;
+              } else if (zoneRules && isMicrosoftCustomTzid(resolvedTzId)) {
+                return tzUtil.parseDateTimeWithRules(value, zoneRules);
               }
             }
 
@@ -740,7 +908,11 @@ function createDateParameterFactory({addTZ, tzUtil}) {
               return tzUtil.parseDateTimeInZone(value, tzInfo.iana);
             }
 
-            return new Date(year, monthIndex, day, hour, minute, second);
+            if (zoneRules) {
+              return tzUtil.parseDateTimeWithRules(value, zoneRules);
+            }
+
+            return createFloatingDate();
           };
 
           if (parameters) {
@@ -772,13 +944,14 @@ function createDateParameterFactory({addTZ, tzUtil}) {
 
             if (tz) {
               tz = tz.toString().replace(/^"(.*)"$/v, '$1');
+              let zoneRules;
 
-              if (tz === 'tzone://Microsoft/Custom' || tz === '(no TZ description)' || tz.startsWith('Customized Time Zone') || tz.startsWith('tzone://Microsoft/')) {
+              if (isMicrosoftCustomTzid(tz)) {
                 // Outlook and Exchange often emit custom TZID values (e.g. "Customized Time Zone")
                 // together with a VTIMEZONE section that contains the real STANDARD/DAYLIGHT rules.
                 // Try to match those rules to a known IANA zone so that recurring events that span
-                // DST boundaries are handled correctly. Falls back to guessLocalZone() when no
-                // VTIMEZONE is present or its offsets cannot be resolved.
+                // DST boundaries are handled correctly, and evaluate the rules themselves when no
+                // zone matches exactly. Falls back to guessLocalZone() when no VTIMEZONE is present.
                 const originalTz = tz;
                 const stackVTimezone = findVtimezoneInStack(stack, originalTz);
 
@@ -788,13 +961,25 @@ function createDateParameterFactory({addTZ, tzUtil}) {
                   // so resolveTZID can make a best effort - never substitute guessLocalZone()
                   if (resolved.iana || resolved.offset) {
                     tz = resolved.iana || resolved.offset;
+                  } else {
+                    zoneRules = tzUtil.createVTimezoneEvaluator(stackVTimezone);
                   }
                 } else {
                   tz = tzUtil.guessLocalZone();
                 }
               }
 
-              const tzInfo = tzUtil.resolveTZID(tz);
+              const tzInfo = zoneRules ? {} : tzUtil.resolveTZID(tz);
+              // Windows display labels that only yield their UTC offset lose the DST rules of the zone
+              if (!zoneRules && !tzInfo.iana && tzInfo.offset && tzInfo.original.startsWith('(')) {
+                reportDiagnostic('UNRESOLVED_TZID', `TZID "${tz}" only resolved to the UTC offset of its label, without DST rules`, {severity: 'info', tzid: tz, silent: true});
+              }
+
+              if (!tzInfo.iana && !tzInfo.offset) {
+                // Organisation-specific TZIDs (e.g. "Office Time") are defined by their VTIMEZONE only
+                zoneRules ??= tzUtil.createVTimezoneEvaluator(findVtimezoneInStack(stack, tz));
+              }
+
               const resolvedTZID = tzInfo.iana || tzInfo.original || tz;
               setTZIDParameter(resolvedTZID);
 
@@ -804,8 +989,11 @@ function createDateParameterFactory({addTZ, tzUtil}) {
                 newDate = tzUtil.parseWithOffset(value, offsetString);
               } else if (tzInfo.iana) {
                 newDate = tzUtil.parseDateTimeInZone(value, tzInfo.iana);
+              } else if (zoneRules) {
+                newDate = tzUtil.parseDateTimeWithRules(value, zoneRules);
               } else {
-                newDate = new Date(year, monthIndex, day, hour, minute, second);
+                reportDiagnostic('UNKNOWN_TZID', `Unknown TZID "${tz}"; treating the time as floating local time`, {tzid: tz, silent: true});
+                newDate = createFloatingDate();
               }
 
               // Make sure to correct the parameters if the TZID= is changed
@@ -819,6 +1007,10 @@ function createDateParameterFactory({addTZ, tzUtil}) {
         }
       }
 
+      if (value && !(newDate instanceof Date)) {
+        reportDiagnostic('INVALID_DATE', `Invalid date value "${value}"`, {silent: true});
+      }
+
       // Store as string - worst case scenario
       return storeValueParameter(name)(newDate, curr);
     };
@@ -851,7 +1043,55 @@ function createComponentParameterHandlers({dateParameter, utcAdd}) {
   };
 
   const recurrenceParameter = function (name) {
-    return dateParameter(name);
+    const storeRecurrenceDate = dateParameter(name);
+
+    return function (value, parameters, curr, stack) {
+      // RANGE=THISANDFUTURE (RFC 5545 §3.2.13): the override also applies to every later instance
+      const range = parameters ? parseParameters(parameters).RANGE : undefined;
+      if (typeof range === 'string' && range.toUpperCase() === 'THISANDFUTURE') {
+        curr.recurrencerange = 'THISANDFUTURE';
+      }
+
+      return storeRecurrenceDate(value, parameters, curr, stack);
+    };
+  };
+
+  // TRIGGER (RFC 5545 §3.8.6.3): keep the raw value under `name` as before and add
+  // `parsedTrigger`, either a duration relative to the START/END of the parent
+  // component or an absolute UTC date-time.
+  const triggerParameter = function (name) {
+    const storeTrigger = storeParameter(name);
+
+    return function (value, parameters, curr, stack) {
+      storeTrigger(value, parameters, curr);
+      const p = parameters ? parseParameters(parameters) : {};
+      const valueType = typeof p.VALUE === 'string' ? p.VALUE.toUpperCase() : 'DURATION';
+
+      if (valueType === 'DATE-TIME') {
+        const temporaryContainer = {};
+        dateParameter(name)(value, parameters, temporaryContainer, stack);
+        const date = temporaryContainer[name];
+        if (date instanceof Date && !Number.isNaN(date.getTime())) {
+          curr.parsedTrigger = {type: 'absolute', date};
+          return curr;
+        }
+      } else {
+        const offsetEnd = applyDurationToDate(new Date(0), value, utcAdd);
+        if (offsetEnd !== undefined) {
+          const related = typeof p.RELATED === 'string' && p.RELATED.toUpperCase() === 'END' ? 'END' : 'START';
+          curr.parsedTrigger = {
+            type: 'relative',
+            related,
+            duration: value.trim(),
+            offsetMs: offsetEnd.getTime(),
+          };
+          return curr;
+        }
+      }
+
+      reportDiagnostic('MALFORMED_TRIGGER', `Ignoring malformed TRIGGER value: "${value}"`);
+      return curr;
+    };
   };
 
   const addFBType = function (fb, parameters) {
@@ -890,7 +1130,7 @@ function createComponentParameterHandlers({dateParameter, utcAdd}) {
         if (secondPart && isDurationValue(secondPart)) {
           const durationEnd = applyDurationToDate(fb.start, secondPart, utcAdd);
           if (durationEnd === undefined) {
-            console.warn(`[node-ical] Ignoring malformed FREEBUSY duration value: "${secondPart}" – end not set`);
+            reportDiagnostic('MALFORMED_DURATION', `Ignoring malformed FREEBUSY duration value: "${secondPart}" – end not set`);
           } else {
             fb.end = cloneDateWithMeta(fb.start, durationEnd);
           }
@@ -907,6 +1147,7 @@ function createComponentParameterHandlers({dateParameter, utcAdd}) {
     geoParameter,
     categoriesParameter,
     recurrenceParameter,
+    triggerParameter,
     addFBType,
     freebusyParameter,
   };
@@ -914,14 +1155,14 @@ function createComponentParameterHandlers({dateParameter, utcAdd}) {
 
 function createExdateParameterFactory({dateParameter, getDateKey}) {
   return function (name) {
-    return function (value, parameters, curr) {
+    return function (value, parameters, curr, stack) {
       curr[name] ||= {};
       const dates = value ? value.split(',').map(s => s.trim()) : [];
 
       for (const entry of dates) {
         // Temporary container for dateParameter() to write to
         const temporaryContainer = {};
-        dateParameter(name)(entry, parameters, temporaryContainer);
+        dateParameter(name)(entry, parameters, temporaryContainer, stack);
 
         const dateValue = temporaryContainer[name];
         if (!dateValue) {
@@ -929,7 +1170,7 @@ function createExdateParameterFactory({dateParameter, getDateKey}) {
         }
 
         if (typeof dateValue.toISOString !== 'function') {
-          console.warn(`[node-ical] Invalid exdate value (no toISOString): ${dateValue}`);
+          reportDiagnostic('INVALID_DATE', `Invalid exdate value (no toISOString): ${dateValue}`);
           continue;
         }
 
@@ -955,8 +1196,77 @@ function createExdateParameterFactory({dateParameter, getDateKey}) {
   };
 }
 
+function createRdateParameterFactory({dateParameter, getDateKey, utcAdd}) {
+  const isDurationValue = value => /^[+\-]?p/iv.test(value);
+
+  return function (name) {
+    return function (value, parameters, curr, stack) {
+      // Inside VTIMEZONE observances RDATE stays raw text: those are local
+      // wall-clock transition times, not instances of a recurrence set.
+      if (curr.type === 'STANDARD' || curr.type === 'DAYLIGHT') {
+        return storeParameter(name)(value, parameters, curr);
+      }
+
+      curr[name] ||= {};
+      const isPeriod = String(parseParameters(parameters).VALUE ?? '').toUpperCase() === 'PERIOD';
+      // Strip VALUE=PERIOD so dateParameter() parses each period start as a DATE-TIME.
+      const dateParameters = isPeriod
+        ? parameters.filter(parameter => !/^value=/iv.test(parameter))
+        : parameters;
+      const entries = value ? value.split(',').map(s => s.trim()).filter(Boolean) : [];
+
+      for (const entry of entries) {
+        const [startPart, endPart] = isPeriod ? entry.split('/') : [entry];
+
+        // Temporary container for dateParameter() to write to
+        const temporaryContainer = {};
+        dateParameter(name)(startPart, dateParameters, temporaryContainer, stack);
+
+        const dateValue = temporaryContainer[name];
+        if (!dateValue) {
+          continue;
+        }
+
+        if (typeof dateValue.toISOString !== 'function') {
+          reportDiagnostic('INVALID_DATE', `Invalid rdate value (no toISOString): ${dateValue}`);
+          continue;
+        }
+
+        // VALUE=PERIOD carries an explicit end (or duration) for this one instance
+        if (endPart) {
+          if (isDurationValue(endPart)) {
+            const durationEnd = applyDurationToDate(dateValue, endPart, utcAdd);
+            if (durationEnd === undefined) {
+              reportDiagnostic('MALFORMED_DURATION', `Ignoring malformed RDATE period duration: "${endPart}" – end not set`);
+            } else {
+              dateValue.periodEnd = cloneDateWithMeta(dateValue, durationEnd);
+            }
+          } else {
+            const endContainer = {};
+            dateParameter(name)(endPart, dateParameters, endContainer, stack);
+            if (endContainer[name] instanceof Date) {
+              dateValue.periodEnd = endContainer[name];
+            }
+          }
+        }
+
+        // Same dual-key strategy as EXDATE: date-only key always, ISO key for DATE-TIME
+        curr[name][getDateKey(dateValue)] = dateValue;
+        if (!dateValue.dateOnly) {
+          curr[name][dateValue.toISOString()] = dateValue;
+        }
+      }
+
+      return curr;
+    };
+  };
+}
+
 export {
   text,
+  unfoldLines,
+  splitContentLine,
+  readContentLine,
   parseValue,
   parseParameters,
   applyUidSequenceMerge,
@@ -967,6 +1277,7 @@ export {
   handleNonUidEntryInParent,
   cloneDateWithMeta,
   getDurationString,
+  applyDurationToDate,
   applyImplicitEndDate,
   finalizeEndedComponent,
   createTemporalRule,
@@ -979,4 +1290,5 @@ export {
   createDateParameterFactory,
   createComponentParameterHandlers,
   createExdateParameterFactory,
+  createRdateParameterFactory,
 };
@@ -0,0 +1,436 @@
+import {Buffer} from 'node:buffer';
+import {toDateComponent} from './temporal-dates.js';
+import tzUtil from './tz-utils.js';
+import {formatStamp} from './vtimezone.js';
+
+// Serialize parsed CalendarResponse objects back into RFC 5545 text.
+// This is the inverse of the parser in ical.js: field names that the parser
+// renames (start → DTSTART, transparency → TRANSP, …) are mapped back, X- prefixes
+// that the parser strips are restored, and dates are re-emitted in their original
+// timezone using the non-enumerable `.tz`/`.dateOnly` metadata.
+
+const DEFAULT_PRODID = '-//node-ical//node-ical//EN';
+
+// RFC 5545 §3.1: lines SHOULD NOT be longer than 75 octets, excluding the line break.
+const MAX_LINE_OCTETS = 75;
+
+// Parser field names that do not map 1:1 onto an upper-cased property name.
+const PROPERTY_NAMES = {
+  start: 'DTSTART',
+  end: 'DTEND',
+  transparency: 'TRANSP',
+  completion: 'PERCENT-COMPLETE',
+  lastmodified: 'LAST-MODIFIED',
+  recurrenceid: 'RECURRENCE-ID',
+};
+
+// Parser-owned bookkeeping fields that are not iCalendar properties. `method` is
+// copied from VCALENDAR onto every component and is emitted on the calendar only.
+const SKIPPED_FIELDS = new Set(['type', 'params', 'datetype', 'method', 'recurrences', 'recurrencerange', 'parsedTrigger', 'alarms']);
+
+// Properties whose values are not TEXT (RFC 5545 §3.3.11) and must not be escaped.
+const NON_TEXT_PROPERTIES = new Set([
+  'ATTACH',
+  'ATTENDEE',
+  'DURATION',
+  'EXRULE',
+  'ORGANIZER',
+  'RDATE',
+  'RRULE',
+  'TRIGGER',
+  'TZOFFSETFROM',
+  'TZOFFSETTO',
+  'TZURL',
+  'URL',
+]);
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+// Escape Text re RFC 4.3.11 (inverse of text() in ical-parser-utils.js)
+function escapeText(value) {
+  return String(value)
+    .replaceAll('\\', '\\\\')
+    .replaceAll(';', String.raw`\;`)
+    .replaceAll(',', String.raw`\,`)
+    .replaceAll(/\r\n|\r|\n/gv, String.raw`\n`);
+}
+
+function formatValueText(name, value) {
+  if (NON_TEXT_PROPERTIES.has(name)) {
+    return String(value);
+  }
+
+  return escapeText(value);
+}
+
+function formatParameterValue(value) {
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+
+  const stringValue = String(value).replaceAll('"', '');
+  return /[,:;]/v.test(stringValue) ? `"${stringValue}"` : stringValue;
+}
+
+function formatParameters(parameters) {
+  return Object.entries(parameters)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `;${name}=${formatParameterValue(value)}`)
+    .join('');
+}
+
+/**
+ * Fold a content line into chunks of at most 75 octets (RFC 5545 §3.1).
+ * Splits only between characters so multi-byte UTF-8 sequences stay intact.
+ *
+ * @param {string} line
+ * @returns {string} Folded line joined with CRLF + space continuations
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const chunks = [];
+  let current = '';
+  let currentOctets = 0;
+  // Continuation lines start with a space, which counts towards the limit.
+  let limit = MAX_LINE_OCTETS;
+
+  for (const character of line) {
+    const octets = Buffer.byteLength(character);
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = '';
+      currentOctets = 0;
+      limit = MAX_LINE_OCTETS - 1;
+    }
+
+    current += character;
+    currentOctets += octets;
+  }
+
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+function propertyName(key) {
+  if (Object.hasOwn(PROPERTY_NAMES, key)) {
+    return PROPERTY_NAMES[key];
+  }
+
+  // The parser strips the "X-" prefix from custom properties but keeps their
+  // original (upper) case, while standard properties are stored lower-cased.
+  if (key !== key.toLowerCase()) {
+    return `X-${key}`;
+  }
+
+  return key.toUpperCase();
+}
+
+function formatLocalStamp(date) {
+  const {year, month, day} = tzUtil.getLocalDateParts(date);
+  return `${pad(year, 4)}${pad(month)}${pad(day)}`;
+}
+
+function formatLocalDateTime(date) {
+  const {hour, minute, second} = tzUtil.getLocalDateParts(date);
+  return `${formatLocalStamp(date)}T${pad(hour)}${pad(minute)}${pad(second)}`;
+}
+
+function formatUtcStamp(date) {
+  return `${pad(date.getUTCFullYear(), 4)}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+    + `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+/**
+ * Format a parsed Date into an iCalendar DATE or DATE-TIME value.
+ * - `dateOnly` dates become `VALUE=DATE` (local calendar day, in the zone the parser created it in)
+ * - dates tagged with an IANA zone keep their wall-clock time and get a TZID parameter
+ * - dates in a VTIMEZONE without IANA equivalent keep its TZID and wall-clock time
+ * - fixed-offset TZIDs (e.g. `UTC+01`) keep their TZID and the wall-clock time at that offset
+ * - unknown TZIDs, read as floating time, keep their TZID and the wall-clock time they were read in
+ * - UTC dates are written as UTC (`Z` suffix)
+ * - floating dates are written in wall-clock time without TZID: ones read with the `timezone`
+ *   option in that zone, untagged ones in the local zone
+ *
+ * @param {Date} date
+ * @param {boolean} [forceDateOnly=false] - Treat the value as DATE even without `.dateOnly`
+ * @returns {{parameters: Record<string, string>, value: string}} Parameters and value text
+ */
+function formatDate(date, forceDateOnly = false) {
+  if (date.dateOnly || forceDateOnly) {
+    return {parameters: {VALUE: 'DATE'}, value: formatLocalStamp(date)};
+  }
+
+  if (date.floatingZone) {
+    const value = tzUtil.formatDateForRrule(date, {iana: date.floatingZone});
+    return {parameters: date.tz === date.floatingZone ? {} : {TZID: date.tz}, value};
+  }
+
+  if (date.zoneRules) {
+    return {parameters: {TZID: date.tz}, value: formatStamp(date.zoneRules.toWallClockMilliseconds(date.getTime()))};
+  }
+
+  if (date.tz) {
+    if (tzUtil.isUtcTimezone(date.tz)) {
+      return {parameters: {}, value: formatUtcStamp(date)};
+    }
+
+    const tzInfo = tzUtil.resolveTZID(date.tz);
+    const iana = tzUtil.isValidIana(date.tz) ? date.tz : tzInfo.iana;
+    if (iana && !tzUtil.isUtcTimezone(iana)) {
+      const stamp = tzUtil.formatDateForRrule(date, {iana});
+      if (stamp) {
+        return {parameters: {TZID: iana}, value: stamp};
+      }
+    }
+
+    if (Number.isFinite(tzInfo.offsetMinutes)) {
+      return {parameters: {TZID: date.tz}, value: tzUtil.formatDateForRrule(date, tzInfo)};
+    }
+
+    if (!iana) {
+      return {parameters: {TZID: date.tz}, value: formatLocalDateTime(date)};
+    }
+
+    return {parameters: {}, value: formatUtcStamp(date)};
+  }
+
+  return {parameters: {}, value: formatLocalDateTime(date)};
+}
+
+function contentLine(name, parameters, value) {
+  return `${name}${formatParameters(parameters)}:${value}`;
+}
+
+function dateLine(name, date, forceDateOnly) {
+  const {parameters, value} = formatDate(date, forceDateOnly);
+  return contentLine(name, parameters, value);
+}
+
+function rruleLine(rrule, name = 'RRULE') {
+  const text = typeof rrule === 'string' ? rrule : rrule.toString();
+  // RRuleCompatWrapper#toString() prepends a DTSTART line; keep only the rule itself.
+  // EXRULE is parsed into the same wrapper, so its rule also reads "RRULE:".
+  const ruleLine = text.split(/\r?\n/v).find(line => /^(?:RRULE|EXRULE)[:;]/v.test(line)) ?? text;
+  return `${name}:${ruleLine.replace(/^(?:RRULE|EXRULE)[^:]*:/v, '')}`;
+}
+
+function valueLines(name, value, component) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  if (Array.isArray(value)) {
+    return value.flatMap(item => valueLines(name, item, component));
+  }
+
+  if (value instanceof Date) {
+    return [dateLine(name, value, name === 'DTSTART' && component.datetype === 'date')];
+  }
+
+  if (typeof value === 'object') {
+    if (!Object.hasOwn(value, 'val')) {
+      return [];
+    }
+
+    return [contentLine(name, value.params ?? {}, formatValueText(name, value.val))];
+  }
+
+  if (typeof value === 'boolean') {
+    return [contentLine(name, {}, value ? 'TRUE' : 'FALSE')];
+  }
+
+  return [contentLine(name, {}, formatValueText(name, value))];
+}
+
+function propertyLines(key, value, component) {
+  const name = propertyName(key);
+
+  switch (key) {
+    case 'rrule': {
+      return value ? [rruleLine(value)] : [];
+    }
+
+    case 'exrule': {
+      return [value ?? []].flat().map(rule => rruleLine(rule, name));
+    }
+
+    case 'exdate': {
+      // EXDATE uses the dual-key storage scheme; both keys reference the same Date.
+      return [...new Set(Object.values(value ?? {}))]
+        .filter(date => date instanceof Date)
+        .map(date => dateLine(name, date));
+    }
+
+    case 'rdate': {
+      // VTIMEZONE observances keep RDATE as raw text; components store a dual-key map
+      if (typeof value === 'string' || Array.isArray(value) || Object.hasOwn(value ?? {}, 'val')) {
+        break;
+      }
+
+      return [...new Set(Object.values(value ?? {}))]
+        .filter(date => date instanceof Date)
+        .map(date => (date.periodEnd instanceof Date
+          ? contentLine(name, {VALUE: 'PERIOD'}, `${formatUtcStamp(date)}/${formatUtcStamp(date.periodEnd)}`)
+          : dateLine(name, date)));
+    }
+
+    case 'recurrenceid': {
+      // The parser keeps RECURRENCE-ID;RANGE=THISANDFUTURE as a separate `recurrencerange` field
+      if (value instanceof Date && component.recurrencerange) {
+        const {parameters, value: stamp} = formatDate(value);
+        return [contentLine(name, {...parameters, RANGE: component.recurrencerange}, stamp)];
+      }
+
+      break;
+    }
+
+    case 'geo': {
+      return Number.isFinite(value?.lat) && Number.isFinite(value?.lon)
+        ? [contentLine(name, {}, `${value.lat};${value.lon}`)]
+        : [];
+    }
+
+    case 'categories': {
+      return Array.isArray(value) && value.length > 0
+        ? [contentLine(name, {}, value.map(category => escapeText(category)).join(','))]
+        : [];
+    }
+
+    case 'freebusy': {
+      return (Array.isArray(value) ? value : [])
+        .filter(period => period?.start instanceof Date && period.end instanceof Date)
+        .map(period => contentLine(name, {FBTYPE: period.type ?? 'BUSY'}, `${formatUtcStamp(period.start)}/${formatUtcStamp(period.end)}`));
+    }
+
+    case 'end': {
+      // DTEND and DURATION are mutually exclusive; the parser derives `end` from
+      // DURATION, so emit only the original DURATION. VTODO has no DTEND at all.
+      if (component.duration !== undefined || component.type === 'VTODO') {
+        return [];
+      }
+
+      break;
+    }
+
+    default: {
+      break;
+    }
+  }
+
+  return valueLines(name, value, component);
+}
+
+function isComponent(value) {
+  return Boolean(value)
+    && typeof value === 'object'
+    && !Array.isArray(value)
+    && !(value instanceof Date)
+    && typeof value.type === 'string';
+}
+
+function writeComponent(component, lines) {
+  const {type} = component;
+  const children = [];
+
+  lines.push(`BEGIN:${type}`);
+
+  for (const [key, value] of Object.entries(component)) {
+    if (SKIPPED_FIELDS.has(key)) {
+      continue;
+    }
+
+    if (isComponent(value)) {
+      children.push(value);
+      continue;
+    }
+
+    lines.push(...propertyLines(key, value, component));
+  }
+
+  for (const child of [...children, ...(component.alarms ?? [])]) {
+    writeComponent(child, lines);
+  }
+
+  lines.push(`END:${type}`);
+
+  // RECURRENCE-ID overrides are separate components sharing the base UID.
+  if (component.recurrences) {
+    for (const override of new Set(Object.values(component.recurrences))) {
+      writeComponent({...override, type: override.type ?? type}, lines);
+    }
+  }
+}
+
+/**
+ * Serialize a parsed calendar back into iCalendar (RFC 5545) text.
+ * Accepts the object returned by `parseICS`/`parseFile`/`fromURL`, including
+ * edits made to it and calendars parsed with `dates: 'temporal'`, and emits
+ * CRLF-terminated, folded content lines.
+ *
+ * @param {object} calendar - Parsed calendar (CalendarResponse)
+ * @returns {string} iCalendar text
+ *
+ * @example
+ * const data = ical.sync.parseFile('calendar.ics');
+ * delete data['cancelled-event-uid'];
+ * fs.writeFileSync('calendar.ics', ical.stringify(data));
+ */
+function stringify(calendar) {
+  if (!calendar || typeof calendar !== 'object') {
+    throw new TypeError('calendar must be a parsed calendar object');
+  }
+
+  // Calendars parsed with {dates: 'temporal'} are written from their Dates
+  calendar = toDateComponent(calendar);
+  const calendarProperties = {...calendar.vcalendar};
+  const components = [];
+
+  for (const [key, value] of Object.entries(calendar)) {
+    if (key === 'vcalendar') {
+      continue;
+    }
+
+    if (isComponent(value)) {
+      components.push(value);
+    } else {
+      calendarProperties[key] = value;
+    }
+  }
+
+  // The parser keeps `type: 'VCALENDAR'` among the calendar-level properties.
+  delete calendarProperties.type;
+
+  const lines = ['BEGIN:VCALENDAR'];
+  const {version = '2.0', prodid = DEFAULT_PRODID, ...otherProperties} = calendarProperties;
+
+  lines.push(...propertyLines('version', version, calendarProperties), ...propertyLines('prodid', prodid, calendarProperties));
+  for (const [key, value] of Object.entries(otherProperties)) {
+    lines.push(...propertyLines(key, value, calendarProperties));
+  }
+
+  // Emit VTIMEZONE definitions first so TZID references resolve for streaming consumers.
+  const ordered = [
+    ...components.filter(component => component.type === 'VTIMEZONE'),
+    ...components.filter(component => component.type !== 'VTIMEZONE'),
+  ];
+
+  for (const component of ordered) {
+    writeComponent(component, lines);
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(line => foldLine(line)).join('\r\n') + '\r\n';
+}
+
+export {
+  stringify,
+  escapeText,
+  foldLine,
+  formatDate,
+};
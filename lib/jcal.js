@@ -0,0 +1,382 @@
+import {splitContentLine, text} from './ical-parser-utils.js';
+import {escapeText, foldLine, stringify} from './ical-serializer.js';
+
+// Conversion between parsed calendars and jCal (RFC 7265). Both directions go
+// through iCalendar text so the CalendarResponse model stays owned by the parser
+// and the serializer: toJCal() turns the content lines written by stringify()
+// into jCal arrays, parseJCal() writes content lines and hands them to parseICS().
+
+// Default value types (RFC 5545 §3.8, RFC 7986) for properties that are not TEXT.
+// X- properties without a VALUE parameter are typed "unknown" (RFC 7265 §5).
+const DEFAULT_VALUE_TYPES = {
+  'date-time': ['COMPLETED', 'CREATED', 'DTEND', 'DTSTAMP', 'DTSTART', 'DUE', 'EXDATE', 'LAST-MODIFIED', 'RDATE', 'RECURRENCE-ID'],
+  duration: ['DURATION', 'REFRESH-INTERVAL', 'TRIGGER'],
+  integer: ['PERCENT-COMPLETE', 'PRIORITY', 'REPEAT', 'SEQUENCE'],
+  float: ['GEO'],
+  'utc-offset': ['TZOFFSETFROM', 'TZOFFSETTO'],
+  recur: ['EXRULE', 'RRULE'],
+  period: ['FREEBUSY'],
+  uri: ['ATTACH', 'CONFERENCE', 'IMAGE', 'SOURCE', 'TZURL', 'URL'],
+  'cal-address': ['ATTENDEE', 'ORGANIZER'],
+};
+
+const PROPERTY_VALUE_TYPES = new Map(Object.entries(DEFAULT_VALUE_TYPES)
+  .flatMap(([type, names]) => names.map(name => [name, type])));
+
+// Properties holding a comma-separated list of values (one jCal value each).
+const MULTI_VALUE_PROPERTIES = new Set(['CATEGORIES', 'EXDATE', 'FREEBUSY', 'RDATE', 'RESOURCES']);
+
+// Properties whose value is a single ";"-separated structured value (RFC 7265 §3.4.1.2).
+const STRUCTURED_PROPERTIES = new Set(['GEO', 'REQUEST-STATUS']);
+
+// RECUR parts holding integers (RFC 5545 §3.3.10).
+const INTEGER_RECUR_PARTS = new Set(['count', 'interval', 'bysecond', 'byminute', 'byhour', 'bymonthday', 'byyearday', 'byweekno', 'bymonth', 'bysetpos']);
+
+const DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})$/v;
+const DATE_TIME_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/v;
+const TIME_PATTERN = /^(\d{2})(\d{2})(\d{2})(Z?)$/v;
+const UTC_OFFSET_PATTERN = /^([+\-])(\d{2})(\d{2})(\d{2})?$/v;
+
+function defaultValueType(name) {
+  if (PROPERTY_VALUE_TYPES.has(name)) {
+    return PROPERTY_VALUE_TYPES.get(name);
+  }
+
+  return name.startsWith('X-') ? 'unknown' : 'text';
+}
+
+// Split on separators that are not escaped with a backslash.
+function splitUnescaped(value, separator) {
+  const parts = [];
+  let current = '';
+
+  for (let index = 0; index < value.length; index++) {
+    const character = value[index];
+    if (character === '\\' && index + 1 < value.length) {
+      current += character + value[index + 1];
+      index++;
+    } else if (character === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += character;
+    }
+  }
+
+  parts.push(current);
+  return parts;
+}
+
+function isDuration(value) {
+  return /^[+\-]?P/v.test(value);
+}
+
+function dateTimeToJCal(value) {
+  const dateMatch = DATE_PATTERN.exec(value);
+  if (dateMatch) {
+    return `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`;
+  }
+
+  const match = DATE_TIME_PATTERN.exec(value);
+  if (!match) {
+    return value;
+  }
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}${utc}`;
+}
+
+function recurToJCal(value) {
+  const recur = {};
+
+  for (const part of value.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1) {
+      continue;
+    }
+
+    const key = part.slice(0, separator).toLowerCase();
+    const raw = part.slice(separator + 1);
+
+    if (key === 'until') {
+      recur.until = dateTimeToJCal(raw);
+      continue;
+    }
+
+    const values = raw.split(',').map(item => (INTEGER_RECUR_PARTS.has(key) ? Math.trunc(Number(item)) : item));
+    recur[key] = values.length === 1 ? values[0] : values;
+  }
+
+  return recur;
+}
+
+function valueToJCal(type, value) {
+  switch (type) {
+    case 'date':
+    case 'date-time': {
+      return dateTimeToJCal(value);
+    }
+
+    case 'time': {
+      const match = TIME_PATTERN.exec(value);
+      return match ? `${match[1]}:${match[2]}:${match[3]}${match[4]}` : value;
+    }
+
+    case 'period': {
+      const [start, end = ''] = value.split('/');
+      return `${dateTimeToJCal(start)}/${isDuration(end) ? end : dateTimeToJCal(end)}`;
+    }
+
+    case 'utc-offset': {
+      const match = UTC_OFFSET_PATTERN.exec(value);
+      if (!match) {
+        return value;
+      }
+
+      return `${match[1]}${match[2]}:${match[3]}${match[4] ? `:${match[4]}` : ''}`;
+    }
+
+    case 'integer': {
+      return Math.trunc(Number(value));
+    }
+
+    case 'float': {
+      return Number(value);
+    }
+
+    case 'boolean': {
+      return value.toUpperCase() === 'TRUE';
+    }
+
+    case 'recur': {
+      return recurToJCal(value);
+    }
+
+    case 'text': {
+      return text(value);
+    }
+
+    default: {
+      return value;
+    }
+  }
+}
+
+function parametersToJCal(parameters) {
+  const jcalParameters = {};
+
+  for (const parameter of parameters) {
+    const separator = parameter.indexOf('=');
+    const name = parameter.slice(0, separator).toLowerCase();
+    jcalParameters[name] = parameter.slice(separator + 1).replace(/^"(.*)"$/v, '$1');
+  }
+
+  return jcalParameters;
+}
+
+function propertyToJCal({name, parameters, value}) {
+  const jcalParameters = parametersToJCal(parameters);
+  let type = defaultValueType(name);
+
+  if (jcalParameters.value) {
+    type = jcalParameters.value.toLowerCase();
+    delete jcalParameters.value;
+  } else if (type === 'date-time' && DATE_PATTERN.test(value)) {
+    // Tolerate DATE values written without VALUE=DATE
+    type = 'date';
+  }
+
+  let values;
+  if (STRUCTURED_PROPERTIES.has(name)) {
+    values = [splitUnescaped(value, ';').map(part => valueToJCal(type, part))];
+  } else if (MULTI_VALUE_PROPERTIES.has(name)) {
+    values = splitUnescaped(value, ',').map(part => valueToJCal(type, part));
+  } else {
+    values = [valueToJCal(type, value)];
+  }
+
+  return [name.toLowerCase(), jcalParameters, type, ...values];
+}
+
+// Convert iCalendar text into jCal component arrays.
+function icsToJCal(ics) {
+  const root = ['', [], []];
+  const stack = [root];
+
+  for (const line of ics.replaceAll(/\r?\n[\t ]/gv, '').split(/\r?\n/v)) {
+    const contentLine = splitContentLine(line);
+    if (contentLine === null) {
+      continue;
+    }
+
+    const current = stack.at(-1);
+    if (contentLine.name === 'BEGIN') {
+      const component = [contentLine.value.toLowerCase(), [], []];
+      current[2].push(component);
+      stack.push(component);
+    } else if (contentLine.name === 'END') {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+    } else {
+      current[1].push(propertyToJCal(contentLine));
+    }
+  }
+
+  return root[2];
+}
+
+function dateTimeFromJCal(value) {
+  return String(value).replaceAll(/[\-:]/gv, '');
+}
+
+// "-05:00" is -0500 in iCalendar: only the colons go, the sign stays
+function utcOffsetFromJCal(value) {
+  return String(value).replaceAll(':', '');
+}
+
+function recurFromJCal(recur) {
+  if (typeof recur === 'string') {
+    return recur;
+  }
+
+  return Object.entries(recur)
+    .map(([key, value]) => {
+      const values = Array.isArray(value) ? value : [value];
+      const formatted = key === 'until' ? values.map(item => dateTimeFromJCal(item)) : values;
+      return `${key.toUpperCase()}=${formatted.join(',')}`;
+    })
+    .join(';');
+}
+
+function valueFromJCal(type, value) {
+  switch (type) {
+    case 'date':
+    case 'date-time':
+    case 'time': {
+      return dateTimeFromJCal(value);
+    }
+
+    case 'utc-offset': {
+      return utcOffsetFromJCal(value);
+    }
+
+    case 'period': {
+      return String(value).split('/').map(part => (isDuration(part) ? part : dateTimeFromJCal(part))).join('/');
+    }
+
+    case 'boolean': {
+      return value ? 'TRUE' : 'FALSE';
+    }
+
+    case 'recur': {
+      return recurFromJCal(value);
+    }
+
+    case 'text': {
+      return escapeText(value);
+    }
+
+    default: {
+      return String(value);
+    }
+  }
+}
+
+function quoteParameterValue(value) {
+  return /[,:;]/v.test(value) ? `"${value}"` : value;
+}
+
+function propertyFromJCal(property) {
+  if (!Array.isArray(property) || property.length < 4 || typeof property[0] !== 'string') {
+    throw new TypeError(`Invalid jCal property: ${JSON.stringify(property)}`);
+  }
+
+  const [rawName, parameters = {}, type, ...values] = property;
+  const name = rawName.toUpperCase();
+  let line = name;
+
+  for (const [parameterName, parameterValue] of Object.entries(parameters)) {
+    const parameterValues = Array.isArray(parameterValue) ? parameterValue : [parameterValue];
+    line += `;${parameterName.toUpperCase()}=${parameterValues.map(item => quoteParameterValue(String(item))).join(',')}`;
+  }
+
+  if (type !== 'unknown' && type !== defaultValueType(name)) {
+    line += `;VALUE=${type.toUpperCase()}`;
+  }
+
+  const formatted = values.map(value => (Array.isArray(value)
+    ? value.map(part => valueFromJCal(type, part)).join(';')
+    : valueFromJCal(type, value)));
+
+  return foldLine(`${line}:${formatted.join(',')}`);
+}
+
+function componentFromJCal(component, lines) {
+  if (!Array.isArray(component) || typeof component[0] !== 'string') {
+    throw new TypeError(`Invalid jCal component: ${JSON.stringify(component)}`);
+  }
+
+  const [rawName, properties = [], subcomponents = []] = component;
+  const name = rawName.toUpperCase();
+
+  lines.push(`BEGIN:${name}`);
+  for (const property of properties) {
+    lines.push(propertyFromJCal(property));
+  }
+
+  for (const subcomponent of subcomponents) {
+    componentFromJCal(subcomponent, lines);
+  }
+
+  lines.push(`END:${name}`);
+}
+
+/**
+ * Convert a parsed calendar into jCal (RFC 7265), the JSON form of iCalendar.
+ *
+ * @param {object} calendar - Parsed calendar (CalendarResponse)
+ * @returns {Array} `["vcalendar", [...properties], [...components]]`
+ *
+ * @example
+ * const data = ical.sync.parseFile('calendar.ics');
+ * const json = JSON.stringify(ical.toJCal(data));
+ */
+function toJCal(calendar) {
+  return icsToJCal(stringify(calendar))[0];
+}
+
+/**
+ * Build `parseJCal` on top of the regular text parser.
+ *
+ * @param {object} options
+ * @param {(ics: string) => object} options.parseICS - Synchronous iCalendar parser
+ * @returns {(json: string | Array) => object} parseJCal implementation
+ */
+function createJCalParser({parseICS}) {
+  /**
+   * Parse jCal (RFC 7265) into the same CalendarResponse shape `parseICS` returns.
+   *
+   * @param {string|Array} json - jCal array, or its JSON text
+   * @returns {object} Parsed calendar (CalendarResponse)
+   */
+  function parseJCal(json) {
+    const jcal = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!Array.isArray(jcal)) {
+      throw new TypeError('parseJCal expects a jCal array ["vcalendar", properties, components]');
+    }
+
+    // Accept a single vcalendar as well as a list of them
+    const components = typeof jcal[0] === 'string' ? [jcal] : jcal;
+    const lines = [];
+    for (const component of components) {
+      componentFromJCal(component, lines);
+    }
+
+    return parseICS(`${lines.join('\r\n')}\r\n`);
+  }
+
+  return parseJCal;
+}
+
+export {toJCal, createJCalParser};
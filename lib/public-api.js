@@ -6,22 +6,70 @@
  * @param {object} options.asyncApi
  * @param {object} options.autodetectApi
  * @param {object} options.syncApi
+ * @param {(source: object) => AsyncGenerator<object>} options.parseStream
  * @param {(event: object, options: object) => Array<object>} options.expandRecurringEvent
+ * @param {(calendar: object, options: object) => Array<object>} options.expandCalendar
+ * @param {(event: object, options: object) => Generator<object>} options.iterateOccurrences
+ * @param {(eventOrInstance: object) => Array<object>} options.getAlarmTimes
+ * @param {(calendar: object, options: object) => Array<object>} options.getAlarms
+ * @param {(calendar: object, options: object) => (Array<object>|object)} options.computeFreeBusy
+ * @param {(calendars: (object|Array<object>), options: object) => Array<object>} options.findFreeSlots
+ * @param {(calendarOrInstances: (object|Array<object>), options: object) => Array<object>} options.findConflicts
+ * @param {(calendar: object) => string} options.stringify
+ * @param {(calendar: object) => Array} options.toJCal
+ * @param {(json: string | Array) => object} options.parseJCal
+ * @param {(calendar: object) => string} options.toXCal
+ * @param {(xml: string) => object} options.parseXCal
+ * @param {(calendarOrIcs: (string|object)) => object} options.validate
+ * @param {typeof Error} options.ParseError - Error class thrown for broken input
+ * @param {(logger?: object) => void} options.setLogger
+ * @param {object} options.timezones - Timezone registry (aliases, Windows mappings, unresolved TZIDs)
+ * @param {{createMemoryCache: () => object, createFileCache: (directory: string) => object}} options.urlCache
  * @param {object} options.icalCore
  * @returns {object} Public API object exposed by the package entry points.
  */
-function buildPublicApi({asyncApi, autodetectApi, syncApi, expandRecurringEvent, icalCore}) {
+function buildPublicApi({asyncApi, autodetectApi, syncApi, parseStream, expandRecurringEvent, expandCalendar, iterateOccurrences, getAlarmTimes, getAlarms, computeFreeBusy, findFreeSlots, findConflicts, stringify, toJCal, parseJCal, toXCal, parseXCal, validate, ParseError, setLogger, timezones, urlCache, icalCore}) {
   return {
     // Autodetect
     fromURL: asyncApi.fromURL,
     parseFile: autodetectApi.parseFile,
     parseICS: autodetectApi.parseICS,
+    // Streaming
+    parseStream,
+    // Conditional request caches for fromURL
+    createMemoryCache: urlCache.createMemoryCache,
+    createFileCache: urlCache.createFileCache,
     // Sync
     sync: syncApi,
     // Async
     async: asyncApi,
     // Recurring event expansion
     expandRecurringEvent,
+    expandCalendar,
+    iterateOccurrences,
+    // Alarms
+    getAlarmTimes,
+    getAlarms,
+    // Free/busy
+    computeFreeBusy,
+    findFreeSlots,
+    // Conflicts
+    findConflicts,
+    // Serialization
+    stringify,
+    // JSON representation (jCal, RFC 7265)
+    toJCal,
+    parseJCal,
+    // XML representation (xCal, RFC 6321)
+    toXCal,
+    parseXCal,
+    // Validation
+    validate,
+    // Errors and logging
+    ParseError,
+    setLogger,
+    // Timezone registry
+    timezones,
     // Other backwards compat things
     objectHandlers: icalCore.objectHandlers,
     handleObject: icalCore.handleObject,
@@ -0,0 +1,171 @@
+import {RRuleTemporal} from 'rrule-temporal';
+import {toText as toTextFunction} from 'rrule-temporal/totext';
+import {createTemporalRule} from './ical-parser-utils.js';
+import {Temporal} from './temporal.js';
+import tzUtil from './tz-utils.js';
+
+/**
+ * Wrapper class to convert RRuleTemporal (Temporal.ZonedDateTime) to Date objects
+ * This maintains backward compatibility while using rrule-temporal internally
+ */
+class RRuleCompatWrapper {
+  static #temporalToDate(value) {
+    if (value === undefined || value === null) {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => RRuleCompatWrapper.#temporalToDate(item));
+    }
+
+    // Convert known Temporal instances to Date
+    if (typeof value === 'object' && !(value instanceof Date) && typeof value.epochMilliseconds === 'number') {
+      return new Date(value.epochMilliseconds);
+    }
+
+    return value;
+  }
+
+  constructor(rruleTemporal, dateOnly = false, zoneRules = undefined, rruleString = undefined, timezone = undefined) {
+    this._rrule = rruleTemporal;
+    // VALUE=DATE events are anchored to UTC midnight in rrule-temporal.
+    // Converting via epochMilliseconds shifts the date backwards in timezones
+    // west of UTC; instead we use the ZonedDateTime calendar components directly.
+    this._dateOnly = dateOnly;
+    // Zone whose midnight VALUE=DATE occurrences fall on; undefined follows the
+    // `timezone` option of the running expansion, else the host zone.
+    this._timezone = timezone;
+    // Rules in a VTIMEZONE without IANA equivalent run on its wall-clock time
+    // (read as UTC); the VTIMEZONE's evaluator converts to and from real instants.
+    this._zoneRules = zoneRules;
+    this._rruleString = rruleString;
+  }
+
+  #serializeOptions() {
+    const raw = this._rrule.options();
+    const converted = {};
+
+    for (const [key, value] of Object.entries(raw)) {
+      converted[key] = RRuleCompatWrapper.#temporalToDate(value);
+      if (this._zoneRules && converted[key] instanceof Date) {
+        converted[key] = new Date(this._zoneRules.toEpochMilliseconds(converted[key].getTime()));
+      }
+    }
+
+    // Map rrule-temporal `byDay` to legacy `byweekday`
+    if (converted.byweekday === undefined && raw.byDay !== undefined) {
+      converted.byweekday = RRuleCompatWrapper.#temporalToDate(raw.byDay);
+    }
+
+    return converted;
+  }
+
+  // Convert a ZonedDateTime to a JS Date.
+  // For VALUE=DATE events the ZDT calendar components (year/month/day in UTC)
+  // represent the intended calendar date; create a local-midnight Date so that
+  // .toDateString() returns the correct day regardless of the host timezone.
+  // Mark the result with dateOnly=true so that downstream helpers that
+  // distinguish date-only from timed dates (e.g. createLocalDateFromUTC) also
+  // use local getters rather than UTC getters. A midnight in an explicit zone
+  // carries that zone as `tz`.
+  #zdtToDate(zdt) {
+    if (this._dateOnly) {
+      const timezone = this._timezone ?? tzUtil.getDefaultTimezone();
+      const d = tzUtil.createLocalDate({year: zdt.year, month: zdt.month, day: zdt.day}, timezone);
+      d.dateOnly = true;
+      return tzUtil.attachTz(d, timezone);
+    }
+
+    if (this._zoneRules) {
+      return new Date(this._zoneRules.toEpochMilliseconds(zdt.epochMilliseconds));
+    }
+
+    return new Date(zdt.epochMilliseconds);
+  }
+
+  // Convert a JS Date bound to the time line the rule runs on
+  #toRuleDate(date) {
+    if (this._zoneRules && date instanceof Date) {
+      return new Date(this._zoneRules.toWallClockMilliseconds(date.getTime()));
+    }
+
+    return date;
+  }
+
+  between(after, before, inclusive = false) {
+    const results = this._rrule.between(this.#toRuleDate(after), this.#toRuleDate(before), inclusive);
+    return results.map(zdt => this.#zdtToDate(zdt));
+  }
+
+  all(iterator) {
+    // If the caller supplied an iterator, wrap it so it receives a converted Date
+    // rather than a raw Temporal.ZonedDateTime — keeping the public API consistent
+    // with between() and matching the declared return type.
+    const wrappedIterator = iterator
+      ? (zdt, index) => iterator(this.#zdtToDate(zdt), index)
+      : undefined;
+    const results = this._rrule.all(wrappedIterator);
+    return results.map(zdt => this.#zdtToDate(zdt));
+  }
+
+  before(date, inclusive = false) {
+    const result = this._rrule.previous(this.#toRuleDate(date), inclusive);
+    return result ? this.#zdtToDate(result) : undefined;
+  }
+
+  after(date, inclusive = false) {
+    const result = this._rrule.next(this.#toRuleDate(date), inclusive);
+    return result ? this.#zdtToDate(result) : undefined;
+  }
+
+  toText(locale) {
+    return toTextFunction(this._rrule, locale);
+  }
+
+  // Delegate other methods
+  toString() {
+    const text = this._rrule.toString();
+    if (!this._zoneRules) {
+      return text;
+    }
+
+    // Name the VTIMEZONE again and give the rule with its UNTIL in UTC
+    const [dtstartLine] = text.split('\n');
+    return `${dtstartLine.replace(/^DTSTART;TZID=UTC:/v, () => `DTSTART;TZID=${this._zoneRules.tzid}:`)}\nRRULE:${this._rruleString}`;
+  }
+
+  // Expose options as a property for compatibility with the old rrule.js API
+  // (the wrapper hides the underlying method-based interface)
+  get options() {
+    return this.#serializeOptions();
+  }
+
+  // OrigOptions: the original options as passed to the constructor (before processing).
+  // In rrule.js, this was used for toString() and clone() operations.
+  // For rrule-temporal, options() already returns the unprocessed original options,
+  // so origOptions and options are equivalent.
+  get origOptions() {
+    return this.#serializeOptions();
+  }
+}
+
+const temporalRuleDependencies = {
+  RRuleTemporal,
+  RRuleCompatWrapper,
+  Temporal,
+  tzUtil,
+};
+
+/**
+ * Build the object of an RRULE or EXRULE from its value, anchored at the DTSTART
+ * (or DUE) of the component.
+ *
+ * @param {{start: Date}} anchor - Object whose `start` is the Date the rule runs from
+ * @param {string} rule - Rule value starting with FREQ=
+ * @returns {RRuleCompatWrapper} Rule with Date-based between()/all()/before()/after()
+ */
+function createRule(anchor, rule) {
+  return createTemporalRule(anchor, rule, temporalRuleDependencies);
+}
+
+export {RRuleCompatWrapper, createRule};
@@ -0,0 +1,236 @@
+import {
+  activateDiagnostics,
+  createDiagnosticsContext,
+  finishDiagnostics,
+} from './diagnostics.js';
+import {readContentLine} from './ical-parser-utils.js';
+import {isTemporalMode, toTemporalCalendar} from './temporal-dates.js';
+import tzUtil from './tz-utils.js';
+
+/**
+ * Iterate over the chunks of a Node.js Readable, a WHATWG ReadableStream or any
+ * (async) iterable, decoding binary chunks as UTF-8.
+ *
+ * @param {AsyncIterable<string|Uint8Array>|Iterable<string|Uint8Array>|ReadableStream} source
+ * @yields {string} Chunk contents as text, with multi-byte characters kept intact across chunk boundaries
+ */
+async function * iterateTextChunks(source) {
+  const decoder = new TextDecoder('utf-8');
+  const decode = chunk => (typeof chunk === 'string' ? chunk : decoder.decode(chunk, {stream: true}));
+
+  if (source && typeof source[Symbol.asyncIterator] === 'function') {
+    for await (const chunk of source) {
+      yield decode(chunk);
+    }
+  } else if (source && typeof source.getReader === 'function') {
+    // ReadableStream implementations without async iteration support
+    const reader = source.getReader();
+    try {
+      while (true) {
+        // eslint-disable-next-line no-await-in-loop -- chunks must be consumed sequentially
+        const {done, value} = await reader.read();
+        if (done) {
+          break;
+        }
+
+        yield decode(value);
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  } else if (source && typeof source[Symbol.iterator] === 'function' && typeof source !== 'string') {
+    for (const chunk of source) {
+      yield decode(chunk);
+    }
+  } else {
+    throw new TypeError('parseStream expects a Node.js Readable, a ReadableStream or an iterable of chunks');
+  }
+
+  const rest = decoder.decode();
+  if (rest) {
+    yield rest;
+  }
+}
+
+/**
+ * Turn a stream of text chunks into unfolded content lines (RFC 5545 §3.1).
+ * Physical lines and folded continuations may be split across chunk boundaries.
+ *
+ * @param {AsyncIterable<string>} chunks
+ * @yields {{line: string, lineNumber: number}} Unfolded logical lines with the 1-based number of their first physical line
+ */
+async function * iterateUnfoldedLines(chunks) {
+  let remainder = '';
+  let pending;
+  let lineNumber = 0;
+
+  const pushPhysicalLine = physicalLine => {
+    lineNumber++;
+    // Unfold : RFC#3.1
+    if (pending !== undefined && /^[\t ]/v.test(physicalLine)) {
+      pending.line += physicalLine.slice(1);
+      return undefined;
+    }
+
+    const complete = pending;
+    pending = {line: physicalLine, lineNumber};
+    return complete;
+  };
+
+  for await (const chunk of chunks) {
+    const physicalLines = (remainder + chunk).split(/\r?\n/v);
+    remainder = physicalLines.pop();
+
+    for (const physicalLine of physicalLines) {
+      const complete = pushPhysicalLine(physicalLine);
+      if (complete !== undefined) {
+        yield complete;
+      }
+    }
+  }
+
+  const complete = pushPhysicalLine(remainder.replace(/\r$/v, ''));
+  if (complete !== undefined) {
+    yield complete;
+  }
+
+  if (pending !== undefined) {
+    yield pending;
+  }
+}
+
+/**
+ * Build the streaming parser on top of the regular line handler.
+ *
+ * @param {object} options
+ * @param {(name: string, value: string, parameters: string[], ctx: object, stack: Array<object>, line: string) => object} options.handleObject - Property handler from ical.js
+ * @returns {(source: object, options?: object) => AsyncGenerator<object>} parseStream implementation
+ */
+function createStreamParser({handleObject}) {
+  /**
+   * Parse an iCalendar stream incrementally.
+   * Yields each top-level component (VEVENT, VTODO, VJOURNAL, VFREEBUSY, VTIMEZONE, …)
+   * as soon as its END line has been read, followed by the VCALENDAR properties
+   * (`{type: 'VCALENDAR', ...}`) once the calendar ends.
+   *
+   * Emitted components are released from the parser state, except VTIMEZONE
+   * definitions, which stay available to resolve TZIDs of later components.
+   * RECURRENCE-ID overrides are therefore yielded as their own components
+   * (carrying `recurrenceid`, without `recurrences`) instead of being merged
+   * into the `recurrences` of their base event, whether it comes before or after them.
+   * Likewise every revision of a UID is yielded, without the SEQUENCE merge of parseICS.
+   *
+   * The options are those of parseICS. With `diagnostics`, each component carries
+   * the problems found since the previous one as a non-enumerable `diagnostics` array.
+   *
+   * @param {AsyncIterable<string|Uint8Array>|ReadableStream} source - Node.js Readable, WHATWG ReadableStream or (async) iterable of chunks
+   * @param {{strict?: boolean, diagnostics?: boolean, logger?: object, timezone?: string, dates?: 'date'|'temporal'}} [options] - Parse options, see parseICS
+   * @yields {object} Parsed components
+   *
+   * @example
+   * for await (const component of ical.parseStream(fs.createReadStream('huge.ics'))) {
+   *   if (component.type === 'VEVENT') {
+   *     console.log(component.summary);
+   *   }
+   * }
+   */
+  async function * parseStream(source, options) {
+    const diagnosticsContext = createDiagnosticsContext(options);
+    const timezone = tzUtil.assertTimezone(options?.timezone);
+    const temporal = isTemporalMode(options?.dates);
+    let reported = 0;
+    let ctx = {};
+    let stack = [];
+
+    // Diagnostics and zone are only active while a line is handled, not while the caller holds a component
+    const withParseState = callback => {
+      const restoreDiagnostics = diagnosticsContext ? activateDiagnostics(diagnosticsContext) : undefined;
+      const restoreTimezone = timezone ? tzUtil.activateTimezone(timezone) : undefined;
+      try {
+        return callback();
+      } finally {
+        restoreTimezone?.();
+        restoreDiagnostics?.();
+      }
+    };
+
+    const prepare = component => {
+      if (diagnosticsContext?.collect) {
+        Object.defineProperty(component, 'diagnostics', {
+          value: diagnosticsContext.diagnostics.slice(reported),
+          enumerable: false,
+          configurable: true,
+          writable: true,
+        });
+        reported = diagnosticsContext.diagnostics.length;
+      }
+
+      return temporal ? toTemporalCalendar(component) : component;
+    };
+
+    const handleLine = (line, lineNumber) => {
+      const contentLine = readContentLine(line, lineNumber, ctx, diagnosticsContext);
+      if (contentLine === null) {
+        return undefined;
+      }
+
+      const {name, value, parameters} = contentLine;
+
+      const ended = ctx;
+      const parent = stack.at(-1);
+
+      ctx = handleObject(name, value, parameters, ctx, stack, contentLine.line) || {};
+
+      if (name !== 'END') {
+        return undefined;
+      }
+
+      if (value === 'VCALENDAR') {
+        const calendar = ctx.vcalendar ?? {type: 'VCALENDAR'};
+        ctx = {};
+        stack = [];
+        return prepare(calendar);
+      }
+
+      // Only components whose parent is the calendar (or the document root) are emitted
+      if (!parent || (parent.type !== undefined && parent.type !== 'VCALENDAR')) {
+        return undefined;
+      }
+
+      const key = ended.uid && Object.hasOwn(parent, ended.uid)
+        ? ended.uid
+        : Object.keys(parent).find(candidate => parent[candidate] === ended);
+      if (key === undefined) {
+        return undefined;
+      }
+
+      const component = parent[key];
+      if (component.type !== 'VTIMEZONE') {
+        delete parent[key];
+      }
+
+      // With its base event already released, the parser files an override under its own `recurrences`
+      if (component.recurrenceid) {
+        delete component.recurrences;
+      }
+
+      return prepare(component);
+    };
+
+    for await (const {line, lineNumber} of iterateUnfoldedLines(iterateTextChunks(source))) {
+      const component = withParseState(() => handleLine(line, lineNumber));
+      if (component !== undefined) {
+        yield component;
+      }
+    }
+
+    if (diagnosticsContext) {
+      // Report components the stream left open; strict parses throw here
+      withParseState(() => finishDiagnostics(diagnosticsContext, {}));
+    }
+  }
+
+  return parseStream;
+}
+
+export {createStreamParser};
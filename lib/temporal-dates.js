@@ -0,0 +1,436 @@
+/**
+ * Temporal output mode (`{dates: 'temporal'}`): parse results and expanded instances
+ * with Temporal values instead of Dates carrying non-enumerable `tz`/`dateOnly` tags.
+ * DATE values become PlainDate, DATE-TIMEs with a zone ZonedDateTime and floating
+ * times PlainDateTime. The parser and the expansion keep working on Dates; values
+ * are converted back for the expansion, to the Dates they were made from while unchanged.
+ */
+
+import {createRule} from './rrule-compat.js';
+import {Temporal} from './temporal.js';
+import tzUtil from './tz-utils.js';
+
+// Converted value -> the Date it was made from
+const dateValues = new WeakMap();
+// Converted rule -> the Date-based rule and the DTSTART (or DUE) it runs from
+const ruleSources = new WeakMap();
+// Date-based component -> the component with Temporal values it was converted from or to
+const temporalComponents = new WeakMap();
+
+/**
+ * Check the `dates` option of a parse or expansion.
+ *
+ * @param {unknown} dates
+ * @returns {boolean} True for the Temporal output mode
+ * @throws {RangeError} When the value is neither 'date' nor 'temporal'
+ */
+function isTemporalMode(dates) {
+  if (dates === undefined || dates === 'date') {
+    return false;
+  }
+
+  if (dates !== 'temporal') {
+    throw new RangeError(`options.dates must be 'date' or 'temporal', got "${dates}"`);
+  }
+
+  return true;
+}
+
+function isPlainObject(value) {
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function isRule(value) {
+  return typeof value?.between === 'function' && typeof value.all === 'function';
+}
+
+// Zones only defined by a VTIMEZONE have no Temporal equivalent; use the offset in effect
+function getTemporalZone(date) {
+  if (date.zoneRules) {
+    return tzUtil.minutesToOffset(date.zoneRules.getOffsetMinutes(date.getTime()));
+  }
+
+  if (!date.tz) {
+    return undefined;
+  }
+
+  const {iana, offset} = tzUtil.resolveTZID(date.tz);
+  return iana ?? offset;
+}
+
+/**
+ * Convert a parsed Date by its metadata: DATE values to PlainDate (the day they were
+ * parsed as), Dates with a resolvable `tz` or `zoneRules` to ZonedDateTime, and
+ * floating ones to PlainDateTime (their local wall-clock time). Invalid Dates stay as they are.
+ *
+ * @param {Date} date
+ * @returns {Temporal.PlainDate|Temporal.ZonedDateTime|Temporal.PlainDateTime|Date} Temporal value
+ */
+function toTemporalDate(date) {
+  if (Number.isNaN(date.getTime())) {
+    return date;
+  }
+
+  if (date.dateOnly) {
+    const {year, month, day} = tzUtil.getLocalDateParts(date);
+    return Temporal.PlainDate.from({year, month, day});
+  }
+
+  // VTIMEZONE observance onsets keep their stamp, which a local Date cannot always hold
+  if (typeof date.wallClock === 'string') {
+    const [, year, month, day, hour, minute, second] = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})/v.exec(date.wallClock).map(Number);
+    return Temporal.PlainDateTime.from({
+      year,
+      month,
+      day,
+      hour,
+      minute,
+      second,
+    });
+  }
+
+  const zone = getTemporalZone(date);
+  if (zone) {
+    return Temporal.Instant.fromEpochMilliseconds(date.getTime()).toZonedDateTimeISO(zone);
+  }
+
+  return Temporal.PlainDateTime.from(tzUtil.getLocalDateParts(date));
+}
+
+function toTemporalValue(value) {
+  if (!(value instanceof Date)) {
+    return value;
+  }
+
+  const converted = toTemporalDate(value);
+  if (converted === value) {
+    return value;
+  }
+
+  // RDATE;VALUE=PERIOD entries keep the end of their period
+  if (value.periodEnd instanceof Date) {
+    converted.periodEnd = toTemporalDate(value.periodEnd);
+  }
+
+  dateValues.set(converted, value);
+  return converted;
+}
+
+/**
+ * Accept Temporal instants where Dates are expected: Instant and ZonedDateTime
+ * values become the Date of the same instant, everything else is returned unchanged.
+ *
+ * @param {unknown} value
+ * @returns {unknown} Date for Temporal instants, else the value
+ */
+function toDateInput(value) {
+  if (value && typeof value === 'object' && !(value instanceof Date) && typeof value.epochMilliseconds === 'number') {
+    return new Date(value.epochMilliseconds);
+  }
+
+  return value;
+}
+
+function getRuleText(rule) {
+  const line = String(rule).split('\n').find(text => text.startsWith('RRULE:'));
+  return line ? line.slice('RRULE:'.length) : String(rule);
+}
+
+function toOccurrence(rule, date) {
+  if (!(date instanceof Date)) {
+    return date;
+  }
+
+  // Occurrences of timed series come back as bare instants; they are in the zone of DTSTART
+  const {start} = ruleSources.get(rule);
+  if (!date.dateOnly && start) {
+    tzUtil.attachTz(date, start.tz);
+    tzUtil.attachZoneRules(date, start.zoneRules);
+  }
+
+  return toTemporalDate(date);
+}
+
+/**
+ * RRULE (or EXRULE) of a converted component: takes Temporal instants (or Dates) and
+ * returns occurrences like the component's DTSTART, e.g. PlainDate for DATE series.
+ * Its only own property is the rule text, so converted calendars can be cloned.
+ */
+class TemporalRule {
+  /**
+   * Wrap the rule of a Date-based component.
+   * @param {object} source - RRuleCompatWrapper of the Date-based component
+   * @param {Date|undefined} start - DTSTART (or DUE) of the Date-based component
+   */
+  constructor(source, start) {
+    this.rule = getRuleText(source);
+    ruleSources.set(this, {source, start});
+  }
+
+  get options() {
+    return ruleSources.get(this).source.options;
+  }
+
+  between(after, before, inclusive) {
+    return ruleSources.get(this).source.between(toDateInput(after), toDateInput(before), inclusive).map(date => toOccurrence(this, date));
+  }
+
+  all(iterator) {
+    const {source} = ruleSources.get(this);
+    return source.all(iterator && ((date, index) => iterator(toOccurrence(this, date), index))).map(date => toOccurrence(this, date));
+  }
+
+  before(date, inclusive) {
+    return toOccurrence(this, ruleSources.get(this).source.before(toDateInput(date), inclusive));
+  }
+
+  after(date, inclusive) {
+    return toOccurrence(this, ruleSources.get(this).source.after(toDateInput(date), inclusive));
+  }
+
+  toText(...arguments_) {
+    return ruleSources.get(this).source.toText(...arguments_);
+  }
+
+  toString() {
+    return ruleSources.get(this).source.toString();
+  }
+}
+
+function convertProperty(key, value, component, seen) {
+  if (isRule(value)) {
+    return new TemporalRule(value, component.start ?? component.due);
+  }
+
+  if (key === 'exrule' && Array.isArray(value)) {
+    return value.map(rule => (isRule(rule) ? new TemporalRule(rule, component.start ?? component.due) : rule));
+  }
+
+  return convertTree(value, seen);
+}
+
+// Shared objects (exdate/rdate/recurrences keep one value under two keys) are converted once
+function convertTree(value, seen) {
+  if (value instanceof Date) {
+    if (!seen.has(value)) {
+      seen.set(value, toTemporalValue(value));
+    }
+
+    return seen.get(value);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (seen.has(value)) {
+    return seen.get(value);
+  }
+
+  if (Array.isArray(value)) {
+    const result = [];
+    seen.set(value, result);
+    for (const item of value) {
+      result.push(convertTree(item, seen));
+    }
+
+    return result;
+  }
+
+  // Class instances (VTIMEZONE evaluators and the like) are kept as they are
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  const result = {};
+  seen.set(value, result);
+  for (const [key, property] of Object.entries(value)) {
+    result[key] = convertProperty(key, property, value, seen);
+  }
+
+  if (typeof value.type === 'string') {
+    temporalComponents.set(value, result);
+  }
+
+  return result;
+}
+
+/**
+ * Convert a parsed calendar to the Temporal output mode. Keeps the non-enumerable
+ * `diagnostics` of the parse.
+ *
+ * @param {object} calendar - Date-based parse result
+ * @returns {object} Calendar with Temporal values
+ */
+function toTemporalCalendar(calendar) {
+  const result = convertTree(calendar, new Map());
+  const diagnostics = Object.getOwnPropertyDescriptor(calendar, 'diagnostics');
+  if (diagnostics) {
+    Object.defineProperty(result, 'diagnostics', diagnostics);
+  }
+
+  return result;
+}
+
+/**
+ * Convert a Temporal value back: to the Date it was made from, else to a Date tagged
+ * like the parser tags them. PlainDate and PlainDateTime values are local to `timezone`.
+ *
+ * @param {object} value - Temporal value
+ * @param {string|undefined} timezone - Zone of the expansion, undefined for the host zone
+ * @returns {Date|object} Date, or the value when it is not a Temporal date
+ */
+function toDateValue(value, timezone) {
+  if (dateValues.has(value)) {
+    return dateValues.get(value);
+  }
+
+  let date;
+  if (value instanceof Temporal.PlainDate) {
+    date = tzUtil.attachTz(tzUtil.createLocalDate(value, timezone), timezone);
+    date.dateOnly = true;
+  } else if (value instanceof Temporal.PlainDateTime) {
+    date = tzUtil.attachTz(tzUtil.createLocalDate(value, timezone), timezone);
+  } else if (value instanceof Temporal.ZonedDateTime) {
+    date = tzUtil.attachTz(new Date(value.epochMilliseconds), value.timeZoneId);
+  } else if (value instanceof Temporal.Instant) {
+    date = tzUtil.attachTz(new Date(value.epochMilliseconds), 'Etc/UTC');
+  } else {
+    return value;
+  }
+
+  if (value.periodEnd) {
+    date.periodEnd = toDateValue(value.periodEnd, timezone);
+  }
+
+  return date;
+}
+
+function isDateRule(rule) {
+  return isRule(rule) && !ruleSources.has(rule);
+}
+
+// Rules run from DTSTART: keep the Date-based rule while both are unchanged, else build it from the rule text
+function toDateRule(rule, anchor) {
+  const source = ruleSources.get(rule);
+  if (source?.start === anchor) {
+    return source.source;
+  }
+
+  const text = typeof rule === 'string' ? rule : rule?.rule;
+  if (typeof text !== 'string' || !(anchor instanceof Date)) {
+    return rule;
+  }
+
+  const freq = Math.max(text.lastIndexOf('FREQ='), 0);
+  return createRule({start: anchor}, text.slice(freq));
+}
+
+function toDateObject(object, timezone, seen) {
+  const result = {};
+  let changed = false;
+  for (const [key, value] of Object.entries(object)) {
+    result[key] = key === 'rrule' || key === 'exrule' ? value : toDateTree(value, timezone, seen);
+    changed ||= result[key] !== value;
+  }
+
+  const anchor = result.start ?? result.due;
+  if (object.rrule !== undefined && !isDateRule(object.rrule)) {
+    result.rrule = toDateRule(object.rrule, anchor);
+    changed ||= result.rrule !== object.rrule;
+  }
+
+  if (Array.isArray(object.exrule)) {
+    result.exrule = object.exrule.map(rule => (isDateRule(rule) ? rule : toDateRule(rule, anchor)));
+    changed ||= result.exrule.some((rule, index) => rule !== object.exrule[index]);
+  }
+
+  if (!changed) {
+    return object;
+  }
+
+  if (typeof object.type === 'string') {
+    temporalComponents.set(result, object);
+  }
+
+  return result;
+}
+
+// Objects without Temporal values are returned as they are
+function toDateTree(value, timezone, seen) {
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+
+  if (seen.has(value)) {
+    return seen.get(value);
+  }
+
+  // Placeholder for (unexpected) cycles
+  seen.set(value, value);
+  let result;
+  if (Array.isArray(value)) {
+    const items = value.map(item => toDateTree(item, timezone, seen));
+    result = items.every((item, index) => item === value[index]) ? value : items;
+  } else if (isPlainObject(value)) {
+    result = toDateObject(value, timezone, seen);
+  } else {
+    result = toDateValue(value, timezone);
+  }
+
+  seen.set(value, result);
+  return result;
+}
+
+/**
+ * Date-based component (or calendar) for the expansion, the serializers and the alarm
+ * helpers. Temporal values become the Dates they were made from, or new Dates once edited (and in components built by hand); rules are
+ * built again from their text when it or DTSTART changed. Components without
+ * Temporal values are returned as they are.
+ *
+ * @param {object} component
+ * @param {string} [timezone] - Zone of the expansion, for PlainDate and PlainDateTime values
+ * @returns {object} Date-based component
+ */
+function toDateComponent(component, timezone) {
+  return toDateTree(component, timezone, new Map());
+}
+
+function toTemporalComponent(component) {
+  if (!component || typeof component !== 'object') {
+    return component;
+  }
+
+  return temporalComponents.get(component) ?? convertTree(component, new Map());
+}
+
+/**
+ * Convert an expanded instance: `start`, `end` and `due` become Temporal values
+ * and `event` the converted component.
+ *
+ * @param {object} instance - Instance from the Date-based expansion
+ * @returns {object} Instance with Temporal values
+ */
+function toTemporalInstance(instance) {
+  const result = {
+    ...instance,
+    start: toTemporalValue(instance.start),
+    end: toTemporalValue(instance.end),
+    event: toTemporalComponent(instance.event),
+  };
+  if (instance.due !== undefined) {
+    result.due = toTemporalValue(instance.due);
+  }
+
+  return result;
+}
+
+export {
+  isTemporalMode,
+  toTemporalDate,
+  toDateInput,
+  toTemporalCalendar,
+  toDateComponent,
+  toTemporalInstance,
+};
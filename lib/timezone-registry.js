@@ -0,0 +1,143 @@
+/**
+ * Timezone registry: fix TZID resolution at runtime instead of waiting for a
+ * release with an updated windowsZones.json. Aliases and loaded mappings apply
+ * to every later parse and expansion in the process.
+ */
+
+import {XMLParser} from 'fast-xml-parser';
+import tzUtil from './tz-utils.js';
+
+function toArray(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  return value === undefined ? [] : [value];
+}
+
+// Like build/update-windows-zones.js: map each Windows ID to the first zone of its territory "001" entry
+function parseWindowsZonesXml(xml) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseTagValue: false,
+  });
+  const mapZones = toArray(parser.parse(xml)?.supplementalData?.windowsZones?.mapTimezones?.mapZone);
+  if (mapZones.length === 0) {
+    throw new TypeError('windowsZones.xml contains no mapZone entries');
+  }
+
+  const table = {};
+  for (const {other, type, territory} of mapZones) {
+    const iana = typeof type === 'string' ? type.split(' ').find(Boolean) : undefined;
+    if (other && iana && (territory === '001' || !Object.hasOwn(table, other))) {
+      table[other] = {iana: [iana]};
+    }
+  }
+
+  return table;
+}
+
+function readWindowsZones(source) {
+  if (typeof source === 'string') {
+    return source.trimStart().startsWith('<') ? parseWindowsZonesXml(source) : JSON.parse(source);
+  }
+
+  return source;
+}
+
+/**
+ * Register a TZID alias, e.g. a tenant-specific Exchange label. Aliases are matched
+ * like Windows names, ignoring case and whitespace, and take precedence over them.
+ *
+ * @param {string} alias - TZID as found in calendars
+ * @param {string} tzid - IANA name, Windows name or UTC offset label it stands for
+ * @throws {TypeError} When the alias is not a non-empty string
+ * @throws {RangeError} When the target is not a known timezone
+ *
+ * @example
+ * ical.timezones.registerAlias('(UTC+01:00) Amsterdam, Berlin, Bern…', 'Europe/Berlin');
+ */
+function registerAlias(alias, tzid) {
+  if (typeof alias !== 'string' || alias.trim() === '') {
+    throw new TypeError('alias must be a non-empty string');
+  }
+
+  const {iana, offset} = tzUtil.resolveTZID(typeof tzid === 'string' ? tzid : undefined);
+  if (!iana && !offset) {
+    throw new RangeError(`"${tzid}" is not a known timezone`);
+  }
+
+  tzUtil.registerTimezoneAlias(alias, tzid);
+}
+
+/**
+ * Load Windows timezone mappings: the CLDR windowsZones.xml, or JSON in the format of
+ * the bundled windowsZones.json (`{"<label>": {"iana": ["<zone>"]}}`, as a string or
+ * parsed). Loaded entries replace bundled ones with the same label; entries whose zone
+ * is unknown to the runtime are skipped.
+ *
+ * @param {string|Record<string, {iana: string[]}>} source
+ * @returns {{loaded: number, skipped: string[]}} Number of mappings loaded and labels skipped
+ * @throws {TypeError} When the source is neither windowsZones.xml nor a mapping object
+ */
+function loadWindowsZones(source) {
+  const data = readWindowsZones(source);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new TypeError('source must be windowsZones.xml or an object of {iana: [zone]} entries');
+  }
+
+  const table = {};
+  const skipped = [];
+  for (const [label, entry] of Object.entries(data)) {
+    const [iana] = Array.isArray(entry?.iana) ? entry.iana : [];
+    if (typeof iana === 'string' && tzUtil.isValidIana(iana)) {
+      table[label] = {iana: [iana]};
+    } else {
+      skipped.push(label);
+    }
+  }
+
+  tzUtil.mergeWindowsZones(table);
+  return {loaded: Object.keys(table).length, skipped};
+}
+
+/**
+ * TZIDs of a parsed calendar that resolved to neither an IANA zone nor a UTC offset, or
+ * Windows display labels that only resolved to the offset in their "(UTC+hh:mm)" prefix.
+ * Read from the UNKNOWN_TZID and UNRESOLVED_TZID diagnostics, so the calendar must be
+ * parsed with `{diagnostics: true}`.
+ *
+ * @param {object} calendar - Result of a parse with `{diagnostics: true}`
+ * @returns {string[]} Sorted TZIDs
+ */
+function getUnresolved(calendar) {
+  if (!Array.isArray(calendar?.diagnostics)) {
+    throw new TypeError('getUnresolved() needs a calendar parsed with {diagnostics: true}');
+  }
+
+  const tzids = new Set();
+  for (const {code, tzid} of calendar.diagnostics) {
+    if ((code === 'UNKNOWN_TZID' || code === 'UNRESOLVED_TZID') && tzid !== undefined) {
+      tzids.add(tzid);
+    }
+  }
+
+  return [...tzids].toSorted((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Remove registered aliases and loaded mappings, going back to the bundled windowsZones.json.
+ */
+function reset() {
+  tzUtil.resetTimezoneRegistry();
+}
+
+const timezones = {
+  registerAlias,
+  loadWindowsZones,
+  getUnresolved,
+  reset,
+};
+
+export {timezones};
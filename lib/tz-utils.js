@@ -1,11 +1,18 @@
 import windowsZones from '../windowsZones.json' with {type: 'json'};
+import {reportDiagnostic} from './diagnostics.js';
 import {Temporal} from './temporal.js';
+import {createVTimezoneEvaluator, parseStamp} from './vtimezone.js';
 
 // Thin abstraction over Intl to centralize all timezone logic
 // This simplifies swapping libraries later and is easy to mock in tests.
 
 // Minimal alias map to emulate the subset of moment.tz.link behavior tests rely on
 const aliasMap = new Map();
+// Timezone registry: aliases registered at runtime (normalized label -> TZID it stands for)
+const registeredAliases = new Map();
+// Zone given with the `timezone` option of the parse or expansion currently running;
+// both are synchronous per batch, so one slot suffices. Undefined means the host zone.
+let defaultTimezone;
 
 /**
  * Normalize a Windows timezone display label so that visually similar strings compare equally.
@@ -58,7 +65,9 @@ function buildWindowsLabelIndex(source) {
   return index;
 }
 
-const windowsLabelIndex = buildWindowsLabelIndex(windowsZones);
+// Bundled windowsZones.json, merged with tables loaded at runtime
+let windowsZoneTable = windowsZones;
+let windowsLabelIndex = buildWindowsLabelIndex(windowsZones);
 
 /**
  * Resolve a Windows/legacy timezone label to the canonical IANA identifier exported in windowsZones.json.
@@ -67,7 +76,7 @@ const windowsLabelIndex = buildWindowsLabelIndex(windowsZones);
  * @returns {string|null} IANA zone or null if not found
  */
 function mapWindowsZone(label) {
-  const exact = windowsZones[label];
+  const exact = windowsZoneTable[label];
   if (exact && Array.isArray(exact.iana) && exact.iana.length > 0) {
     return exact.iana[0];
   }
@@ -192,6 +201,7 @@ function resolveTZID(value) {
   }
 
   tz = tz.replace(/^"(.*)"$/v, '$1');
+  tz = registeredAliases.get(normalizeWindowsLabel(tz)) ?? tz;
   const original = tz;
 
   if (tz && (tz.includes(' ') || tz.includes(','))) {
@@ -293,6 +303,29 @@ function attachTz(date, tzid) {
   return date;
 }
 
+/**
+ * Attach the evaluator of a VTIMEZONE without IANA equivalent to a Date, as
+ * non-enumerable `zoneRules` metadata next to its TZID, so that recurrence
+ * expansion and date keys can follow the VTIMEZONE's own rules.
+ *
+ * @param {Date} date
+ * @param {object|undefined} zoneRules - Evaluator from createVTimezoneEvaluator()
+ * @returns {Date|undefined} Date with attached timezone metadata
+ */
+function attachZoneRules(date, zoneRules) {
+  if (!date || !zoneRules) {
+    return date;
+  }
+
+  Object.defineProperty(date, 'zoneRules', {
+    value: zoneRules,
+    enumerable: false,
+    configurable: true,
+    writable: false,
+  });
+  return attachTz(date, zoneRules.tzid);
+}
+
 function resolveZone(zone) {
   if (!zone) {
     return zone;
@@ -302,7 +335,111 @@ function resolveZone(zone) {
 }
 
 function guessLocalZone() {
-  return new Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return defaultTimezone ?? new Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Check the `timezone` option of a parse or expansion.
+ *
+ * @param {unknown} timezone
+ * @returns {string|undefined} The zone, or undefined when the option is not set
+ * @throws {RangeError} When the value is not an IANA time zone name
+ */
+function assertTimezone(timezone) {
+  if (timezone === undefined) {
+    return undefined;
+  }
+
+  if (typeof timezone !== 'string' || !isValidIana(timezone)) {
+    throw new RangeError(`options.timezone "${timezone}" is not a known timezone`);
+  }
+
+  return timezone;
+}
+
+/**
+ * Use an IANA zone instead of the host zone for DATE values, floating times and
+ * custom Microsoft TZIDs until the returned function is called.
+ *
+ * @param {string|undefined} timezone - Zone from the `timezone` option; undefined keeps the host zone
+ * @returns {() => void} Restores the previously active zone
+ */
+function activateTimezone(timezone) {
+  const previous = defaultTimezone;
+  defaultTimezone = timezone;
+  return () => {
+    defaultTimezone = previous;
+  };
+}
+
+/**
+ * Zone set with the `timezone` option of the running parse or expansion.
+ *
+ * @returns {string|undefined} IANA zone, or undefined for the host zone
+ */
+function getDefaultTimezone() {
+  return defaultTimezone;
+}
+
+/**
+ * Create the Date for a local date and time, like `new Date(year, monthIndex, …)`
+ * but in the given zone. Out-of-range fields roll over, e.g. day 32 of January
+ * is February 1st; times in a DST gap move forward.
+ *
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number, second?: number}} fields - Month is 1-based
+ * @param {string} [timezone] - IANA zone (default: the active `timezone` option, else the host zone)
+ * @returns {Date} The instant of that local time
+ */
+function createLocalDate({year, month, day, hour = 0, minute = 0, second = 0}, timezone = defaultTimezone) {
+  if (!timezone) {
+    return new Date(year, month - 1, day, hour, minute, second);
+  }
+
+  const epochMs = Temporal.PlainDate.from({year, month: 1, day: 1})
+    .toPlainDateTime()
+    .add({
+      months: month - 1,
+      days: day - 1,
+      hours: hour,
+      minutes: minute,
+      seconds: second,
+    })
+    .toZonedDateTime(resolveZone(timezone))
+    .epochMilliseconds;
+  return new Date(epochMs);
+}
+
+/**
+ * Read the local date and time of a Date. DATE values are read in the zone they
+ * were created in (their `tz`, else the host zone); other Dates in the active
+ * `timezone` option, else the host zone.
+ *
+ * @param {Date} date
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} Fields, month 1-based
+ */
+function getLocalDateParts(date) {
+  const timezone = date.dateOnly ? date.tz : defaultTimezone;
+  if (!timezone || !isValidIana(timezone)) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds(),
+    };
+  }
+
+  const {year, month, day, hour, minute, second} = Temporal.Instant.fromEpochMilliseconds(date.getTime())
+    .toZonedDateTimeISO(resolveZone(timezone));
+  return {
+    year,
+    month,
+    day,
+    hour,
+    minute,
+    second,
+  };
 }
 
 /**
@@ -437,6 +574,23 @@ function parseWithOffset(yyyymmddThhmmss, offset) {
   return attachTz(new Date(utcMs), normalizedOffset);
 }
 
+/**
+ * Interpret a local wall time (`YYYYMMDDTHHmmss`) with the rules of a VTIMEZONE.
+ * Folds and gaps are resolved like parseDateTimeInZone().
+ *
+ * @param {string} yyyymmddThhmmss
+ * @param {object} zoneRules - Evaluator from createVTimezoneEvaluator()
+ * @returns {Date|undefined} Date carrying the VTIMEZONE's TZID and rules, or undefined if malformed
+ */
+function parseDateTimeWithRules(yyyymmddThhmmss, zoneRules) {
+  const stamp = parseStamp(yyyymmddThhmmss);
+  if (!stamp || stamp.utc || !zoneRules) {
+    return undefined;
+  }
+
+  return attachZoneRules(new Date(zoneRules.toEpochMilliseconds(stamp.wallMs)), zoneRules);
+}
+
 function utcAdd(date, amount, unit) {
   if (!(date instanceof Date)) {
     return undefined;
@@ -471,6 +625,41 @@ function linkAlias(arg1, arg2) {
   aliasMap.set(String(arg1), String(arg2));
 }
 
+/**
+ * Make resolveTZID() read `alias` as `tzid`; see timezones.registerAlias().
+ *
+ * @param {string} alias
+ * @param {string} tzid
+ */
+function registerTimezoneAlias(alias, tzid) {
+  registeredAliases.set(normalizeWindowsLabel(alias), tzid);
+}
+
+/**
+ * Merge Windows label mappings into the table mapWindowsZone() reads; the new
+ * entries replace existing ones with the same (normalized) label.
+ *
+ * @param {Record<string, {iana: string[]}>} table - Entries in the windowsZones.json format
+ */
+function mergeWindowsZones(table) {
+  const merged = {...table};
+  for (const [label, data] of Object.entries(windowsZoneTable)) {
+    merged[label] ??= data;
+  }
+
+  windowsZoneTable = merged;
+  windowsLabelIndex = buildWindowsLabelIndex(merged);
+}
+
+/**
+ * Drop registered aliases and loaded Windows mappings, back to the bundled windowsZones.json.
+ */
+function resetTimezoneRegistry() {
+  registeredAliases.clear();
+  windowsZoneTable = windowsZones;
+  windowsLabelIndex = buildWindowsLabelIndex(windowsZones);
+}
+
 // Memoize VTIMEZONE→IANA lookups keyed by "stdOffset|dstOffset|year"
 const vtimezoneIanaCache = new Map();
 
@@ -503,9 +692,41 @@ function pickApplicableBlock(blocks, refYear) {
   return sorted.find(b => getYear(b) <= refYear) ?? sorted.at(-1);
 }
 
+function getZoneOffsetMinutes(zone, epochMilliseconds) {
+  return Temporal.Instant.fromEpochMilliseconds(epochMilliseconds).toZonedDateTimeISO(zone).offsetNanoseconds / 60_000_000_000;
+}
+
+/**
+ * Check that an IANA zone has the same UTC offset as a VTIMEZONE throughout a year.
+ * Both offsets are step functions, so comparing them at the start of the year and
+ * at every transition of either one covers every instant.
+ *
+ * @param {string} zone - IANA zone
+ * @param {object} zoneRules - Evaluator from createVTimezoneEvaluator()
+ * @param {number} year
+ * @returns {boolean} True when the zone is an exact equivalent for that year
+ */
+function matchesZoneRules(zone, zoneRules, year) {
+  const yearStart = Temporal.Instant.from(`${String(year).padStart(4, '0')}-01-01T00:00:00Z`).toZonedDateTimeISO(zone);
+  const yearEnd = yearStart.add({years: 1}).epochMilliseconds;
+  const samples = [yearStart.epochMilliseconds, ...zoneRules.getTransitions(year).map(({epochMilliseconds}) => epochMilliseconds)];
+
+  for (let transition = yearStart.getTimeZoneTransition('next'); transition && transition.epochMilliseconds < yearEnd; transition = transition.getTimeZoneTransition('next')) {
+    samples.push(transition.epochMilliseconds);
+  }
+
+  return samples.every(epochMilliseconds => getZoneOffsetMinutes(zone, epochMilliseconds) === zoneRules.getOffsetMinutes(epochMilliseconds));
+}
+
+function getUnresolvedVTimezoneMessage(stdMins, dstMins, year) {
+  return `resolveVTimezoneToIana: no IANA zone matched STD=${stdMins} DST=${dstMins} for year ${year}; falling back to floating time`;
+}
+
 /**
  * Attempt to match a parsed VTIMEZONE (with STANDARD/DAYLIGHT sub-components) to a
  * known IANA timezone by comparing UTC offsets at two probe dates (January and July).
+ * When the observances carry their DTSTART (and RRULE/RDATE) onsets, a candidate is
+ * only accepted if it also shares every transition of the VTIMEZONE in that year.
  *
  * This resolves Outlook's "Customized Time Zone" and similar Microsoft-generated
  * identifiers to a real IANA zone so that recurring events that span DST boundaries
@@ -521,9 +742,11 @@ function pickApplicableBlock(blocks, refYear) {
  *      `offset` is always the raw fixed UTC offset (e.g. "-05:00").  `iana` is
  *      set to an Etc/GMT-style zone when one maps exactly, otherwise undefined.
  *
- *   3. DST zone but no IANA match:  { iana: undefined, offset: undefined }
- *      No reliable representation is available; callers should fall back to
- *      floating/local time rather than returning a confidently wrong offset.
+ *   3. DST zone but no exact IANA match:  { iana: undefined, offset: undefined }
+ *      No IANA representation is available; callers evaluate the VTIMEZONE's
+ *      own rules (see createVTimezoneEvaluator) rather than returning a
+ *      confidently wrong offset, and fall back to floating/local time only
+ *      when it has no usable observance.
  *
  * @param {object} vTimezone - Parsed VTIMEZONE object (from the node-ical parser stack)
  * @param {number} year - Reference year used to select the applicable observance block
@@ -570,10 +793,18 @@ function resolveVTimezoneToIana(vTimezone, year) {
     return {iana: etc || undefined, offset: stdOffset};
   }
 
-  // Cache key: unique per offset pair and year (DST boundaries can change historically)
-  const cacheKey = `${stdMins}|${dstMins}|${yearNumber}`;
+  const zoneRules = createVTimezoneEvaluator(vTimezone);
+
+  // Cache key: unique per rule set (or offset pair) and year (DST boundaries can change historically)
+  const cacheKey = `${zoneRules?.signature ?? `${stdMins}|${dstMins}`}|${yearNumber}`;
   if (vtimezoneIanaCache.has(cacheKey)) {
-    return vtimezoneIanaCache.get(cacheKey);
+    const cached = vtimezoneIanaCache.get(cacheKey);
+    if (!cached.iana && !zoneRules) {
+      // Already warned about on the console; still record it for the current parse
+      reportDiagnostic('UNRESOLVED_VTIMEZONE', getUnresolvedVTimezoneMessage(stdMins, dstMins, yearNumber), {tzid: vTimezone.tzid, silent: true});
+    }
+
+    return cached;
   }
 
   // Probe two dates: mid-January (winter in NH / summer in SH) and mid-July (inverse).
@@ -583,6 +814,8 @@ function resolveVTimezoneToIana(vTimezone, year) {
   const probeYear = String(Math.max(yearNumber, 1970)).padStart(4, '0');
   const probeJan = Temporal.Instant.from(`${probeYear}-01-15T12:00:00Z`);
   const probeJul = Temporal.Instant.from(`${probeYear}-07-15T12:00:00Z`);
+  // Observances without DTSTART or without onsets in that year can only be matched by the probes
+  const verifyRules = zoneRules?.getTransitions(Number(probeYear)).some(({offsetFrom, offsetTo}) => offsetFrom !== offsetTo);
 
   for (const zone of getZoneNames()) {
     try {
@@ -592,7 +825,8 @@ function resolveVTimezoneToIana(vTimezone, year) {
       // Match: both probe offsets must equal one of {stdMins, dstMins} (in either order,
       // to handle both northern and southern hemisphere DST conventions)
       const offsets = new Set([stdMins, dstMins]);
-      if (offsets.has(janOffset) && offsets.has(julOffset) && janOffset !== julOffset) {
+      if (offsets.has(janOffset) && offsets.has(julOffset) && janOffset !== julOffset
+        && (!verifyRules || matchesZoneRules(zone, zoneRules, Number(probeYear)))) {
         const result = {iana: zone, offset: stdOffset};
         vtimezoneIanaCache.set(cacheKey, result);
         return result;
@@ -602,16 +836,17 @@ function resolveVTimezoneToIana(vTimezone, year) {
     }
   }
 
-  // No IANA zone matched both probe offsets.
+  // No IANA zone matched both probe offsets (and the VTIMEZONE's transitions).
   // Returning stdOffset here would be silently wrong for ~50 % of timestamps
   // (those that fall in the DST period).  Return undefined instead so callers
-  // fall back to floating/local time rather than applying a confident wrong offset.
-  // This path should be unreachable in practice because every real DST zone is
-  // present in the Temporal/Intl database; the warning is here to surface any
-  // exception quickly.
-  console.warn(`[node-ical] resolveVTimezoneToIana: no IANA zone matched STD=${stdMins} DST=${dstMins} for year ${yearNumber}; falling back to floating time`);
+  // evaluate the VTIMEZONE's own rules, or fall back to floating/local time
+  // when it has none, rather than applying a confident wrong offset.
   const fallback = {iana: undefined, offset: undefined};
   vtimezoneIanaCache.set(cacheKey, fallback);
+  if (!zoneRules) {
+    reportDiagnostic('UNRESOLVED_VTIMEZONE', getUnresolvedVTimezoneMessage(stdMins, dstMins, yearNumber), {tzid: vTimezone.tzid});
+  }
+
   return fallback;
 }
 
@@ -622,38 +857,63 @@ const __test__ = {
 
 const tzUtil = {
   guessLocalZone,
+  assertTimezone,
+  activateTimezone,
+  getDefaultTimezone,
+  createLocalDate,
+  getLocalDateParts,
+  minutesToOffset,
   getZoneNames,
   findExactZoneMatch,
   isValidIana,
   parseDateTimeInZone,
   parseWithOffset,
+  parseDateTimeWithRules,
   utcAdd,
   linkAlias,
+  registerTimezoneAlias,
+  mergeWindowsZones,
+  resetTimezoneRegistry,
   resolveTZID,
   resolveVTimezoneToIana,
   formatDateForRrule,
   attachTz,
+  attachZoneRules,
+  createVTimezoneEvaluator,
   isUtcTimezone,
   __test__,
 };
 
 export {
   guessLocalZone,
+  assertTimezone,
+  activateTimezone,
+  getDefaultTimezone,
+  createLocalDate,
+  getLocalDateParts,
+  minutesToOffset,
   getZoneNames,
   findExactZoneMatch,
   isValidIana,
   parseDateTimeInZone,
   parseWithOffset,
+  parseDateTimeWithRules,
   utcAdd,
   linkAlias,
+  registerTimezoneAlias,
+  mergeWindowsZones,
+  resetTimezoneRegistry,
   resolveTZID,
   resolveVTimezoneToIana,
   formatDateForRrule,
   attachTz,
+  attachZoneRules,
   isUtcTimezone,
   __test__,
 };
 
+export {createVTimezoneEvaluator} from './vtimezone.js';
+
 export default tzUtil;
 
 function isUtcTimezone(tz) {
@@ -0,0 +1,90 @@
+import {createHash} from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Create an in-memory store for `fromURL`'s conditional request cache.
+ * Entries keep the validators, the raw ICS body and the results parsed from it
+ * (per set of parse options), which a `304 Not Modified` answer is copied from.
+ *
+ * @returns {{get: (key: string) => object | undefined, set: (key: string, entry: object) => void, delete: (key: string) => boolean}} Cache store backed by a Map
+ */
+function createMemoryCache() {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      return entries.get(key);
+    },
+    set(key, entry) {
+      entries.set(key, entry);
+    },
+    delete(key) {
+      return entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Create a filesystem store for `fromURL`'s conditional request cache.
+ * Each URL is kept as a JSON file (validators plus the raw ICS body) named after
+ * the SHA-256 hash of its cache key, so cached feeds survive process restarts.
+ * Parsed calendars are not persisted; a `304` re-parses the stored body.
+ *
+ * @param {string} directory - Directory to keep cache files in (created on first write)
+ * @returns {{get: (key: string) => Promise<object | undefined>, set: (key: string, entry: object) => Promise<void>, delete: (key: string) => Promise<boolean>}} Cache store backed by JSON files
+ */
+function createFileCache(directory) {
+  if (typeof directory !== 'string' || directory === '') {
+    throw new TypeError('createFileCache expects a directory path');
+  }
+
+  const fileFor = key => path.join(directory, `${createHash('sha256').update(key).digest('hex')}.json`);
+
+  return {
+    async get(key) {
+      let content;
+      try {
+        content = await fs.promises.readFile(fileFor(key), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return undefined;
+        }
+
+        throw error;
+      }
+
+      try {
+        const {etag, lastModified, body} = JSON.parse(content);
+        return {etag, lastModified, body};
+      } catch {
+        // A truncated or foreign file is treated as a cache miss
+        return undefined;
+      }
+    },
+    async set(key, {etag, lastModified, body}) {
+      await fs.promises.mkdir(directory, {recursive: true});
+      const content = JSON.stringify({
+        key,
+        etag,
+        lastModified,
+        body,
+      });
+      await fs.promises.writeFile(fileFor(key), content, 'utf8');
+    },
+    async delete(key) {
+      try {
+        await fs.promises.unlink(fileFor(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+
+        throw error;
+      }
+    },
+  };
+}
+
+export {createMemoryCache, createFileCache};
@@ -0,0 +1,407 @@
+import {
+  ParseError,
+  activateDiagnostics,
+  createDiagnosticsContext,
+  finishDiagnostics,
+} from './diagnostics.js';
+import {readContentLine, unfoldLines} from './ical-parser-utils.js';
+import tzUtil from './tz-utils.js';
+
+// Properties every component of a type must carry, as [ICS name, parsed key].
+const REQUIRED_PROPERTIES = {
+  VEVENT: [['UID', 'uid'], ['DTSTAMP', 'dtstamp'], ['DTSTART', 'start']],
+  VTODO: [['UID', 'uid'], ['DTSTAMP', 'dtstamp']],
+  VJOURNAL: [['UID', 'uid'], ['DTSTAMP', 'dtstamp']],
+};
+// Date properties whose TZID a parsed component still carries, as [ICS name, parsed key].
+const ZONED_PROPERTIES = [['DTSTART', 'start'], ['DTEND', 'end'], ['DUE', 'due'], ['RECURRENCE-ID', 'recurrenceid']];
+const UNTIL_PATTERN = /(?:^|;)UNTIL=\d{8}(T\d{6})?(Z)?/v;
+
+function getParameter(parameters, name) {
+  const prefix = `${name}=`;
+  return parameters.find(parameter => parameter.toUpperCase().startsWith(prefix))?.slice(prefix.length);
+}
+
+function createIssue(record, code, message, {property, line = record.line, tzid} = {}) {
+  const issue = {severity: 'error', code};
+  if (line !== undefined) {
+    issue.line = line;
+  }
+
+  issue.path = record.path;
+  issue.message = message;
+  const uid = record.component?.uid;
+  if (uid !== undefined) {
+    issue.uid = uid;
+  }
+
+  if (property !== undefined) {
+    issue.property = property;
+  }
+
+  if (tzid !== undefined) {
+    issue.tzid = tzid;
+  }
+
+  return issue;
+}
+
+/**
+ * Type of an RRULE's UNTIL that does not match its DTSTART (RFC 5545 §3.3.10),
+ * judged on the raw values since the parser normalizes UNTIL.
+ * @param {{value: string, parameters: string[]}} dtstart - Raw DTSTART property
+ * @param {string} rrule - Raw RRULE value
+ * @returns {string|undefined} Description of the mismatch, if any
+ */
+function getUntilMismatch(dtstart, rrule) {
+  const until = UNTIL_PATTERN.exec(rrule.toUpperCase());
+  if (!until) {
+    return undefined;
+  }
+
+  const [, timePart, utc] = until;
+  const startIsDate = getParameter(dtstart.parameters, 'VALUE')?.toUpperCase() === 'DATE' || /^\d{8}$/v.test(dtstart.value);
+  if (startIsDate) {
+    return timePart ? 'UNTIL is a DATE-TIME but DTSTART is a DATE' : undefined;
+  }
+
+  if (!timePart) {
+    return 'UNTIL is a DATE but DTSTART is a DATE-TIME';
+  }
+
+  const startIsZoned = getParameter(dtstart.parameters, 'TZID') !== undefined || dtstart.value.toUpperCase().endsWith('Z');
+  if (startIsZoned && !utc) {
+    return 'UNTIL must be in UTC when DTSTART has a timezone';
+  }
+
+  return undefined;
+}
+
+function isKnownTzid(tzid, definedTzids) {
+  if (definedTzids.has(tzid)) {
+    return true;
+  }
+
+  const tzInfo = tzUtil.resolveTZID(tzid);
+  return Boolean(tzInfo.iana || tzInfo.offset);
+}
+
+/**
+ * Check one component. Raw properties (only available for ICS text) allow the
+ * checks the parsed form cannot express: DTEND next to DURATION (the parser
+ * derives DTEND from DURATION) and the type of UNTIL (the parser normalizes it).
+ * @param {object} record - `{type, component, line, path, properties?}`
+ * @returns {Array<object>} Issues found
+ */
+function checkComponent(record) {
+  const {type, component, properties} = record;
+  const issues = [];
+  const own = properties?.filter(property => !property.nested);
+  const findProperty = name => own?.find(property => property.name === name);
+  const propertyLine = name => findProperty(name)?.line ?? record.line;
+
+  for (const [name, key] of REQUIRED_PROPERTIES[type]) {
+    if (component[key] === undefined) {
+      issues.push(createIssue(record, 'MISSING_PROPERTY', `${type} is missing the required ${name} property`, {property: name}));
+    }
+  }
+
+  const endName = type === 'VTODO' ? 'DUE' : 'DTEND';
+  const endKey = type === 'VTODO' ? 'due' : 'end';
+  const hasDuration = (own ? findProperty('DURATION') : component.duration) !== undefined;
+  // Without raw properties a DURATION means the parser derived `end` from it
+  const hasEnd = own ? findProperty(endName) !== undefined : component[endKey] !== undefined && !hasDuration;
+
+  if (type !== 'VJOURNAL' && hasEnd && hasDuration) {
+    issues.push(createIssue(record, 'CONFLICTING_PROPERTIES', `${type} must not contain both ${endName} and DURATION`, {property: 'DURATION', line: propertyLine('DURATION')}));
+  }
+
+  const {start} = component;
+  const end = component[endKey];
+  if (type !== 'VJOURNAL' && hasEnd && start instanceof Date && end instanceof Date && end < start) {
+    issues.push(createIssue(record, `${endName}_BEFORE_START`, `${endName} must not be before DTSTART`, {property: endName, line: propertyLine(endName)}));
+  }
+
+  const dtstart = findProperty('DTSTART');
+  const rrule = findProperty('RRULE');
+  const untilMismatch = dtstart && rrule && getUntilMismatch(dtstart, rrule.value);
+  if (untilMismatch) {
+    issues.push(createIssue(record, 'UNTIL_TYPE_MISMATCH', `RRULE ${untilMismatch}`, {property: 'RRULE', line: rrule.line}));
+  }
+
+  return issues;
+}
+
+function getTzidUses(record) {
+  if (record.properties) {
+    return record.properties
+      .map(property => ({property: property.name, line: property.line, tzid: getParameter(property.parameters, 'TZID')}))
+      .filter(({tzid}) => tzid !== undefined);
+  }
+
+  return ZONED_PROPERTIES
+    .filter(([, key]) => typeof record.component[key]?.tz === 'string')
+    .map(([property, key]) => ({property, tzid: record.component[key].tz}));
+}
+
+function checkTzids(records, definedTzids) {
+  const issues = [];
+
+  for (const record of records) {
+    for (const {property, line, tzid} of getTzidUses(record)) {
+      if (!isKnownTzid(tzid, definedTzids)) {
+        issues.push(createIssue(record, 'UNKNOWN_TZID', `Unknown TZID "${tzid}": no VTIMEZONE defines it and it is not a recognized timezone`, {property, line, tzid}));
+      }
+    }
+  }
+
+  return issues;
+}
+
+function checkDuplicateUids(records) {
+  const issues = [];
+  const seen = new Map();
+
+  for (const record of records) {
+    const {uid} = record.component;
+    if (uid === undefined || record.component.recurrenceid !== undefined) {
+      continue;
+    }
+
+    const first = seen.get(uid);
+    if (first === undefined) {
+      seen.set(uid, record);
+      continue;
+    }
+
+    const firstLocation = first.line === undefined ? '' : ` (line ${first.line})`;
+    issues.push(createIssue(record, 'DUPLICATE_UID', `UID "${uid}" is already used by another ${first.type}${firstLocation} without RECURRENCE-ID`, {property: 'UID'}));
+  }
+
+  return issues;
+}
+
+/**
+ * Collect the components of a parsed calendar, including RECURRENCE-ID overrides.
+ * @param {object} calendar - Result of parseICS, parseFile or fromURL
+ * @returns {{records: Array<object>, definedTzids: Set<string>}} Components to check and the TZIDs defined by VTIMEZONEs
+ */
+function collectParsedRecords(calendar) {
+  const records = [];
+  const definedTzids = new Set();
+  const components = new Set(Object.values(calendar));
+
+  for (const component of components) {
+    if (component?.type === 'VTIMEZONE' && typeof component.tzid === 'string') {
+      definedTzids.add(component.tzid);
+    }
+
+    if (!Object.hasOwn(REQUIRED_PROPERTIES, component?.type)) {
+      continue;
+    }
+
+    const overrides = new Set(Object.values(component.recurrences ?? {}));
+    for (const entry of [component, ...overrides]) {
+      records.push({type: component.type, component: entry, path: ['VCALENDAR', component.type]});
+    }
+  }
+
+  return {records, definedTzids};
+}
+
+// Components directly inside VCALENDAR (or at the top of a bare file) are checked one by one.
+function getTopLevelDepth(open) {
+  return open[0]?.type === 'VCALENDAR' ? 1 : 0;
+}
+
+/**
+ * Keep the raw lines of the top-level components; properties of nested
+ * components (VALARM, …) are added to their top-level component as `nested`.
+ * @param {Array<object>} open - Raw records of the open components, outermost first
+ * @param {{name: string, value: string, parameters: string[]}} contentLine
+ * @param {number} line - 1-based line number
+ * @param {string[]} path - Enclosing components, outermost first
+ */
+function trackRawComponent(open, {name, value, parameters}, line, path) {
+  const depth = getTopLevelDepth(open);
+  if (name === 'BEGIN') {
+    open.push({
+      type: String(value).toUpperCase(),
+      line,
+      path,
+      properties: [],
+    });
+  } else if (name !== 'END' && open.length > depth) {
+    open[depth].properties.push({
+      name,
+      parameters,
+      value,
+      line,
+      nested: open.length > depth + 1,
+    });
+  }
+}
+
+/**
+ * Take a top-level component that just ended: remember the TZID of a VTIMEZONE,
+ * or detach the parsed component from the calendar (so the next one sharing its
+ * UID is not merged into it) and keep it for checking.
+ * @param {object} record - Raw record of the component
+ * @param {object} state
+ * @param {object} state.component - Parsed component
+ * @param {object} state.parent - Object the parser stored the component in
+ * @param {Set<string>} state.keysBefore - Keys of `parent` before the component ended
+ * @param {Array<object>} state.records - Components to check
+ * @param {Set<string>} state.definedTzids - TZIDs defined by VTIMEZONEs
+ */
+function finishTopLevelComponent(record, {component, parent, keysBefore, records, definedTzids}) {
+  if (record.type === 'VTIMEZONE') {
+    const tzid = record.properties.find(property => property.name === 'TZID')?.value;
+    if (tzid !== undefined) {
+      definedTzids.add(tzid);
+    }
+
+    return;
+  }
+
+  for (const key of Object.keys(parent ?? {})) {
+    if (!keysBefore.has(key) || parent[key] === component) {
+      delete parent[key];
+    }
+  }
+
+  if (Object.hasOwn(REQUIRED_PROPERTIES, record.type)) {
+    records.push({...record, component});
+  }
+}
+
+/**
+ * Build the validator on top of the regular line handler.
+ *
+ * @param {object} options
+ * @param {(name: string, value: string, parameters: string[], ctx: object, stack: Array<object>, line: string) => object} options.handleObject - Property handler from ical.js
+ * @returns {(calendarOrIcs: (string|object)) => {valid: boolean, issues: Array<object>}} validate implementation
+ */
+function createValidator({handleObject}) {
+  /**
+   * Parse ICS text one top-level component at a time, keeping each component
+   * apart (the regular parse merges components sharing a UID) together with
+   * its raw properties and line numbers.
+   * @param {string} text - Raw iCalendar data
+   * @returns {{records: Array<object>, definedTzids: Set<string>, diagnostics: Array<object>}} Components, TZIDs defined by VTIMEZONEs and parse diagnostics
+   */
+  function scanText(text) {
+    const lines = text.split(/\r?\n/v);
+    const diagnosticsContext = createDiagnosticsContext({diagnostics: true});
+    const restoreDiagnostics = activateDiagnostics(diagnosticsContext);
+    const records = [];
+    const definedTzids = new Set();
+    const open = [];
+    let ctx = {};
+    const stack = [];
+
+    try {
+      for (const {line, lineNumber} of unfoldLines(lines)) {
+        const contentLine = readContentLine(line, lineNumber, ctx, diagnosticsContext);
+        if (contentLine === null) {
+          continue;
+        }
+
+        const {name, value, parameters} = contentLine;
+
+        trackRawComponent(open, contentLine, lineNumber, [...diagnosticsContext.path]);
+
+        const ended = ctx;
+        const parent = stack.at(-1);
+        const keysBefore = name === 'END' && parent ? new Set(Object.keys(parent)) : undefined;
+        ctx = handleObject(name, value, parameters, ctx, stack, contentLine.line) || {};
+
+        if (name === 'END' && open.at(-1)?.type === String(value).toUpperCase()) {
+          const record = open.pop();
+          if (open.length === getTopLevelDepth(open) && record.type !== 'VCALENDAR') {
+            finishTopLevelComponent(record, {
+              component: ended,
+              parent,
+              keysBefore,
+              records,
+              definedTzids,
+            });
+          }
+        }
+      }
+
+      finishDiagnostics(diagnosticsContext, {});
+    } catch (error) {
+      if (!(error instanceof ParseError)) {
+        throw error;
+      }
+
+      // Fatal problems (e.g. a duplicate DTSTART) end the scan; report what was checked so far
+      diagnosticsContext.diagnostics.push({
+        severity: 'error',
+        code: error.code,
+        line: error.line,
+        path: error.path,
+        message: error.message,
+      });
+    } finally {
+      restoreDiagnostics();
+    }
+
+    return {records, definedTzids, diagnostics: diagnosticsContext.diagnostics};
+  }
+
+  /**
+   * Check a calendar against the rules of RFC 5545 that matter for consumers:
+   * - UID and DTSTAMP in VEVENT, VTODO and VJOURNAL, DTSTART in VEVENT (`MISSING_PROPERTY`)
+   * - DTEND or DUE together with DURATION (`CONFLICTING_PROPERTIES`)
+   * - DTEND or DUE before DTSTART (`DTEND_BEFORE_START`, `DUE_BEFORE_START`)
+   * - TZIDs neither defined by a VTIMEZONE nor resolvable by node-ical (`UNKNOWN_TZID`)
+   * - RRULE UNTIL of another value type than DTSTART (`UNTIL_TYPE_MISMATCH`)
+   * - components sharing a UID without RECURRENCE-ID (`DUPLICATE_UID`)
+   *
+   * ICS text gets every check, located by line, plus the diagnostics of the parse
+   * (see `parseICS` with `{diagnostics: true}`). A parsed calendar no longer shows
+   * merged duplicates, the original UNTIL or a DTEND next to DURATION, so those
+   * checks only run on text.
+   * @param {string|object} calendarOrIcs - ICS text or parsed calendar
+   * @returns {{valid: boolean, issues: Array<{severity: string, code: string, line?: number, path: string[], message: string, uid?: string, property?: string, tzid?: string}>}} `valid` is false when any issue has severity `error`; issues are sorted by line
+   *
+   * @example
+   * const {valid, issues} = ical.validate(icsString);
+   * for (const {severity, code, line, message} of issues) {
+   *   console.log(`${severity} ${code} at line ${line}: ${message}`);
+   * }
+   */
+  function validate(calendarOrIcs) {
+    let scan;
+    if (typeof calendarOrIcs === 'string') {
+      scan = scanText(calendarOrIcs);
+    } else if (calendarOrIcs && typeof calendarOrIcs === 'object') {
+      scan = {...collectParsedRecords(calendarOrIcs), diagnostics: []};
+    } else {
+      throw new TypeError('validate expects an iCalendar string or a parsed calendar object');
+    }
+
+    const {records, definedTzids, diagnostics} = scan;
+    const issues = [
+      ...records.flatMap(record => checkComponent(record)),
+      ...checkTzids(records, definedTzids),
+      ...checkDuplicateUids(records),
+    ];
+
+    // Validation issues replace the parse diagnostics reporting the same problem on the same line
+    const reported = new Set(issues.map(issue => `${issue.code}@${issue.line}`));
+    issues.push(...diagnostics.filter(diagnostic => !reported.has(`${diagnostic.code}@${diagnostic.line}`)));
+
+    const lineOf = issue => issue.line ?? Number.MAX_SAFE_INTEGER;
+    return {
+      valid: issues.every(issue => issue.severity !== 'error'),
+      issues: issues.toSorted((a, b) => lineOf(a) - lineOf(b)),
+    };
+  }
+
+  return validate;
+}
+
+export {createValidator};
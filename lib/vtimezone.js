@@ -0,0 +1,366 @@
+import {RRuleTemporal} from 'rrule-temporal';
+import {Temporal} from './temporal.js';
+
+/**
+ * VTIMEZONE rule engine: computes the UTC offset of a VTIMEZONE for any instant
+ * from the DTSTART, RRULE, RDATE, TZOFFSETFROM and TZOFFSETTO of its STANDARD and
+ * DAYLIGHT observances (RFC 5545 §3.6.5), for zones without an exact IANA equivalent.
+ *
+ * Wall-clock times are handled as "pseudo-UTC" milliseconds: the local date and
+ * time fields read as if they were UTC. Observance rules are expanded in that
+ * space, so their BYDAY/BYMONTH/BYHOUR parts apply to local time as the RFC requires.
+ */
+
+const MINUTE_MS = 60_000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const OBSERVANCE_TYPES = new Set(['STANDARD', 'DAYLIGHT']);
+const STAMP_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/v;
+const OFFSET_PATTERN = /^([+\-])(\d{2}):?(\d{2})(?::?(\d{2}))?$/v;
+
+// Evaluators are built once per parsed VTIMEZONE object
+const evaluatorCache = new WeakMap();
+
+/**
+ * Parse a UTC offset such as "-0500", "+0530" or "+01:00:30".
+ * @param {string} value
+ * @returns {number|undefined} Offset in minutes, or undefined when malformed
+ */
+function parseUtcOffset(value) {
+  const match = OFFSET_PATTERN.exec(String(value ?? '').trim());
+  if (!match) {
+    return undefined;
+  }
+
+  const minutes = (Number(match[2]) * 60) + Number(match[3]) + (Number(match[4] ?? 0) / 60);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+function startOfYear(year) {
+  // SetUTCFullYear keeps years below 100 as they are, unlike Date.UTC
+  return new Date(0).setUTCFullYear(year, 0, 1);
+}
+
+function toPseudoZonedDateTime(wallMs) {
+  return Temporal.Instant.fromEpochMilliseconds(wallMs).toZonedDateTimeISO('UTC');
+}
+
+function formatStamp(wallMs) {
+  return new Date(wallMs).toISOString().replaceAll(/[\-:]/gv, '').slice(0, 15);
+}
+
+/**
+ * Parse a DATE or DATE-TIME stamp like "20071104T020000" into pseudo-UTC milliseconds.
+ * @param {string} value
+ * @returns {{wallMs: number, utc: boolean}|undefined} Wall-clock time, and whether the stamp was in UTC
+ */
+function parseStamp(value) {
+  const match = STAMP_PATTERN.exec(String(value).trim());
+  if (!match) {
+    return undefined;
+  }
+
+  const wallMs = Temporal.PlainDateTime.from({
+    year: Number(match[1]),
+    month: Number(match[2]),
+    day: Number(match[3]),
+    hour: Number(match[4] ?? 0),
+    minute: Number(match[5] ?? 0),
+    second: Number(match[6] ?? 0),
+  }).toZonedDateTime('UTC').epochMilliseconds;
+
+  return {wallMs, utc: match[7] === 'Z'};
+}
+
+/**
+ * Wall-clock time of an observance DTSTART. The parser keeps the raw stamp as
+ * non-enumerable `wallClock` metadata, because a local Date cannot represent
+ * wall-clock times that fall into a DST gap of the host timezone.
+ * @param {Date} start
+ * @returns {number|undefined} Pseudo-UTC milliseconds
+ */
+function getStartWallMs(start) {
+  if (!(start instanceof Date) || Number.isNaN(start.getTime())) {
+    return undefined;
+  }
+
+  if (typeof start.wallClock === 'string') {
+    return parseStamp(start.wallClock)?.wallMs;
+  }
+
+  return Temporal.PlainDateTime.from({
+    year: start.getFullYear(),
+    month: start.getMonth() + 1,
+    day: start.getDate(),
+    hour: start.getHours(),
+    minute: start.getMinutes(),
+    second: start.getSeconds(),
+  }).toZonedDateTime('UTC').epochMilliseconds;
+}
+
+/**
+ * Collect the RDATE onsets of an observance. Observance RDATEs are kept as raw
+ * text by the parser; UTC values are moved to local time using TZOFFSETFROM.
+ * @param {string|object|Array<string|object>} [rdate]
+ * @param {number} offsetFrom - Minutes
+ * @returns {number[]} Pseudo-UTC milliseconds
+ */
+function collectRdates(rdate, offsetFrom) {
+  return [rdate ?? []].flat()
+    .flatMap(item => String(item?.val ?? item).split(','))
+    .map(value => parseStamp(value))
+    .filter(Boolean)
+    .map(({wallMs, utc}) => (utc ? wallMs + (offsetFrom * MINUTE_MS) : wallMs));
+}
+
+/**
+ * Build the rule of an observance, expanded on wall-clock time. UNTIL must be in
+ * UTC (RFC 5545), so it is moved to local time using TZOFFSETFROM, the offset
+ * in effect until the onset.
+ * @param {string} [rrule] - RRULE content line or value
+ * @param {number} startWallMs
+ * @param {number} offsetFrom - Minutes
+ * @returns {RRuleTemporal|undefined} Rule, or undefined without a usable RRULE
+ */
+function createObservanceRule(rrule, startWallMs, offsetFrom) {
+  if (typeof rrule !== 'string' || rrule.trim() === '') {
+    return undefined;
+  }
+
+  const rruleString = rrule.trim()
+    .replace(/^rrule:/iv, '')
+    .replace(/UNTIL=(\d{8})(T\d{6})?(Z)?/v, (match, datePart, timePart, utc) => {
+      if (!timePart) {
+        return `UNTIL=${datePart}T235959Z`;
+      }
+
+      const {wallMs} = parseStamp(datePart + timePart);
+      return `UNTIL=${formatStamp(utc ? wallMs + (offsetFrom * MINUTE_MS) : wallMs)}Z`;
+    });
+
+  try {
+    return new RRuleTemporal({rruleString, dtstart: toPseudoZonedDateTime(startWallMs)});
+  } catch {
+    // A malformed rule leaves the observance with its DTSTART and RDATE onsets
+    return undefined;
+  }
+}
+
+function buildObservance(block) {
+  const offsetTo = parseUtcOffset(block.tzoffsetto);
+  const startWallMs = getStartWallMs(block.start);
+  if (offsetTo === undefined || startWallMs === undefined) {
+    return undefined;
+  }
+
+  const offsetFrom = parseUtcOffset(block.tzoffsetfrom) ?? offsetTo;
+  return {
+    type: block.type,
+    offsetFrom,
+    offsetTo,
+    startWallMs,
+    rdates: collectRdates(block.rdate, offsetFrom),
+    rule: createObservanceRule(block.rrule, startWallMs, offsetFrom),
+    ruleEndWallMs: Infinity,
+  };
+}
+
+/**
+ * Let each rule end where a newer observance of the same type takes over.
+ * Historic rules often lack an UNTIL (e.g. the pre-2007 US rules exported by
+ * Outlook), so a newer observance replaces an older one from the start of its
+ * DTSTART year, as pickApplicableBlock() does.
+ * @param {Array<object>} observances
+ */
+function limitSupersededRules(observances) {
+  for (const type of OBSERVANCE_TYPES) {
+    const sorted = observances
+      .filter(observance => observance.type === type)
+      .toSorted((a, b) => a.startWallMs - b.startWallMs);
+
+    for (const [index, observance] of sorted.entries()) {
+      const next = sorted[index + 1];
+      if (next) {
+        observance.ruleEndWallMs = startOfYear(new Date(next.startWallMs).getUTCFullYear());
+      }
+    }
+  }
+}
+
+function getOnsetsBetween(observance, fromWallMs, toWallMs) {
+  const onsets = [observance.startWallMs, ...observance.rdates].filter(wallMs => wallMs >= fromWallMs && wallMs < toWallMs);
+  const ruleEndWallMs = Math.min(toWallMs, observance.ruleEndWallMs);
+  if (observance.rule && ruleEndWallMs > fromWallMs) {
+    for (const onset of observance.rule.between(new Date(fromWallMs), new Date(ruleEndWallMs - 1), true)) {
+      onsets.push(onset.epochMilliseconds);
+    }
+  }
+
+  return onsets;
+}
+
+function getLatestOnsetBefore(observance, wallMs) {
+  const onsets = [observance.startWallMs, ...observance.rdates].filter(onset => onset < wallMs);
+  const ruleEndWallMs = Math.min(wallMs, observance.ruleEndWallMs);
+  if (observance.rule && ruleEndWallMs > observance.startWallMs) {
+    const previous = observance.rule.previous(new Date(ruleEndWallMs), false);
+    if (previous) {
+      onsets.push(previous.epochMilliseconds);
+    }
+  }
+
+  return onsets.length > 0 ? Math.max(...onsets) : undefined;
+}
+
+function toTransition(observance, wallMs) {
+  return {
+    epochMilliseconds: wallMs - (observance.offsetFrom * MINUTE_MS),
+    offsetFrom: observance.offsetFrom,
+    offsetTo: observance.offsetTo,
+  };
+}
+
+/**
+ * Transitions relevant to instants in one UTC year: every onset from the year
+ * before to the year after, preceded by the latest onset before that window.
+ * @param {Array<object>} observances
+ * @param {number} year
+ * @returns {Array<{epochMilliseconds: number, offsetFrom: number, offsetTo: number}>} Transitions sorted by instant
+ */
+function buildTransitions(observances, year) {
+  const fromWallMs = startOfYear(year - 1);
+  const toWallMs = startOfYear(year + 2);
+  const transitions = [];
+  let anchor;
+
+  for (const observance of observances) {
+    for (const wallMs of getOnsetsBetween(observance, fromWallMs, toWallMs)) {
+      transitions.push(toTransition(observance, wallMs));
+    }
+
+    const previous = getLatestOnsetBefore(observance, fromWallMs);
+    if (previous !== undefined) {
+      const transition = toTransition(observance, previous);
+      if (!anchor || transition.epochMilliseconds > anchor.epochMilliseconds) {
+        anchor = transition;
+      }
+    }
+  }
+
+  if (anchor) {
+    transitions.push(anchor);
+  }
+
+  return transitions.toSorted((a, b) => a.epochMilliseconds - b.epochMilliseconds);
+}
+
+function buildEvaluator(tzid, observances) {
+  const transitionsByYear = new Map();
+  const [{offsetFrom: initialOffset}] = observances.toSorted((a, b) => a.startWallMs - b.startWallMs);
+
+  const getYearTransitions = year => {
+    if (!transitionsByYear.has(year)) {
+      transitionsByYear.set(year, buildTransitions(observances, year));
+    }
+
+    return transitionsByYear.get(year);
+  };
+
+  const getOffsetMinutes = epochMilliseconds => {
+    const transitions = getYearTransitions(new Date(epochMilliseconds).getUTCFullYear());
+    let offset = transitions[0]?.offsetFrom ?? initialOffset;
+    for (const transition of transitions) {
+      if (transition.epochMilliseconds > epochMilliseconds) {
+        break;
+      }
+
+      offset = transition.offsetTo;
+    }
+
+    return offset;
+  };
+
+  const toEpochMilliseconds = wallMilliseconds => {
+    // Offsets never exceed a day, so the offsets a day either side bracket the instant
+    const before = getOffsetMinutes(wallMilliseconds - DAY_MS);
+    const after = getOffsetMinutes(wallMilliseconds + DAY_MS);
+    const candidates = [...new Set([before, after])]
+      .map(offset => wallMilliseconds - (offset * MINUTE_MS))
+      .filter(epochMilliseconds => getOffsetMinutes(epochMilliseconds) * MINUTE_MS === wallMilliseconds - epochMilliseconds);
+
+    // No candidate: the time falls into a gap, so keep the offset from before it
+    return candidates.length > 0 ? Math.max(...candidates) : wallMilliseconds - (before * MINUTE_MS);
+  };
+
+  const signature = JSON.stringify(observances.map(({type, offsetFrom, offsetTo, startWallMs, rdates, rule}) => [
+    type,
+    offsetFrom,
+    offsetTo,
+    startWallMs,
+    rdates,
+    rule?.toString(),
+  ]));
+
+  return {
+    tzid,
+    signature,
+    getOffsetMinutes,
+    getTransitions: year => getYearTransitions(year).filter(({epochMilliseconds}) =>
+      epochMilliseconds >= startOfYear(year) && epochMilliseconds < startOfYear(year + 1)),
+    toEpochMilliseconds,
+    toWallClockMilliseconds: epochMilliseconds => epochMilliseconds + (getOffsetMinutes(epochMilliseconds) * MINUTE_MS),
+  };
+}
+
+function getTzid(vTimezone) {
+  // If the VTIMEZONE contains multiple TZIDs (against RFC), use the last one
+  const tzid = Array.isArray(vTimezone.tzid) ? vTimezone.tzid.at(-1) : vTimezone.tzid;
+  return tzid === undefined ? undefined : String(tzid).replace(/^"(.*)"$/v, '$1');
+}
+
+/**
+ * Create an evaluator for the rules of a parsed VTIMEZONE.
+ *
+ * Instants before the first onset use the TZOFFSETFROM of the earliest
+ * observance. Wall-clock times are resolved like `parseDateTimeInZone()`: in a
+ * fall-back fold the later instant is chosen, and times in a spring-forward gap
+ * move forward by the length of the gap.
+ *
+ * @param {object} vTimezone - Parsed VTIMEZONE object (from the node-ical parser stack)
+ * @returns {{
+ *   tzid: string|undefined,
+ *   signature: string,
+ *   getOffsetMinutes: (epochMilliseconds: number) => number,
+ *   getTransitions: (year: number) => Array<{epochMilliseconds: number, offsetFrom: number, offsetTo: number}>,
+ *   toEpochMilliseconds: (wallMilliseconds: number) => number,
+ *   toWallClockMilliseconds: (epochMilliseconds: number) => number,
+ * }|undefined} Evaluator, or undefined when the VTIMEZONE has no usable observance
+ *
+ * @example
+ * const rules = createVTimezoneEvaluator(calendar[tzid]);
+ * rules.getOffsetMinutes(Date.parse('2025-01-15T12:00:00Z')); // 780 for a New Zealand-style zone
+ */
+function createVTimezoneEvaluator(vTimezone) {
+  if (!vTimezone || typeof vTimezone !== 'object') {
+    return undefined;
+  }
+
+  if (evaluatorCache.has(vTimezone)) {
+    return evaluatorCache.get(vTimezone);
+  }
+
+  const observances = Object.values(vTimezone)
+    .filter(value => value && typeof value === 'object' && OBSERVANCE_TYPES.has(value.type))
+    .map(block => buildObservance(block))
+    .filter(Boolean);
+
+  let evaluator;
+  if (observances.length > 0) {
+    limitSupersededRules(observances);
+    evaluator = buildEvaluator(getTzid(vTimezone), observances);
+  }
+
+  evaluatorCache.set(vTimezone, evaluator);
+  return evaluator;
+}
+
+export {createVTimezoneEvaluator, formatStamp, parseStamp};
@@ -0,0 +1,280 @@
+import {XMLBuilder, XMLParser} from 'fast-xml-parser';
+import {toJCal} from './jcal.js';
+
+// Conversion between parsed calendars and xCal (RFC 6321). xCal and jCal share
+// one data model, so both directions go through the jCal converter: toXCal()
+// renders the arrays toJCal() produces as XML, parseXCal() turns the XML into
+// jCal arrays and hands them to parseJCal() (and thus to parseICS()).
+
+const XCAL_NAMESPACE = 'urn:ietf:params:xml:ns:icalendar-2.0';
+
+// RECUR parts holding integers (RFC 5545 §3.3.10).
+const INTEGER_RECUR_PARTS = new Set(['count', 'interval', 'bysecond', 'byminute', 'byhour', 'bymonthday', 'byyearday', 'byweekno', 'bymonth', 'bysetpos']);
+
+// Parameters whose values are not TEXT (RFC 6321 §3.5).
+const PARAMETER_VALUE_TYPES = {
+  altrep: 'uri',
+  dir: 'uri',
+  'delegated-from': 'cal-address',
+  'delegated-to': 'cal-address',
+  member: 'cal-address',
+  'sent-by': 'cal-address',
+};
+
+// Structured values are written as named child elements instead of ";"-joined text.
+const STRUCTURED_VALUE_ELEMENTS = {
+  geo: ['latitude', 'longitude'],
+  'request-status': ['code', 'description', 'data'],
+};
+
+const STRUCTURED_VALUE_TYPES = {
+  geo: 'float',
+  'request-status': 'text',
+};
+
+// Helpers for fast-xml-parser's `preserveOrder` node shape: [{tag: [...children], ':@': {...attributes}}]
+function elementName(node) {
+  return Object.keys(node).find(key => key !== ':@' && key !== '#text');
+}
+
+function childElements(node) {
+  const name = elementName(node);
+  return name ? node[name].filter(child => elementName(child) !== undefined) : [];
+}
+
+function findChild(node, name) {
+  return childElements(node).find(child => elementName(child) === name);
+}
+
+function textContent(node) {
+  const name = elementName(node);
+  return node[name].map(child => child['#text'] ?? '').join('');
+}
+
+function element(name, children = []) {
+  return {[name]: children};
+}
+
+function textElement(name, value) {
+  return element(name, [{'#text': String(value)}]);
+}
+
+function recurFromXml(node) {
+  const recur = {};
+
+  for (const part of childElements(node)) {
+    const key = elementName(part);
+    const value = INTEGER_RECUR_PARTS.has(key) ? Math.trunc(Number(textContent(part))) : textContent(part);
+    // Repeated parts (e.g. several <byday> elements) form a list
+    recur[key] = Object.hasOwn(recur, key) ? [recur[key], value].flat() : value;
+  }
+
+  return recur;
+}
+
+function valueFromXml(node) {
+  const type = elementName(node);
+
+  switch (type) {
+    case 'recur': {
+      return recurFromXml(node);
+    }
+
+    case 'period': {
+      const start = findChild(node, 'start');
+      const end = findChild(node, 'end') ?? findChild(node, 'duration');
+      return `${start ? textContent(start) : ''}/${end ? textContent(end) : ''}`;
+    }
+
+    case 'integer':
+    case 'float': {
+      return Number(textContent(node));
+    }
+
+    case 'boolean': {
+      return textContent(node).trim().toLowerCase() === 'true';
+    }
+
+    default: {
+      return textContent(node);
+    }
+  }
+}
+
+function parametersFromXml(node) {
+  const parameters = {};
+  if (!node) {
+    return parameters;
+  }
+
+  for (const parameter of childElements(node)) {
+    const values = childElements(parameter).map(value => textContent(value));
+    parameters[elementName(parameter)] = values.length === 1 ? values[0] : values;
+  }
+
+  return parameters;
+}
+
+function propertyFromXml(node) {
+  const name = elementName(node);
+  const parameters = parametersFromXml(findChild(node, 'parameters'));
+  const valueNodes = childElements(node).filter(child => elementName(child) !== 'parameters');
+
+  if (Object.hasOwn(STRUCTURED_VALUE_ELEMENTS, name)) {
+    const parts = STRUCTURED_VALUE_ELEMENTS[name]
+      .map(partName => findChild(node, partName))
+      .filter(Boolean)
+      .map(part => textContent(part));
+    const type = STRUCTURED_VALUE_TYPES[name];
+    return [name, parameters, type, type === 'float' ? parts.map(Number) : parts];
+  }
+
+  const type = valueNodes.length > 0 ? elementName(valueNodes[0]) : 'unknown';
+  return [name, parameters, type, ...valueNodes.map(value => valueFromXml(value))];
+}
+
+function componentFromXml(node) {
+  const properties = findChild(node, 'properties');
+  const components = findChild(node, 'components');
+
+  return [
+    elementName(node),
+    properties ? childElements(properties).map(property => propertyFromXml(property)) : [],
+    components ? childElements(components).map(component => componentFromXml(component)) : [],
+  ];
+}
+
+// Convert xCal XML into a list of jCal vcalendar arrays.
+function xmlToJCal(xml) {
+  const parser = new XMLParser({
+    preserveOrder: true,
+    ignoreAttributes: false,
+    parseTagValue: false,
+    trimValues: false,
+    removeNSPrefix: true,
+  });
+  const document = parser.parse(xml);
+  const root = document.find(node => elementName(node) === 'icalendar');
+  if (!root) {
+    throw new TypeError('parseXCal expects an xCal document with an <icalendar> root element');
+  }
+
+  return childElements(root)
+    .filter(node => elementName(node) === 'vcalendar')
+    .map(node => componentFromXml(node));
+}
+
+function recurToXml(recur) {
+  if (typeof recur === 'string') {
+    return element('recur', recur.split(';').flatMap(part => {
+      const [key, value = ''] = part.split('=');
+      const name = key.toLowerCase();
+      return (name === 'until' ? [value] : value.split(',')).map(item => textElement(name, item));
+    }));
+  }
+
+  return element('recur', Object.entries(recur).flatMap(([key, value]) =>
+    (Array.isArray(value) ? value : [value]).map(item => textElement(key, item))));
+}
+
+function valueToXml(type, value) {
+  if (type === 'recur') {
+    return recurToXml(value);
+  }
+
+  if (type === 'period') {
+    const [start, end = ''] = String(value).split('/');
+    const endName = /^[+\-]?P/v.test(end) ? 'duration' : 'end';
+    return element('period', [textElement('start', start), textElement(endName, end)]);
+  }
+
+  return textElement(type, value);
+}
+
+function parametersToXml(parameters) {
+  return Object.entries(parameters).map(([name, value]) => {
+    const type = PARAMETER_VALUE_TYPES[name] ?? 'text';
+    const values = Array.isArray(value) ? value : [value];
+    return element(name, values.map(item => textElement(type, item)));
+  });
+}
+
+function propertyToXml([name, parameters = {}, type, ...values]) {
+  const children = [];
+  if (Object.keys(parameters).length > 0) {
+    children.push(element('parameters', parametersToXml(parameters)));
+  }
+
+  for (const value of values) {
+    if (Array.isArray(value)) {
+      const partNames = STRUCTURED_VALUE_ELEMENTS[name];
+      children.push(...value.map((part, index) => textElement(partNames?.[index] ?? type, part)));
+    } else {
+      children.push(valueToXml(type, value));
+    }
+  }
+
+  return element(name, children);
+}
+
+function componentToXml([name, properties = [], components = []]) {
+  const children = [element('properties', properties.map(property => propertyToXml(property)))];
+  if (components.length > 0) {
+    children.push(element('components', components.map(component => componentToXml(component))));
+  }
+
+  return element(name, children);
+}
+
+/**
+ * Convert a parsed calendar into xCal (RFC 6321), the XML representation of iCalendar.
+ *
+ * @param {object} calendar - Parsed calendar (CalendarResponse)
+ * @returns {string} xCal document
+ *
+ * @example
+ * const data = ical.sync.parseFile('calendar.ics');
+ * fs.writeFileSync('calendar.xml', ical.toXCal(data));
+ */
+function toXCal(calendar) {
+  const builder = new XMLBuilder({
+    preserveOrder: true,
+    ignoreAttributes: false,
+    format: true,
+    indentBy: '  ',
+  });
+
+  return builder.build([
+    // eslint-disable-next-line unicorn/text-encoding-identifier-case -- XML declaration, not a Node.js encoding name
+    {'?xml': [{'#text': ''}], ':@': {'@_version': '1.0', '@_encoding': 'UTF-8'}},
+    {icalendar: [componentToXml(toJCal(calendar))], ':@': {'@_xmlns': XCAL_NAMESPACE}},
+  ]);
+}
+
+/**
+ * Build `parseXCal` on top of the jCal parser.
+ *
+ * @param {object} options
+ * @param {(json: Array) => object} options.parseJCal - jCal parser
+ * @returns {(xml: string) => object} parseXCal implementation
+ */
+function createXCalParser({parseJCal}) {
+  /**
+   * Parse xCal (RFC 6321) into the same CalendarResponse shape `parseICS` returns,
+   * including the `.tz`/`.dateOnly` metadata on dates.
+   *
+   * @param {string} xml - xCal document
+   * @returns {object} Parsed calendar (CalendarResponse)
+   */
+  function parseXCal(xml) {
+    if (typeof xml !== 'string') {
+      throw new TypeError('parseXCal expects an xCal document string');
+    }
+
+    return parseJCal(xmlToJCal(xml));
+  }
+
+  return parseXCal;
+}
+
+export {toXCal, createXCalParser};
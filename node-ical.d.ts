@@ -1,6 +1,8 @@
 /* eslint-disable @typescript-eslint/naming-convention */
 
 declare module 'node-ical' {
+  import type {Temporal} from 'temporal-polyfill';
+
   /**
    * Compatibility wrapper returned by node-ical (RRULE results are Date-based).
    * Mirrors the public surface of the internal RRuleCompatWrapper.
@@ -15,10 +17,196 @@ declare module 'node-ical' {
     toString: () => string;
   };
 
+  /**
+   * Options accepted by `parseICS`, `parseFile`, `parseStream` and `fromURL`.
+   */
+  export type ParseOptions = {
+    /** Throw a `ParseError` on the first problem instead of recovering from it. */
+    strict?: boolean;
+    /**
+     * Collect problems as `diagnostics` on the result instead of writing them to the console.
+     * Also reports problems the tolerant parser otherwise skips silently (invalid lines, dates, TZIDs).
+     */
+    diagnostics?: boolean;
+    /** Receives warnings instead of the `setLogger` logger or the console (ignored while collecting diagnostics) */
+    logger?: Logger;
+    /**
+     * IANA zone used instead of the host zone for DATE values (midnight there), floating times
+     * without a VTIMEZONE and custom Microsoft TZIDs without a VTIMEZONE. Such Dates carry it as `tz`.
+     * Throws a `RangeError` for unknown zones.
+     */
+    timezone?: string;
+    /**
+     * `'temporal'` returns Temporal values instead of Dates: `Temporal.PlainDate` for DATE values,
+     * `Temporal.ZonedDateTime` for DATE-TIMEs with a zone and `Temporal.PlainDateTime` for floating
+     * times (default: `'date'`). Throws a `RangeError` for other values.
+     */
+    dates?: DatesMode;
+  };
+
+  /** Whether parsed and expanded values are Dates (default) or Temporal values */
+  export type DatesMode = 'date' | 'temporal';
+
+  /** Options selecting the Temporal output mode */
+  export type TemporalDatesOption = {dates: 'temporal'};
+
+  /**
+   * Structured data passed along with every logged warning.
+   */
+  export type LogMetadata = {
+    code: ParseDiagnosticCode;
+    severity: ParseDiagnostic['severity'];
+    /** UID of the component being parsed or expanded, when known */
+    uid?: string;
+    /** TZID involved in the problem */
+    tzid?: string;
+    /** 1-based input line; only set while parsing */
+    line?: number;
+    /** Enclosing components, outermost first; empty outside parsing */
+    path: string[];
+  };
+
+  /**
+   * Destination for node-ical warnings, e.g. a pino/winston logger wrapper.
+   */
+  export type Logger = {
+    warn: (message: string, metadata: LogMetadata) => void;
+  };
+
+  /**
+   * Install the logger used when no `logger` option is passed. Without an argument
+   * warnings go to the console again (as `[node-ical] message`).
+   *
+   * @param logger - Logger receiving `warn(message, metadata)`
+   *
+   * @example
+   * ```typescript
+   * ical.setLogger({
+   *   warn: (message, {code, uid, tzid, line}) => log.warn({code, uid, tzid, line}, message),
+   * });
+   * ```
+   */
+  export function setLogger(logger?: Logger): void;
+
+  /**
+   * Windows timezone mappings in the format of the bundled windowsZones.json.
+   */
+  export type WindowsZoneMappings = Record<string, {iana: string[]}>;
+
+  /**
+   * Runtime timezone registry. Aliases and loaded mappings apply to every later parse
+   * and expansion in the process.
+   */
+  export type TimezoneRegistry = {
+    /**
+     * Register a TZID alias, e.g. a tenant-specific Exchange label. Aliases are matched
+     * like Windows names, ignoring case and whitespace, and take precedence over them.
+     *
+     * @param alias - TZID as found in calendars
+     * @param tzid - IANA name, Windows name or UTC offset label it stands for
+     * @throws {RangeError} When `tzid` is not a known timezone
+     */
+    registerAlias(alias: string, tzid: string): void;
+    /**
+     * Load the CLDR windowsZones.xml, or mappings in the windowsZones.json format (as
+     * JSON text or parsed). Loaded entries replace bundled ones with the same label;
+     * entries whose zone is unknown to the runtime are skipped.
+     */
+    loadWindowsZones(source: string | WindowsZoneMappings): {loaded: number; skipped: string[]};
+    /**
+     * Sorted TZIDs of a calendar that resolved to neither an IANA zone nor a UTC offset,
+     * or Windows labels that only resolved to their "(UTC+hh:mm)" offset.
+     *
+     * @param calendar - Result of a parse with `{diagnostics: true}` (its `UNKNOWN_TZID` and `UNRESOLVED_TZID` diagnostics)
+     * @throws {TypeError} When the calendar carries no diagnostics
+     */
+    getUnresolved(calendar: CalendarResponse | TemporalCalendarResponse): string[];
+    /** Remove registered aliases and loaded mappings */
+    reset(): void;
+  };
+
+  /**
+   * Runtime timezone registry: register TZID aliases, load Windows mappings and list
+   * the TZIDs parsing could not resolve.
+   *
+   * @example
+   * ```typescript
+   * ical.timezones.registerAlias('(UTC+01:00) Amsterdam, Berlin, Bern…', 'Europe/Berlin');
+   * ical.timezones.loadWindowsZones(fs.readFileSync('windowsZones.xml', 'utf8'));
+   * ```
+   */
+  export const timezones: TimezoneRegistry;
+
+  /**
+   * Machine-readable code of a parse problem.
+   */
+  export type ParseDiagnosticCode =
+    | 'INVALID_CONTENT_LINE'
+    | 'UNEXPECTED_END'
+    | 'UNTERMINATED_COMPONENT'
+    | 'DUPLICATE_PROPERTY'
+    | 'INVALID_DATE'
+    | 'UNKNOWN_TZID'
+    | 'UNRESOLVED_TZID'
+    | 'UNRESOLVED_VTIMEZONE'
+    | 'MALFORMED_DURATION'
+    | 'MALFORMED_TRIGGER'
+    | 'MALFORMED_EXRULE'
+    | 'OLDER_SEQUENCE';
+
+  /**
+   * A problem found while parsing with `{diagnostics: true}`.
+   */
+  export type ParseDiagnostic = {
+    /** `error` for structural problems, `warning` for recovered values, `info` for expected data (e.g. superseded revisions) */
+    severity: 'error' | 'warning' | 'info';
+    code: ParseDiagnosticCode;
+    /** 1-based line number in the input (the first physical line of a folded line) */
+    line?: number;
+    /** Enclosing components, outermost first, e.g. `['VCALENDAR', 'VEVENT']` */
+    path: string[];
+    message: string;
+    /** UID of the component the problem was found in, when known */
+    uid?: string;
+    /** TZID involved in the problem */
+    tzid?: string;
+  };
+
+  /**
+   * Error thrown for broken input: for duplicate DTSTART/DTEND/DUE lines, and for
+   * every `error` or `warning` problem when parsing with `{strict: true}`.
+   */
+  export class ParseError extends Error {
+    readonly code?: ParseDiagnosticCode;
+    readonly severity: ParseDiagnostic['severity'];
+    /** Only set when the input was parsed with `strict` or `diagnostics` */
+    readonly line?: number;
+    readonly path: string[];
+  }
+
+  /**
+   * Result of a parse with `{diagnostics: true}`. The field is non-enumerable.
+   */
+  export type ParsedCalendarResponse = CalendarResponse & {
+    /** Problems found while parsing, in input order */
+    readonly diagnostics?: ParseDiagnostic[];
+  };
+
+  /**
+   * Result of a parse with `{dates: 'temporal'}`.
+   */
+  export type TemporalCalendarResponse = WithTemporalDates<CalendarResponse> & {
+    /** Problems found while parsing, in input order */
+    readonly diagnostics?: ParseDiagnostic[];
+  };
+
+  export type TemporalNodeIcalCallback = (error: any, data: TemporalCalendarResponse | undefined) => void;
+
   /**
    * Minimal Fetch options type (subset of RequestInit) to avoid requiring DOM lib.
+   * Parse options (`strict`, `diagnostics`, `logger`, `timezone`, `dates`) are applied to the fetched calendar.
    */
-  export type FetchOptions = {
+  export type FetchOptions = ParseOptions & {
     method?: string;
     /**
      * Accept common header container shapes without depending on DOM lib types.
@@ -28,17 +216,88 @@ declare module 'node-ical' {
     headers?: Record<string, string> | Iterable<[string, string]>;
     /** Request body (caller supplied) */
     body?: unknown;
+    /**
+     * Opt-in conditional request cache. `true` uses a shared in-memory store;
+     * pass `createMemoryCache()`/`createFileCache(dir)` or a custom store otherwise.
+     * Cached feeds are revalidated with `If-None-Match`/`If-Modified-Since`. On a
+     * `304 Not Modified` answer in-memory stores return a copy of the cached result;
+     * other stores parse the cached body again.
+     */
+    responseCache?: boolean | FromURLCacheStore;
+    /**
+     * Expose the poll interval advertised by the calendar (`REFRESH-INTERVAL`,
+     * falling back to `X-PUBLISHED-TTL`) as `refreshInterval` on the result.
+     */
+    refreshInterval?: boolean;
     /** Additional fetch options (e.g. agent, redirect, follow, timeout, signal, etc.) */
     [key: string]: unknown;
   };
 
+  /**
+   * Entry kept by a `fromURL` cache store.
+   */
+  export type FromURLCacheEntry = {
+    /** `ETag` header of the cached response */
+    etag?: string;
+    /** `Last-Modified` header of the cached response */
+    lastModified?: string;
+    /** Raw ICS body, parsed again on a `304 Not Modified` answer when no parsed result is kept */
+    body: string;
+    /**
+     * Results parsed from `body`, by parse options. Only stores that keep entries in
+     * memory hold on to it; `createFileCache` drops it.
+     */
+    parsed?: Map<string, CalendarResponse | TemporalCalendarResponse>;
+  };
+
+  /**
+   * Pluggable storage for `fromURL`'s conditional request cache. Methods may be sync or async.
+   */
+  export type FromURLCacheStore = {
+    get: (key: string) => FromURLCacheEntry | undefined | Promise<FromURLCacheEntry | undefined>;
+    set: (key: string, entry: FromURLCacheEntry) => void | Promise<void>;
+    delete?: (key: string) => boolean | Promise<boolean>;
+  };
+
+  /**
+   * Result of `fromURL`. Both fields are non-enumerable and only present when
+   * the matching option (`responseCache`, `refreshInterval`) is used.
+   */
+  export type CachedCalendarResponse = ParsedCalendarResponse & CachedResponseInfo;
+
+  /** Result of `fromURL` with `{dates: 'temporal'}` */
+  export type TemporalCachedCalendarResponse = TemporalCalendarResponse & CachedResponseInfo;
+
+  type CachedResponseInfo = {
+    /** Whether the server answered `304 Not Modified` and the cached body was used */
+    readonly fromCache?: boolean;
+    /** Recommended poll interval in milliseconds, `undefined` when the calendar advertises none */
+    readonly refreshInterval?: number;
+  };
+
+  /**
+   * Create an in-memory `fromURL` cache store that keeps parsed calendars.
+   */
+  export function createMemoryCache(): FromURLCacheStore;
+
+  /**
+   * Create a `fromURL` cache store persisting validators and raw bodies as JSON files.
+   *
+   * @param directory - Directory to keep cache files in (created on first write)
+   */
+  export function createFileCache(directory: string): FromURLCacheStore;
+
   /**
      * Methods (Sync)
      */
   export type NodeICalSync = {
-    parseICS: (body: string) => CalendarResponse;
+    parseICS:
+      ((body: string, options: ParseOptions & TemporalDatesOption) => TemporalCalendarResponse)
+      & ((body: string, options?: ParseOptions) => ParsedCalendarResponse);
 
-    parseFile: (file: string) => CalendarResponse;
+    parseFile:
+      ((file: string, options: ParseOptions & TemporalDatesOption) => TemporalCalendarResponse)
+      & ((file: string, options?: ParseOptions) => ParsedCalendarResponse);
   };
 
   export const sync: NodeICalSync;
@@ -49,12 +308,24 @@ declare module 'node-ical' {
   export type NodeICalAsync = {
     fromURL:
       ((url: string, callback: NodeIcalCallback) => void)
+      & ((url: string, options: FetchOptions & TemporalDatesOption, callback: TemporalNodeIcalCallback) => void)
       & ((url: string, options: FetchOptions | NodeIcalCallback, callback?: NodeIcalCallback) => void)
-      & ((url: string) => Promise<CalendarResponse>);
+      & ((url: string, options: FetchOptions & TemporalDatesOption) => Promise<TemporalCachedCalendarResponse>)
+      & ((url: string, options?: FetchOptions) => Promise<CachedCalendarResponse>);
 
-    parseICS: ((body: string, callback: NodeIcalCallback) => void) & ((body: string) => Promise<CalendarResponse>);
+    parseICS:
+      ((body: string, callback: NodeIcalCallback) => void)
+      & ((body: string, options: ParseOptions & TemporalDatesOption, callback: TemporalNodeIcalCallback) => void)
+      & ((body: string, options: ParseOptions | undefined, callback: NodeIcalCallback) => void)
+      & ((body: string, options: ParseOptions & TemporalDatesOption) => Promise<TemporalCalendarResponse>)
+      & ((body: string, options?: ParseOptions) => Promise<ParsedCalendarResponse>);
 
-    parseFile: ((file: string, callback: NodeIcalCallback) => void) & ((file: string) => Promise<CalendarResponse>);
+    parseFile:
+      ((file: string, callback: NodeIcalCallback) => void)
+      & ((file: string, options: ParseOptions & TemporalDatesOption, callback: TemporalNodeIcalCallback) => void)
+      & ((file: string, options: ParseOptions | undefined, callback: NodeIcalCallback) => void)
+      & ((file: string, options: ParseOptions & TemporalDatesOption) => Promise<TemporalCalendarResponse>)
+      & ((file: string, options?: ParseOptions) => Promise<ParsedCalendarResponse>);
   };
 
   export const async: NodeICalAsync;
@@ -64,27 +335,120 @@ declare module 'node-ical' {
      */
   export function fromURL(url: string, callback: NodeIcalCallback): void;
 
+  export function fromURL(url: string, options: FetchOptions & TemporalDatesOption, callback: TemporalNodeIcalCallback): void;
+
   export function fromURL(url: string, options: FetchOptions | NodeIcalCallback, callback?: NodeIcalCallback): void;
 
-  export function fromURL(url: string): Promise<CalendarResponse>;
+  export function fromURL(url: string, options: FetchOptions & TemporalDatesOption): Promise<TemporalCachedCalendarResponse>;
+
+  export function fromURL(url: string, options?: FetchOptions): Promise<CachedCalendarResponse>;
 
   export function parseICS(body: string, callback: NodeIcalCallback): void;
 
-  export function parseICS(body: string): CalendarResponse;
+  export function parseICS(body: string, options: ParseOptions & TemporalDatesOption, callback: TemporalNodeIcalCallback): void;
+
+  export function parseICS(body: string, options: ParseOptions | undefined, callback: NodeIcalCallback): void;
+
+  /**
+   * Parse ICS text synchronously into Temporal values.
+   *
+   * @example
+   * ```typescript
+   * const data = ical.parseICS(ics, {dates: 'temporal'});
+   * const event = Object.values(data).find(component => component.type === 'VEVENT');
+   * if (event?.start instanceof Temporal.ZonedDateTime) {
+   *   console.log(event.start.timeZoneId, event.start.toPlainTime().toString());
+   * }
+   * ```
+   */
+  export function parseICS(body: string, options: ParseOptions & TemporalDatesOption): TemporalCalendarResponse;
+
+  /**
+   * Parse ICS text synchronously. See `ParseOptions` for strict parsing and diagnostics.
+   *
+   * @example
+   * ```typescript
+   * const data = ical.parseICS(ics, {diagnostics: true});
+   * for (const {severity, code, line, message} of data.diagnostics ?? []) {
+   *   console.log(`${severity} ${code} at line ${line}: ${message}`);
+   * }
+   * ```
+   */
+  export function parseICS(body: string, options?: ParseOptions): ParsedCalendarResponse;
 
   export function parseFile(file: string, callback: NodeIcalCallback): void;
 
-  export function parseFile(file: string): CalendarResponse;
+  export function parseFile(file: string, options: ParseOptions & TemporalDatesOption, callback: TemporalNodeIcalCallback): void;
+
+  export function parseFile(file: string, options: ParseOptions | undefined, callback: NodeIcalCallback): void;
+
+  export function parseFile(file: string, options: ParseOptions & TemporalDatesOption): TemporalCalendarResponse;
+
+  export function parseFile(file: string, options?: ParseOptions): ParsedCalendarResponse;
+
+  /**
+   * Chunk sources accepted by `parseStream`: Node.js Readable streams, WHATWG
+   * ReadableStreams or any (async) iterable of string/binary chunks.
+   */
+  export type StreamSource =
+    | AsyncIterable<string | Uint8Array>
+    | Iterable<string | Uint8Array>
+    | {getReader: () => unknown};
+
+  /**
+   * Component yielded by `parseStream`. With `{diagnostics: true}` it carries the
+   * problems found since the previous component (non-enumerable).
+   */
+  export type StreamComponent<T = CalendarComponent> = T & {
+    /** Problems found since the previous component, in input order */
+    readonly diagnostics?: ParseDiagnostic[];
+  };
+
+  /**
+   * Parse an iCalendar stream incrementally.
+   *
+   * Yields each top-level component as soon as its END line has been read, and the
+   * VCALENDAR properties (`type: 'VCALENDAR'`) when the calendar ends. Folded lines
+   * may span chunk boundaries. VTIMEZONE definitions stay available for resolving
+   * TZIDs of later components; other components are released once emitted, so
+   * RECURRENCE-ID overrides are yielded separately, without `recurrences`, instead
+   * of being merged into the `recurrences` of their base event. Every revision of a
+   * UID is yielded as well, while `parseICS` keeps only the one with the highest SEQUENCE.
+   *
+   * @param source - Readable stream or iterable of chunks
+   * @param options - Parse options as for `parseICS`
+   * @returns Async iterator of parsed components
+   *
+   * @example
+   * ```typescript
+   * for await (const component of ical.parseStream(fs.createReadStream('export.ics'))) {
+   *   if (component.type === 'VEVENT') {
+   *     console.log(component.summary);
+   *   }
+   * }
+   * ```
+   */
+  export function parseStream(
+    source: StreamSource,
+    options: ParseOptions & TemporalDatesOption,
+  ): AsyncGenerator<StreamComponent<WithTemporalDates<CalendarComponent>>, void, undefined>;
+
+  export function parseStream(
+    source: StreamSource,
+    options?: ParseOptions,
+  ): AsyncGenerator<StreamComponent, void, undefined>;
 
   /**
    * Expand a recurring event into individual instances within a date range.
+   * The recurrence set combines RRULE occurrences and RDATE dates, minus EXDATE,
+   * with RECURRENCE-ID overrides replacing the instances they refer to.
    *
-   * @param event - The VEVENT component to expand
+   * @param event - The VEVENT or VTODO component to expand (a VTODO without DTSTART recurs from its DUE)
    * @param options - Expansion options
    * @param options.from - Start of date range (inclusive)
    * @param options.to - End of date range (inclusive)
    * @param options.includeOverrides - Whether to apply RECURRENCE-ID overrides (default: true)
-   * @param options.excludeExdates - Whether to exclude EXDATE dates (default: true)
+   * @param options.excludeExdates - Whether to exclude EXDATE dates and EXRULE matches (default: true)
    * @param options.expandOngoing - Whether to include events that started before range but are still ongoing (default: false)
    * @returns Array of event instances sorted by start date
    *
@@ -104,18 +468,432 @@ declare module 'node-ical' {
    * });
    * ```
    */
-  export function expandRecurringEvent(
-    event: VEvent,
+  export function expandRecurringEvent<T extends VEvent | VTodo | WithTemporalDates<VEvent | VTodo>>(
+    event: T,
+    options: ExpandRecurringEventOptions & TemporalDatesOption,
+  ): Array<TemporalEventInstance<T>>;
+
+  export function expandRecurringEvent<T extends VEvent | VTodo>(
+    event: T,
     options: ExpandRecurringEventOptions,
-  ): EventInstance[];
+  ): Array<EventInstance<T>>;
+
+  /**
+   * Lazily iterate over the instances of an event in chronological order, without a closed date window.
+   * Yields the same instance objects as `expandRecurringEvent`, applying EXDATE and
+   * RECURRENCE-ID overrides as it goes. Open-ended series never finish on their own,
+   * so pass `before`/`limit` or stop iterating. Without `before`, iteration ends once
+   * 10,000 recurrence dates in a row are excluded or overridden.
+   *
+   * @param event - The VEVENT or VTODO component to iterate
+   * @param options - Iteration options
+   * @returns Generator of event instances sorted by start date
+   *
+   * @example
+   * ```typescript
+   * // The next five occurrences
+   * for (const instance of ical.iterateOccurrences(event, {after: new Date(), limit: 5})) {
+   *   console.log(instance.start, instance.summary);
+   * }
+   * ```
+   */
+  export function iterateOccurrences<T extends VEvent | VTodo | WithTemporalDates<VEvent | VTodo>>(
+    event: T,
+    options: IterateOccurrencesOptions & TemporalDatesOption,
+  ): Generator<TemporalEventInstance<T>, void, undefined>;
+
+  export function iterateOccurrences<T extends VEvent | VTodo>(
+    event: T,
+    options: IterateOccurrencesOptions,
+  ): Generator<EventInstance<T>, void, undefined>;
+
+  /**
+   * Expand every component of a parsed calendar into one list of instances sorted by start.
+   * Each component is expanded with `expandRecurringEvent`, so RRULE/RDATE/EXDATE and
+   * RECURRENCE-ID overrides behave the same; overrides are never reported twice.
+   *
+   * @param calendar - Parsed calendar as returned by `parseICS`/`parseFile`/`fromURL`
+   * @param options - Expansion options and filters
+   * @returns Instances of all matching components sorted by start date
+   *
+   * @example
+   * ```typescript
+   * const data = await ical.fromURL(url);
+   * const agenda = ical.expandCalendar(data, {
+   *   from: new Date('2025-01-01'),
+   *   to: new Date('2025-01-31'),
+   *   excludeCancelled: true,
+   *   transparency: 'OPAQUE',
+   * });
+   * ```
+   */
+  export function expandCalendar(
+    calendar: CalendarResponse | TemporalCalendarResponse,
+    options: ExpandCalendarOptions & TemporalDatesOption,
+  ): Array<TemporalEventInstance<VEvent | VTodo>>;
+
+  export function expandCalendar(
+    calendar: CalendarResponse | TemporalCalendarResponse,
+    options: ExpandCalendarOptions,
+  ): Array<EventInstance<VEvent | VTodo>>;
+
+  /**
+   * When an alarm goes off: the alarm itself, the fire time, and which repetition it is
+   * (0 for the TRIGGER time, 1…REPEAT for the repetitions spaced by DURATION).
+   */
+  export type AlarmTime = {
+    alarm: VAlarm;
+    date: Date;
+    repetition: number;
+  };
+
+  /**
+   * Compute the concrete fire times of the VALARMs of an event, a todo, or an expanded instance.
+   * Relative triggers are resolved against the instance's own start/end (DUE for `RELATED=END`
+   * on a VTODO component), and REPEAT/DURATION repetitions are included.
+   *
+   * @param eventOrInstance - VEVENT/VTODO component or an instance from `expandRecurringEvent`
+   * @returns Fire times sorted by date
+   *
+   * @example
+   * ```typescript
+   * for (const instance of ical.expandRecurringEvent(event, {from, to})) {
+   *   for (const {alarm, date} of ical.getAlarmTimes(instance)) {
+   *     scheduleReminder(date, alarm.description ?? instance.summary);
+   *   }
+   * }
+   * ```
+   */
+  export function getAlarmTimes(eventOrInstance: VEvent | VTodo | WithTemporalDates<VEvent | VTodo> | EventInstance): AlarmTime[];
+
+  /**
+   * Options for `getAlarms`
+   */
+  export type GetAlarmsOptions = {
+    /** Start of the window (inclusive) */
+    from: Date;
+    /** End of the window (inclusive) */
+    to: Date;
+  };
+
+  /**
+   * An alarm firing within the `getAlarms` window, with the instance it belongs to.
+   */
+  export type ScheduledAlarm = AlarmTime & {
+    instance: EventInstance<VEvent | VTodo>;
+  };
+
+  /**
+   * Find every VALARM of a calendar that fires within a time window, across all VEVENTs and
+   * VTODOs including recurring instances. RECURRENCE-ID overrides with their own VALARMs use
+   * those instead of the series' alarms. Absolute triggers are reported once per alarm.
+   *
+   * @param calendar - Parsed calendar as returned by `parseICS`/`parseFile`/`fromURL`
+   * @param options - Window to search
+   * @returns Alarms sorted by fire time
+   *
+   * @example
+   * ```typescript
+   * const now = new Date();
+   * for (const {alarm, instance, date} of ical.getAlarms(data, {from: now, to: new Date(now.getTime() + 3_600_000)})) {
+   *   notify(date, alarm.description ?? instance.summary);
+   * }
+   * ```
+   */
+  export function getAlarms(calendar: CalendarResponse | TemporalCalendarResponse, options: GetAlarmsOptions): ScheduledAlarm[];
+
+  /**
+   * Options for `computeFreeBusy`
+   */
+  export type ComputeFreeBusyOptions = {
+    /** Start of the window */
+    from: Date;
+    /** End of the window */
+    to: Date;
+    /** Return a VFREEBUSY component instead of the periods (default: false) */
+    asComponent?: boolean;
+  };
+
+  /**
+   * Compute the busy time of a calendar within a window. Events are expanded like `expandCalendar`
+   * (RRULE, RDATE, EXDATE, overrides); TRANSPARENT and CANCELLED instances are skipped and
+   * STATUS:TENTATIVE is reported as BUSY-TENTATIVE. Periods are clipped to the window and
+   * overlapping ones merged (BUSY wins over BUSY-TENTATIVE).
+   *
+   * @param calendar - Parsed calendar as returned by `parseICS`/`parseFile`/`fromURL`
+   * @param options - Window, and whether to wrap the result in a VFREEBUSY component
+   * @returns Busy periods sorted by start, or a VFREEBUSY component that `stringify` can write
+   *
+   * @example
+   * ```typescript
+   * const busy = ical.computeFreeBusy(data, {from: new Date('2025-03-10'), to: new Date('2025-03-15')});
+   * const ics = ical.stringify({vfb: ical.computeFreeBusy(data, {from, to, asComponent: true})});
+   * ```
+   */
+  export function computeFreeBusy(calendar: CalendarResponse, options: ComputeFreeBusyOptions & {asComponent: true}): VFreebusy & {freebusy: FreebusyPeriod[]};
+  export function computeFreeBusy(calendar: CalendarResponse, options: ComputeFreeBusyOptions & {asComponent?: false}): FreebusyPeriod[];
+  export function computeFreeBusy(calendar: CalendarResponse, options: ComputeFreeBusyOptions): FreebusyPeriod[] | VFreebusy;
+
+  /**
+   * Local working hours for `findFreeSlots`
+   */
+  export type WorkingHours = {
+    /** Start of the working day, "HH:MM" (default: "00:00") */
+    start?: string;
+    /** End of the working day, "HH:MM" (default: "24:00") */
+    end?: string;
+    /** ISO weekdays to include, Monday = 1 … Sunday = 7 (default: Monday–Friday) */
+    days?: number[];
+  };
+
+  /**
+   * Options for `findFreeSlots`
+   */
+  export type FindFreeSlotsOptions = {
+    /** Start of the search window */
+    from: Date;
+    /** End of the search window */
+    to: Date;
+    /** Slot length in milliseconds, or a duration such as "PT30M" */
+    duration: number | string;
+    /** Only offer slots within these local hours (default: any time, every day) */
+    workingHours?: WorkingHours;
+    /** Timezone of the working hours and slot alignment (default: host timezone) */
+    timezone?: string;
+    /** Spacing of candidate start times in milliseconds or as a duration (default: 15 minutes) */
+    granularity?: number | string;
+    /** Maximum number of slots to return */
+    limit?: number;
+  };
+
+  /**
+   * A candidate slot in which no calendar is busy.
+   */
+  export type FreeSlot = {
+    start: DateWithTimeZone;
+    end: DateWithTimeZone;
+    /** Number of calendars with BUSY-TENTATIVE time during the slot (0 = free for everyone) */
+    tentative: number;
+  };
+
+  /**
+   * Find slots in which all calendars are free, from their expanded events and VFREEBUSY periods.
+   * Working hours are applied in `timezone` with Temporal, so they stay correct across DST.
+   *
+   * @param calendars - Parsed calendars, one per attendee (or a single calendar)
+   * @param options - Search window, slot length and working hours
+   * @returns Slots ranked by tentative conflicts, then by start
+   *
+   * @example
+   * ```typescript
+   * const calendars = await Promise.all(urls.map(url => ical.fromURL(url)));
+   * const slots = ical.findFreeSlots(calendars, {
+   *   from, to, duration: 'PT1H', workingHours: {start: '09:00', end: '17:00'}, timezone: 'Europe/Berlin',
+   * });
+   * ```
+   */
+  export function findFreeSlots(calendars: CalendarResponse | CalendarResponse[], options: FindFreeSlotsOptions): FreeSlot[];
+
+  /**
+   * Options for `findConflicts`; the window is required when passing calendars
+   */
+  export type FindConflictsOptions = {
+    /** Start of the window */
+    from?: Date;
+    /** End of the window */
+    to?: Date;
+  };
+
+  /**
+   * Two instances whose time overlaps, and the overlapping time.
+   */
+  export type Conflict = {
+    instances: [EventInstance<VEvent | VTodo>, EventInstance<VEvent | VTodo>];
+    /** Start of the overlap */
+    start: Date;
+    /** End of the overlap */
+    end: Date;
+  };
+
+  /**
+   * Find double-bookings between opaque, non-cancelled instances. Calendars are expanded with
+   * ongoing events included; an override is never reported against the occurrence it replaces,
+   * and instances sharing a UID are never reported against each other.
+   *
+   * @param calendarOrInstances - A parsed calendar, several calendars, or already expanded instances
+   * @param options - Window to check (required for calendars)
+   * @returns Conflicting pairs sorted by the start of their overlap
+   *
+   * @example
+   * ```typescript
+   * for (const {instances: [a, b], start, end} of ical.findConflicts([teamA, teamB], {from, to})) {
+   *   console.log(`${a.summary} overlaps ${b.summary}`, start, end);
+   * }
+   * ```
+   */
+  export function findConflicts(
+    calendarOrInstances: CalendarResponse | CalendarResponse[] | Array<EventInstance<VEvent | VTodo>>,
+    options?: FindConflictsOptions,
+  ): Conflict[];
+
+  /**
+   * Serialize a parsed calendar back into iCalendar (RFC 5545) text.
+   *
+   * Field names renamed by the parser are mapped back to their property names
+   * (e.g. `start` → `DTSTART`, `transparency` → `TRANSP`), stripped `X-` prefixes
+   * are restored, TEXT values are escaped and lines are folded at 75 octets.
+   * Dates are written as `VALUE=DATE` when `dateOnly`/`datetype: 'date'` is set,
+   * with their `TZID` and wall-clock time when they carry a `.tz` other than UTC,
+   * in UTC for UTC dates and as floating times otherwise.
+   *
+   * @param calendar - Parsed calendar as returned by `parseICS`/`parseFile`/`fromURL`
+   * @returns CRLF-terminated iCalendar text
+   *
+   * @example
+   * ```typescript
+   * const data = ical.sync.parseFile('calendar.ics');
+   * for (const [key, component] of Object.entries(data)) {
+   *   if (component?.type === 'VEVENT' && component.status === 'CANCELLED') {
+   *     delete data[key];
+   *   }
+   * }
+   *
+   * fs.writeFileSync('calendar.ics', ical.stringify(data));
+   * ```
+   */
+  export function stringify(calendar: CalendarResponse | TemporalCalendarResponse): string;
+
+  /**
+   * Property in jCal (RFC 7265) form: `[name, parameters, valueType, ...values]`.
+   * Structured values (e.g. GEO) are nested arrays, RECUR values are objects.
+   */
+  export type JCalProperty = [
+    name: string,
+    parameters: Record<string, string | string[]>,
+    valueType: string,
+    ...values: unknown[],
+  ];
+
+  /**
+   * Component in jCal (RFC 7265) form: `[name, properties, subcomponents]`.
+   */
+  export type JCalComponent = [
+    name: string,
+    properties: JCalProperty[],
+    components: JCalComponent[],
+  ];
+
+  /**
+   * Convert a parsed calendar into jCal (RFC 7265), the JSON representation of iCalendar.
+   *
+   * @param calendar - Parsed calendar as returned by `parseICS`/`parseFile`/`fromURL`
+   * @returns `["vcalendar", [...properties], [...components]]`
+   */
+  export function toJCal(calendar: CalendarResponse | TemporalCalendarResponse): JCalComponent;
+
+  /**
+   * Parse jCal (RFC 7265) into the same structure `parseICS` returns.
+   *
+   * @param json - jCal array (or several vcalendar arrays), or its JSON text
+   */
+  export function parseJCal(json: string | JCalComponent | JCalComponent[]): CalendarResponse;
+
+  /**
+   * Convert a parsed calendar into xCal (RFC 6321), the XML representation of iCalendar.
+   *
+   * @param calendar - Parsed calendar as returned by `parseICS`/`parseFile`/`fromURL`
+   * @returns xCal document
+   */
+  export function toXCal(calendar: CalendarResponse | TemporalCalendarResponse): string;
+
+  /**
+   * Parse an xCal (RFC 6321) document into the same structure `parseICS` returns.
+   * Dates carry the usual `tz`/`dateOnly` metadata, so `expandRecurringEvent` works unchanged.
+   *
+   * @param xml - xCal document
+   */
+  export function parseXCal(xml: string): CalendarResponse;
+
+  /**
+   * Machine-readable code of a validation problem.
+   */
+  export type ValidationIssueCode =
+    | 'MISSING_PROPERTY'
+    | 'CONFLICTING_PROPERTIES'
+    | 'DTEND_BEFORE_START'
+    | 'DUE_BEFORE_START'
+    | 'UNKNOWN_TZID'
+    | 'UNTIL_TYPE_MISMATCH'
+    | 'DUPLICATE_UID';
+
+  /**
+   * A problem found by `validate`: one of its own checks, or a parse diagnostic (ICS text only).
+   */
+  export type ValidationIssue = Omit<ParseDiagnostic, 'code'> & {
+    code: ValidationIssueCode | ParseDiagnosticCode;
+    /** Property the problem concerns, e.g. `DTEND` */
+    property?: string;
+  };
+
+  /**
+   * Result of `validate`.
+   */
+  export type ValidationReport = {
+    /** False when any issue has severity `error` */
+    valid: boolean;
+    /** Problems sorted by line (issues of parsed calendars carry no line) */
+    issues: ValidationIssue[];
+  };
+
+  /**
+   * Check a calendar against RFC 5545: required UID/DTSTAMP (and DTSTART in VEVENT), DTEND or DUE
+   * together with DURATION, DTEND or DUE before DTSTART, TZIDs that are neither defined by a
+   * VTIMEZONE nor resolvable, RRULE UNTIL of another value type than DTSTART, and components
+   * sharing a UID without RECURRENCE-ID.
+   *
+   * ICS text gets every check, located by line, plus the parse diagnostics. A parsed calendar
+   * has merged duplicate UIDs, normalized UNTIL and derived DTEND from DURATION, so those
+   * checks only run on text.
+   *
+   * @param calendarOrIcs - ICS text or a parsed calendar
+   * @returns Report with `valid` and the issues found
+   *
+   * @example
+   * ```typescript
+   * const {valid, issues} = ical.validate(icsString);
+   * for (const {severity, code, line, message} of issues) {
+   *   console.log(`${severity} ${code} at line ${line}: ${message}`);
+   * }
+   * ```
+   */
+  export function validate(calendarOrIcs: string | CalendarResponse): ValidationReport;
 
   declare const _default: {
     fromURL: typeof fromURL;
     parseFile: typeof parseFile;
     parseICS: typeof parseICS;
+    parseStream: typeof parseStream;
+    createMemoryCache: typeof createMemoryCache;
+    createFileCache: typeof createFileCache;
     sync: typeof sync;
     async: typeof async;
     expandRecurringEvent: typeof expandRecurringEvent;
+    expandCalendar: typeof expandCalendar;
+    iterateOccurrences: typeof iterateOccurrences;
+    getAlarmTimes: typeof getAlarmTimes;
+    getAlarms: typeof getAlarms;
+    computeFreeBusy: typeof computeFreeBusy;
+    findFreeSlots: typeof findFreeSlots;
+    findConflicts: typeof findConflicts;
+    stringify: typeof stringify;
+    toJCal: typeof toJCal;
+    parseJCal: typeof parseJCal;
+    toXCal: typeof toXCal;
+    parseXCal: typeof parseXCal;
+    validate: typeof validate;
+    ParseError: typeof ParseError;
+    setLogger: typeof setLogger;
+    timezones: typeof timezones;
     /** Internal compatibility hooks; intentionally left loose to avoid encouraging direct use. */
     objectHandlers: unknown;
     /** Internal compatibility hooks; intentionally left loose to avoid encouraging direct use. */
@@ -131,21 +909,73 @@ declare module 'node-ical' {
    */
   export type ExpandRecurringEventOptions = {
     /** Start of date range (inclusive) */
-    from: Date;
+    from: InstantInput;
     /** End of date range (inclusive) */
-    to: Date;
+    to: InstantInput;
     /** Whether to apply RECURRENCE-ID overrides (default: true) */
     includeOverrides?: boolean;
-    /** Whether to exclude EXDATE dates (default: true) */
+    /** Whether to exclude EXDATE dates and EXRULE matches (default: true) */
     excludeExdates?: boolean;
     /** Whether to include events that started before range but are still ongoing (default: false) */
     expandOngoing?: boolean;
+    /** Receives warnings raised while expanding, instead of the `setLogger` logger or the console */
+    logger?: Logger;
+    /**
+     * IANA zone for full-day instances (midnight there) and the day boundaries of `from`/`to`
+     * (default: the host zone). DATE values parsed with a `timezone` keep that zone.
+     */
+    timezone?: string;
+    /**
+     * Zone to show the instances in: adds their local date and time there as `display`.
+     * Accepts IANA names, Windows zone names and UTC offsets; throws a `RangeError` for unknown zones.
+     */
+    displayTimezone?: string;
+    /** `'temporal'` returns instances with Temporal values, see `ParseOptions.dates` (default: `'date'`) */
+    dates?: DatesMode;
+  };
+
+  /**
+   * Options for lazily iterating over event instances
+   */
+  export type IterateOccurrencesOptions = {
+    /** Only instances starting after this date */
+    after: InstantInput;
+    /** Stop before the first instance starting at or after this date */
+    before?: InstantInput;
+    /** Maximum number of instances to produce */
+    limit?: number;
+    /** Also produce an instance starting exactly at `after` (default: false) */
+    inclusive?: boolean;
+    /** Whether to apply RECURRENCE-ID overrides (default: true) */
+    includeOverrides?: boolean;
+    /** Whether to exclude EXDATE dates and EXRULE matches (default: true) */
+    excludeExdates?: boolean;
+    /** IANA zone for full-day instances, see `ExpandRecurringEventOptions` (default: the host zone) */
+    timezone?: string;
+    /** Zone to add the local date and time of each instance in, see `ExpandRecurringEventOptions` */
+    displayTimezone?: string;
+    /** `'temporal'` yields instances with Temporal values (default: `'date'`) */
+    dates?: DatesMode;
+  };
+
+  /**
+   * Options for expanding a whole calendar
+   */
+  export type ExpandCalendarOptions = ExpandRecurringEventOptions & {
+    /** Component types to expand (default: ['VEVENT']) */
+    types?: Array<'VEVENT' | 'VTODO' | 'VJOURNAL'>;
+    /** Keep only instances with at least one of these categories (case-insensitive) */
+    categories?: string[];
+    /** Drop instances whose STATUS is CANCELLED (default: false) */
+    excludeCancelled?: boolean;
+    /** Keep only instances with this transparency (TRANSP defaults to OPAQUE) */
+    transparency?: Transparency;
   };
 
   /**
    * An individual instance of a recurring or non-recurring event
    */
-  export type EventInstance = {
+  export type EventInstance<T extends VEvent | VTodo = VEvent> = {
     /** Start date/time of this instance */
     start: DateWithTimeZone;
     /** End date/time of this instance */
@@ -158,14 +988,43 @@ declare module 'node-ical' {
     isRecurring: boolean;
     /** Whether this instance is a RECURRENCE-ID override of the base event */
     isOverride: boolean;
-    /** The VEVENT object for this instance (base event or override) */
-    event: VEvent;
+    /** The VEVENT/VTODO object for this instance (base component or override) */
+    event: T;
+    /**
+     * Instances of a VTODO with DUE: when this instance is due (equal to `end`). Keeps the
+     * series' DTSTART-to-DUE distance unless an override sets its own DUE; COMPLETED and
+     * STATUS of an overridden instance are on its `event`.
+     */
+    due?: DateWithTimeZone;
+    /** Local date and time in the `displayTimezone` of the expansion; only set with that option */
+    display?: InstanceDisplay;
+  };
+
+  /**
+   * Wall-clock fields of an instance in a display zone. Timed instances are converted
+   * to that zone; full-day instances keep their dates, which are the same everywhere.
+   */
+  export type InstanceDisplay = {
+    /** Zone the fields are in: an IANA name or a UTC offset such as `+05:30` */
+    timeZone: string;
+    /** Local start day, `YYYY-MM-DD` */
+    date: string;
+    /** Local start time, `HH:MM:SS`; not set for full-day instances */
+    time?: string;
+    /** ISO weekday of `date`, Monday = 1 … Sunday = 7 */
+    weekday: number;
+    /** Local end day, `YYYY-MM-DD` (the day after the last one for full-day instances, like DTEND) */
+    endDate: string;
+    /** Local end time, `HH:MM:SS`; not set for full-day instances */
+    endTime?: string;
+    /** Number of local days the instance covers; an end at midnight does not cover that day */
+    daySpan: number;
   };
 
   /**
      * Response objects
      */
-  export type NodeIcalCallback = (error: any, data: CalendarResponse | undefined) => void;
+  export type NodeIcalCallback = (error: any, data: ParsedCalendarResponse | undefined) => void;
 
   /**
    * Response from parsing an iCalendar file.
@@ -199,6 +1058,14 @@ declare module 'node-ical' {
    */
   type Trigger = string;
 
+  /**
+   * TRIGGER parsed into either an offset from the START/END of the parent component
+   * (`offsetMs` is negative for alarms before it) or an absolute date-time.
+   */
+  export type ParsedTrigger =
+    | {type: 'relative'; related: 'START' | 'END'; duration: string; offsetMs: number}
+    | {type: 'absolute'; date: DateWithTimeZone};
+
   /**
    * https://www.kanzaki.com/docs/ical/valarm.html
    */
@@ -206,6 +1073,8 @@ declare module 'node-ical' {
     type: 'VALARM';
     action: 'AUDIO' | 'DISPLAY' | 'EMAIL' | 'PROCEDURE';
     trigger: Trigger;
+    /** Structured form of `trigger`; absent when the TRIGGER value could not be parsed */
+    parsedTrigger?: ParsedTrigger;
     description?: string;
     /**
      * https://www.kanzaki.com/docs/ical/repeat.html
@@ -253,8 +1122,23 @@ declare module 'node-ical' {
     attendee?: Attendee[] | Attendee;
     categories?: string[];
     rrule?: RRule;
+    /**
+     * Exclusion rules (EXRULE, RFC 2445). Parsed like `rrule`; occurrences they generate
+     * are dropped by `expandRecurringEvent()`. Kept as raw lines when there is no DTSTART.
+     */
+    exrule?: RRule[] | string[];
     recurrenceid?: DateWithTimeZone;
+    /**
+     * Set when the override was sent as `RECURRENCE-ID;RANGE=THISANDFUTURE`: it also
+     * applies (time shift and property changes) to every later instance of the series.
+     */
+    recurrencerange?: 'THISANDFUTURE';
     exdate?: Record<string, DateWithTimeZone>;
+    /**
+     * Additional instances of the recurrence set (RDATE), keyed like `exdate`:
+     * a date-only key (YYYY-MM-DD) and, for DATE-TIME values, the full ISO timestamp.
+     */
+    rdate?: Record<string, RecurrenceDate>;
   };
 
   export type VEvent = CalendarComponentCommon & BaseComponent & {
@@ -527,7 +1411,75 @@ declare module 'node-ical' {
   export type AttendeeRole = 'CHAIR' | 'REQ-PARTICIPANT' | 'NON-PARTICIPANT' | string;
   export type AttendeePartStat = 'NEEDS-ACTION' | 'ACCEPTED' | 'DECLINED' | 'TENTATIVE' | 'DELEGATED';
 
-  export type DateWithTimeZone = Date & {tz?: string; dateOnly?: true};
+  /**
+   * Rules of a VTIMEZONE that has no exact IANA equivalent, evaluated from its
+   * STANDARD/DAYLIGHT observances. Wall-clock times are given as milliseconds
+   * whose UTC fields hold the local date and time.
+   */
+  export type VTimezoneRules = {
+    tzid: string | undefined;
+    /** UTC offset in effect at an instant, in minutes. */
+    getOffsetMinutes(epochMilliseconds: number): number;
+    /** Instant of a local wall-clock time (folds pick the later instant, gaps move forward). */
+    toEpochMilliseconds(wallClockMilliseconds: number): number;
+    /** Local wall-clock time of an instant. */
+    toWallClockMilliseconds(epochMilliseconds: number): number;
+  };
+
+  /**
+   * Parsed date: `tz` is the TZID it was given in (or the `timezone` parse option
+   * for values without one), `zoneRules` is set when that TZID is defined by a
+   * VTIMEZONE without IANA equivalent.
+   */
+  export type DateWithTimeZone = Date & {tz?: string; zoneRules?: VTimezoneRules; dateOnly?: true};
+  /** RDATE value; `RDATE;VALUE=PERIOD` entries carry the end of their period. */
+  export type RecurrenceDate = DateWithTimeZone & {periodEnd?: DateWithTimeZone};
+
+  /**
+   * Parsed date in the Temporal output mode: `PlainDate` for DATE values, `ZonedDateTime`
+   * for DATE-TIMEs with a zone (a fixed-offset zone for TZIDs only defined by a VTIMEZONE)
+   * and `PlainDateTime` for floating times.
+   */
+  export type TemporalDate = Temporal.PlainDate | Temporal.ZonedDateTime | Temporal.PlainDateTime;
+  /** RDATE value in the Temporal output mode */
+  export type TemporalRecurrenceDate = TemporalDate & {periodEnd?: TemporalDate};
+  /** An exact point in time, accepted wherever the expansion takes a Date */
+  export type InstantInput = Date | Temporal.Instant | Temporal.ZonedDateTime;
+
+  /**
+   * RRULE of a component parsed with `{dates: 'temporal'}`: occurrences have the type of its DTSTART.
+   */
+  export type TemporalRRule = {
+    /** Rule text, e.g. `FREQ=WEEKLY;COUNT=3`; the only own property, so the rule survives `structuredClone()` */
+    readonly rule: string;
+    options: RRule['options'];
+    between: (after: InstantInput, before: InstantInput, inclusive?: boolean) => TemporalDate[];
+    all: (iterator?: (date: TemporalDate, index: number) => boolean | void) => TemporalDate[];
+    before: (date: InstantInput, inclusive?: boolean) => TemporalDate | undefined;
+    after: (date: InstantInput, inclusive?: boolean) => TemporalDate | undefined;
+    toText: (locale?: string) => string;
+    toString: () => string;
+  };
+
+  /**
+   * A parsed type with the Date values of the Temporal output mode, e.g. `WithTemporalDates<VEvent>`.
+   */
+  export type WithTemporalDates<T> =
+    T extends Date ? TemporalDate
+      : T extends RRule ? TemporalRRule
+        : T extends string | number | boolean | TemporalDate | VTimezoneRules | ((...arguments_: any[]) => unknown) ? T
+          : T extends Array<infer U> ? Array<WithTemporalDates<U>>
+            : T extends Record<string, unknown> ? {[K in keyof T]: K extends 'rdate' ? TemporalRdate<T[K]> : WithTemporalDates<T[K]>}
+              : T;
+
+  // Parsed RDATE maps carry period ends; the raw RDATE lines of VTIMEZONE observances stay strings
+  type TemporalRdate<T> = T extends string | string[] ? T : Record<string, TemporalRecurrenceDate>;
+
+  /** Instance from an expansion with `{dates: 'temporal'}` */
+  export type TemporalEventInstance<T extends VEvent | VTodo | WithTemporalDates<VEvent | VTodo> = VEvent> = Omit<WithTemporalDates<EventInstance>, 'event'> & {
+    /** The VEVENT/VTODO of this instance (base component or override), with Temporal values */
+    event: WithTemporalDates<T>;
+  };
   export type DateType = 'date-time' | 'date';
   export type Transparency = 'TRANSPARENT' | 'OPAQUE';
   export type Class = 'PUBLIC' | 'PRIVATE' | 'CONFIDENTIAL';
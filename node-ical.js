@@ -1,8 +1,21 @@
 import fs from 'node:fs';
 import ical from './ical.js';
+import {getAlarmTimes as getAlarmTimesImpl, getAlarms as getAlarmsImpl} from './lib/alarms.js';
 import {createCoreApi} from './lib/core-api.js';
-import expandRecurringEventImpl from './lib/expand-recurring-event.js';
+import findConflictsImpl from './lib/conflicts.js';
+import {ParseError as ParseErrorImpl, setLogger as setLoggerImpl} from './lib/diagnostics.js';
+import expandCalendarImpl from './lib/expand-calendar.js';
+import expandRecurringEventImpl, {iterateOccurrences as iterateOccurrencesImpl} from './lib/expand-recurring-event.js';
+import computeFreeBusyImpl from './lib/free-busy.js';
+import findFreeSlotsImpl from './lib/free-slots.js';
+import {stringify as stringifyImpl} from './lib/ical-serializer.js';
+import {createJCalParser, toJCal as toJCalImpl} from './lib/jcal.js';
 import {buildPublicApi} from './lib/public-api.js';
+import {createStreamParser} from './lib/stream-parser.js';
+import {timezones as timezonesImpl} from './lib/timezone-registry.js';
+import {createMemoryCache, createFileCache} from './lib/url-cache.js';
+import {createValidator} from './lib/validate.js';
+import {createXCalParser, toXCal as toXCalImpl} from './lib/xcal.js';
 
 // Runtime API wiring lives here; public typings are maintained in node-ical.d.ts.
 
@@ -18,12 +31,34 @@ const {
 const {objectHandlers} = ical;
 const handleObject = ical.handleObject.bind(ical);
 const parseLines = ical.parseLines.bind(ical);
+const parseStreamImpl = createStreamParser({handleObject});
+const parseJCalImpl = createJCalParser({parseICS: syncApi.parseICS});
+const parseXCalImpl = createXCalParser({parseJCal: parseJCalImpl});
+const validateImpl = createValidator({handleObject});
 
 const publicApi = buildPublicApi({
   asyncApi,
   autodetectApi,
   syncApi,
+  parseStream: parseStreamImpl,
   expandRecurringEvent: expandRecurringEventImpl,
+  expandCalendar: expandCalendarImpl,
+  iterateOccurrences: iterateOccurrencesImpl,
+  getAlarmTimes: getAlarmTimesImpl,
+  getAlarms: getAlarmsImpl,
+  computeFreeBusy: computeFreeBusyImpl,
+  findFreeSlots: findFreeSlotsImpl,
+  findConflicts: findConflictsImpl,
+  stringify: stringifyImpl,
+  toJCal: toJCalImpl,
+  parseJCal: parseJCalImpl,
+  toXCal: toXCalImpl,
+  parseXCal: parseXCalImpl,
+  validate: validateImpl,
+  ParseError: ParseErrorImpl,
+  setLogger: setLoggerImpl,
+  timezones: timezonesImpl,
+  urlCache: {createMemoryCache, createFileCache},
   icalCore: {
     objectHandlers,
     handleObject,
@@ -35,6 +70,10 @@ const {
   fromURL,
   parseFile,
   parseICS,
+  parseStream,
+  parseJCal,
+  parseXCal,
+  validate,
   sync,
   async,
 } = publicApi;
@@ -43,6 +82,10 @@ export {
   fromURL,
   parseFile,
   parseICS,
+  parseStream,
+  parseJCal,
+  parseXCal,
+  validate,
   sync,
   async,
   objectHandlers,
@@ -50,6 +93,17 @@ export {
   parseLines,
 };
 
-export {default as expandRecurringEvent} from './lib/expand-recurring-event.js';
+export {default as expandRecurringEvent, iterateOccurrences} from './lib/expand-recurring-event.js';
+export {default as expandCalendar} from './lib/expand-calendar.js';
+export {getAlarmTimes, getAlarms} from './lib/alarms.js';
+export {default as computeFreeBusy} from './lib/free-busy.js';
+export {default as findFreeSlots} from './lib/free-slots.js';
+export {default as findConflicts} from './lib/conflicts.js';
+export {stringify} from './lib/ical-serializer.js';
+export {toJCal} from './lib/jcal.js';
+export {toXCal} from './lib/xcal.js';
+export {createMemoryCache, createFileCache} from './lib/url-cache.js';
+export {ParseError, setLogger} from './lib/diagnostics.js';
+export {timezones} from './lib/timezone-registry.js';
 
 export default publicApi;
@@ -0,0 +1,291 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+function buildCalendar(...lines) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TEST//alarms//EN',
+    ...lines,
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+const ICS_SAMPLE = buildCalendar(
+  'BEGIN:VEVENT',
+  'UID:meeting',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250310T090000Z',
+  'DTEND:20250310T100000Z',
+  'RRULE:FREQ=DAILY;COUNT=3',
+  'SUMMARY:Planning',
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'DESCRIPTION:Starts soon',
+  'TRIGGER:-PT15M',
+  'REPEAT:2',
+  'DURATION:PT5M',
+  'END:VALARM',
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'DESCRIPTION:Wrap up',
+  'TRIGGER;RELATED=END:-PT10M',
+  'END:VALARM',
+  'BEGIN:VALARM',
+  'ACTION:AUDIO',
+  'TRIGGER;VALUE=DATE-TIME:20250309T180000Z',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VTODO',
+  'UID:report',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250310T080000Z',
+  'DUE:20250312T170000Z',
+  'SUMMARY:Report',
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'DESCRIPTION:Report due',
+  'TRIGGER;RELATED=END:-P1D',
+  'END:VALARM',
+  'END:VTODO',
+);
+
+describe('VALARM triggers', () => {
+  const data = ical.parseICS(ICS_SAMPLE);
+  const {meeting, report} = data;
+
+  describe('parsedTrigger', () => {
+    it('parses relative triggers, defaulting to RELATED=START', () => {
+      assert.deepEqual(meeting.alarms[0].parsedTrigger, {
+        type: 'relative',
+        related: 'START',
+        duration: '-PT15M',
+        offsetMs: -15 * 60 * 1000,
+      });
+      assert.equal(meeting.alarms[1].parsedTrigger.related, 'END');
+      assert.equal(meeting.alarms[1].parsedTrigger.offsetMs, -10 * 60 * 1000);
+    });
+
+    it('parses absolute DATE-TIME triggers', () => {
+      const {parsedTrigger} = meeting.alarms[2];
+
+      assert.equal(parsedTrigger.type, 'absolute');
+      assert.equal(parsedTrigger.date.toISOString(), '2025-03-09T18:00:00.000Z');
+    });
+
+    it('keeps the raw trigger value unchanged', () => {
+      assert.equal(meeting.alarms[0].trigger, '-PT15M');
+      assert.deepEqual(meeting.alarms[1].trigger, {params: {RELATED: 'END'}, val: '-PT10M'});
+    });
+
+    it('leaves malformed triggers unparsed', () => {
+      // Stub console.warn to keep test output clean
+      const originalWarn = console.warn;
+      const warnings = [];
+      let broken;
+      try {
+        console.warn = message => {
+          warnings.push(message);
+        };
+
+        ({broken} = ical.parseICS(buildCalendar(
+          'BEGIN:VEVENT',
+          'UID:broken',
+          'DTSTAMP:20250101T000000Z',
+          'DTSTART:20250310T090000Z',
+          'BEGIN:VALARM',
+          'ACTION:DISPLAY',
+          'TRIGGER:soon',
+          'END:VALARM',
+          'END:VEVENT',
+        )));
+      } finally {
+        console.warn = originalWarn;
+      }
+
+      assert.equal(warnings.length, 1);
+      assert.equal(broken.alarms[0].trigger, 'soon');
+      assert.equal(broken.alarms[0].parsedTrigger, undefined);
+      assert.deepEqual(ical.getAlarmTimes(broken), []);
+    });
+
+    it('is not written back by stringify', () => {
+      const ics = ical.stringify(data);
+
+      assert.match(ics, /^TRIGGER;RELATED=END:-PT10M\r$/mv);
+      assert.doesNotMatch(ics, /PARSEDTRIGGER|parsedTrigger/v);
+    });
+  });
+
+  describe('getAlarmTimes', () => {
+    it('returns trigger and repetition times for an event, sorted', () => {
+      const times = ical.getAlarmTimes(meeting);
+
+      assert.deepEqual(times.map(({date, repetition}) => [date.toISOString(), repetition]), [
+        ['2025-03-09T18:00:00.000Z', 0],
+        ['2025-03-10T08:45:00.000Z', 0],
+        ['2025-03-10T08:50:00.000Z', 1],
+        ['2025-03-10T08:55:00.000Z', 2],
+        ['2025-03-10T09:50:00.000Z', 0],
+      ]);
+      assert.equal(times[1].alarm.description, 'Starts soon');
+    });
+
+    it('measures relative triggers from an expanded instance', () => {
+      const [, second] = ical.expandRecurringEvent(meeting, {
+        from: new Date('2025-03-10T00:00:00Z'),
+        to: new Date('2025-03-12T23:59:59Z'),
+      });
+      const times = ical.getAlarmTimes(second).filter(({alarm}) => alarm.parsedTrigger.type === 'relative');
+
+      assert.deepEqual(times.map(({date}) => date.toISOString()), [
+        '2025-03-11T08:45:00.000Z',
+        '2025-03-11T08:50:00.000Z',
+        '2025-03-11T08:55:00.000Z',
+        '2025-03-11T09:50:00.000Z',
+      ]);
+    });
+
+    it('uses DUE as the END of a VTODO', () => {
+      assert.deepEqual(ical.getAlarmTimes(report).map(({date}) => date.toISOString()), ['2025-03-11T17:00:00.000Z']);
+    });
+
+    it('ignores REPEAT without DURATION', () => {
+      const {single} = ical.parseICS(buildCalendar(
+        'BEGIN:VEVENT',
+        'UID:single',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART:20250310T090000Z',
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        'TRIGGER:PT0S',
+        'REPEAT:3',
+        'END:VALARM',
+        'END:VEVENT',
+      ));
+
+      assert.deepEqual(ical.getAlarmTimes(single).map(({date}) => date.toISOString()), ['2025-03-10T09:00:00.000Z']);
+    });
+
+    it('validates its argument', () => {
+      assert.throws(() => ical.getAlarmTimes(null), TypeError);
+    });
+  });
+
+  describe('getAlarms', () => {
+    const calendar = ical.parseICS(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:standup',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250310T090000Z',
+      'DTEND:20250310T091500Z',
+      'RRULE:FREQ=DAILY;COUNT=5',
+      'SUMMARY:Standup',
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'DESCRIPTION:Standup in 10 minutes',
+      'TRIGGER:-PT10M',
+      'END:VALARM',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:standup',
+      'DTSTAMP:20250101T000000Z',
+      'RECURRENCE-ID:20250311T090000Z',
+      'DTSTART:20250311T140000Z',
+      'DTEND:20250311T141500Z',
+      'SUMMARY:Standup (afternoon)',
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'DESCRIPTION:Moved standup in 1 hour',
+      'TRIGGER:-PT1H',
+      'END:VALARM',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:standup',
+      'DTSTAMP:20250101T000000Z',
+      'RECURRENCE-ID:20250312T090000Z',
+      'DTSTART:20250312T100000Z',
+      'DTEND:20250312T101500Z',
+      'SUMMARY:Standup (late)',
+      'END:VEVENT',
+      'BEGIN:VTODO',
+      'UID:timesheet',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250310T080000Z',
+      'DUE:20250310T170000Z',
+      'RRULE:FREQ=DAILY;COUNT=3',
+      'SUMMARY:Timesheet',
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'TRIGGER;RELATED=END:-PT30M',
+      'END:VALARM',
+      'END:VTODO',
+      'BEGIN:VEVENT',
+      'UID:launch',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250320T120000Z',
+      'SUMMARY:Launch',
+      'BEGIN:VALARM',
+      'ACTION:EMAIL',
+      'TRIGGER;VALUE=DATE-TIME:20250311T120000Z',
+      'END:VALARM',
+      'END:VEVENT',
+    ));
+
+    function describeAlarms(alarms) {
+      return alarms.map(({date, instance}) => [date.toISOString(), instance.summary]);
+    }
+
+    it('finds alarms of recurring events, todos and overrides within the window', () => {
+      const alarms = ical.getAlarms(calendar, {
+        from: new Date('2025-03-11T00:00:00Z'),
+        to: new Date('2025-03-12T23:59:59Z'),
+      });
+
+      assert.deepEqual(describeAlarms(alarms), [
+        ['2025-03-11T12:00:00.000Z', 'Launch'],
+        ['2025-03-11T13:00:00.000Z', 'Standup (afternoon)'],
+        ['2025-03-11T16:30:00.000Z', 'Timesheet'],
+        ['2025-03-12T09:50:00.000Z', 'Standup (late)'],
+        ['2025-03-12T16:30:00.000Z', 'Timesheet'],
+      ]);
+      assert.equal(alarms[1].alarm.description, 'Moved standup in 1 hour');
+      assert.equal(alarms[3].alarm.description, 'Standup in 10 minutes');
+      assert.ok(alarms[1].instance.isOverride);
+    });
+
+    it('reports alarms whose instance starts after the window', () => {
+      const alarms = ical.getAlarms(calendar, {
+        from: new Date('2025-03-13T08:45:00Z'),
+        to: new Date('2025-03-13T08:55:00Z'),
+      });
+
+      assert.deepEqual(describeAlarms(alarms), [['2025-03-13T08:50:00.000Z', 'Standup']]);
+      assert.equal(alarms[0].instance.start.toISOString(), '2025-03-13T09:00:00.000Z');
+      assert.equal(alarms[0].repetition, 0);
+    });
+
+    it('reports an absolute trigger only once', () => {
+      const absolute = ical.getAlarms(calendar, {
+        from: new Date('2025-03-11T11:00:00Z'),
+        to: new Date('2025-03-11T12:30:00Z'),
+      });
+
+      assert.deepEqual(describeAlarms(absolute), [['2025-03-11T12:00:00.000Z', 'Launch']]);
+    });
+
+    it('returns nothing for an empty window', () => {
+      assert.deepEqual(ical.getAlarms(calendar, {
+        from: new Date('2025-04-01T00:00:00Z'),
+        to: new Date('2025-04-02T00:00:00Z'),
+      }), []);
+    });
+
+    it('validates its arguments', () => {
+      assert.throws(() => ical.getAlarms(null, {from: new Date(), to: new Date()}), TypeError);
+      assert.throws(() => ical.getAlarms(calendar, {from: new Date()}), TypeError);
+      assert.throws(() => ical.getAlarms(calendar, {from: new Date(1), to: new Date(0)}), RangeError);
+    });
+  });
+});
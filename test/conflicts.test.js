@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+function buildCalendar(...lines) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TEST//conflicts//EN',
+    ...lines,
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+function describeConflicts(conflicts) {
+  return conflicts
+    .map(({instances}) => instances.map(instance => instance.summary).toSorted((a, b) => a.localeCompare(b)).join(' / '))
+    .toSorted((a, b) => a.localeCompare(b));
+}
+
+const teamA = ical.parseICS(buildCalendar(
+  'BEGIN:VEVENT',
+  'UID:sync',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;TZID=Europe/Berlin:20250310T100000',
+  'DTEND;TZID=Europe/Berlin:20250310T110000',
+  'RRULE:FREQ=DAILY;COUNT=3',
+  'SUMMARY:Sync',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:sync',
+  'DTSTAMP:20250101T000000Z',
+  'RECURRENCE-ID;TZID=Europe/Berlin:20250311T100000',
+  'DTSTART;TZID=Europe/Berlin:20250311T140000',
+  'DTEND;TZID=Europe/Berlin:20250311T150000',
+  'SUMMARY:Sync (moved)',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:offsite',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;VALUE=DATE:20250314',
+  'SUMMARY:Offsite',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:dentist',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250314T150000',
+  'DTEND:20250314T160000',
+  'SUMMARY:Dentist',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:reading',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250310T090000Z',
+  'DTEND:20250310T100000Z',
+  'TRANSP:TRANSPARENT',
+  'SUMMARY:Reading',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:all-hands',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250313T020000Z',
+  'DTEND:20250313T030000Z',
+  'SUMMARY:All hands',
+  'END:VEVENT',
+));
+
+const teamB = ical.parseICS(buildCalendar(
+  'BEGIN:VEVENT',
+  'UID:night-shift',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250309T200000Z',
+  'DTEND:20250310T091500Z',
+  'SUMMARY:Night shift',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:customer-call',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;TZID=America/New_York:20250310T053000',
+  'DTEND;TZID=America/New_York:20250310T063000',
+  'SUMMARY:Customer call',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:interview',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250311T091500Z',
+  'DTEND:20250311T094500Z',
+  'SUMMARY:Interview',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:all-hands',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250313T020000Z',
+  'DTEND:20250313T030000Z',
+  'SUMMARY:All hands',
+  'END:VEVENT',
+));
+
+const range = {from: new Date('2025-03-10T00:00:00Z'), to: new Date('2025-03-16T00:00:00Z')};
+
+describe('findConflicts', () => {
+  it('finds overlapping opaque instances across calendars and timezones', () => {
+    assert.deepEqual(describeConflicts(ical.findConflicts([teamA, teamB], range)), [
+      'Customer call / Sync',
+      'Dentist / Offsite',
+      'Night shift / Sync',
+    ]);
+  });
+
+  it('reports the overlapping time of each pair', () => {
+    const conflicts = ical.findConflicts([teamA, teamB], range)
+      .filter(({instances}) => instances.some(instance => instance.event.uid === 'customer-call' || instance.event.uid === 'night-shift'));
+
+    assert.deepEqual(conflicts.map(({start, end}) => [start.toISOString(), end.toISOString()]), [
+      ['2025-03-10T09:00:00.000Z', '2025-03-10T09:15:00.000Z'],
+      ['2025-03-10T09:30:00.000Z', '2025-03-10T10:00:00.000Z'],
+    ]);
+  });
+
+  it('does not report the slot an override moved away from', () => {
+    const conflicts = ical.findConflicts([teamA, teamB], range);
+
+    assert.ok(conflicts.every(({instances}) => instances.every(instance => instance.summary !== 'Interview')));
+    assert.ok(conflicts.every(({instances}) => instances.every(instance => instance.summary !== 'Sync (moved)')));
+  });
+
+  it('accepts already expanded instances', () => {
+    const instances = [
+      ...ical.expandCalendar(teamA, {...range, expandOngoing: true}),
+      ...ical.expandCalendar(teamB, {...range, expandOngoing: true}),
+    ];
+
+    assert.deepEqual(describeConflicts(ical.findConflicts(instances)), describeConflicts(ical.findConflicts([teamA, teamB], range)));
+  });
+
+  it('finds conflicts within a single calendar', () => {
+    assert.deepEqual(describeConflicts(ical.findConflicts(teamA, range)), ['Dentist / Offsite']);
+  });
+
+  it('validates its arguments', () => {
+    assert.throws(() => ical.findConflicts(teamA), TypeError);
+    assert.throws(() => ical.findConflicts(null, range), TypeError);
+    assert.throws(() => ical.findConflicts(teamA, {from: range.to, to: range.from}), RangeError);
+  });
+});
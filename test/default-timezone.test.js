@@ -0,0 +1,206 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+function buildCalendar(...lines) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TEST//default-timezone//EN',
+    ...lines,
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+function getEvent(calendar, uid) {
+  return Object.values(calendar).find(component => component.type === 'VEVENT' && component.uid === uid);
+}
+
+function startTimes(instances) {
+  return instances.map(({start}) => start.toISOString());
+}
+
+// Zones far from UTC, so the host zone of the test run cannot produce the same instants
+const allDay = buildCalendar(
+  'BEGIN:VEVENT',
+  'UID:all-day',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;VALUE=DATE:20250403',
+  'RRULE:FREQ=DAILY;COUNT=5',
+  'EXDATE;VALUE=DATE:20250405',
+  'END:VEVENT',
+);
+
+describe('timezone option', () => {
+  describe('parsing', () => {
+    it('puts DATE values at midnight in the zone', () => {
+      const event = getEvent(ical.parseICS(allDay, {timezone: 'Pacific/Auckland'}), 'all-day');
+
+      // New Zealand daylight saving time ends at 03:00 on 2025-04-06
+      assert.equal(event.start.toISOString(), '2025-04-02T11:00:00.000Z');
+      assert.equal(event.start.tz, 'Pacific/Auckland');
+      assert.equal(event.start.dateOnly, true);
+      assert.equal(event.end.toISOString(), '2025-04-03T11:00:00.000Z');
+      assert.equal(event.exdate['2025-04-05'].toISOString(), '2025-04-04T11:00:00.000Z');
+      assert.deepEqual(startTimes(event.rrule.all().map(start => ({start}))), [
+        '2025-04-02T11:00:00.000Z',
+        '2025-04-03T11:00:00.000Z',
+        '2025-04-04T11:00:00.000Z',
+        '2025-04-05T11:00:00.000Z',
+        '2025-04-06T12:00:00.000Z',
+      ]);
+    });
+
+    it('reads floating times in the zone and follows its DST changes', () => {
+      const event = getEvent(ical.parseICS(buildCalendar(
+        'BEGIN:VEVENT',
+        'UID:floating',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART:20250328T090000',
+        'DURATION:PT1H',
+        'RRULE:FREQ=WEEKLY;COUNT=2',
+        'END:VEVENT',
+      ), {timezone: 'Europe/Berlin'}), 'floating');
+
+      assert.equal(event.start.toISOString(), '2025-03-28T08:00:00.000Z');
+      assert.equal(event.start.tz, 'Europe/Berlin');
+      assert.deepEqual(startTimes(event.rrule.all().map(start => ({start}))), [
+        '2025-03-28T08:00:00.000Z',
+        '2025-04-04T07:00:00.000Z',
+      ]);
+    });
+
+    it('uses the zone for custom Microsoft TZIDs without VTIMEZONE', () => {
+      const event = getEvent(ical.parseICS(buildCalendar(
+        'BEGIN:VEVENT',
+        'UID:custom',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART;TZID=Customized Time Zone:20250710T090000',
+        'END:VEVENT',
+      ), {timezone: 'America/Sao_Paulo'}), 'custom');
+
+      assert.equal(event.start.toISOString(), '2025-07-10T12:00:00.000Z');
+      assert.equal(event.start.tz, 'America/Sao_Paulo');
+    });
+
+    it('keeps borrowing the only VTIMEZONE for floating times', () => {
+      const event = getEvent(ical.parseICS(buildCalendar(
+        'BEGIN:VTIMEZONE',
+        'TZID:Asia/Tokyo',
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        'TZOFFSETFROM:+0900',
+        'TZOFFSETTO:+0900',
+        'END:STANDARD',
+        'END:VTIMEZONE',
+        'BEGIN:VEVENT',
+        'UID:borrowed',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART:20250710T090000',
+        'END:VEVENT',
+      ), {timezone: 'Europe/Berlin'}), 'borrowed');
+
+      assert.equal(event.start.toISOString(), '2025-07-10T00:00:00.000Z');
+    });
+
+    it('applies the zone to async parses and parseFile', async () => {
+      const calendar = await ical.async.parseICS(allDay, {timezone: 'Pacific/Auckland'});
+      assert.equal(getEvent(calendar, 'all-day').start.toISOString(), '2025-04-02T11:00:00.000Z');
+
+      const fileCalendar = ical.sync.parseFile('./test/fixtures/test_daily_recurring.ics', {timezone: 'Asia/Kolkata'});
+      assert.equal(getEvent(fileCalendar, 'daily-test@example.com').start.toISOString(), '2024-12-31T18:30:00.000Z');
+    });
+
+    it('writes the zone of DATE values back as the same day', () => {
+      const text = ical.stringify(ical.parseICS(allDay, {timezone: 'Pacific/Kiritimati'}));
+
+      assert.match(text, /^DTSTART;VALUE=DATE:20250403\r$/mv);
+      assert.match(text, /^EXDATE;VALUE=DATE:20250405\r$/mv);
+    });
+
+    it('writes floating times back without TZID', () => {
+      const text = ical.stringify(ical.parseICS(buildCalendar(
+        'BEGIN:VEVENT',
+        'UID:floating',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART:20250328T090000',
+        'END:VEVENT',
+      ), {timezone: 'Asia/Tokyo'}));
+
+      assert.match(text, /^DTSTART:20250328T090000\r$/mv);
+    });
+
+    it('rejects unknown zones', () => {
+      assert.throws(() => ical.parseICS(allDay, {timezone: 'Mars/Olympus_Mons'}), {name: 'RangeError', message: /Mars\/Olympus_Mons/v});
+      assert.throws(() => ical.parseICS(allDay, {timezone: 1}), RangeError);
+    });
+
+    it('passes unknown zones to the callback in callback mode', async () => {
+      const error = await new Promise(resolve => {
+        ical.parseICS(allDay, {timezone: 'Mars/Olympus_Mons'}, resolve);
+      });
+
+      assert.equal(error.name, 'RangeError');
+      await assert.rejects(ical.async.parseICS(allDay, {timezone: 'Mars/Olympus_Mons'}), RangeError);
+    });
+  });
+
+  describe('expansion', () => {
+    const from = new Date('2025-04-01T00:00:00Z');
+    const to = new Date('2025-04-30T00:00:00Z');
+
+    it('keeps the zone of DATE values parsed with one', () => {
+      const event = getEvent(ical.parseICS(allDay, {timezone: 'Pacific/Auckland'}), 'all-day');
+
+      for (const options of [{from, to}, {from, to, timezone: 'Pacific/Auckland'}]) {
+        const instances = ical.expandRecurringEvent(event, options);
+        assert.deepEqual(startTimes(instances), [
+          '2025-04-02T11:00:00.000Z',
+          '2025-04-03T11:00:00.000Z',
+          '2025-04-05T11:00:00.000Z',
+          '2025-04-06T12:00:00.000Z',
+        ]);
+        assert.equal(instances[0].end.toISOString(), '2025-04-03T11:00:00.000Z');
+        assert.ok(instances.every(({start}) => start.tz === 'Pacific/Auckland'));
+      }
+
+      const iterated = [...ical.iterateOccurrences(event, {after: from})];
+      assert.deepEqual(startTimes(iterated), [
+        '2025-04-02T11:00:00.000Z',
+        '2025-04-03T11:00:00.000Z',
+        '2025-04-05T11:00:00.000Z',
+        '2025-04-06T12:00:00.000Z',
+      ]);
+    });
+
+    it('puts full-day instances of host-local DATE values at midnight in the zone', () => {
+      const event = getEvent(ical.parseICS(allDay), 'all-day');
+      const instances = ical.expandRecurringEvent(event, {from, to, timezone: 'America/Los_Angeles'});
+
+      assert.deepEqual(startTimes(instances), [
+        '2025-04-03T07:00:00.000Z',
+        '2025-04-04T07:00:00.000Z',
+        '2025-04-06T07:00:00.000Z',
+        '2025-04-07T07:00:00.000Z',
+      ]);
+      assert.ok(instances.every(({start, isFullDay}) => isFullDay && start.tz === 'America/Los_Angeles'));
+    });
+
+    it('cuts the range into days in the zone', () => {
+      const event = getEvent(ical.parseICS(allDay), 'all-day');
+
+      // 15:00Z is already April 4th in Tokyo
+      const instances = ical.expandRecurringEvent(event, {from, to: new Date('2025-04-03T15:00:00Z'), timezone: 'Asia/Tokyo'});
+      assert.deepEqual(startTimes(instances), [
+        '2025-04-02T15:00:00.000Z',
+        '2025-04-03T15:00:00.000Z',
+      ]);
+    });
+
+    it('rejects unknown zones', () => {
+      const event = getEvent(ical.parseICS(allDay), 'all-day');
+      assert.throws(() => ical.expandRecurringEvent(event, {from, to, timezone: 'Nowhere/Special'}), RangeError);
+      assert.throws(() => [...ical.iterateOccurrences(event, {after: from, timezone: 'Nowhere/Special'})], RangeError);
+    });
+  });
+});
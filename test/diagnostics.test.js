@@ -0,0 +1,192 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+function buildCalendar(...lines) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TEST//diagnostics//EN',
+    ...lines,
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+function captureWarnings(callback) {
+  const originalWarn = console.warn;
+  const warnings = [];
+  try {
+    console.warn = message => {
+      warnings.push(message);
+    };
+
+    return {result: callback(), warnings};
+  } finally {
+    console.warn = originalWarn;
+  }
+}
+
+const brokenCalendar = buildCalendar(
+  'BEGIN:VEVENT',
+  'UID:broken',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250310T090000Z',
+  'DURATION:PT1X',
+  'SUMMARY:A long',
+  '  summary',
+  'this line is garbage',
+  'END:VEVENT',
+);
+
+describe('parse diagnostics', () => {
+  it('collects problems with line and component path instead of logging them', () => {
+    const {result, warnings} = captureWarnings(() => ical.parseICS(brokenCalendar, {diagnostics: true}));
+
+    assert.deepEqual(warnings, []);
+    assert.equal(result.broken.summary, 'A long summary');
+    assert.deepEqual(result.diagnostics, [
+      {
+        severity: 'error',
+        code: 'INVALID_CONTENT_LINE',
+        line: 11,
+        path: ['VCALENDAR', 'VEVENT'],
+        message: 'Skipping line that is not a "NAME:value" content line: "this line is garbage"',
+        uid: 'broken',
+      },
+      {
+        severity: 'warning',
+        code: 'MALFORMED_DURATION',
+        line: 12,
+        path: ['VCALENDAR', 'VEVENT'],
+        message: 'Ignoring malformed DURATION value: "PT1X" – treating as zero duration',
+        uid: 'broken',
+      },
+    ]);
+  });
+
+  it('keeps the diagnostics out of the enumerable entries', () => {
+    const data = ical.parseICS(buildCalendar(), {diagnostics: true});
+
+    assert.deepEqual(data.diagnostics, []);
+    assert.ok(!Object.keys(data).includes('diagnostics'));
+  });
+
+  it('reports invalid dates, unknown TZIDs and unbalanced components', () => {
+    const data = ical.parseICS(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:dates',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART;TZID=Mars/Olympus_Mons:20250310T090000',
+      'DTEND:tomorrow',
+      'END:VTODO',
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'TRIGGER:-PT5M',
+      'END:VEVENT',
+    ), {diagnostics: true});
+
+    assert.deepEqual(data.diagnostics.map(({code, line, path}) => ({code, line, path})), [
+      {code: 'UNKNOWN_TZID', line: 7, path: ['VCALENDAR', 'VEVENT']},
+      {code: 'INVALID_DATE', line: 8, path: ['VCALENDAR', 'VEVENT']},
+      {code: 'UNEXPECTED_END', line: 9, path: ['VCALENDAR', 'VEVENT']},
+      {code: 'UNTERMINATED_COMPONENT', line: 13, path: ['VCALENDAR', 'VEVENT', 'VALARM']},
+    ]);
+  });
+
+  it('records superseded revisions as info', () => {
+    const revision = sequence => [
+      'BEGIN:VEVENT',
+      'UID:revised',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250310T090000Z',
+      `SEQUENCE:${sequence}`,
+      'END:VEVENT',
+    ];
+    const data = ical.parseICS(buildCalendar(...revision(2), ...revision(1)), {strict: true});
+
+    assert.equal(data.revised.sequence, 2);
+    assert.deepEqual(data.diagnostics.map(({severity, code}) => [severity, code]), [['info', 'OLDER_SEQUENCE']]);
+  });
+
+  it('records a problem once per line', () => {
+    const exdates = Array.from({length: 500}, (_, index) => `EXDATE;TZID=Mars/Olympus_Mons:2025031${index % 10}T090000,2025032${index % 10}T090000`);
+    const data = ical.parseICS(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:exdates',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250310T090000Z',
+      ...exdates,
+      'END:VEVENT',
+    ), {diagnostics: true});
+
+    assert.equal(data.diagnostics.length, 500);
+    assert.deepEqual(data.diagnostics.slice(0, 2).map(({code, line}) => [code, line]), [['UNKNOWN_TZID', 8], ['UNKNOWN_TZID', 9]]);
+  });
+
+  it('leaves the default mode unchanged', () => {
+    const {result, warnings} = captureWarnings(() => ical.parseICS(brokenCalendar));
+
+    assert.equal(result.diagnostics, undefined);
+    assert.deepEqual(warnings, ['[node-ical] Ignoring malformed DURATION value: "PT1X" – treating as zero duration']);
+  });
+});
+
+describe('strict parsing', () => {
+  it('throws a ParseError for the first problem', () => {
+    assert.throws(() => ical.parseICS(brokenCalendar, {strict: true}), error => {
+      assert.ok(error instanceof ical.ParseError);
+      assert.equal(error.name, 'ParseError');
+      assert.equal(error.code, 'INVALID_CONTENT_LINE');
+      assert.equal(error.severity, 'error');
+      assert.equal(error.line, 11);
+      assert.deepEqual(error.path, ['VCALENDAR', 'VEVENT']);
+      assert.match(error.message, /\(line 11, VCALENDAR > VEVENT\)$/v);
+      return true;
+    });
+  });
+
+  it('applies the options to async and callback parsing', async () => {
+    await assert.rejects(ical.async.parseICS(brokenCalendar, {strict: true}), {name: 'ParseError', code: 'INVALID_CONTENT_LINE'});
+
+    const data = await new Promise((resolve, reject) => {
+      ical.parseICS(brokenCalendar, {diagnostics: true}, (error, result) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      });
+    });
+    assert.deepEqual(data.diagnostics.map(({code}) => code), ['INVALID_CONTENT_LINE', 'MALFORMED_DURATION']);
+  });
+
+  it('keeps lines folded across async parse batches together', async () => {
+    // Async parses handle 2000 lines per batch; the continuation is the 2001st line
+    const filler = Array.from({length: 1993}, () => 'X-FILLER:x');
+    const data = await ical.async.parseICS(buildCalendar(
+      ...filler,
+      'BEGIN:VEVENT',
+      'UID:folded',
+      'DTSTAMP:20250101T000000Z',
+      'SUMMARY:across',
+      '  batches',
+      'END:VEVENT',
+    ), {diagnostics: true});
+
+    assert.equal(data.folded.summary, 'across batches');
+    assert.deepEqual(data.diagnostics, []);
+  });
+
+  it('throws ParseError for duplicate DTSTART in every mode', () => {
+    const duplicate = buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:duplicate',
+      'DTSTART:20250310T090000Z',
+      'DTSTART:20250311T090000Z',
+      'END:VEVENT',
+    );
+
+    assert.throws(() => ical.parseICS(duplicate), {name: 'ParseError', code: 'DUPLICATE_PROPERTY', message: /^duplicate DTSTART encountered, line=DTSTART:20250311T090000Z$/v});
+    assert.throws(() => ical.parseICS(duplicate, {diagnostics: true}), {code: 'DUPLICATE_PROPERTY', line: 7, path: ['VCALENDAR', 'VEVENT']});
+  });
+});
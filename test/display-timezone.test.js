@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+function buildCalendar(...lines) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TEST//display-timezone//EN',
+    ...lines,
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+function getEvent(calendar, uid) {
+  return Object.values(calendar).find(component => component.type === 'VEVENT' && component.uid === uid);
+}
+
+const calendar = ical.parseICS(buildCalendar(
+  'BEGIN:VEVENT',
+  'UID:evening',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;TZID=Europe/Berlin:20250328T200000',
+  'DTEND;TZID=Europe/Berlin:20250328T230000',
+  'RRULE:FREQ=WEEKLY;COUNT=2',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:overnight',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250610T220000Z',
+  'DTEND:20250611T150000Z',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:all-day',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;VALUE=DATE:20250403',
+  'DTEND;VALUE=DATE:20250405',
+  'END:VEVENT',
+));
+
+const from = new Date('2025-01-01T00:00:00Z');
+const to = new Date('2025-12-31T00:00:00Z');
+
+describe('displayTimezone option', () => {
+  it('adds the wall-clock fields in the zone and follows its DST changes', () => {
+    const instances = ical.expandRecurringEvent(getEvent(calendar, 'evening'), {from, to, displayTimezone: 'Asia/Tokyo'});
+
+    // Berlin switches to summer time on 2025-03-30, Tokyo has none
+    assert.deepEqual(instances.map(({display}) => display), [
+      {
+        timeZone: 'Asia/Tokyo',
+        date: '2025-03-29',
+        time: '04:00:00',
+        weekday: 6,
+        endDate: '2025-03-29',
+        endTime: '07:00:00',
+        daySpan: 1,
+      },
+      {
+        timeZone: 'Asia/Tokyo',
+        date: '2025-04-05',
+        time: '03:00:00',
+        weekday: 6,
+        endDate: '2025-04-05',
+        endTime: '06:00:00',
+        daySpan: 1,
+      },
+    ]);
+  });
+
+  it('counts the local days an instance covers', () => {
+    const [overnight] = ical.expandRecurringEvent(getEvent(calendar, 'overnight'), {from, to, displayTimezone: 'America/New_York'});
+    assert.equal(overnight.display.date, '2025-06-10');
+    assert.equal(overnight.display.endDate, '2025-06-11');
+    assert.equal(overnight.display.daySpan, 2);
+
+    // 22:00Z to 15:00Z is 01:00 to 18:00 the next day in Kyiv summer time
+    const [sameDay] = ical.expandRecurringEvent(getEvent(calendar, 'overnight'), {from, to, displayTimezone: 'Europe/Kyiv'});
+    assert.equal(sameDay.display.time, '01:00:00');
+    assert.equal(sameDay.display.daySpan, 1);
+  });
+
+  it('keeps the dates of full-day instances', () => {
+    for (const displayTimezone of ['Pacific/Kiritimati', 'Pacific/Pago_Pago']) {
+      const [instance] = ical.expandRecurringEvent(getEvent(calendar, 'all-day'), {from, to, displayTimezone});
+      assert.deepEqual(instance.display, {
+        timeZone: displayTimezone,
+        date: '2025-04-03',
+        time: undefined,
+        weekday: 4,
+        endDate: '2025-04-05',
+        endTime: undefined,
+        daySpan: 2,
+      });
+    }
+  });
+
+  it('accepts Windows zone names and offsets', () => {
+    const event = getEvent(calendar, 'evening');
+    const [windows] = ical.expandRecurringEvent(event, {from, to, displayTimezone: 'Tokyo Standard Time'});
+    assert.equal(windows.display.timeZone, 'Asia/Tokyo');
+
+    const [offset] = ical.expandRecurringEvent(event, {from, to, displayTimezone: '+05:30'});
+    assert.equal(offset.display.timeZone, '+05:30');
+    assert.equal(offset.display.time, '00:30:00');
+  });
+
+  it('applies to iterateOccurrences, expandCalendar and Temporal instances', () => {
+    const [iterated] = ical.iterateOccurrences(getEvent(calendar, 'evening'), {after: from, limit: 1, displayTimezone: 'Asia/Tokyo'});
+    assert.equal(iterated.display.date, '2025-03-29');
+
+    const instances = ical.expandCalendar(calendar, {from, to, displayTimezone: 'Asia/Tokyo'});
+    assert.ok(instances.every(({display}) => display.timeZone === 'Asia/Tokyo'));
+
+    const [temporal] = ical.expandRecurringEvent(getEvent(calendar, 'evening'), {
+      from,
+      to,
+      displayTimezone: 'Asia/Tokyo',
+      dates: 'temporal',
+    });
+    assert.equal(temporal.display.time, '04:00:00');
+  });
+
+  it('leaves instances alone without the option', () => {
+    const [instance] = ical.expandRecurringEvent(getEvent(calendar, 'evening'), {from, to});
+    assert.equal(instance.display, undefined);
+  });
+
+  it('rejects unknown zones', () => {
+    const event = getEvent(calendar, 'evening');
+    assert.throws(() => ical.expandRecurringEvent(event, {from, to, displayTimezone: 'Mars/Olympus_Mons'}), {name: 'RangeError', message: /Mars\/Olympus_Mons/v});
+    assert.throws(() => [...ical.iterateOccurrences(event, {after: from, displayTimezone: 42})], RangeError);
+  });
+});
@@ -0,0 +1,141 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+const ICS_SAMPLE = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//TEST//expand calendar//EN',
+  'BEGIN:VEVENT',
+  'UID:daily',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250106T090000Z',
+  'DTEND:20250106T093000Z',
+  'RRULE:FREQ=DAILY;COUNT=3',
+  'SUMMARY:Standup',
+  'CATEGORIES:Work,Team',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:daily',
+  'DTSTAMP:20250101T000000Z',
+  'RECURRENCE-ID:20250107T090000Z',
+  'DTSTART:20250107T110000Z',
+  'DTEND:20250107T113000Z',
+  'SUMMARY:Standup (moved)',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:daily',
+  'DTSTAMP:20250101T000000Z',
+  'RECURRENCE-ID:20250108T090000Z',
+  'DTSTART:20250108T090000Z',
+  'DTEND:20250108T093000Z',
+  'STATUS:CANCELLED',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:lunch',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250107T120000Z',
+  'DTEND:20250107T130000Z',
+  'SUMMARY:Lunch',
+  'TRANSP:TRANSPARENT',
+  'CATEGORIES:Personal',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:holiday',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;VALUE=DATE:20250106',
+  'DTEND;VALUE=DATE:20250107',
+  'SUMMARY:Holiday',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:cancelled',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250106T150000Z',
+  'DTEND:20250106T160000Z',
+  'SUMMARY:Dropped',
+  'STATUS:CANCELLED',
+  'END:VEVENT',
+  'BEGIN:VTODO',
+  'UID:todo',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250107T080000Z',
+  'SUMMARY:Prepare slides',
+  'END:VTODO',
+  'END:VCALENDAR',
+].join('\r\n');
+
+const range = {
+  from: new Date(2025, 0, 6),
+  to: new Date(2025, 0, 10),
+};
+
+function summaries(instances) {
+  return instances.map(instance => instance.summary);
+}
+
+describe('expandCalendar', () => {
+  const data = ical.parseICS(ICS_SAMPLE);
+
+  it('returns one sorted list for every VEVENT, counting overrides once', () => {
+    const instances = ical.expandCalendar(data, range);
+
+    assert.deepEqual(summaries(instances), [
+      'Holiday',
+      'Standup',
+      'Dropped',
+      'Standup (moved)',
+      'Lunch',
+      'Standup',
+    ]);
+    assert.equal(instances.filter(instance => instance.isOverride).length, 2);
+    assert.ok(instances.every((instance, index) => index === 0 || instances[index - 1].start <= instance.start));
+  });
+
+  it('drops cancelled events and cancelled override instances', () => {
+    const instances = ical.expandCalendar(data, {...range, excludeCancelled: true});
+
+    assert.deepEqual(summaries(instances), ['Holiday', 'Standup', 'Standup (moved)', 'Lunch']);
+  });
+
+  it('filters by transparency, treating a missing TRANSP as OPAQUE', () => {
+    const transparent = ical.expandCalendar(data, {...range, transparency: 'TRANSPARENT'});
+    const opaque = ical.expandCalendar(data, {...range, transparency: 'OPAQUE'});
+
+    assert.deepEqual(summaries(transparent), ['Lunch']);
+    assert.ok(!summaries(opaque).includes('Lunch'));
+    assert.equal(opaque.length, 5);
+  });
+
+  it('filters by categories, inheriting them from the base event for overrides', () => {
+    const instances = ical.expandCalendar(data, {...range, categories: ['team']});
+
+    assert.deepEqual(summaries(instances), ['Standup', 'Standup (moved)', 'Standup']);
+  });
+
+  it('expands other component types on request', () => {
+    const instances = ical.expandCalendar(data, {...range, types: ['VTODO']});
+
+    assert.deepEqual(summaries(instances), ['Prepare slides']);
+  });
+
+  it('passes includeOverrides, excludeExdates and expandOngoing through', () => {
+    const withoutOverrides = ical.expandCalendar(data, {...range, includeOverrides: false, categories: ['Work']});
+    assert.deepEqual(withoutOverrides.map(instance => instance.start.toISOString()), [
+      '2025-01-06T09:00:00.000Z',
+      '2025-01-07T09:00:00.000Z',
+      '2025-01-08T09:00:00.000Z',
+    ]);
+
+    const ongoing = ical.expandCalendar(data, {
+      from: new Date('2025-01-07T12:30:00Z'),
+      to: new Date('2025-01-07T12:45:00Z'),
+      expandOngoing: true,
+    });
+    assert.deepEqual(summaries(ongoing), ['Lunch']);
+  });
+
+  it('validates its arguments', () => {
+    assert.throws(() => ical.expandCalendar(null, range), TypeError);
+    assert.throws(() => ical.expandCalendar(data, {from: range.to, to: range.from}), RangeError);
+  });
+});
@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+function buildCalendar(...lines) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TEST//exrule//EN',
+    ...lines,
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+const data = ical.parseICS(buildCalendar(
+  'BEGIN:VEVENT',
+  'UID:weekdays',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;TZID=Europe/Berlin:20250106T090000',
+  'DTEND;TZID=Europe/Berlin:20250106T093000',
+  'RRULE:FREQ=DAILY;COUNT=14',
+  'EXRULE:FREQ=WEEKLY;BYDAY=SA,SU',
+  'EXRULE:FREQ=DAILY;INTERVAL=1;UNTIL=20250107T090000',
+  'SUMMARY:Weekdays',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:all-day',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;VALUE=DATE:20250601',
+  'RRULE:FREQ=DAILY;COUNT=6',
+  'EXRULE:FREQ=DAILY;INTERVAL=2',
+  'SUMMARY:Every other day',
+  'END:VEVENT',
+));
+
+describe('EXRULE', () => {
+  const range = {from: new Date('2025-01-01T00:00:00Z'), to: new Date('2025-01-31T00:00:00Z')};
+
+  it('parses every EXRULE into a rule object', () => {
+    const {exrule} = data.weekdays;
+
+    assert.equal(exrule.length, 2);
+    assert.equal(typeof exrule[0].between, 'function');
+    assert.deepEqual(exrule[0].between(new Date('2025-01-10T00:00:00Z'), new Date('2025-01-13T00:00:00Z'))
+      .map(date => date.toISOString()), ['2025-01-11T08:00:00.000Z', '2025-01-12T08:00:00.000Z']);
+  });
+
+  it('normalizes a local UNTIL using the DTSTART timezone', () => {
+    const dates = data.weekdays.exrule[1].between(range.from, range.to, true);
+
+    assert.deepEqual(dates.map(date => date.toISOString()), ['2025-01-06T08:00:00.000Z', '2025-01-07T08:00:00.000Z']);
+  });
+
+  it('drops occurrences matched by an exclusion rule', () => {
+    const instances = ical.expandRecurringEvent(data.weekdays, range);
+
+    assert.deepEqual(instances.map(instance => instance.start.toISOString().slice(0, 10)), [
+      '2025-01-08',
+      '2025-01-09',
+      '2025-01-10',
+      '2025-01-13',
+      '2025-01-14',
+      '2025-01-15',
+      '2025-01-16',
+      '2025-01-17',
+    ]);
+    assert.deepEqual(
+      [...ical.iterateOccurrences(data.weekdays, {after: range.from})].map(instance => instance.start.getTime()),
+      instances.map(instance => instance.start.getTime()),
+    );
+  });
+
+  it('matches full-day occurrences by calendar day', () => {
+    const instances = ical.expandRecurringEvent(data['all-day'], {from: new Date(2025, 5, 1), to: new Date(2025, 5, 30)});
+
+    assert.deepEqual(instances.map(instance => instance.start.getDate()), [2, 4, 6]);
+  });
+
+  it('evaluates each exclusion rule once per expansion', () => {
+    const calls = [];
+    const exrule = data.weekdays.exrule.map(rule => ({
+      between(...args) {
+        calls.push(args);
+        return rule.between(...args);
+      },
+    }));
+    const event = {...data.weekdays, exrule};
+
+    assert.equal(ical.expandRecurringEvent(event, range).length, 8);
+    assert.equal(calls.length, 2);
+
+    calls.length = 0;
+    const {open} = ical.parseICS(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:open',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART;TZID=Europe/Berlin:20250106T090000',
+      'RRULE:FREQ=DAILY',
+      'END:VEVENT',
+    ));
+    const dailyEvent = {...data.weekdays, rrule: open.rrule, exrule};
+    const iterated = [...ical.iterateOccurrences(dailyEvent, {after: range.from, limit: 200})];
+    assert.equal(iterated.length, 200);
+    assert.ok(iterated.every(instance => ![0, 6].includes(instance.start.getUTCDay())));
+    assert.ok(calls.length < 20);
+  });
+
+  it('keeps iterated full-day occurrences matched by calendar day', () => {
+    assert.deepEqual(
+      [...ical.iterateOccurrences(data['all-day'], {after: new Date(2025, 4, 31)})].map(instance => instance.start.getDate()),
+      [2, 4, 6],
+    );
+  });
+
+  it('keeps matched occurrences when excludeExdates is false', () => {
+    assert.equal(ical.expandRecurringEvent(data.weekdays, {...range, excludeExdates: false}).length, 14);
+  });
+
+  it('skips a malformed EXRULE with a warning', () => {
+    const originalWarn = console.warn;
+    const warnings = [];
+    let broken;
+    try {
+      console.warn = message => {
+        warnings.push(message);
+      };
+
+      ({broken} = ical.parseICS(buildCalendar(
+        'BEGIN:VEVENT',
+        'UID:broken',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART:20250106T090000Z',
+        'RRULE:FREQ=DAILY;COUNT=3',
+        'EXRULE:FREQ=SOMETIMES',
+        'END:VEVENT',
+      )));
+    } finally {
+      console.warn = originalWarn;
+    }
+
+    assert.equal(warnings.length, 1);
+    assert.deepEqual(broken.exrule, []);
+    assert.equal(ical.expandRecurringEvent(broken, range).length, 3);
+  });
+
+  it('round-trips through stringify', () => {
+    const ics = ical.stringify(data);
+
+    assert.match(ics, /^EXRULE:FREQ=WEEKLY;BYDAY=SA,SU\r$/mv);
+    assert.match(ics, /^EXRULE:FREQ=DAILY;UNTIL=20250107T080000Z\r$/mv);
+    assert.equal(ical.expandRecurringEvent(ical.parseICS(ics).weekdays, range).length, 8);
+  });
+});
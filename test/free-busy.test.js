@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+function buildCalendar(...lines) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TEST//free busy//EN',
+    ...lines,
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+function describePeriods(periods) {
+  return periods.map(({type, start, end}) => [type, start.toISOString(), end.toISOString()]);
+}
+
+const data = ical.parseICS(buildCalendar(
+  'BEGIN:VEVENT',
+  'UID:standup',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250310T090000Z',
+  'DTEND:20250310T093000Z',
+  'RRULE:FREQ=DAILY;COUNT=3',
+  'SUMMARY:Standup',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:standup',
+  'DTSTAMP:20250101T000000Z',
+  'RECURRENCE-ID:20250312T090000Z',
+  'DTSTART:20250312T090000Z',
+  'DTEND:20250312T093000Z',
+  'STATUS:CANCELLED',
+  'SUMMARY:Standup',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:review',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250310T092000Z',
+  'DTEND:20250310T100000Z',
+  'SUMMARY:Review',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:maybe',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250310T094500Z',
+  'DTEND:20250310T113000Z',
+  'STATUS:TENTATIVE',
+  'SUMMARY:Maybe lunch',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:focus',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250311T130000Z',
+  'DTEND:20250311T150000Z',
+  'TRANSP:TRANSPARENT',
+  'SUMMARY:Focus time',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:workshop',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250311T150000Z',
+  'DTEND:20250311T170000Z',
+  'SUMMARY:Workshop',
+  'END:VEVENT',
+));
+
+const range = {from: new Date('2025-03-10T00:00:00Z'), to: new Date('2025-03-13T00:00:00Z')};
+
+describe('computeFreeBusy', () => {
+  it('merges overlapping busy time of expanded events', () => {
+    assert.deepEqual(describePeriods(ical.computeFreeBusy(data, range)), [
+      ['BUSY', '2025-03-10T09:00:00.000Z', '2025-03-10T10:00:00.000Z'],
+      ['BUSY-TENTATIVE', '2025-03-10T10:00:00.000Z', '2025-03-10T11:30:00.000Z'],
+      ['BUSY', '2025-03-11T09:00:00.000Z', '2025-03-11T09:30:00.000Z'],
+      ['BUSY', '2025-03-11T15:00:00.000Z', '2025-03-11T17:00:00.000Z'],
+    ]);
+  });
+
+  it('clips periods to the window and includes events already in progress', () => {
+    const periods = ical.computeFreeBusy(data, {from: new Date('2025-03-10T09:50:00Z'), to: new Date('2025-03-10T11:00:00Z')});
+
+    assert.deepEqual(describePeriods(periods), [
+      ['BUSY', '2025-03-10T09:50:00.000Z', '2025-03-10T10:00:00.000Z'],
+      ['BUSY-TENTATIVE', '2025-03-10T10:00:00.000Z', '2025-03-10T11:00:00.000Z'],
+    ]);
+  });
+
+  it('joins touching periods of the same type', () => {
+    const {a, b} = ical.parseICS(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:a',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250310T090000Z',
+      'DTEND:20250310T100000Z',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:b',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250310T100000Z',
+      'DTEND:20250310T110000Z',
+      'END:VEVENT',
+    ));
+
+    assert.deepEqual(describePeriods(ical.computeFreeBusy({a, b}, range)), [['BUSY', '2025-03-10T09:00:00.000Z', '2025-03-10T11:00:00.000Z']]);
+  });
+
+  it('builds a VFREEBUSY component that stringify can write', () => {
+    const component = ical.computeFreeBusy(data, {...range, asComponent: true});
+
+    assert.equal(component.type, 'VFREEBUSY');
+    assert.equal(component.start.toISOString(), range.from.toISOString());
+    assert.equal(component.freebusy.length, 4);
+
+    const ics = ical.stringify({[component.uid]: component});
+    assert.match(ics, /^DTSTART:20250310T000000Z\r$/mv);
+    assert.match(ics, /^FREEBUSY;FBTYPE=BUSY-TENTATIVE:20250310T100000Z\/20250310T113000Z\r$/mv);
+
+    const parsed = Object.values(ical.parseICS(ics)).find(item => item.type === 'VFREEBUSY');
+    assert.deepEqual(describePeriods(parsed.freebusy), describePeriods(component.freebusy));
+  });
+
+  it('validates its arguments', () => {
+    assert.throws(() => ical.computeFreeBusy(null, range), TypeError);
+    assert.throws(() => ical.computeFreeBusy(data, {from: range.from}), TypeError);
+    assert.throws(() => ical.computeFreeBusy(data, {from: range.to, to: range.from}), RangeError);
+  });
+});
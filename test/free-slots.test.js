@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+function buildCalendar(...lines) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TEST//free slots//EN',
+    ...lines,
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+function describeSlots(slots) {
+  return slots.map(({start, end, tentative}) => [start.toISOString(), end.toISOString(), tentative]);
+}
+
+const alice = ical.parseICS(buildCalendar(
+  'BEGIN:VEVENT',
+  'UID:alice-standup',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;TZID=Europe/Berlin:20250328T090000',
+  'DTEND;TZID=Europe/Berlin:20250328T100000',
+  'SUMMARY:Standup',
+  'END:VEVENT',
+));
+
+const bob = ical.parseICS(buildCalendar(
+  'BEGIN:VFREEBUSY',
+  'UID:bob-availability',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250328T000000Z',
+  'DTEND:20250401T000000Z',
+  'FREEBUSY;FBTYPE=BUSY:20250328T090000Z/PT1H',
+  'FREEBUSY;FBTYPE=FREE:20250331T070000Z/PT3H',
+  'END:VFREEBUSY',
+  'BEGIN:VEVENT',
+  'UID:bob-lunch',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;TZID=Europe/Berlin:20250328T110000',
+  'DTEND;TZID=Europe/Berlin:20250328T120000',
+  'STATUS:TENTATIVE',
+  'SUMMARY:Maybe lunch',
+  'END:VEVENT',
+));
+
+describe('findFreeSlots', () => {
+  // Friday 28 March is UTC+1 in Berlin, Monday 31 March already UTC+2
+  const options = {
+    from: new Date('2025-03-28T00:00:00Z'),
+    to: new Date('2025-03-31T23:59:59Z'),
+    duration: 'PT1H',
+    granularity: 'PT30M',
+    workingHours: {start: '09:00', end: '12:00'},
+    timezone: 'Europe/Berlin',
+  };
+
+  it('ranks common free slots within working hours across DST', () => {
+    assert.deepEqual(describeSlots(ical.findFreeSlots([alice, bob], options)), [
+      ['2025-03-31T07:00:00.000Z', '2025-03-31T08:00:00.000Z', 0],
+      ['2025-03-31T07:30:00.000Z', '2025-03-31T08:30:00.000Z', 0],
+      ['2025-03-31T08:00:00.000Z', '2025-03-31T09:00:00.000Z', 0],
+      ['2025-03-31T08:30:00.000Z', '2025-03-31T09:30:00.000Z', 0],
+      ['2025-03-31T09:00:00.000Z', '2025-03-31T10:00:00.000Z', 0],
+      ['2025-03-28T10:00:00.000Z', '2025-03-28T11:00:00.000Z', 1],
+    ]);
+  });
+
+  it('reports slots in the requested timezone and honours limit', () => {
+    const [best] = ical.findFreeSlots([alice, bob], {...options, limit: 1});
+
+    assert.equal(best.start.tz, 'Europe/Berlin');
+    assert.equal(ical.findFreeSlots([alice, bob], {...options, limit: 2}).length, 2);
+  });
+
+  it('includes weekend days when asked to', () => {
+    const slots = ical.findFreeSlots(alice, {...options, workingHours: {...options.workingHours, days: [6]}});
+
+    assert.equal(slots.length, 5);
+    assert.ok(slots.every(({start}) => start.toISOString().startsWith('2025-03-29T')));
+  });
+
+  it('aligns candidate starts to the granularity', () => {
+    const slots = ical.findFreeSlots([], {
+      from: new Date('2025-03-31T07:10:00Z'),
+      to: new Date('2025-03-31T08:30:00Z'),
+      duration: 30 * 60 * 1000,
+      timezone: 'UTC',
+    });
+
+    assert.deepEqual(slots.map(({start}) => start.toISOString()), [
+      '2025-03-31T07:15:00.000Z',
+      '2025-03-31T07:30:00.000Z',
+      '2025-03-31T07:45:00.000Z',
+      '2025-03-31T08:00:00.000Z',
+    ]);
+  });
+
+  it('validates its arguments', () => {
+    assert.throws(() => ical.findFreeSlots([null], options), TypeError);
+    assert.throws(() => ical.findFreeSlots([alice], {...options, from: undefined}), TypeError);
+    assert.throws(() => ical.findFreeSlots([alice], {...options, duration: 'soon'}), RangeError);
+    assert.throws(() => ical.findFreeSlots([alice], {...options, workingHours: {start: '17:00', end: '09:00'}}), RangeError);
+    assert.throws(() => ical.findFreeSlots([alice], {...options, timezone: 'Nowhere/Special'}), RangeError);
+  });
+});
@@ -1,5 +1,8 @@
 import assert from 'node:assert/strict';
+import fs from 'node:fs';
 import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
 import {describe, it} from 'mocha';
 import ical from 'node-ical';
 
@@ -233,5 +236,353 @@ describe('integration: fromURL', () => {
         await close();
       }
     });
+
+    it('applies parse options to the fetched calendar', async () => {
+      const {urlBase, close} = await withServer({
+        '/broken.ics'(_request, response) {
+          response.writeHead(200, {'Content-Type': 'text/calendar'});
+          response.end(icsBody('Broken').replace('DTEND:20250101T110000Z', 'DURATION:soon'));
+        },
+      });
+      try {
+        const data = await ical.fromURL(`${urlBase}/broken.ics`, {diagnostics: true});
+        assert.deepEqual(data.diagnostics.map(({code, line}) => [code, line]), [['MALFORMED_DURATION', 10]]);
+
+        await assert.rejects(ical.fromURL(`${urlBase}/broken.ics`, {strict: true}), {name: 'ParseError', code: 'MALFORMED_DURATION'});
+      } finally {
+        await close();
+      }
+    });
+
+    it('reads floating times in the timezone option', async () => {
+      const {urlBase, close} = await withServer({
+        '/floating.ics'(_request, response) {
+          response.writeHead(200, {'Content-Type': 'text/calendar'});
+          response.end(icsBody('Floating').replace('DTSTART:20250101T100000Z', 'DTSTART:20250101T100000'));
+        },
+      });
+      try {
+        const event = getFirstVEvent(await ical.fromURL(`${urlBase}/floating.ics`, {timezone: 'Asia/Tokyo'}));
+        assert.equal(event.start.toISOString(), '2025-01-01T01:00:00.000Z');
+        assert.equal(event.start.tz, 'Asia/Tokyo');
+      } finally {
+        await close();
+      }
+    });
+
+    it('returns Temporal values with the dates option', async () => {
+      const {urlBase, close} = await withServer({
+        '/temporal.ics'(_request, response) {
+          response.writeHead(200, {'Content-Type': 'text/calendar'});
+          response.end(icsBody('Temporal'));
+        },
+      });
+      try {
+        const event = getFirstVEvent(await ical.fromURL(`${urlBase}/temporal.ics`, {dates: 'temporal'}));
+        assert.equal(event.start.toString(), '2025-01-01T10:00:00+00:00[Etc/UTC]');
+      } finally {
+        await close();
+      }
+    });
+  });
+
+  describe('Conditional caching', () => {
+    function conditionalRoute(state) {
+      return (request, response) => {
+        state.requests.push(request.headers);
+        const notModified = (state.etag && request.headers['if-none-match'] === state.etag)
+          || (state.lastModified && request.headers['if-modified-since'] === state.lastModified);
+        if (notModified) {
+          response.writeHead(304);
+          response.end();
+          return;
+        }
+
+        const headers = {'Content-Type': 'text/calendar'};
+        if (state.etag) {
+          headers.ETag = state.etag;
+        }
+
+        if (state.lastModified) {
+          headers['Last-Modified'] = state.lastModified;
+        }
+
+        response.writeHead(200, headers);
+        response.end(icsBody(state.summary));
+      };
+    }
+
+    it('revalidates with If-None-Match and parses the cached body on 304', async () => {
+      const state = {etag: '"v1"', summary: 'Cached Event', requests: []};
+      const {urlBase, close} = await withServer({'/feed.ics': conditionalRoute(state)});
+      try {
+        const responseCache = ical.createMemoryCache();
+        const first = await ical.fromURL(`${urlBase}/feed.ics`, {responseCache});
+        const second = await ical.fromURL(`${urlBase}/feed.ics`, {responseCache});
+
+        assert.equal(first.fromCache, false);
+        assert.equal(second.fromCache, true);
+        assert.equal(state.requests[0]['if-none-match'], undefined);
+        assert.equal(state.requests[1]['if-none-match'], '"v1"');
+        assert.deepEqual(getFirstVEvent(second), getFirstVEvent(first));
+        assert.ok(!Object.keys(second).includes('fromCache'));
+      } finally {
+        await close();
+      }
+    });
+
+    it('does not hand out results that earlier callers modified', async () => {
+      const state = {etag: '"v1"', summary: 'Original', requests: []};
+      const {urlBase, close} = await withServer({'/feed.ics': conditionalRoute(state)});
+      try {
+        const options = {responseCache: ical.createMemoryCache()};
+        const first = await ical.fromURL(`${urlBase}/feed.ics`, options);
+        getFirstVEvent(first).summary = 'Edited';
+        const second = await ical.fromURL(`${urlBase}/feed.ics`, options);
+        delete second['fetch-test-1'];
+        const third = await ical.fromURL(`${urlBase}/feed.ics`, options);
+
+        assert.equal(third.fromCache, true);
+        assert.equal(getFirstVEvent(third).summary, 'Original');
+      } finally {
+        await close();
+      }
+    });
+
+    it('parses cached bodies with the options of the current call', async () => {
+      const state = {etag: '"v1"', summary: 'Options', requests: []};
+      const {urlBase, close} = await withServer({'/feed.ics': conditionalRoute(state)});
+      try {
+        const options = {responseCache: ical.createMemoryCache()};
+        await ical.fromURL(`${urlBase}/feed.ics`, options);
+        const temporal = await ical.fromURL(`${urlBase}/feed.ics`, {...options, dates: 'temporal'});
+        const diagnosed = await ical.fromURL(`${urlBase}/feed.ics`, {...options, diagnostics: true});
+
+        assert.equal(temporal.fromCache, true);
+        assert.equal(getFirstVEvent(temporal).start.toString(), '2025-01-01T10:00:00+00:00[Etc/UTC]');
+        assert.equal(diagnosed.fromCache, true);
+        assert.deepEqual(diagnosed.diagnostics, []);
+      } finally {
+        await close();
+      }
+    });
+
+    it('copies the cached result on 304 instead of parsing the body again', async () => {
+      const body = ICS_TEMPLATE
+        .replace('DTSTART:20250101T100000Z', () => 'DTSTART;TZID=Europe/Berlin:20250101T100000')
+        .replace('DTEND:20250101T110000Z', () => 'DURATION:PT1X');
+      const requests = [];
+      const {urlBase, close} = await withServer({
+        '/feed.ics'(request, response) {
+          requests.push(request.headers);
+          if (request.headers['if-none-match'] === '"v1"') {
+            response.writeHead(304);
+            response.end();
+            return;
+          }
+
+          response.writeHead(200, {'Content-Type': 'text/calendar', ETag: '"v1"'});
+          response.end(body);
+        },
+      });
+      try {
+        const warnings = [];
+        const logger = {
+          warn(message) {
+            warnings.push(message);
+          },
+        };
+        const responseCache = ical.createMemoryCache();
+        const first = await ical.fromURL(`${urlBase}/feed.ics`, {responseCache, logger});
+        const second = await ical.fromURL(`${urlBase}/feed.ics`, {responseCache, logger});
+
+        // The malformed DURATION is only reported by the one parse
+        assert.equal(warnings.length, 1);
+        assert.equal(second.fromCache, true);
+        assert.notEqual(getFirstVEvent(second), getFirstVEvent(first));
+        assert.deepEqual(getFirstVEvent(second), getFirstVEvent(first));
+        assert.equal(getFirstVEvent(second).start.tz, 'Europe/Berlin');
+        assert.equal(getFirstVEvent(second).start.toISOString(), '2025-01-01T09:00:00.000Z');
+        assert.equal(responseCache.get(`${urlBase}/feed.ics`).parsed.size, 1);
+
+        // Stores that serialize their entries lose the parsed results and parse the body again
+        const entries = new Map();
+        const jsonStore = {
+          get: key => (entries.has(key) ? JSON.parse(entries.get(key)) : undefined),
+          set(key, entry) {
+            entries.set(key, JSON.stringify(entry));
+          },
+        };
+        await ical.fromURL(`${urlBase}/feed.ics`, {responseCache: jsonStore, logger});
+        const reparsed = await ical.fromURL(`${urlBase}/feed.ics`, {responseCache: jsonStore, logger});
+
+        assert.equal(reparsed.fromCache, true);
+        assert.equal(getFirstVEvent(reparsed).start.tz, 'Europe/Berlin');
+        assert.equal(warnings.length, 3);
+      } finally {
+        await close();
+      }
+    });
+
+    it('drops the entry when the feed stops sending validators', async () => {
+      const state = {etag: '"v1"', summary: 'Before', requests: []};
+      const {urlBase, close} = await withServer({'/feed.ics': conditionalRoute(state)});
+      try {
+        const responseCache = ical.createMemoryCache();
+        await ical.fromURL(`${urlBase}/feed.ics`, {responseCache});
+        assert.ok(responseCache.get(`${urlBase}/feed.ics`));
+
+        state.etag = undefined;
+        state.summary = 'After';
+        const changed = await ical.fromURL(`${urlBase}/feed.ics`, {responseCache});
+        await ical.fromURL(`${urlBase}/feed.ics`, {responseCache});
+
+        assert.equal(getFirstVEvent(changed).summary, 'After');
+        assert.equal(responseCache.get(`${urlBase}/feed.ics`), undefined);
+        assert.equal(state.requests[2]['if-none-match'], undefined);
+      } finally {
+        await close();
+      }
+    });
+
+    it('refreshes the cache when the feed changes', async () => {
+      const state = {etag: '"v1"', summary: 'Before', requests: []};
+      const {urlBase, close} = await withServer({'/feed.ics': conditionalRoute(state)});
+      try {
+        const options = {responseCache: ical.createMemoryCache()};
+        await ical.fromURL(`${urlBase}/feed.ics`, options);
+
+        state.etag = '"v2"';
+        state.summary = 'After';
+        const changed = await ical.fromURL(`${urlBase}/feed.ics`, options);
+        const cached = await ical.fromURL(`${urlBase}/feed.ics`, options);
+
+        assert.equal(changed.fromCache, false);
+        assert.equal(getFirstVEvent(changed).summary, 'After');
+        assert.equal(cached.fromCache, true);
+        assert.equal(getFirstVEvent(cached).summary, 'After');
+        assert.equal(state.requests[2]['if-none-match'], '"v2"');
+      } finally {
+        await close();
+      }
+    });
+
+    it('persists Last-Modified validators with the filesystem store', async () => {
+      const lastModified = 'Wed, 01 Jan 2025 00:00:00 GMT';
+      const state = {lastModified, summary: 'On Disk', requests: []};
+      const {urlBase, close} = await withServer({'/feed.ics': conditionalRoute(state)});
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'node-ical-cache-'));
+      try {
+        await ical.fromURL(`${urlBase}/feed.ics`, {responseCache: ical.createFileCache(directory)});
+        assert.equal(fs.readdirSync(directory).length, 1);
+
+        // A fresh store instance reads the entry written by the first one
+        const data = await ical.fromURL(`${urlBase}/feed.ics`, {responseCache: ical.createFileCache(directory)});
+
+        assert.equal(state.requests[1]['if-modified-since'], lastModified);
+        assert.equal(data.fromCache, true);
+        assert.equal(getFirstVEvent(data).summary, 'On Disk');
+      } finally {
+        fs.rmSync(directory, {recursive: true, force: true});
+        await close();
+      }
+    });
+
+    it('does not send validators or flag results without responseCache', async () => {
+      const state = {etag: '"v1"', summary: 'Uncached', requests: []};
+      const {urlBase, close} = await withServer({'/feed.ics': conditionalRoute(state)});
+      try {
+        await ical.fromURL(`${urlBase}/feed.ics`);
+        const data = await ical.fromURL(`${urlBase}/feed.ics`);
+
+        assert.equal(state.requests[1]['if-none-match'], undefined);
+        assert.equal(data.fromCache, undefined);
+      } finally {
+        await close();
+      }
+    });
+
+    it('rejects invalid cache stores', async () => {
+      await assert.rejects(ical.fromURL('http://localhost/feed.ics', {responseCache: {}}), TypeError);
+    });
+  });
+
+  describe('webcal and refresh intervals', () => {
+    it('fetches webcal:// links over http', async () => {
+      const {urlBase, close} = await withServer({
+        '/subscribe.ics'(_request, response) {
+          response.writeHead(200, {'Content-Type': 'text/calendar'});
+          response.end(icsBody('Webcal Event'));
+        },
+      });
+      try {
+        const data = await ical.fromURL(`${urlBase.replace(/^http:/v, 'webcal:')}/subscribe.ics`);
+        assert.equal(getFirstVEvent(data).summary, 'Webcal Event');
+      } finally {
+        await close();
+      }
+    });
+
+    it('maps webcals:// to https:// before calling fetch', async () => {
+      const {createCoreApi} = await import('../lib/core-api.js');
+      const requested = [];
+      const {fromURL} = createCoreApi({
+        parseICSImpl: ical.parseICS,
+        fsModule: fs,
+        async fetchImpl(url) {
+          requested.push(url);
+          return {
+            ok: true,
+            status: 200,
+            statusText: 'OK',
+            text: async () => icsBody('Secure'),
+          };
+        },
+      });
+
+      await fromURL('WEBCALS://example.com/feed.ics');
+      await fromURL('https://example.com/webcal://feed.ics');
+
+      assert.deepEqual(requested, ['https://example.com/feed.ics', 'https://example.com/webcal://feed.ics']);
+    });
+
+    it('reports REFRESH-INTERVAL and X-PUBLISHED-TTL in milliseconds', async () => {
+      const withHeader = header => icsBody('Polled').replace('VERSION:2.0', () => `VERSION:2.0\r\n${header}`);
+      const {urlBase, close} = await withServer({
+        '/refresh.ics'(_request, response) {
+          response.writeHead(200, {'Content-Type': 'text/calendar'});
+          response.end(withHeader('REFRESH-INTERVAL;VALUE=DURATION:P1D\r\nX-PUBLISHED-TTL:PT1H'));
+        },
+        '/ttl.ics'(_request, response) {
+          response.writeHead(200, {'Content-Type': 'text/calendar'});
+          response.end(withHeader('X-PUBLISHED-TTL:PT30M'));
+        },
+        '/ttl-duration.ics'(_request, response) {
+          response.writeHead(200, {'Content-Type': 'text/calendar'});
+          response.end(withHeader('X-PUBLISHED-TTL;VALUE=DURATION:PT2H'));
+        },
+        '/none.ics'(_request, response) {
+          response.writeHead(200, {'Content-Type': 'text/calendar'});
+          response.end(icsBody('Polled'));
+        },
+      });
+      try {
+        const refresh = await ical.fromURL(`${urlBase}/refresh.ics`, {refreshInterval: true});
+        const ttl = await ical.fromURL(`${urlBase}/ttl.ics`, {refreshInterval: true});
+        const ttlDuration = await ical.fromURL(`${urlBase}/ttl-duration.ics`, {refreshInterval: true});
+        const none = await ical.fromURL(`${urlBase}/none.ics`, {refreshInterval: true});
+        const notRequested = await ical.fromURL(`${urlBase}/ttl.ics`);
+
+        assert.equal(refresh.refreshInterval, 24 * 60 * 60 * 1000);
+        assert.equal(ttl.refreshInterval, 30 * 60 * 1000);
+        assert.equal(ttlDuration.refreshInterval, 2 * 60 * 60 * 1000);
+        assert.ok(Object.hasOwn(none, 'refreshInterval'));
+        assert.equal(none.refreshInterval, undefined);
+        assert.ok(!Object.hasOwn(notRequested, 'refreshInterval'));
+        assert.ok(!Object.keys(ttl).includes('refreshInterval'));
+      } finally {
+        await close();
+      }
+    });
   });
 });
@@ -149,5 +149,20 @@ describe('Issue #459 - Exchange DATE-TIME RECURRENCE-ID on DATE-only event', ()
         && instance.isOverride === false);
       assert.strictEqual(feb26, undefined, 'Original Feb 26 non-override instance should be absent (replaced by the moved override)');
     });
+
+    it('should keep the offset TZID and expand the same way after stringify', () => {
+      const ics = ical.stringify({[offsetEvent.uid]: offsetEvent});
+      assert.match(ics, /^RECURRENCE-ID;TZID=UTC\+01:20260226T000000\r$/mv);
+
+      const reparsed = Object.values(ical.parseICS(ics)).find(foundEvent => foundEvent.type === 'VEVENT' && foundEvent.rrule);
+      const range = {from: new Date(2026, 1, 19), to: new Date(2026, 7, 31)};
+      const describeInstances = instances => instances.map(instance => `${instance.start.toISOString()} ${instance.isOverride}`);
+
+      assert.deepStrictEqual(Object.keys(reparsed.recurrences), Object.keys(offsetEvent.recurrences));
+      assert.deepStrictEqual(
+        describeInstances(ical.expandRecurringEvent(reparsed, range)),
+        describeInstances(ical.expandRecurringEvent(offsetEvent, range)),
+      );
+    });
   });
 });
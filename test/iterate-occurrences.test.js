@@ -0,0 +1,205 @@
+import assert from 'node:assert/strict';
+import process from 'node:process';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+function buildCalendar(...lines) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TEST//iterate occurrences//EN',
+    ...lines,
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+function isoStarts(instances) {
+  return instances.map(instance => instance.start.toISOString());
+}
+
+const data = ical.parseICS(buildCalendar(
+  'BEGIN:VEVENT',
+  'UID:open-ended',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250101T100000Z',
+  'DTEND:20250101T110000Z',
+  'RRULE:FREQ=DAILY',
+  'EXDATE:20250103T100000Z',
+  'RDATE:20250102T150000Z',
+  'SUMMARY:Daily',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:open-ended',
+  'DTSTAMP:20250101T000000Z',
+  'RECURRENCE-ID:20250104T100000Z',
+  'DTSTART:20250102T060000Z',
+  'DTEND:20250102T070000Z',
+  'SUMMARY:Moved earlier',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:open-ended',
+  'DTSTAMP:20250101T000000Z',
+  'RECURRENCE-ID:20250105T100000Z',
+  'DTSTART:20250105T200000Z',
+  'DTEND:20250105T210000Z',
+  'SUMMARY:Moved later',
+  'END:VEVENT',
+));
+const event = data['open-ended'];
+
+describe('iterateOccurrences', () => {
+  it('yields the next occurrences of an open-ended series in order', () => {
+    const instances = [...ical.iterateOccurrences(event, {after: new Date('2025-01-01T12:00:00Z'), limit: 6})];
+
+    assert.deepEqual(isoStarts(instances), [
+      '2025-01-02T06:00:00.000Z',
+      '2025-01-02T10:00:00.000Z',
+      '2025-01-02T15:00:00.000Z',
+      '2025-01-05T20:00:00.000Z',
+      '2025-01-06T10:00:00.000Z',
+      '2025-01-07T10:00:00.000Z',
+    ]);
+    assert.deepEqual(instances.map(instance => instance.isOverride), [true, false, false, true, false, false]);
+    assert.equal(instances[0].summary, 'Moved earlier');
+    assert.equal(instances[1].end.toISOString(), '2025-01-02T11:00:00.000Z');
+    assert.ok(instances.every(instance => instance.isRecurring));
+  });
+
+  it('matches expandRecurringEvent for a closed window', () => {
+    const from = new Date('2024-12-31T00:00:00Z');
+    const to = new Date('2025-01-10T23:59:59Z');
+    const expanded = ical.expandRecurringEvent(event, {from, to});
+    const iterated = [...ical.iterateOccurrences(event, {after: from, before: to})];
+
+    assert.deepEqual(isoStarts(iterated), isoStarts(expanded));
+    assert.deepEqual(iterated.map(instance => instance.event), expanded.map(instance => instance.event));
+  });
+
+  it('supports paging with the last start as the next cursor', () => {
+    const first = [...ical.iterateOccurrences(event, {after: new Date('2024-12-31T00:00:00Z'), limit: 3})];
+    const second = [...ical.iterateOccurrences(event, {after: first.at(-1).start, limit: 3})];
+
+    assert.deepEqual([...isoStarts(first), ...isoStarts(second)], [
+      '2025-01-01T10:00:00.000Z',
+      '2025-01-02T06:00:00.000Z',
+      '2025-01-02T10:00:00.000Z',
+      '2025-01-02T15:00:00.000Z',
+      '2025-01-05T20:00:00.000Z',
+      '2025-01-06T10:00:00.000Z',
+    ]);
+  });
+
+  it('includes an instance starting exactly at after only when inclusive', () => {
+    const after = new Date('2025-01-06T10:00:00Z');
+
+    assert.equal(ical.iterateOccurrences(event, {after}).next().value.start.toISOString(), '2025-01-07T10:00:00.000Z');
+    assert.equal(ical.iterateOccurrences(event, {after, inclusive: true}).next().value.start.toISOString(), '2025-01-06T10:00:00.000Z');
+  });
+
+  it('stops before the before date even when every remaining slot is excluded', () => {
+    const {excluded} = ical.parseICS(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:excluded',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250101T100000Z',
+      'RRULE:FREQ=DAILY',
+      'EXDATE:20250102T100000Z,20250103T100000Z',
+      'END:VEVENT',
+    ));
+
+    const instances = [...ical.iterateOccurrences(excluded, {
+      after: new Date('2025-01-01T12:00:00Z'),
+      before: new Date('2025-01-04T00:00:00Z'),
+    })];
+
+    assert.deepEqual(instances, []);
+  });
+
+  it('ends an unbounded series whose remaining slots are all excluded', () => {
+    const {excluded} = ical.parseICS(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:excluded',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250101T100000Z',
+      'RRULE:FREQ=DAILY',
+      'EXRULE:FREQ=DAILY',
+      'RDATE:20250102T150000Z',
+      'END:VEVENT',
+    ));
+
+    const instances = [...ical.iterateOccurrences(excluded, {after: new Date('2025-01-01T00:00:00Z')})];
+
+    assert.deepEqual(isoStarts(instances), ['2025-01-02T15:00:00.000Z']);
+  });
+
+  it('ignores overrides when includeOverrides is false', () => {
+    const instances = [...ical.iterateOccurrences(event, {
+      after: new Date('2025-01-03T12:00:00Z'),
+      limit: 2,
+      includeOverrides: false,
+    })];
+
+    assert.deepEqual(isoStarts(instances), ['2025-01-04T10:00:00.000Z', '2025-01-05T10:00:00.000Z']);
+    assert.ok(instances.every(instance => !instance.isOverride));
+  });
+
+  it('keeps full-day occurrences on their calendar day', () => {
+    const weekly = ical.parseICS(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:weekly-all-day',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART;VALUE=DATE:20250101',
+      'RRULE:FREQ=WEEKLY',
+      'END:VEVENT',
+    ))['weekly-all-day'];
+
+    const instances = [...ical.iterateOccurrences(weekly, {after: new Date(2025, 0, 8), inclusive: true, limit: 2})];
+
+    assert.deepEqual(instances.map(instance => [instance.start.getDate(), instance.end.getDate()]), [[8, 9], [15, 16]]);
+    assert.ok(instances.every(instance => instance.isFullDay));
+  });
+
+  it('advances full-day series in timezones east of UTC', () => {
+    const previousTZ = process.env.TZ;
+    process.env.TZ = 'Pacific/Kiritimati';
+
+    try {
+      const {daily} = ical.parseICS(buildCalendar(
+        'BEGIN:VEVENT',
+        'UID:daily',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART;VALUE=DATE:20250101',
+        'RRULE:FREQ=DAILY',
+        'END:VEVENT',
+      ));
+
+      const instances = [...ical.iterateOccurrences(daily, {after: new Date(2025, 0, 1), limit: 3})];
+
+      assert.deepEqual(instances.map(instance => instance.start.getDate()), [2, 3, 4]);
+    } finally {
+      if (previousTZ === undefined) {
+        delete process.env.TZ;
+      } else {
+        process.env.TZ = previousTZ;
+      }
+    }
+  });
+
+  it('yields a single instance for non-recurring events', () => {
+    const {single} = ical.parseICS(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:single',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250110T100000Z',
+      'END:VEVENT',
+    ));
+
+    assert.equal([...ical.iterateOccurrences(single, {after: new Date('2025-01-01T00:00:00Z')})].length, 1);
+    assert.equal([...ical.iterateOccurrences(single, {after: new Date('2025-01-11T00:00:00Z')})].length, 0);
+  });
+
+  it('validates its options', () => {
+    assert.throws(() => ical.iterateOccurrences(event, {}).next(), TypeError);
+    assert.throws(() => ical.iterateOccurrences(event, {after: new Date(), limit: -1}).next(), RangeError);
+  });
+});
@@ -0,0 +1,189 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const ICS_SAMPLE = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//TEST//jcal//EN',
+  'X-WR-CALNAME:Team calendar',
+  'BEGIN:VEVENT',
+  'UID:jcal-1',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;TZID=Europe/Berlin:20250310T090000',
+  'DTEND;TZID=Europe/Berlin:20250310T100000',
+  'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20250401T000000Z',
+  'EXDATE;TZID=Europe/Berlin:20250312T090000',
+  String.raw`SUMMARY:Standup\, daily\; short`,
+  String.raw`CATEGORIES:Work,Team\, core`,
+  'GEO:52.52;13.405',
+  'SEQUENCE:3',
+  'ORGANIZER;CN="Doe, Jane":mailto:jane@example.com',
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'TRIGGER:-PT5M',
+  'DESCRIPTION:Reminder',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:jcal-1',
+  'RECURRENCE-ID;TZID=Europe/Berlin:20250317T090000',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;TZID=Europe/Berlin:20250317T110000',
+  'DTEND;TZID=Europe/Berlin:20250317T120000',
+  'SUMMARY:Moved standup',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:jcal-2',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;VALUE=DATE:20250320',
+  'DTEND;VALUE=DATE:20250321',
+  'SUMMARY:Offsite',
+  'END:VEVENT',
+  'END:VCALENDAR',
+  '',
+].join('\r\n');
+
+function findComponent(jcal, name, uid) {
+  return jcal[2].find(component => component[0] === name
+    && component[1].some(property => property[0] === 'uid' && property[3] === uid));
+}
+
+function findProperty(component, name) {
+  return component[1].find(property => property[0] === name);
+}
+
+describe('jCal', () => {
+  describe('toJCal', () => {
+    const jcal = ical.toJCal(ical.parseICS(ICS_SAMPLE));
+    const event = findComponent(jcal, 'vevent', 'jcal-1');
+
+    it('produces the ["vcalendar", properties, components] form', () => {
+      assert.equal(jcal[0], 'vcalendar');
+      assert.deepEqual(findProperty(jcal, 'version'), ['version', {}, 'text', '2.0']);
+      assert.deepEqual(findProperty(jcal, 'x-wr-calname'), ['x-wr-calname', {}, 'unknown', 'Team calendar']);
+      assert.ok(event);
+    });
+
+    it('formats date and date-time values with their parameters', () => {
+      assert.deepEqual(findProperty(event, 'dtstart'), ['dtstart', {tzid: 'Europe/Berlin'}, 'date-time', '2025-03-10T09:00:00']);
+      assert.deepEqual(findProperty(event, 'dtstamp'), ['dtstamp', {}, 'date-time', '2025-01-01T00:00:00Z']);
+      assert.deepEqual(findProperty(findComponent(jcal, 'vevent', 'jcal-2'), 'dtstart'), ['dtstart', {}, 'date', '2025-03-20']);
+    });
+
+    it('converts typed, multi-valued and structured values', () => {
+      assert.deepEqual(findProperty(event, 'summary')[3], 'Standup, daily; short');
+      assert.deepEqual(findProperty(event, 'categories').slice(3), ['Work', 'Team, core']);
+      assert.deepEqual(findProperty(event, 'geo'), ['geo', {}, 'float', [52.52, 13.405]]);
+      assert.deepEqual(findProperty(event, 'sequence'), ['sequence', {}, 'integer', 3]);
+      assert.deepEqual(findProperty(event, 'organizer'), ['organizer', {cn: 'Doe, Jane'}, 'cal-address', 'mailto:jane@example.com']);
+      assert.deepEqual(findProperty(event, 'rrule'), ['rrule', {}, 'recur', {freq: 'WEEKLY', byday: ['MO', 'WE'], until: '2025-04-01T00:00:00Z'}]);
+    });
+
+    it('nests VALARM and emits overrides as sibling components', () => {
+      const [alarm] = event[2];
+      assert.equal(alarm[0], 'valarm');
+      assert.deepEqual(findProperty(alarm, 'trigger'), ['trigger', {}, 'duration', '-PT5M']);
+
+      const override = jcal[2].find(component => findProperty(component, 'recurrence-id'));
+      assert.deepEqual(findProperty(override, 'recurrence-id'), ['recurrence-id', {tzid: 'Europe/Berlin'}, 'date-time', '2025-03-17T09:00:00']);
+    });
+  });
+
+  describe('parseJCal', () => {
+    it('round-trips through the CalendarResponse model', () => {
+      const original = ical.parseICS(ICS_SAMPLE);
+      const reparsed = ical.parseJCal(JSON.stringify(ical.toJCal(original)));
+      const event = reparsed['jcal-1'];
+
+      assert.equal(event.summary, original['jcal-1'].summary);
+      assert.equal(event.start.toISOString(), original['jcal-1'].start.toISOString());
+      assert.equal(event.start.tz, 'Europe/Berlin');
+      assert.deepEqual(event.categories, original['jcal-1'].categories);
+      assert.deepEqual(event.geo, original['jcal-1'].geo);
+      assert.deepEqual(event.organizer, original['jcal-1'].organizer);
+      assert.equal(event.rrule.toString(), original['jcal-1'].rrule.toString());
+      assert.deepEqual(Object.keys(event.exdate), Object.keys(original['jcal-1'].exdate));
+      assert.equal(event.alarms[0].trigger, '-PT5M');
+      assert.equal(event.recurrences['2025-03-17'].summary, 'Moved standup');
+      assert.equal(reparsed['jcal-2'].start.dateOnly, true);
+      assert.deepEqual(reparsed.vcalendar, original.vcalendar);
+    });
+
+    it('parses jCal written by other producers', () => {
+      const properties = [
+        ['uid', {}, 'text', 'external'],
+        ['dtstart', {}, 'date-time', '2025-06-01T08:30:00Z'],
+        ['duration', {}, 'duration', 'PT45M'],
+        ['rrule', {}, 'recur', {freq: 'DAILY', count: 3}],
+        ['rdate', {}, 'period', '2025-06-10T08:00:00Z/PT1H'],
+        ['x-custom', {}, 'unknown', 'raw;value'],
+        ['description', {}, 'text', 'Line one\nLine two'],
+      ];
+      const data = ical.parseJCal([
+        'vcalendar',
+        [['version', {}, 'text', '2.0'], ['prodid', {}, 'text', '-//Example//EN']],
+        [['vevent', properties, []]],
+      ]);
+      const event = data.external;
+
+      assert.equal(event.start.toISOString(), '2025-06-01T08:30:00.000Z');
+      assert.equal(event.end.toISOString(), '2025-06-01T09:15:00.000Z');
+      assert.equal(event.rrule.options.count, 3);
+      assert.equal(event.rdate['2025-06-10T08:00:00.000Z'].periodEnd.toISOString(), '2025-06-10T09:00:00.000Z');
+      assert.equal(event.CUSTOM, 'raw;value');
+      assert.equal(event.description, 'Line one\nLine two');
+    });
+
+    it('round-trips fixture files', () => {
+      const original = ical.sync.parseFile(path.join(__dirname, 'fixtures', 'multi-event-basic.ics'));
+      const reparsed = ical.parseJCal(ical.toJCal(original));
+
+      for (const [key, component] of Object.entries(original)) {
+        if (component?.type === 'VEVENT') {
+          assert.equal(reparsed[key].summary, component.summary);
+          assert.deepEqual(reparsed[key].start, component.start);
+        }
+      }
+    });
+
+    it('keeps the sign of UTC offsets west of UTC', () => {
+      const standard = [
+        'standard',
+        [
+          ['dtstart', {}, 'date-time', '1970-01-01T00:00:00'],
+          ['tzoffsetfrom', {}, 'utc-offset', '-05:00'],
+          ['tzoffsetto', {}, 'utc-offset', '-05:00'],
+        ],
+        [],
+      ];
+      const data = ical.parseJCal([
+        'vcalendar',
+        [['version', {}, 'text', '2.0']],
+        [
+          ['vtimezone', [['tzid', {}, 'text', 'Office Time']], [standard]],
+          ['vevent', [['uid', {}, 'text', 'west'], ['dtstart', {tzid: 'Office Time'}, 'date-time', '2025-06-02T09:00:00']], []],
+        ],
+      ]);
+
+      assert.equal(data.west.start.toISOString(), '2025-06-02T14:00:00.000Z');
+
+      const original = ical.sync.parseFile(path.join(__dirname, 'fixtures', 'multi-era-vtimezone.ics'));
+      const reparsed = ical.parseJCal(ical.toJCal(original));
+      for (const [key, component] of Object.entries(original)) {
+        if (component?.type === 'VEVENT') {
+          assert.equal(reparsed[key].start.toISOString(), component.start.toISOString());
+        }
+      }
+    });
+
+    it('rejects input that is not jCal', () => {
+      assert.throws(() => ical.parseJCal('{"vcalendar": []}'), TypeError);
+      assert.throws(() => ical.parseJCal(['vcalendar', [['version']], []]), TypeError);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import assert from 'node:assert/strict';
+import {afterEach, describe, it} from 'mocha';
+import ical from 'node-ical';
+
+function buildCalendar(...lines) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TEST//logger//EN',
+    ...lines,
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+function createRecordingLogger() {
+  const entries = [];
+  return {
+    entries,
+    warn(message, metadata) {
+      entries.push({message, metadata});
+    },
+  };
+}
+
+function withoutConsole(callback) {
+  const originalWarn = console.warn;
+  const warnings = [];
+  try {
+    console.warn = message => {
+      warnings.push(message);
+    };
+
+    callback();
+  } finally {
+    console.warn = originalWarn;
+  }
+
+  return warnings;
+}
+
+const malformedDuration = buildCalendar(
+  'BEGIN:VEVENT',
+  'UID:lunch',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250310T120000Z',
+  'DURATION:an hour',
+  'END:VEVENT',
+);
+
+const marsOffsite = buildCalendar(
+  'BEGIN:VEVENT',
+  'UID:mars-offsite',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;VALUE=DATE:20250310',
+  'RRULE:FREQ=WEEKLY;COUNT=3',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:mars-offsite',
+  'DTSTAMP:20250101T000000Z',
+  'RECURRENCE-ID;RANGE=THISANDFUTURE;TZID=Mars/Olympus_Mons:20250317T000000',
+  'DTSTART;VALUE=DATE:20250318',
+  'END:VEVENT',
+);
+
+describe('logging', () => {
+  afterEach(() => {
+    ical.setLogger();
+  });
+
+  it('sends warnings with structured metadata to the module logger', () => {
+    const logger = createRecordingLogger();
+    ical.setLogger(logger);
+
+    const warnings = withoutConsole(() => ical.parseICS(malformedDuration));
+
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(logger.entries, [{
+      message: 'Ignoring malformed DURATION value: "an hour" – treating as zero duration',
+      metadata: {
+        code: 'MALFORMED_DURATION',
+        severity: 'warning',
+        uid: 'lunch',
+        tzid: undefined,
+        line: 9,
+        path: ['VCALENDAR', 'VEVENT'],
+      },
+    }]);
+  });
+
+  it('prefers the logger option over the module logger', async () => {
+    const moduleLogger = createRecordingLogger();
+    const callLogger = createRecordingLogger();
+    ical.setLogger(moduleLogger);
+
+    ical.parseICS(malformedDuration, {logger: callLogger});
+    await ical.async.parseICS(malformedDuration, {logger: callLogger});
+
+    assert.equal(moduleLogger.entries.length, 0);
+    assert.deepEqual(callLogger.entries.map(({metadata}) => metadata.code), ['MALFORMED_DURATION', 'MALFORMED_DURATION']);
+  });
+
+  it('reports the TZID and UID of warnings raised while expanding', () => {
+    const logger = createRecordingLogger();
+    const data = ical.parseICS(marsOffsite, {logger});
+    const parseEntries = logger.entries.length;
+
+    const instances = ical.expandRecurringEvent(data['mars-offsite'], {
+      from: new Date('2025-03-01T00:00:00Z'),
+      to: new Date('2025-04-01T00:00:00Z'),
+      logger,
+    });
+
+    assert.equal(instances.length, 3);
+    const expansionEntries = logger.entries.slice(parseEntries);
+    assert.ok(expansionEntries.length > 0);
+    for (const {metadata} of expansionEntries) {
+      assert.deepEqual(metadata, {
+        code: 'UNKNOWN_TZID',
+        severity: 'warning',
+        uid: 'mars-offsite',
+        tzid: 'Mars/Olympus_Mons',
+        line: undefined,
+        path: [],
+      });
+    }
+  });
+
+  it('keeps the console output when no logger is configured', () => {
+    const warnings = withoutConsole(() => ical.parseICS(malformedDuration));
+
+    assert.deepEqual(warnings, ['[node-ical] Ignoring malformed DURATION value: "an hour" – treating as zero duration']);
+  });
+
+  it('does not log problems collected as diagnostics', () => {
+    const logger = createRecordingLogger();
+    ical.setLogger(logger);
+
+    const data = ical.parseICS(malformedDuration, {diagnostics: true});
+
+    assert.equal(logger.entries.length, 0);
+    assert.deepEqual(data.diagnostics.map(({code, uid}) => [code, uid]), [['MALFORMED_DURATION', 'lunch']]);
+  });
+
+  it('rejects loggers without a warn method', () => {
+    assert.throws(() => ical.setLogger(console.log), TypeError);
+    assert.throws(() => ical.parseICS(malformedDuration, {logger: {}}), /options\.logger must be an object with a warn/v);
+  });
+});
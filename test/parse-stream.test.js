@@ -0,0 +1,218 @@
+import assert from 'node:assert/strict';
+import {Buffer} from 'node:buffer';
+import fs from 'node:fs';
+import path from 'node:path';
+import {Readable} from 'node:stream';
+import {fileURLToPath} from 'node:url';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const ICS_SAMPLE = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//TEST//parse stream//EN',
+  'X-WR-CALNAME:Streaming',
+  'BEGIN:VTIMEZONE',
+  'TZID:Customized Time Zone',
+  'BEGIN:STANDARD',
+  'DTSTART:16010101T030000',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0100',
+  'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=10',
+  'END:STANDARD',
+  'BEGIN:DAYLIGHT',
+  'DTSTART:16010101T020000',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0200',
+  'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=3',
+  'END:DAYLIGHT',
+  'END:VTIMEZONE',
+  'BEGIN:VEVENT',
+  'UID:stream-1',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;TZID="Customized Time Zone":20250701T090000',
+  'DTEND;TZID="Customized Time Zone":20250701T100000',
+  'SUMMARY:Über lange Zeilen, die gefaltet werden müssen und über Chunk-Grenzen',
+  '  reichen',
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'TRIGGER:-PT10M',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VTODO',
+  'UID:stream-2',
+  'DTSTAMP:20250101T000000Z',
+  'DUE:20250702T170000Z',
+  'SUMMARY:Task',
+  'END:VTODO',
+  'END:VCALENDAR',
+  '',
+].join('\r\n');
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+
+  return items;
+}
+
+function chunked(text, size) {
+  const bytes = Buffer.from(text, 'utf8');
+  const chunks = [];
+  for (let offset = 0; offset < bytes.length; offset += size) {
+    chunks.push(bytes.subarray(offset, offset + size));
+  }
+
+  return chunks;
+}
+
+describe('parseStream', () => {
+  it('yields top-level components followed by the VCALENDAR properties', async () => {
+    const components = await collect(ical.parseStream(Readable.from([ICS_SAMPLE])));
+
+    assert.deepEqual(components.map(component => component.type), ['VTIMEZONE', 'VEVENT', 'VTODO', 'VCALENDAR']);
+    assert.equal(components[3]['WR-CALNAME'], 'Streaming');
+    assert.equal(components[3].prodid, '-//TEST//parse stream//EN');
+  });
+
+  it('matches parseICS output when lines and characters are split across chunks', async () => {
+    const expected = ical.parseICS(ICS_SAMPLE);
+
+    for (const size of [1, 7, 64]) {
+      const source = Readable.from(chunked(ICS_SAMPLE, size));
+      // eslint-disable-next-line no-await-in-loop -- chunk sizes are checked sequentially
+      const components = await collect(ical.parseStream(source));
+      const event = components.find(component => component.type === 'VEVENT');
+      const todo = components.find(component => component.type === 'VTODO');
+
+      assert.equal(event.summary, expected['stream-1'].summary, `summary with chunk size ${size}`);
+      assert.equal(event.start.toISOString(), expected['stream-1'].start.toISOString());
+      assert.equal(event.alarms.length, 1);
+      assert.equal(todo.due.toISOString(), expected['stream-2'].due.toISOString());
+    }
+  });
+
+  it('resolves TZIDs of later components against earlier VTIMEZONE definitions', async () => {
+    const source = Readable.from(chunked(ICS_SAMPLE, 16));
+    const components = await collect(ical.parseStream(source));
+    const event = components.find(component => component.type === 'VEVENT');
+
+    // 09:00 in a CET/CEST zone during summer time is 07:00 UTC
+    assert.equal(event.start.toISOString(), '2025-07-01T07:00:00.000Z');
+  });
+
+  it('accepts WHATWG ReadableStreams', async () => {
+    const stream = new ReadableStream({
+      start(controller) {
+        for (const chunk of chunked(ICS_SAMPLE, 32)) {
+          controller.enqueue(chunk);
+        }
+
+        controller.close();
+      },
+    });
+
+    const components = await collect(ical.parseStream(stream));
+    assert.equal(components.find(component => component.type === 'VEVENT').uid, 'stream-1');
+  });
+
+  it('streams fixture files read with a small buffer size', async () => {
+    const file = path.join(__dirname, 'fixtures', 'multi-event-basic.ics');
+    const expected = ical.sync.parseFile(file);
+    const components = await collect(ical.parseStream(fs.createReadStream(file, {highWaterMark: 128})));
+
+    const expectedEvents = Object.values(expected).filter(component => component.type === 'VEVENT');
+    const events = components.filter(component => component.type === 'VEVENT');
+    assert.deepEqual(events.map(event => event.uid), expectedEvents.map(event => event.uid));
+  });
+
+  it('yields RECURRENCE-ID overrides as separate components', async () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:series',
+      'DTSTART:20250101T100000Z',
+      'RRULE:FREQ=DAILY;COUNT=3',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:series',
+      'RECURRENCE-ID:20250102T100000Z',
+      'DTSTART:20250102T120000Z',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\n');
+
+    const components = await collect(ical.parseStream([ics]));
+    const events = components.filter(component => component.type === 'VEVENT');
+
+    assert.equal(events.length, 2);
+    assert.ok(events[0].rrule);
+    assert.equal(events[1].recurrenceid.toISOString(), '2025-01-02T10:00:00.000Z');
+    assert.ok(!Object.hasOwn(events[1], 'recurrences'));
+  });
+
+  it('yields every revision of a UID, of which parseICS keeps the highest SEQUENCE', async () => {
+    for (const fixture of ['duplicate-uid-sequence.ics', 'duplicate-rrule-sequence.ics']) {
+      const file = path.join(__dirname, 'fixtures', fixture);
+      // Collect the superseded revisions as diagnostics instead of logging them
+      const expected = ical.sync.parseFile(file, {diagnostics: true});
+      // eslint-disable-next-line no-await-in-loop -- fixtures are checked sequentially
+      const components = await collect(ical.parseStream(fs.createReadStream(file)));
+      const events = components.filter(component => component.type === 'VEVENT');
+
+      const latest = new Map();
+      for (const event of events) {
+        if (!latest.has(event.uid) || event.sequence >= latest.get(event.uid).sequence) {
+          latest.set(event.uid, event);
+        }
+      }
+
+      const expectedEvents = Object.values(expected).filter(component => component.type === 'VEVENT');
+      assert.ok(events.length > expectedEvents.length, fixture);
+      assert.deepEqual(
+        latest.values().map(({uid, sequence, summary, start}) => [uid, sequence, summary, start.toISOString()]).toArray(),
+        expectedEvents.map(({uid, sequence, summary, start}) => [uid, sequence, summary, start.toISOString()]),
+        fixture,
+      );
+    }
+  });
+
+  it('takes the parse options', async () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:all-day',
+      'DTSTART;VALUE=DATE:20250403',
+      'DURATION:PT1X',
+      'END:VEVENT',
+      'NOT A CONTENT LINE',
+      'BEGIN:VEVENT',
+      'UID:floating',
+      'DTSTART:20250710T090000',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n');
+
+    const [allDay, floating, calendar] = await collect(ical.parseStream([ics], {timezone: 'Asia/Tokyo', diagnostics: true}));
+    assert.equal(allDay.start.toISOString(), '2025-04-02T15:00:00.000Z');
+    assert.equal(allDay.start.tz, 'Asia/Tokyo');
+    assert.equal(floating.start.toISOString(), '2025-07-10T00:00:00.000Z');
+    assert.deepEqual(allDay.diagnostics.map(({code, line}) => [code, line]), [['MALFORMED_DURATION', 6]]);
+    assert.deepEqual(floating.diagnostics.map(({code, line}) => [code, line]), [['INVALID_CONTENT_LINE', 7]]);
+    assert.deepEqual(calendar.diagnostics, []);
+
+    const [temporal] = await collect(ical.parseStream([ics], {dates: 'temporal', timezone: 'Asia/Tokyo', diagnostics: true}));
+    assert.equal(temporal.start.toString(), '2025-04-03');
+
+    await assert.rejects(collect(ical.parseStream([ics], {strict: true})), {name: 'ParseError', line: 6});
+    await assert.rejects(collect(ical.parseStream([ics], {timezone: 'Mars/Olympus_Mons'})), RangeError);
+  });
+
+  it('rejects unsupported sources', async () => {
+    await assert.rejects(collect(ical.parseStream(42)), TypeError);
+  });
+});
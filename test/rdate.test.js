@@ -0,0 +1,230 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+function buildCalendar(...lines) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TEST//rdate//EN',
+    ...lines,
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+function isoStarts(instances) {
+  return instances.map(instance => instance.start.toISOString());
+}
+
+describe('RDATE', () => {
+  describe('parsing', () => {
+    it('parses DATE-TIME values into a dual-keyed date map', () => {
+      const data = ical.parseICS(buildCalendar(
+        'BEGIN:VEVENT',
+        'UID:rdate-datetime',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART;TZID=Europe/Berlin:20250106T090000',
+        'RDATE;TZID=Europe/Berlin:20250108T090000,20250110T140000',
+        'END:VEVENT',
+      ));
+      const {rdate} = data['rdate-datetime'];
+
+      assert.ok(rdate['2025-01-08'] instanceof Date);
+      assert.equal(rdate['2025-01-08'], rdate['2025-01-08T08:00:00.000Z']);
+      assert.equal(rdate['2025-01-10T13:00:00.000Z'].tz, 'Europe/Berlin');
+      assert.equal(new Set(Object.values(rdate)).size, 2);
+    });
+
+    it('parses VALUE=DATE values with date-only keys', () => {
+      const data = ical.parseICS(buildCalendar(
+        'BEGIN:VEVENT',
+        'UID:rdate-date',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART;VALUE=DATE:20250101',
+        'RDATE;VALUE=DATE:20250115,20250201',
+        'END:VEVENT',
+      ));
+      const {rdate} = data['rdate-date'];
+
+      assert.deepEqual(Object.keys(rdate), ['2025-01-15', '2025-02-01']);
+      assert.equal(rdate['2025-01-15'].dateOnly, true);
+    });
+
+    it('parses VALUE=PERIOD values with explicit end or duration', () => {
+      const data = ical.parseICS(buildCalendar(
+        'BEGIN:VEVENT',
+        'UID:rdate-period',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART:20250101T100000Z',
+        'DTEND:20250101T110000Z',
+        'RDATE;VALUE=PERIOD:20250105T100000Z/20250105T130000Z,20250107T080000Z/PT30M',
+        'END:VEVENT',
+      ));
+      const {rdate} = data['rdate-period'];
+
+      assert.equal(rdate['2025-01-05T10:00:00.000Z'].periodEnd.toISOString(), '2025-01-05T13:00:00.000Z');
+      assert.equal(rdate['2025-01-07T08:00:00.000Z'].periodEnd.toISOString(), '2025-01-07T08:30:00.000Z');
+    });
+
+    it('keeps RDATE inside VTIMEZONE observances as raw text', () => {
+      const data = ical.parseICS(buildCalendar(
+        'BEGIN:VTIMEZONE',
+        'TZID:Custom/Zone',
+        'BEGIN:STANDARD',
+        'DTSTART:19701025T030000',
+        'RDATE:19711031T030000',
+        'TZOFFSETFROM:+0200',
+        'TZOFFSETTO:+0100',
+        'END:STANDARD',
+        'END:VTIMEZONE',
+      ));
+      const vtimezone = Object.values(data).find(component => component?.type === 'VTIMEZONE');
+      const standard = Object.values(vtimezone).find(value => value?.type === 'STANDARD');
+
+      assert.equal(standard.rdate, '19711031T030000');
+    });
+  });
+
+  describe('expandRecurringEvent', () => {
+    const from = new Date('2025-01-01T00:00:00Z');
+    const to = new Date('2025-01-31T23:59:59Z');
+
+    it('merges RDATE instances with RRULE occurrences', () => {
+      const data = ical.parseICS(buildCalendar(
+        'BEGIN:VEVENT',
+        'UID:rrule-rdate',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART:20250106T090000Z',
+        'DTEND:20250106T100000Z',
+        'RRULE:FREQ=WEEKLY;COUNT=2',
+        'RDATE:20250108T150000Z,20250113T090000Z',
+        'END:VEVENT',
+      ));
+
+      const instances = ical.expandRecurringEvent(data['rrule-rdate'], {from, to});
+
+      assert.deepEqual(isoStarts(instances), [
+        '2025-01-06T09:00:00.000Z',
+        '2025-01-08T15:00:00.000Z',
+        '2025-01-13T09:00:00.000Z',
+      ]);
+      assert.equal(instances[1].end.toISOString(), '2025-01-08T16:00:00.000Z');
+      assert.ok(instances.every(instance => instance.isRecurring));
+    });
+
+    it('expands RDATE-only series including DTSTART', () => {
+      const data = ical.parseICS(buildCalendar(
+        'BEGIN:VEVENT',
+        'UID:rdate-only',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART:20250102T100000Z',
+        'DTEND:20250102T103000Z',
+        'RDATE:20250120T100000Z,20250301T100000Z',
+        'END:VEVENT',
+      ));
+
+      const instances = ical.expandRecurringEvent(data['rdate-only'], {from, to});
+
+      assert.deepEqual(isoStarts(instances), ['2025-01-02T10:00:00.000Z', '2025-01-20T10:00:00.000Z']);
+    });
+
+    it('lets EXDATE remove an RDATE instance', () => {
+      const data = ical.parseICS(buildCalendar(
+        'BEGIN:VEVENT',
+        'UID:rdate-exdate',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART:20250102T100000Z',
+        'RDATE:20250110T100000Z,20250120T100000Z',
+        'EXDATE:20250110T100000Z',
+        'END:VEVENT',
+      ));
+
+      const instances = ical.expandRecurringEvent(data['rdate-exdate'], {from, to});
+
+      assert.deepEqual(isoStarts(instances), ['2025-01-02T10:00:00.000Z', '2025-01-20T10:00:00.000Z']);
+    });
+
+    it('applies RECURRENCE-ID overrides to RDATE instances', () => {
+      const data = ical.parseICS(buildCalendar(
+        'BEGIN:VEVENT',
+        'UID:rdate-override',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART:20250102T100000Z',
+        'DTEND:20250102T110000Z',
+        'RDATE:20250110T100000Z',
+        'SUMMARY:Base',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:rdate-override',
+        'DTSTAMP:20250101T000000Z',
+        'RECURRENCE-ID:20250110T100000Z',
+        'DTSTART:20250110T140000Z',
+        'DTEND:20250110T150000Z',
+        'SUMMARY:Moved',
+        'END:VEVENT',
+      ));
+
+      const instances = ical.expandRecurringEvent(data['rdate-override'], {from, to});
+
+      assert.equal(instances.length, 2);
+      assert.equal(instances[1].isOverride, true);
+      assert.equal(instances[1].summary, 'Moved');
+      assert.equal(instances[1].start.toISOString(), '2025-01-10T14:00:00.000Z');
+    });
+
+    it('uses the period end for VALUE=PERIOD instances', () => {
+      const data = ical.parseICS(buildCalendar(
+        'BEGIN:VEVENT',
+        'UID:rdate-period-expand',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART:20250102T100000Z',
+        'DTEND:20250102T110000Z',
+        'RDATE;VALUE=PERIOD:20250110T100000Z/PT3H',
+        'END:VEVENT',
+      ));
+
+      const instances = ical.expandRecurringEvent(data['rdate-period-expand'], {from, to});
+
+      assert.equal(instances[0].end.toISOString(), '2025-01-02T11:00:00.000Z');
+      assert.equal(instances[1].end.toISOString(), '2025-01-10T13:00:00.000Z');
+    });
+
+    it('keeps full-day RDATE instances on their calendar day', () => {
+      const data = ical.parseICS(buildCalendar(
+        'BEGIN:VEVENT',
+        'UID:rdate-full-day',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART;VALUE=DATE:20250101',
+        'RDATE;VALUE=DATE:20250115',
+        'END:VEVENT',
+      ));
+
+      const instances = ical.expandRecurringEvent(data['rdate-full-day'], {
+        from: new Date(2025, 0, 1),
+        to: new Date(2025, 0, 31),
+      });
+
+      assert.equal(instances.length, 2);
+      assert.ok(instances.every(instance => instance.isFullDay));
+      assert.deepEqual(instances.map(instance => instance.start.getDate()), [1, 15]);
+      assert.equal(instances[1].end.getDate(), 16);
+    });
+  });
+
+  it('round-trips through stringify', () => {
+    const data = ical.parseICS(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:rdate-stringify',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250102T100000Z',
+      'RDATE;TZID=Europe/Berlin:20250108T090000',
+      'RDATE;VALUE=PERIOD:20250105T100000Z/20250105T130000Z',
+      'END:VEVENT',
+    ));
+
+    const reparsed = ical.parseICS(ical.stringify(data))['rdate-stringify'];
+
+    assert.equal(reparsed.rdate['2025-01-08T08:00:00.000Z'].tz, 'Europe/Berlin');
+    assert.equal(reparsed.rdate['2025-01-05T10:00:00.000Z'].periodEnd.toISOString(), '2025-01-05T13:00:00.000Z');
+  });
+});
@@ -0,0 +1,148 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+function buildCalendar(...lines) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TEST//recurrence range//EN',
+    ...lines,
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+function describeInstances(instances) {
+  return instances.map(instance => [instance.start.toISOString(), instance.end.toISOString(), instance.summary]);
+}
+
+// Weekly Monday meeting; from March onwards it moves an hour later, is shortened and changes room.
+const ICS_SAMPLE = buildCalendar(
+  'BEGIN:VEVENT',
+  'UID:weekly',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;TZID=Europe/Berlin:20250217T100000',
+  'DTEND;TZID=Europe/Berlin:20250217T110000',
+  'RRULE:FREQ=WEEKLY;COUNT=8',
+  'EXDATE;TZID=Europe/Berlin:20250317T100000',
+  'SUMMARY:Sync',
+  'LOCATION:Room 1',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:weekly',
+  'DTSTAMP:20250101T000000Z',
+  'RECURRENCE-ID;RANGE=THISANDFUTURE;TZID=Europe/Berlin:20250303T100000',
+  'DTSTART;TZID=Europe/Berlin:20250303T110000',
+  'DTEND;TZID=Europe/Berlin:20250303T113000',
+  'SUMMARY:Sync (new slot)',
+  'LOCATION:Room 2',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:weekly',
+  'DTSTAMP:20250101T000000Z',
+  'RECURRENCE-ID;TZID=Europe/Berlin:20250324T100000',
+  'DTSTART;TZID=Europe/Berlin:20250324T140000',
+  'DTEND;TZID=Europe/Berlin:20250324T150000',
+  'SUMMARY:Sync (one-off)',
+  'END:VEVENT',
+);
+
+describe('RECURRENCE-ID;RANGE=THISANDFUTURE', () => {
+  const data = ical.parseICS(ICS_SAMPLE);
+  const event = data.weekly;
+  const range = {from: new Date('2025-02-01T00:00:00Z'), to: new Date('2025-04-30T00:00:00Z')};
+
+  it('records the range on the override', () => {
+    assert.equal(event.recurrences['2025-03-03T09:00:00.000Z'].recurrencerange, 'THISANDFUTURE');
+    assert.equal(event.recurrences['2025-03-24T09:00:00.000Z'].recurrencerange, undefined);
+  });
+
+  it('shifts and updates every later occurrence, across DST', () => {
+    const instances = ical.expandRecurringEvent(event, range);
+
+    assert.deepEqual(describeInstances(instances), [
+      ['2025-02-17T09:00:00.000Z', '2025-02-17T10:00:00.000Z', 'Sync'],
+      ['2025-02-24T09:00:00.000Z', '2025-02-24T10:00:00.000Z', 'Sync'],
+      ['2025-03-03T10:00:00.000Z', '2025-03-03T10:30:00.000Z', 'Sync (new slot)'],
+      ['2025-03-10T10:00:00.000Z', '2025-03-10T10:30:00.000Z', 'Sync (new slot)'],
+      ['2025-03-24T13:00:00.000Z', '2025-03-24T14:00:00.000Z', 'Sync (one-off)'],
+      ['2025-03-31T09:00:00.000Z', '2025-03-31T09:30:00.000Z', 'Sync (new slot)'],
+      ['2025-04-07T09:00:00.000Z', '2025-04-07T09:30:00.000Z', 'Sync (new slot)'],
+    ]);
+    assert.equal(instances[3].event.location, 'Room 2');
+    assert.ok(instances[3].isOverride);
+    assert.equal(instances[3].start.tz, 'Europe/Berlin');
+  });
+
+  it('brings shifted occurrences into a window their original slot is outside of', () => {
+    // The 10 March slot (09:00Z) moves to 10:00Z
+    const instances = ical.expandRecurringEvent(event, {
+      from: new Date('2025-03-10T09:30:00Z'),
+      to: new Date('2025-03-10T12:00:00Z'),
+    });
+
+    assert.deepEqual(describeInstances(instances), [['2025-03-10T10:00:00.000Z', '2025-03-10T10:30:00.000Z', 'Sync (new slot)']]);
+  });
+
+  it('produces the same instances through iterateOccurrences and expandCalendar', () => {
+    const expanded = ical.expandRecurringEvent(event, range);
+
+    assert.deepEqual(describeInstances([...ical.iterateOccurrences(event, {after: range.from})]), describeInstances(expanded));
+    assert.deepEqual(describeInstances(ical.expandCalendar(data, range)), describeInstances(expanded));
+  });
+
+  it('keeps the original series when overrides are disabled', () => {
+    const instances = ical.expandRecurringEvent(event, {...range, includeOverrides: false});
+
+    assert.equal(instances.length, 7);
+    assert.ok(instances.every(instance => instance.summary === 'Sync'));
+    assert.equal(instances[3].start.toISOString(), '2025-03-10T09:00:00.000Z');
+    assert.ok(instances.every(instance => !instance.isOverride));
+  });
+
+  it('lets a newer THISANDFUTURE override take over', () => {
+    const {daily} = ical.parseICS(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:daily',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART;VALUE=DATE:20250601',
+      'RRULE:FREQ=DAILY;COUNT=6',
+      'SUMMARY:Day',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:daily',
+      'DTSTAMP:20250101T000000Z',
+      'RECURRENCE-ID;RANGE=THISANDFUTURE;VALUE=DATE:20250602',
+      'DTSTART;VALUE=DATE:20250603',
+      'SUMMARY:Day +1',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:daily',
+      'DTSTAMP:20250101T000000Z',
+      'RECURRENCE-ID;RANGE=THISANDFUTURE;VALUE=DATE:20250605',
+      'DTSTART;VALUE=DATE:20250605',
+      'SUMMARY:Day again',
+      'END:VEVENT',
+    ));
+
+    const instances = ical.expandRecurringEvent(daily, {from: new Date(2025, 5, 1), to: new Date(2025, 5, 30)});
+
+    assert.deepEqual(instances.map(instance => [instance.start.getDate(), instance.summary]), [
+      [1, 'Day'],
+      [3, 'Day +1'],
+      [4, 'Day +1'],
+      [5, 'Day +1'],
+      [5, 'Day again'],
+      [6, 'Day again'],
+    ]);
+    assert.ok(instances.every(instance => instance.isFullDay));
+  });
+
+  it('round-trips the RANGE parameter through stringify', () => {
+    const ics = ical.stringify(data);
+
+    assert.match(ics, /^RECURRENCE-ID;TZID=Europe\/Berlin;RANGE=THISANDFUTURE:20250303T100000\r$/mv);
+    assert.doesNotMatch(ics, /RECURRENCERANGE/v);
+    assert.equal(ical.parseICS(ics).weekly.recurrences['2025-03-03T09:00:00.000Z'].recurrencerange, 'THISANDFUTURE');
+  });
+});
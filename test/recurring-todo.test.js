@@ -0,0 +1,136 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+function buildCalendar(...lines) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TEST//recurring todo//EN',
+    ...lines,
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+function describeInstances(instances) {
+  return instances.map(instance => [instance.start.toISOString(), instance.due?.toISOString(), instance.summary]);
+}
+
+// Weekly report: starts Friday morning, due Friday 17:00; the second one was done early, the third moved.
+const data = ical.parseICS(buildCalendar(
+  'BEGIN:VTODO',
+  'UID:report',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250103T080000Z',
+  'DUE:20250103T170000Z',
+  'RRULE:FREQ=WEEKLY;COUNT=4',
+  'SUMMARY:File report',
+  'STATUS:NEEDS-ACTION',
+  'END:VTODO',
+  'BEGIN:VTODO',
+  'UID:report',
+  'DTSTAMP:20250101T000000Z',
+  'RECURRENCE-ID:20250110T080000Z',
+  'DTSTART:20250110T080000Z',
+  'DUE:20250110T170000Z',
+  'SUMMARY:File report',
+  'STATUS:COMPLETED',
+  'COMPLETED:20250109T150000Z',
+  'END:VTODO',
+  'BEGIN:VTODO',
+  'UID:report',
+  'DTSTAMP:20250101T000000Z',
+  'RECURRENCE-ID:20250117T080000Z',
+  'DTSTART:20250116T080000Z',
+  'SUMMARY:File report (Thursday)',
+  'END:VTODO',
+  'BEGIN:VTODO',
+  'UID:rent',
+  'DTSTAMP:20250101T000000Z',
+  'DUE;VALUE=DATE:20250101',
+  'RRULE:FREQ=MONTHLY;COUNT=3',
+  'SUMMARY:Pay rent',
+  'END:VTODO',
+  'BEGIN:VTODO',
+  'UID:backup',
+  'DTSTAMP:20250101T000000Z',
+  'DUE:20250106T090000Z',
+  'RRULE:FREQ=DAILY;COUNT=3',
+  'SUMMARY:Check backup',
+  'END:VTODO',
+));
+
+const range = {from: new Date('2025-01-01T00:00:00Z'), to: new Date('2025-03-31T00:00:00Z')};
+
+describe('recurring VTODO expansion', () => {
+  it('derives instance due dates from DUE - DTSTART', () => {
+    const instances = ical.expandRecurringEvent(data.report, range);
+
+    assert.deepEqual(describeInstances(instances), [
+      ['2025-01-03T08:00:00.000Z', '2025-01-03T17:00:00.000Z', 'File report'],
+      ['2025-01-10T08:00:00.000Z', '2025-01-10T17:00:00.000Z', 'File report'],
+      ['2025-01-16T08:00:00.000Z', '2025-01-16T17:00:00.000Z', 'File report (Thursday)'],
+      ['2025-01-24T08:00:00.000Z', '2025-01-24T17:00:00.000Z', 'File report'],
+    ]);
+    assert.ok(instances.every(instance => instance.end.getTime() === instance.due.getTime()));
+  });
+
+  it('keeps COMPLETED and STATUS of overridden instances', () => {
+    const [first, second] = ical.expandRecurringEvent(data.report, range);
+
+    assert.equal(first.event.status, 'NEEDS-ACTION');
+    assert.equal(first.event.completed, undefined);
+    assert.ok(second.isOverride);
+    assert.equal(second.event.status, 'COMPLETED');
+    assert.equal(second.event.completed.toISOString(), '2025-01-09T15:00:00.000Z');
+  });
+
+  it('recurs from DUE when there is no DTSTART', () => {
+    const instances = ical.expandRecurringEvent(data.backup, range);
+
+    assert.deepEqual(describeInstances(instances), [
+      ['2025-01-06T09:00:00.000Z', '2025-01-06T09:00:00.000Z', 'Check backup'],
+      ['2025-01-07T09:00:00.000Z', '2025-01-07T09:00:00.000Z', 'Check backup'],
+      ['2025-01-08T09:00:00.000Z', '2025-01-08T09:00:00.000Z', 'Check backup'],
+    ]);
+  });
+
+  it('keeps date-only DUE tasks on their calendar day', () => {
+    const instances = ical.expandRecurringEvent(data.rent, {from: new Date(2025, 0, 1), to: new Date(2025, 11, 31)});
+
+    assert.deepEqual(instances.map(instance => [instance.start.getMonth(), instance.start.getDate(), instance.due.getDate()]), [
+      [0, 1, 1],
+      [1, 1, 1],
+      [2, 1, 1],
+    ]);
+    assert.ok(instances.every(instance => instance.isFullDay));
+  });
+
+  it('iterates tasks lazily and includes them in expandCalendar', () => {
+    const iterated = [...ical.iterateOccurrences(data.backup, {after: range.from})];
+    const calendarWide = ical.expandCalendar(data, {...range, types: ['VTODO']});
+
+    assert.deepEqual(describeInstances(iterated), describeInstances(ical.expandRecurringEvent(data.backup, range)));
+    assert.equal(calendarWide.length, 10);
+    assert.equal(ical.expandCalendar(data, range).length, 0);
+  });
+
+  it('measures RELATED=END alarms from each instance due date', () => {
+    const {task} = ical.parseICS(buildCalendar(
+      'BEGIN:VTODO',
+      'UID:task',
+      'DTSTAMP:20250101T000000Z',
+      'DUE:20250106T090000Z',
+      'RRULE:FREQ=DAILY;COUNT=2',
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'TRIGGER;RELATED=END:-PT1H',
+      'END:VALARM',
+      'END:VTODO',
+    ));
+
+    const alarms = ical.getAlarms({task}, range);
+
+    assert.deepEqual(alarms.map(({date}) => date.toISOString()), ['2025-01-06T08:00:00.000Z', '2025-01-07T08:00:00.000Z']);
+  });
+});
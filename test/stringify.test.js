@@ -0,0 +1,175 @@
+import assert from 'node:assert/strict';
+import {Buffer} from 'node:buffer';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const ICS_SAMPLE = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//TEST//stringify//EN',
+  'X-WR-CALNAME:Team calendar',
+  'BEGIN:VEVENT',
+  'UID:stringify-1',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;TZID=Europe/Berlin:20250310T090000',
+  'DTEND;TZID=Europe/Berlin:20250310T100000',
+  'RRULE:FREQ=WEEKLY;COUNT=5',
+  'EXDATE;TZID=Europe/Berlin:20250317T090000',
+  String.raw`SUMMARY:Standup\, daily\; short`,
+  String.raw`DESCRIPTION:Line one\nLine two`,
+  'LOCATION;LANGUAGE=de:Besprechungsraum',
+  'CATEGORIES:Work,Team',
+  'ATTENDEE;CN=Jane Doe;RSVP=TRUE:mailto:jane@example.com',
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'TRIGGER;RELATED=START:-PT5M',
+  'DESCRIPTION:Reminder',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:stringify-1',
+  'RECURRENCE-ID;TZID=Europe/Berlin:20250324T090000',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;TZID=Europe/Berlin:20250324T110000',
+  'DTEND;TZID=Europe/Berlin:20250324T120000',
+  'SUMMARY:Moved standup',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:stringify-2',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;VALUE=DATE:20250401',
+  'DTEND;VALUE=DATE:20250403',
+  'SUMMARY:Offsite',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+function roundTrip(ics) {
+  return ical.parseICS(ical.stringify(ical.parseICS(ics)));
+}
+
+describe('stringify', () => {
+  it('emits a VCALENDAR wrapper with calendar-level properties', () => {
+    const output = ical.stringify(ical.parseICS(ICS_SAMPLE));
+    const lines = output.split('\r\n');
+
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.ok(lines.includes('VERSION:2.0'));
+    assert.ok(lines.includes('PRODID:-//TEST//stringify//EN'));
+    assert.ok(lines.includes('X-WR-CALNAME:Team calendar'));
+    assert.equal(lines.at(-2), 'END:VCALENDAR');
+    assert.ok(output.endsWith('\r\n'));
+  });
+
+  it('adds VERSION and PRODID when the calendar has none', () => {
+    const output = ical.stringify({});
+
+    assert.match(output, /^BEGIN:VCALENDAR\r\nVERSION:2\.0\r\nPRODID:[^\n\r]+\r\nEND:VCALENDAR\r\n$/v);
+  });
+
+  it('round-trips event properties, parameters and escaped text', () => {
+    const event = roundTrip(ICS_SAMPLE)['stringify-1'];
+
+    assert.equal(event.type, 'VEVENT');
+    assert.equal(event.summary, 'Standup, daily; short');
+    assert.equal(event.description, 'Line one\nLine two');
+    assert.deepEqual(event.location, {params: {LANGUAGE: 'de'}, val: 'Besprechungsraum'});
+    assert.deepEqual(event.categories, ['Work', 'Team']);
+    assert.deepEqual(event.attendee, {params: {CN: 'Jane Doe', RSVP: true}, val: 'mailto:jane@example.com'});
+  });
+
+  it('keeps TZID, RRULE, EXDATE and RECURRENCE-ID overrides', () => {
+    const original = ical.parseICS(ICS_SAMPLE)['stringify-1'];
+    const event = roundTrip(ICS_SAMPLE)['stringify-1'];
+
+    assert.equal(event.start.tz, 'Europe/Berlin');
+    assert.equal(event.start.toISOString(), original.start.toISOString());
+    assert.equal(event.end.toISOString(), original.end.toISOString());
+    assert.deepEqual(
+      event.rrule.all().map(date => date.toISOString()),
+      original.rrule.all().map(date => date.toISOString()),
+    );
+    assert.ok(event.exdate['2025-03-17T08:00:00.000Z']);
+    assert.equal(event.recurrences['2025-03-24'].summary, 'Moved standup');
+    assert.equal(event.recurrences['2025-03-24'].start.toISOString(), '2025-03-24T10:00:00.000Z');
+  });
+
+  it('writes date-only values with VALUE=DATE', () => {
+    const output = ical.stringify(ical.parseICS(ICS_SAMPLE));
+    const event = roundTrip(ICS_SAMPLE)['stringify-2'];
+
+    assert.ok(output.includes('DTSTART;VALUE=DATE:20250401'));
+    assert.ok(output.includes('DTEND;VALUE=DATE:20250403'));
+    assert.equal(event.datetype, 'date');
+    assert.equal(event.start.dateOnly, true);
+    assert.equal(event.start.getDate(), 1);
+  });
+
+  it('nests VALARM components inside their parent', () => {
+    const event = roundTrip(ICS_SAMPLE)['stringify-1'];
+
+    assert.equal(event.alarms.length, 1);
+    assert.equal(event.alarms[0].action, 'DISPLAY');
+    assert.deepEqual(event.alarms[0].trigger, {params: {RELATED: 'START'}, val: '-PT5M'});
+  });
+
+  it('folds long lines at 75 octets without splitting multi-byte characters', () => {
+    const data = ical.parseICS(ICS_SAMPLE);
+    const longSummary = 'Überraschungsfeier für das gesamte Team 🎉 '.repeat(5).trim();
+    data['stringify-2'].summary = longSummary;
+
+    const output = ical.stringify(data);
+    for (const line of output.split('\r\n')) {
+      assert.ok(Buffer.byteLength(line) <= 75, `line exceeds 75 octets: ${line}`);
+    }
+
+    assert.equal(ical.parseICS(output)['stringify-2'].summary, longSummary);
+  });
+
+  it('omits DTEND when the event was defined with DURATION', () => {
+    const data = ical.sync.parseFile(path.join(__dirname, 'fixtures', 'test_date_time_duration.ics'));
+    const output = ical.stringify(data);
+
+    assert.match(output, /\r\nDURATION:/v);
+    assert.doesNotMatch(output, /\r\nDTEND/v);
+  });
+
+  it('round-trips VTIMEZONE definitions with their observances', () => {
+    const data = ical.sync.parseFile(path.join(__dirname, 'fixtures', 'ms_timezones.ics'));
+    const reparsed = ical.parseICS(ical.stringify(data));
+    const vtimezone = Object.values(reparsed).find(component => component.type === 'VTIMEZONE');
+    const observances = Object.values(vtimezone).filter(value => value?.type === 'STANDARD' || value?.type === 'DAYLIGHT');
+
+    assert.equal(vtimezone.tzid, 'W. Europe Standard Time');
+    assert.equal(observances.length, 2);
+    assert.ok(observances.every(observance => typeof observance.rrule === 'string' && observance.rrule.startsWith('RRULE:')));
+
+    const event = Object.values(reparsed).find(component => component.type === 'VEVENT');
+    const originalEvent = Object.values(data).find(component => component.type === 'VEVENT');
+    assert.equal(event.start.toISOString(), originalEvent.start.toISOString());
+  });
+
+  it('round-trips VTODO and VFREEBUSY components', () => {
+    const data = ical.sync.parseFile(path.join(__dirname, 'fixtures', 'vtodo-vfreebusy.ics'));
+    const reparsed = ical.parseICS(ical.stringify(data));
+
+    const todo = reparsed['uid4@host1.com'];
+    assert.equal(todo.type, 'VTODO');
+    assert.equal(todo.due.toISOString(), data['uid4@host1.com'].due.toISOString());
+
+    const freebusy = Object.values(reparsed).find(component => component.type === 'VFREEBUSY');
+    const originalFreebusy = Object.values(data).find(component => component.type === 'VFREEBUSY');
+    assert.deepEqual(
+      freebusy.freebusy.map(period => [period.type, period.start.toISOString(), period.end.toISOString()]),
+      originalFreebusy.freebusy.map(period => [period.type, period.start.toISOString(), period.end.toISOString()]),
+    );
+  });
+
+  it('rejects non-object input', () => {
+    assert.throws(() => ical.stringify(undefined), TypeError);
+  });
+});
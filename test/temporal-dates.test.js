@@ -0,0 +1,286 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'mocha';
+import {Temporal} from '../lib/temporal.js';
+import ical from 'node-ical';
+
+function buildCalendar(...lines) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TEST//temporal-dates//EN',
+    ...lines,
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+function getEvent(calendar, uid) {
+  return Object.values(calendar).find(component => component.type === 'VEVENT' && component.uid === uid);
+}
+
+function strings(values) {
+  return values.map(String);
+}
+
+const calendarText = buildCalendar(
+  'BEGIN:VEVENT',
+  'UID:all-day',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;VALUE=DATE:20250403',
+  'RRULE:FREQ=DAILY;COUNT=3',
+  'EXDATE;VALUE=DATE:20250404',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:zoned',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART;TZID=Europe/Berlin:20250328T090000',
+  'DURATION:PT1H',
+  'RRULE:FREQ=WEEKLY;COUNT=3',
+  'RDATE;VALUE=PERIOD:20250410T100000Z/20250410T120000Z',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:zoned',
+  'DTSTAMP:20250101T000000Z',
+  'RECURRENCE-ID;TZID=Europe/Berlin:20250404T090000',
+  'DTSTART;TZID=Europe/Berlin:20250404T110000',
+  'DURATION:PT1H',
+  'SUMMARY:Moved',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:floating',
+  'DTSTAMP:20250101T000000Z',
+  'DTSTART:20250328T090000',
+  'END:VEVENT',
+);
+
+const from = Temporal.Instant.from('2025-01-01T00:00:00Z');
+const to = Temporal.Instant.from('2025-12-31T00:00:00Z');
+
+describe('dates option', () => {
+  describe('parsing', () => {
+    const calendar = ical.parseICS(calendarText, {dates: 'temporal'});
+
+    it('returns PlainDate, ZonedDateTime and PlainDateTime values', () => {
+      const allDay = getEvent(calendar, 'all-day');
+      assert.ok(allDay.start instanceof Temporal.PlainDate);
+      assert.equal(allDay.start.toString(), '2025-04-03');
+      assert.equal(allDay.end.toString(), '2025-04-04');
+      assert.equal(allDay.exdate['2025-04-04'].toString(), '2025-04-04');
+
+      const zoned = getEvent(calendar, 'zoned');
+      assert.ok(zoned.start instanceof Temporal.ZonedDateTime);
+      assert.equal(zoned.start.toString(), '2025-03-28T09:00:00+01:00[Europe/Berlin]');
+      assert.equal(zoned.dtstamp.toString(), '2025-01-01T00:00:00+00:00[Etc/UTC]');
+      assert.equal(zoned.recurrences['2025-04-04'].start.toString(), '2025-04-04T11:00:00+02:00[Europe/Berlin]');
+
+      const floating = getEvent(calendar, 'floating');
+      assert.ok(floating.start instanceof Temporal.PlainDateTime);
+      assert.equal(floating.start.toString(), '2025-03-28T09:00:00');
+    });
+
+    it('keeps the end of RDATE periods', () => {
+      const rdate = getEvent(calendar, 'zoned').rdate['2025-04-10T10:00:00.000Z'];
+      assert.equal(rdate.toString(), '2025-04-10T10:00:00+00:00[Etc/UTC]');
+      assert.equal(rdate.periodEnd.toString(), '2025-04-10T12:00:00+00:00[Etc/UTC]');
+    });
+
+    it('keeps zones and dates through JSON', () => {
+      const json = JSON.stringify(calendar);
+      const copy = JSON.parse(json);
+      assert.equal(copy['all-day'].start, '2025-04-03');
+      assert.ok(Temporal.ZonedDateTime.from(copy.zoned.start).equals(getEvent(calendar, 'zoned').start));
+    });
+
+    it('returns rule occurrences like DTSTART and takes Temporal instants', () => {
+      assert.deepEqual(strings(getEvent(calendar, 'all-day').rrule.all()), ['2025-04-03', '2025-04-04', '2025-04-05']);
+
+      const {rrule} = getEvent(calendar, 'zoned');
+      const april = Temporal.Instant.from('2025-04-01T00:00:00Z');
+      assert.deepEqual(strings(rrule.between(april, to)), [
+        '2025-04-04T09:00:00+02:00[Europe/Berlin]',
+        '2025-04-11T09:00:00+02:00[Europe/Berlin]',
+      ]);
+      const second = Temporal.ZonedDateTime.from('2025-04-04T09:00:00+02:00[Europe/Berlin]');
+      assert.equal(String(rrule.after(second)), '2025-04-11T09:00:00+02:00[Europe/Berlin]');
+      assert.equal(rrule.toString(), 'DTSTART;TZID=Europe/Berlin:20250328T090000\nRRULE:FREQ=WEEKLY;COUNT=3');
+    });
+
+    it('uses the offset in effect for zones only defined by a VTIMEZONE', () => {
+      const event = getEvent(ical.parseICS(buildCalendar(
+        'BEGIN:VTIMEZONE',
+        'TZID:Island Time',
+        'BEGIN:STANDARD',
+        'DTSTART:20000402T030000',
+        'RRULE:FREQ=YEARLY;BYMONTH=4;BYDAY=1SU',
+        'TZOFFSETFROM:+0500',
+        'TZOFFSETTO:+0400',
+        'END:STANDARD',
+        'BEGIN:DAYLIGHT',
+        'DTSTART:20001001T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=1SU',
+        'TZOFFSETFROM:+0400',
+        'TZOFFSETTO:+0500',
+        'END:DAYLIGHT',
+        'END:VTIMEZONE',
+        'BEGIN:VEVENT',
+        'UID:island',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART;TZID=Island Time:20250329T090000',
+        'RRULE:FREQ=WEEKLY;COUNT=3',
+        'END:VEVENT',
+      ), {dates: 'temporal'}), 'island');
+
+      assert.deepEqual(strings(event.rrule.all()), [
+        '2025-03-29T09:00:00+05:00[+05:00]',
+        '2025-04-05T09:00:00+05:00[+05:00]',
+        '2025-04-12T09:00:00+04:00[+04:00]',
+      ]);
+    });
+
+    it('reads floating times in the timezone option', () => {
+      const event = getEvent(ical.parseICS(calendarText, {dates: 'temporal', timezone: 'Asia/Tokyo'}), 'floating');
+      assert.equal(event.start.toString(), '2025-03-28T09:00:00+09:00[Asia/Tokyo]');
+    });
+
+    it('applies to async parses and keeps diagnostics', async () => {
+      const parsed = await ical.async.parseICS(calendarText, {dates: 'temporal', diagnostics: true});
+      assert.deepEqual(parsed.diagnostics, []);
+      assert.ok(getEvent(parsed, 'all-day').start instanceof Temporal.PlainDate);
+    });
+
+    it('rejects unknown modes', () => {
+      assert.throws(() => ical.parseICS(calendarText, {dates: 'luxon'}), {name: 'RangeError', message: /luxon/v});
+    });
+  });
+
+  describe('expansion', () => {
+    const calendar = ical.parseICS(calendarText, {dates: 'temporal'});
+
+    it('returns instances with Temporal values and converted events', () => {
+      const event = getEvent(calendar, 'zoned');
+      const instances = ical.expandRecurringEvent(event, {from, to, dates: 'temporal'});
+
+      assert.deepEqual(instances.map(({start, end}) => `${start} ${end}`), [
+        '2025-03-28T09:00:00+01:00[Europe/Berlin] 2025-03-28T10:00:00+01:00[Europe/Berlin]',
+        '2025-04-04T11:00:00+02:00[Europe/Berlin] 2025-04-04T12:00:00+02:00[Europe/Berlin]',
+        '2025-04-10T12:00:00+02:00[Europe/Berlin] 2025-04-10T14:00:00+02:00[Europe/Berlin]',
+        '2025-04-11T09:00:00+02:00[Europe/Berlin] 2025-04-11T10:00:00+02:00[Europe/Berlin]',
+      ]);
+      assert.equal(instances[0].event, event);
+      assert.equal(instances[1].event, event.recurrences['2025-04-04']);
+      assert.equal(instances[1].summary, 'Moved');
+    });
+
+    it('returns full-day instances as PlainDate', () => {
+      const instances = ical.expandRecurringEvent(getEvent(calendar, 'all-day'), {from, to, dates: 'temporal'});
+      assert.deepEqual(instances.map(({start, end}) => `${start}/${end}`), ['2025-04-03/2025-04-04', '2025-04-05/2025-04-06']);
+    });
+
+    it('converts Date-mode events and returns Dates without the option', () => {
+      const dateEvent = getEvent(ical.parseICS(calendarText), 'zoned');
+      const [first] = ical.expandRecurringEvent(dateEvent, {from, to, dates: 'temporal'});
+      assert.equal(first.start.toString(), '2025-03-28T09:00:00+01:00[Europe/Berlin]');
+      assert.ok(first.event.start instanceof Temporal.ZonedDateTime);
+
+      const [dateInstance] = ical.expandRecurringEvent(getEvent(calendar, 'zoned'), {from, to});
+      assert.ok(dateInstance.start instanceof Date);
+      assert.equal(dateInstance.start.toISOString(), '2025-03-28T08:00:00.000Z');
+    });
+
+    it('iterates occurrences and expands calendars', () => {
+      const iterated = [...ical.iterateOccurrences(getEvent(calendar, 'zoned'), {after: from, limit: 2, dates: 'temporal'})];
+      assert.deepEqual(strings(iterated.map(({start}) => start)), [
+        '2025-03-28T09:00:00+01:00[Europe/Berlin]',
+        '2025-04-04T11:00:00+02:00[Europe/Berlin]',
+      ]);
+
+      const instances = ical.expandCalendar(calendar, {from, to: Temporal.Instant.from('2025-03-31T00:00:00Z'), dates: 'temporal'});
+      // The floating time is sorted by its instant in the host zone
+      assert.deepEqual(instances.map(({event}) => event.uid).toSorted((a, b) => a.localeCompare(b)), ['floating', 'zoned']);
+      assert.ok(instances.find(({event}) => event.uid === 'floating').start instanceof Temporal.PlainDateTime);
+    });
+
+    it('expands the component as edited', () => {
+      const event = getEvent(ical.parseICS(calendarText, {dates: 'temporal'}), 'zoned');
+      event.summary = 'Edited';
+      event.start = Temporal.ZonedDateTime.from('2025-03-28T10:00:00+01:00[Europe/Berlin]');
+      delete event.recurrences;
+      event.rdate = {};
+
+      const instances = ical.expandRecurringEvent(event, {from, to, dates: 'temporal'});
+      assert.deepEqual(instances.map(({start, summary}) => `${start} ${summary}`), [
+        '2025-03-28T10:00:00+01:00[Europe/Berlin] Edited',
+        '2025-04-04T10:00:00+02:00[Europe/Berlin] Edited',
+        '2025-04-11T10:00:00+02:00[Europe/Berlin] Edited',
+      ]);
+      assert.equal(instances[0].event, event);
+
+      const allDay = getEvent(ical.parseICS(calendarText, {dates: 'temporal'}), 'all-day');
+      allDay.exdate = {};
+      assert.equal(ical.expandRecurringEvent(allDay, {from, to, dates: 'temporal'}).length, 3);
+    });
+
+    it('expands components built by hand', () => {
+      const event = {
+        type: 'VEVENT',
+        uid: 'by-hand',
+        datetype: 'date',
+        start: Temporal.PlainDate.from('2025-05-01'),
+        end: Temporal.PlainDate.from('2025-05-02'),
+        rrule: 'FREQ=DAILY;COUNT=2',
+      };
+
+      const instances = ical.expandRecurringEvent(event, {from, to, dates: 'temporal'});
+      assert.deepEqual(instances.map(({start, end}) => `${start}/${end}`), ['2025-05-01/2025-05-02', '2025-05-02/2025-05-03']);
+    });
+
+    it('keeps the rule text through structuredClone', () => {
+      const copy = structuredClone(calendar);
+      assert.equal(copy.zoned.rrule.rule, 'FREQ=WEEKLY;COUNT=3');
+      assert.equal(getEvent(calendar, 'zoned').rrule.rule, 'FREQ=WEEKLY;COUNT=3');
+    });
+
+    it('rejects unknown modes', () => {
+      const event = getEvent(calendar, 'zoned');
+      assert.throws(() => ical.expandRecurringEvent(event, {from, to, dates: 'moment'}), RangeError);
+      assert.throws(() => ical.expandCalendar(calendar, {from, to, dates: 'moment'}), RangeError);
+      assert.throws(() => [...ical.iterateOccurrences(event, {after: from, dates: 'moment'})], RangeError);
+    });
+  });
+
+  describe('other helpers', () => {
+    const alarmEvent = [
+      'BEGIN:VEVENT',
+      'UID:reminded',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART;TZID=Europe/Berlin:20250310T090000',
+      'DTEND;TZID=Europe/Berlin:20250310T100000',
+      'RRULE:FREQ=DAILY;COUNT=2',
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'TRIGGER:-PT15M',
+      'END:VALARM',
+      'END:VEVENT',
+    ];
+    const source = calendarText.replace('END:VCALENDAR', () => [...alarmEvent, 'END:VCALENDAR'].join('\r\n'));
+    const temporalCalendar = ical.parseICS(source, {dates: 'temporal'});
+    const dateCalendar = ical.parseICS(source);
+
+    it('writes calendars parsed with Temporal values like Date-mode ones', () => {
+      const text = ical.stringify(temporalCalendar);
+      assert.equal(text, ical.stringify(dateCalendar));
+      assert.match(text, /^DTSTART;TZID=Europe\/Berlin:20250328T090000\r$/mv);
+      assert.match(text, /^DTSTART;VALUE=DATE:20250403\r$/mv);
+      assert.match(text, /^DTSTAMP:20250101T000000Z\r$/mv);
+      assert.deepEqual(ical.toJCal(temporalCalendar), ical.toJCal(dateCalendar));
+      assert.equal(ical.toXCal(temporalCalendar), ical.toXCal(dateCalendar));
+    });
+
+    it('computes alarm times of Temporal components', () => {
+      const event = getEvent(temporalCalendar, 'reminded');
+      assert.deepEqual(ical.getAlarmTimes(event).map(({date}) => date.toISOString()), ['2025-03-10T07:45:00.000Z']);
+
+      const alarms = ical.getAlarms(temporalCalendar, {from: new Date('2025-03-01T00:00:00Z'), to: new Date('2025-04-01T00:00:00Z')});
+      assert.deepEqual(alarms.map(({date}) => date.toISOString()), ['2025-03-10T07:45:00.000Z', '2025-03-11T07:45:00.000Z']);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import assert from 'node:assert/strict';
+import {afterEach, describe, it} from 'mocha';
+import ical from 'node-ical';
+
+function buildCalendar(tzid) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TEST//timezone-registry//EN',
+    'BEGIN:VEVENT',
+    'UID:meeting',
+    'DTSTAMP:20250101T000000Z',
+    `DTSTART;TZID="${tzid}":20250701T090000`,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+function parseStart(tzid) {
+  return ical.parseICS(buildCalendar(tzid)).meeting.start;
+}
+
+const windowsZonesXml = `<?xml version="1.0" encoding="UTF-8" ?>
+<supplementalData>
+  <windowsZones>
+    <mapTimezones otherVersion="7e11800" typeVersion="2025a">
+      <mapZone other="Tenant Standard Time" territory="001" type="Asia/Tokyo"/>
+      <mapZone other="Tenant Standard Time" territory="JP" type="Asia/Tokyo"/>
+      <mapZone other="Mars Standard Time" territory="001" type="Mars/Olympus_Mons"/>
+    </mapTimezones>
+  </windowsZones>
+</supplementalData>`;
+
+describe('timezones', () => {
+  afterEach(() => {
+    ical.timezones.reset();
+  });
+
+  describe('registerAlias', () => {
+    it('resolves Exchange labels that only matched their offset', () => {
+      const label = '(UTC+01:00) Hauptsitz Zürich';
+      // Without the alias the fixed +01:00 misses summer time
+      assert.equal(parseStart(label).toISOString(), '2025-07-01T08:00:00.000Z');
+
+      ical.timezones.registerAlias(label, 'Europe/Zurich');
+      const start = parseStart(label);
+      assert.equal(start.toISOString(), '2025-07-01T07:00:00.000Z');
+      assert.equal(start.tz, 'Europe/Zurich');
+    });
+
+    it('matches ignoring case and whitespace and takes Windows names and offsets', () => {
+      ical.timezones.registerAlias('office  time', 'W. Europe Standard Time');
+      ical.timezones.registerAlias('Ship Time', '+05:30');
+
+      assert.equal(parseStart('Office Time').tz, 'Europe/Berlin');
+      assert.equal(parseStart('Ship Time').toISOString(), '2025-07-01T03:30:00.000Z');
+    });
+
+    it('applies to expansion options', () => {
+      ical.timezones.registerAlias('Head Office', 'Asia/Tokyo');
+      const event = ical.parseICS(buildCalendar('Europe/Berlin')).meeting;
+      const [instance] = ical.expandRecurringEvent(event, {
+        from: new Date('2025-07-01T00:00:00Z'),
+        to: new Date('2025-07-02T00:00:00Z'),
+        displayTimezone: 'Head Office',
+      });
+      assert.equal(instance.display.time, '16:00:00');
+    });
+
+    it('rejects unknown targets', () => {
+      assert.throws(() => ical.timezones.registerAlias('Office Time', 'Mars/Olympus_Mons'), {name: 'RangeError', message: /Mars\/Olympus_Mons/v});
+      assert.throws(() => ical.timezones.registerAlias('', 'Europe/Berlin'), TypeError);
+    });
+  });
+
+  describe('loadWindowsZones', () => {
+    it('loads the CLDR windowsZones.xml', () => {
+      assert.equal(parseStart('Tenant Standard Time').tz, 'Tenant Standard Time');
+
+      assert.deepEqual(ical.timezones.loadWindowsZones(windowsZonesXml), {loaded: 1, skipped: ['Mars Standard Time']});
+      const start = parseStart('Tenant Standard Time');
+      assert.equal(start.tz, 'Asia/Tokyo');
+      assert.equal(start.toISOString(), '2025-07-01T00:00:00.000Z');
+    });
+
+    it('loads JSON mappings that replace bundled ones', () => {
+      const json = JSON.stringify({'W. Europe Standard Time': {iana: ['Europe/Amsterdam']}});
+      assert.deepEqual(ical.timezones.loadWindowsZones(json), {loaded: 1, skipped: []});
+      assert.equal(parseStart('W. Europe Standard Time').tz, 'Europe/Amsterdam');
+
+      ical.timezones.loadWindowsZones({'Tenant Time': {iana: ['Asia/Tokyo']}});
+      assert.equal(parseStart('Tenant Time').tz, 'Asia/Tokyo');
+      assert.equal(parseStart('W. Europe Standard Time').tz, 'Europe/Amsterdam');
+    });
+
+    it('is undone by reset()', () => {
+      ical.timezones.loadWindowsZones({'W. Europe Standard Time': {iana: ['Europe/Amsterdam']}});
+      ical.timezones.registerAlias('Office Time', 'Europe/Berlin');
+      ical.timezones.reset();
+
+      assert.equal(parseStart('W. Europe Standard Time').tz, 'Europe/Berlin');
+      assert.equal(parseStart('Office Time').tz, 'Office Time');
+    });
+
+    it('rejects other input', () => {
+      assert.throws(() => ical.timezones.loadWindowsZones('<supplementalData/>'), TypeError);
+      assert.throws(() => ical.timezones.loadWindowsZones(42), TypeError);
+      assert.throws(() => ical.timezones.loadWindowsZones('{"broken"'), SyntaxError);
+    });
+  });
+
+  describe('getUnresolved', () => {
+    function parseWithDiagnostics(tzid) {
+      return ical.parseICS(buildCalendar(tzid), {diagnostics: true});
+    }
+
+    it('lists the TZIDs a parse could not resolve', () => {
+      const calendar = ical.parseICS([
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//TEST//timezone-registry//EN',
+        ...[
+          'Office Time',
+          '(UTC+01:00) Hauptsitz Zürich',
+          'Europe/Berlin',
+          'W. Europe Standard Time',
+          'UTC+02:00',
+          'Office Time',
+        ].flatMap((tzid, index) => [
+          'BEGIN:VEVENT',
+          `UID:meeting-${index}`,
+          'DTSTAMP:20250101T000000Z',
+          `DTSTART;TZID="${tzid}":20250701T090000`,
+          'END:VEVENT',
+        ]),
+        'END:VCALENDAR',
+      ].join('\r\n'), {diagnostics: true});
+
+      assert.deepEqual(ical.timezones.getUnresolved(calendar), ['(UTC+01:00) Hauptsitz Zürich', 'Office Time']);
+    });
+
+    it('keeps the TZIDs of each parse apart', () => {
+      const first = parseWithDiagnostics('Office Time');
+      const second = parseWithDiagnostics('Europe/Berlin');
+
+      assert.deepEqual(ical.timezones.getUnresolved(first), ['Office Time']);
+      assert.deepEqual(ical.timezones.getUnresolved(second), []);
+    });
+
+    it('skips TZIDs resolved through an alias', () => {
+      ical.timezones.registerAlias('(UTC+01:00) Hauptsitz Zürich', 'Europe/Zurich');
+      assert.deepEqual(ical.timezones.getUnresolved(parseWithDiagnostics('(UTC+01:00) Hauptsitz Zürich')), []);
+    });
+
+    it('needs a calendar parsed with diagnostics', () => {
+      assert.throws(() => ical.timezones.getUnresolved(ical.parseICS(buildCalendar('Office Time'))), TypeError);
+    });
+  });
+});
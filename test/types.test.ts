@@ -7,6 +7,7 @@
 /* eslint-disable @typescript-eslint/triple-slash-reference, @typescript-eslint/naming-convention */
 /// <reference path="../node-ical.d.ts" />
 
+import type {Temporal} from 'temporal-polyfill';
 import type * as ical from 'node-ical';
 
 type VEventRRule = NonNullable<ical.VEvent['rrule']>;
@@ -212,4 +213,200 @@ for (const component of Object.values(calendarData)) {
   }
 }
 
+// ============================================================================
+// fromURL response cache
+// ============================================================================
+
+declare const cachedResponse: ical.CachedCalendarResponse;
+
+// Test: fromCache is a boolean flag, not a calendar component
+const cachedFlag: boolean | undefined = cachedResponse.fromCache;
+const pollInterval: number | undefined = cachedResponse.refreshInterval;
+const cachedComponent: ical.CalendarComponent | ical.VCalendar | undefined = cachedResponse['some-uid'];
+
+const cacheEntry: ical.FromURLCacheEntry = {etag: '"v1"', body: 'BEGIN:VCALENDAR'};
+const customStore: ical.FromURLCacheStore = {
+  get: async () => cacheEntry,
+  set: async () => undefined,
+};
+const cacheOptions: ical.FetchOptions = {responseCache: customStore};
+
+// ============================================================================
+// Alarms
+// ============================================================================
+
+declare const alarmEvent: ical.VEvent;
+declare const alarmInstance: ical.EventInstance;
+declare const getAlarmTimes: typeof ical.getAlarmTimes;
+
+// Test: getAlarmTimes accepts components and expanded instances
+const [firstAlarmTime] = getAlarmTimes(alarmEvent);
+const alarmDate: Date | undefined = firstAlarmTime?.date;
+const instanceAlarmTimes: ical.AlarmTime[] = getAlarmTimes(alarmInstance);
+
+// Test: parsedTrigger narrows on its type
+const parsedTrigger = alarmEvent.alarms?.[0]?.parsedTrigger;
+if (parsedTrigger?.type === 'relative') {
+  const offset: number = parsedTrigger.offsetMs;
+} else if (parsedTrigger?.type === 'absolute') {
+  const absoluteDate: Date = parsedTrigger.date;
+}
+
+declare const alarmCalendar: ical.CalendarResponse;
+declare const getAlarms: typeof ical.getAlarms;
+
+// Test: getAlarms returns fire times with their instance
+const scheduledAlarms = getAlarms(alarmCalendar, {from: new Date(), to: new Date()});
+const scheduledInstance: ical.EventInstance<ical.VEvent | ical.VTodo> | undefined = scheduledAlarms[0]?.instance;
+const scheduledRepetition: number | undefined = scheduledAlarms[0]?.repetition;
+
+// ============================================================================
+// Recurring VTODO expansion
+// ============================================================================
+
+declare const recurringTodo: ical.VTodo;
+declare const expandRecurringEvent: typeof ical.expandRecurringEvent;
+
+// Test: expanding a VTODO yields instances whose event is a VTodo
+const [todoInstance] = expandRecurringEvent(recurringTodo, {from: new Date(), to: new Date()});
+const todoInstanceStatus: ical.VTodoStatus | undefined = todoInstance?.event.status;
+const todoInstanceDue: Date | undefined = todoInstance?.due;
+
+// Test: EventInstance still defaults to VEvent instances
+const eventInstanceStatus: ical.VEventStatus | undefined = alarmInstance.event.status;
+
+// ============================================================================
+// Free/busy
+// ============================================================================
+
+declare const computeFreeBusy: typeof ical.computeFreeBusy;
+
+// Test: computeFreeBusy returns periods, or a VFREEBUSY component with asComponent
+const busyPeriods: ical.FreebusyPeriod[] = computeFreeBusy(alarmCalendar, {from: new Date(), to: new Date()});
+const busyComponent = computeFreeBusy(alarmCalendar, {from: new Date(), to: new Date(), asComponent: true});
+const busyComponentPeriods: ical.FreebusyPeriod[] = busyComponent.freebusy;
+const busyComponentType: 'VFREEBUSY' = busyComponent.type;
+
+declare const findFreeSlots: typeof ical.findFreeSlots;
+
+// Test: findFreeSlots accepts one or several calendars
+const freeSlots: ical.FreeSlot[] = findFreeSlots([alarmCalendar], {
+  from: new Date(),
+  to: new Date(),
+  duration: 'PT30M',
+  workingHours: {start: '09:00'},
+});
+const slotTentative: number | undefined = findFreeSlots(alarmCalendar, {from: new Date(), to: new Date(), duration: 1_800_000})[0]?.tentative;
+
+declare const findConflicts: typeof ical.findConflicts;
+declare const expandedInstances: Array<ical.EventInstance<ical.VEvent | ical.VTodo>>;
+
+// Test: findConflicts accepts calendars with a window, or expanded instances
+const conflicts: ical.Conflict[] = findConflicts([alarmCalendar, alarmCalendar], {from: new Date(), to: new Date()});
+const conflictUid: string | undefined = findConflicts(expandedInstances)[0]?.instances[1].event.uid;
+
+declare const parseICS: typeof ical.parseICS;
+declare const parseFile: typeof ical.parseFile;
+declare const asyncApi: typeof ical.async;
+declare const fromURL: typeof ical.fromURL;
+declare const parseError: ical.ParseError;
+
+// Test: parse options expose diagnostics and ParseError details
+const diagnosed = parseICS('', {diagnostics: true});
+const diagnosticCode: ical.ParseDiagnosticCode | undefined = diagnosed.diagnostics?.[0]?.code;
+const diagnosticLine: number | undefined = diagnosed.diagnostics?.[0]?.line;
+const strictParse: Promise<ical.ParsedCalendarResponse> = asyncApi.parseICS('', {strict: true});
+fromURL('https://example.com/a.ics', {strict: true, responseCache: true}, (_error, data) => {
+  const fetchDiagnostics: ical.ParseDiagnostic[] | undefined = data?.diagnostics;
+});
+parseFile('calendar.ics', {strict: true}, (_error, data) => {
+  const callbackDiagnostics: ical.ParseDiagnostic[] | undefined = data?.diagnostics;
+});
+const parseErrorPath: string[] = parseError.path;
+const parseErrorLine: number | undefined = parseError.line;
+
+declare const setLogger: typeof ical.setLogger;
+declare const loggedEvent: ical.VEvent;
+
+// Test: loggers receive structured metadata, per call or module-wide
+const logger: ical.Logger = {
+  warn(message: string, metadata: ical.LogMetadata) {
+    const logCode: ical.ParseDiagnosticCode = metadata.code;
+    const logUid: string | undefined = metadata.uid;
+    const logTzid: string | undefined = metadata.tzid;
+    const logLine: number | undefined = metadata.line;
+  },
+};
+setLogger(logger);
+setLogger();
+parseICS('', {logger});
+expandRecurringEvent(loggedEvent, {from: new Date(), to: new Date(), logger});
+
+declare const validate: typeof ical.validate;
+declare const calendarToValidate: ical.CalendarResponse;
+
+// Test: validate accepts text or parsed calendars and returns a typed report
+const validationReport: ical.ValidationReport = validate('BEGIN:VCALENDAR\r\nEND:VCALENDAR');
+const reportValid: boolean = validate(calendarToValidate).valid;
+const validationCode: ical.ValidationIssueCode | ical.ParseDiagnosticCode | undefined = validationReport.issues[0]?.code;
+const validationProperty: string | undefined = validationReport.issues[0]?.property;
+
+declare const zonedStart: ical.DateWithTimeZone;
+
+// Test: dates in a VTIMEZONE without IANA equivalent expose its rules
+const zoneRulesTzid: string | undefined = zonedStart.zoneRules?.tzid;
+const zoneOffsetMinutes: number | undefined = zonedStart.zoneRules?.getOffsetMinutes(zonedStart.getTime());
+const zoneWallClock: number | undefined = zonedStart.zoneRules?.toWallClockMilliseconds(zonedStart.getTime());
+
+// Test: a timezone option replaces the host zone when parsing and expanding
+const berlinCalendar: ical.CalendarResponse = parseICS('', {timezone: 'Europe/Berlin'});
+fromURL('https://example.com/a.ics', {timezone: 'Europe/Berlin'});
+parseFile('calendar.ics', {timezone: 'Europe/Berlin'}, () => undefined);
+expandRecurringEvent(loggedEvent, {from: new Date(), to: new Date(), timezone: 'Europe/Berlin'});
+
+declare const temporalInstant: Temporal.Instant;
+
+// Test: {dates: 'temporal'} switches parsed and expanded dates to Temporal values
+const temporalCalendar: ical.TemporalCalendarResponse = parseICS('', {dates: 'temporal'});
+const temporalEvent = temporalCalendar['event-uid'] as ical.WithTemporalDates<ical.VEvent>;
+const temporalStart: Temporal.PlainDate | Temporal.ZonedDateTime | Temporal.PlainDateTime = temporalEvent.start;
+const temporalPeriodEnd: ical.TemporalDate | undefined = temporalEvent.rdate?.['2025-01-01']?.periodEnd;
+const temporalRuleDates: ical.TemporalDate[] | undefined = temporalEvent.rrule?.between(temporalInstant, new Date());
+const temporalInstances: ical.TemporalEventInstance[] = expandRecurringEvent(temporalEvent, {from: temporalInstant, to: temporalInstant, dates: 'temporal'});
+const temporalInstanceEnd: ical.TemporalDate = temporalInstances[0].end;
+const temporalInstanceEvent: ical.WithTemporalDates<ical.VEvent> = temporalInstances[0].event;
+const dateModeStart: Date = expandRecurringEvent(loggedEvent, {from: temporalInstant, to: new Date()})[0].start;
+const temporalAsync: Promise<ical.TemporalCalendarResponse> = asyncApi.parseICS('', {dates: 'temporal'});
+parseFile('calendar.ics', {dates: 'temporal'}, (_error, _calendar: ical.TemporalCalendarResponse | undefined) => undefined);
+// @ts-expect-error Date-mode results hold Dates
+const notTemporal: ical.TemporalCalendarResponse = parseICS('');
+
+// Test: displayTimezone adds the local wall-clock fields to instances
+const displayed = expandRecurringEvent(loggedEvent, {from: new Date(), to: new Date(), displayTimezone: 'Asia/Tokyo'})[0].display;
+const displayedTime: string | undefined = displayed?.time;
+const displayedDaySpan: number | undefined = displayed?.daySpan;
+
+// Test: timezone registry
+declare const timezones: typeof ical.timezones;
+timezones.registerAlias('(UTC+01:00) Amsterdam, Berlin, Bern…', 'Europe/Berlin');
+const loadedZones: {loaded: number; skipped: string[]} = timezones.loadWindowsZones({'Custom Standard Time': {iana: ['Europe/Berlin']}});
+const unresolvedTzids: string[] = timezones.getUnresolved(parseICS('', {diagnostics: true}));
+// @ts-expect-error aliases need a target zone
+timezones.registerAlias('Office');
+
 // If this file compiles, all type constraints are correct.
+
+// Test: parseStream takes the parse options
+declare const parseStream: typeof ical.parseStream;
+const streamed: AsyncGenerator<ical.StreamComponent> = parseStream([''], {strict: true, diagnostics: true, timezone: 'Europe/Berlin'});
+const temporalStreamed: AsyncGenerator<ical.StreamComponent<ical.WithTemporalDates<ical.CalendarComponent>>> = parseStream([''], {dates: 'temporal'});
+
+// Test: serializers and alarm helpers take calendars parsed with Temporal values
+declare const stringify: typeof ical.stringify;
+declare const toJCal: typeof ical.toJCal;
+declare const toXCal: typeof ical.toXCal;
+const temporalText: string = stringify(temporalCalendar);
+const temporalJCal: ical.JCalComponent = toJCal(temporalCalendar);
+const temporalXCal: string = toXCal(temporalCalendar);
+const temporalAlarmTimes: ical.AlarmTime[] = getAlarmTimes(temporalEvent);
+const temporalAlarms: ical.ScheduledAlarm[] = getAlarms(temporalCalendar, {from: new Date(), to: new Date()});
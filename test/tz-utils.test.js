@@ -206,5 +206,31 @@ describe('unit: tz-utils', () => {
       assert.ok(result.iana, 'should resolve to an IANA zone despite year 0001 DTSTART');
       assert.equal(result.offset, '+01:00');
     });
+
+    it('rejects zones that match the probe offsets but not the transitions', () => {
+      // Pre-2007 US rules: same offsets as America/New_York, but DST from April to October
+      const oldUsVTimezone = {
+        type: 'VTIMEZONE',
+        tzid: 'Old Eastern',
+        standard: {
+          type: 'STANDARD',
+          start: new Date(1970, 9, 25, 2, 0, 0),
+          rrule: 'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=10',
+          tzoffsetfrom: '-0400',
+          tzoffsetto: '-0500',
+        },
+        daylight: {
+          type: 'DAYLIGHT',
+          start: new Date(1970, 3, 5, 2, 0, 0),
+          rrule: 'RRULE:FREQ=YEARLY;BYDAY=1SU;BYMONTH=4',
+          tzoffsetfrom: '-0500',
+          tzoffsetto: '-0400',
+        },
+      };
+
+      assert.deepEqual(tz.resolveVTimezoneToIana(oldUsVTimezone, 2025), {iana: undefined, offset: undefined});
+      assert.equal(tz.resolveVTimezoneToIana(oldUsVTimezone, 2005).offset, '-05:00');
+      assert.ok(tz.resolveVTimezoneToIana(oldUsVTimezone, 2005).iana);
+    });
   });
 });
@@ -0,0 +1,300 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+function buildCalendar(...lines) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TEST//validate//EN',
+    ...lines,
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+function codes(report) {
+  return report.issues.map(({code}) => code);
+}
+
+describe('validate', () => {
+  it('accepts a well-formed calendar', () => {
+    const report = ical.validate(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:ok',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART;TZID=Europe/Berlin:20250310T100000',
+      'DTEND;TZID=Europe/Berlin:20250310T110000',
+      'RRULE:FREQ=DAILY;UNTIL=20250320T090000Z',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:ok',
+      'DTSTAMP:20250101T000000Z',
+      'RECURRENCE-ID;TZID=Europe/Berlin:20250311T100000',
+      'DTSTART;TZID=Europe/Berlin:20250311T140000',
+      'DURATION:PT1H',
+      'END:VEVENT',
+    ));
+
+    assert.deepEqual(report, {valid: true, issues: []});
+  });
+
+  it('reports missing required properties', () => {
+    const report = ical.validate(buildCalendar(
+      'BEGIN:VEVENT',
+      'SUMMARY:Nothing else',
+      'END:VEVENT',
+      'BEGIN:VTODO',
+      'UID:todo',
+      'END:VTODO',
+    ));
+
+    assert.equal(report.valid, false);
+    assert.deepEqual(report.issues.map(({code, line, property}) => [code, line, property]), [
+      ['MISSING_PROPERTY', 4, 'UID'],
+      ['MISSING_PROPERTY', 4, 'DTSTAMP'],
+      ['MISSING_PROPERTY', 4, 'DTSTART'],
+      ['MISSING_PROPERTY', 7, 'DTSTAMP'],
+    ]);
+    assert.equal(report.issues[3].uid, 'todo');
+    assert.deepEqual(report.issues[3].path, ['VCALENDAR', 'VTODO']);
+  });
+
+  it('reports DTEND or DUE together with DURATION, but not a DURATION in a VALARM', () => {
+    const report = ical.validate(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:both',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250310T100000Z',
+      'DTEND:20250310T110000Z',
+      'DURATION:PT1H',
+      'END:VEVENT',
+      'BEGIN:VTODO',
+      'UID:todo',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250310T100000Z',
+      'DUE:20250311T100000Z',
+      'DURATION:PT2H',
+      'END:VTODO',
+      'BEGIN:VEVENT',
+      'UID:alarm',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250310T100000Z',
+      'DTEND:20250310T110000Z',
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'TRIGGER:-PT10M',
+      'REPEAT:2',
+      'DURATION:PT5M',
+      'END:VALARM',
+      'END:VEVENT',
+    ));
+
+    assert.deepEqual(report.issues.map(({code, line, uid, message}) => [code, line, uid, message]), [
+      ['CONFLICTING_PROPERTIES', 9, 'both', 'VEVENT must not contain both DTEND and DURATION'],
+      ['CONFLICTING_PROPERTIES', 16, 'todo', 'VTODO must not contain both DUE and DURATION'],
+    ]);
+  });
+
+  it('reports DTEND and DUE before DTSTART', () => {
+    const report = ical.validate(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:backwards',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART;TZID=Europe/Berlin:20250310T100000',
+      'DTEND;TZID=America/New_York:20250310T040000',
+      'END:VEVENT',
+      'BEGIN:VTODO',
+      'UID:late',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART;VALUE=DATE:20250310',
+      'DUE;VALUE=DATE:20250309',
+      'END:VTODO',
+      'BEGIN:VEVENT',
+      'UID:instant',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250310T100000Z',
+      'DTEND:20250310T100000Z',
+      'END:VEVENT',
+    ));
+
+    assert.deepEqual(report.issues.map(({code, line, property}) => [code, line, property]), [
+      ['DTEND_BEFORE_START', 8, 'DTEND'],
+      ['DUE_BEFORE_START', 14, 'DUE'],
+    ]);
+  });
+
+  it('reports TZIDs that are neither defined nor resolvable', () => {
+    const report = ical.validate(buildCalendar(
+      'BEGIN:VTIMEZONE',
+      'TZID:Office Time',
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      'TZOFFSETFROM:+0100',
+      'TZOFFSETTO:+0100',
+      'END:STANDARD',
+      'END:VTIMEZONE',
+      'BEGIN:VEVENT',
+      'UID:zones',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART;TZID=W. Europe Standard Time:20250310T100000',
+      'DTEND;TZID=Mars/Olympus_Mons:20250311T110000',
+      'EXDATE;TZID=Office Time:20250311T100000',
+      'END:VEVENT',
+    ));
+
+    const unknown = report.issues.filter(({code, severity}) => code === 'UNKNOWN_TZID' && severity === 'error');
+    assert.deepEqual(unknown.map(({line, property, tzid}) => [line, property, tzid]), [
+      [16, 'DTEND', 'Mars/Olympus_Mons'],
+    ]);
+    // The parse diagnostic for the same line is replaced by the validation issue
+    assert.equal(report.issues.filter(({line}) => line === 16).length, 1);
+  });
+
+  it('reports an UNTIL whose type does not match DTSTART', () => {
+    const report = ical.validate(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:date-start',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART;VALUE=DATE:20250310',
+      'RRULE:FREQ=DAILY;UNTIL=20250320T000000Z',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:datetime-start',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250310T100000Z',
+      'RRULE:FREQ=DAILY;UNTIL=20250320',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:local-until',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART;TZID=Europe/Berlin:20250310T100000',
+      'RRULE:FREQ=DAILY;UNTIL=20250320T100000',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:floating',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250310T100000',
+      'RRULE:FREQ=DAILY;UNTIL=20250320T100000',
+      'END:VEVENT',
+    ));
+
+    assert.deepEqual(report.issues.map(({code, line, uid, message}) => [code, line, uid, message]), [
+      ['UNTIL_TYPE_MISMATCH', 8, 'date-start', 'RRULE UNTIL is a DATE-TIME but DTSTART is a DATE'],
+      ['UNTIL_TYPE_MISMATCH', 14, 'datetime-start', 'RRULE UNTIL is a DATE but DTSTART is a DATE-TIME'],
+      ['UNTIL_TYPE_MISMATCH', 20, 'local-until', 'RRULE UNTIL must be in UTC when DTSTART has a timezone'],
+    ]);
+  });
+
+  it('reports components sharing a UID without RECURRENCE-ID', () => {
+    const report = ical.validate(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:twice',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250310T100000Z',
+      'SEQUENCE:1',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:twice',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250311T100000Z',
+      'SEQUENCE:2',
+      'END:VEVENT',
+    ));
+
+    assert.deepEqual(codes(report), ['DUPLICATE_UID']);
+    assert.equal(report.issues[0].line, 10);
+    assert.equal(report.issues[0].uid, 'twice');
+    assert.match(report.issues[0].message, /line 4/v);
+  });
+
+  it('includes the diagnostics of the parse', () => {
+    const report = ical.validate(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:broken',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250310T100000Z',
+      'DURATION:soon',
+      'this is not a content line',
+      'END:VEVENT',
+    ));
+
+    assert.equal(report.valid, false);
+    assert.deepEqual(report.issues.map(({code, severity, line}) => [code, severity, line]), [
+      ['INVALID_CONTENT_LINE', 'error', 9],
+      ['MALFORMED_DURATION', 'warning', 10],
+    ]);
+  });
+
+  it('reports a fatal parse error and what was checked before it', () => {
+    const report = ical.validate(buildCalendar(
+      'BEGIN:VEVENT',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250310T100000Z',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:double',
+      'DTSTART:20250310T100000Z',
+      'DTSTART:20250311T100000Z',
+      'END:VEVENT',
+    ));
+
+    assert.deepEqual(report.issues.map(({code, line}) => [code, line]), [
+      ['MISSING_PROPERTY', 4],
+      ['DUPLICATE_PROPERTY', 11],
+    ]);
+  });
+
+  it('is valid only while all issues are below error severity', () => {
+    const report = ical.validate(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:revised',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART:20250310T100000Z',
+      'RRULE:FREQ=DAILY;COUNT=3',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:revised',
+      'DTSTAMP:20250101T000000Z',
+      'RECURRENCE-ID:20250311T100000Z',
+      'DTSTART:20250311T120000Z',
+      'TRIGGER:soon',
+      'END:VEVENT',
+    ));
+
+    assert.deepEqual(report.issues.map(({code, severity}) => [code, severity]), [['MALFORMED_TRIGGER', 'warning']]);
+    assert.equal(report.valid, true);
+  });
+
+  it('checks parsed calendars, including their overrides', () => {
+    const calendar = ical.parseICS(buildCalendar(
+      'BEGIN:VEVENT',
+      'UID:parsed',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART;TZID=Mars/Olympus_Mons:20250310T100000',
+      'DTEND;TZID=Mars/Olympus_Mons:20250310T110000',
+      'RRULE:FREQ=DAILY;COUNT=3',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:parsed',
+      'RECURRENCE-ID:20250311T090000Z',
+      'DTSTART;TZID=Europe/Berlin:20250311T100000',
+      'DTEND;TZID=Europe/Berlin:20250311T090000',
+      'END:VEVENT',
+    ), {diagnostics: true});
+
+    const report = ical.validate(calendar);
+    assert.equal(report.valid, false);
+    assert.deepEqual(report.issues.map(({code, property}) => `${code} ${property}`), [
+      'MISSING_PROPERTY DTSTAMP',
+      'DTEND_BEFORE_START DTEND',
+      'UNKNOWN_TZID DTSTART',
+      'UNKNOWN_TZID DTEND',
+    ]);
+    assert.ok(report.issues.every(issue => issue.line === undefined && issue.uid === 'parsed'));
+  });
+
+  it('rejects input that is neither text nor a calendar', () => {
+    assert.throws(() => ical.validate(), {name: 'TypeError', message: /iCalendar string or a parsed calendar/v});
+    assert.throws(() => ical.validate(42), TypeError);
+  });
+});
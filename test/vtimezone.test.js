@@ -0,0 +1,245 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'mocha';
+import tz from '../lib/tz-utils.js';
+import ical from 'node-ical';
+
+function buildCalendar(...lines) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TEST//vtimezone//EN',
+    ...lines,
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
+
+// Southern-hemisphere rules with offsets no IANA zone uses: DST from the first
+// Sunday in October (02:00 → 03:00) to the first Sunday in April (03:00 → 02:00)
+const islandTime = [
+  'BEGIN:VTIMEZONE',
+  'TZID:Island Time',
+  'BEGIN:STANDARD',
+  'DTSTART:20000402T030000',
+  'RRULE:FREQ=YEARLY;BYMONTH=4;BYDAY=1SU',
+  'TZOFFSETFROM:+0500',
+  'TZOFFSETTO:+0400',
+  'END:STANDARD',
+  'BEGIN:DAYLIGHT',
+  'DTSTART:20001001T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=1SU',
+  'TZOFFSETFROM:+0400',
+  'TZOFFSETTO:+0500',
+  'END:DAYLIGHT',
+  'END:VTIMEZONE',
+];
+
+// Outlook-style zone with the pre-2007 US rules only: the January and July
+// offsets match America/New_York, the transitions do not
+const oldEastern = [
+  'BEGIN:VTIMEZONE',
+  'TZID:Customized Time Zone',
+  'BEGIN:STANDARD',
+  'DTSTART:16011028T020000',
+  'RRULE:FREQ=YEARLY;BYDAY=-1SU;BYMONTH=10',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'END:STANDARD',
+  'BEGIN:DAYLIGHT',
+  'DTSTART:16010401T020000',
+  'RRULE:FREQ=YEARLY;BYDAY=1SU;BYMONTH=4',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'END:DAYLIGHT',
+  'END:VTIMEZONE',
+];
+
+// Wall-clock times are milliseconds whose UTC fields hold the local date and time
+function toInstant(rules, wallClock) {
+  return new Date(rules.toEpochMilliseconds(Date.parse(`${wallClock}Z`))).toISOString();
+}
+
+function toWallClock(rules, instant) {
+  return new Date(rules.toWallClockMilliseconds(Date.parse(instant))).toISOString().slice(0, 19);
+}
+
+function getVTimezone(calendar) {
+  return Object.values(calendar).find(component => component.type === 'VTIMEZONE');
+}
+
+function getEvents(calendar) {
+  return Object.values(calendar).filter(component => component.type === 'VEVENT');
+}
+
+describe('VTIMEZONE rule engine', () => {
+  describe('createVTimezoneEvaluator', () => {
+    const islandCalendar = ical.parseICS(buildCalendar(...islandTime));
+    const rules = tz.createVTimezoneEvaluator(getVTimezone(islandCalendar));
+
+    it('computes offsets from the observance rules', () => {
+      assert.equal(rules.tzid, 'Island Time');
+      assert.equal(rules.getOffsetMinutes(Date.parse('2025-01-15T12:00:00Z')), 300);
+      assert.equal(rules.getOffsetMinutes(Date.parse('2025-07-15T12:00:00Z')), 240);
+      // DST ends at 03:00 local (+05:00) on 2025-04-06 and starts at 02:00 local (+04:00) on 2025-10-05
+      assert.equal(rules.getOffsetMinutes(Date.parse('2025-04-05T21:59:59Z')), 300);
+      assert.equal(rules.getOffsetMinutes(Date.parse('2025-04-05T22:00:00Z')), 240);
+      assert.equal(rules.getOffsetMinutes(Date.parse('2025-10-04T21:59:59Z')), 240);
+      assert.equal(rules.getOffsetMinutes(Date.parse('2025-10-04T22:00:00Z')), 300);
+      // Before the first onset the TZOFFSETFROM of the earliest observance applies
+      assert.equal(rules.getOffsetMinutes(Date.parse('1990-01-15T12:00:00Z')), 300);
+    });
+
+    it('resolves wall-clock times in gaps and folds like IANA zones', () => {
+      // Gap: 02:30 does not exist on 2025-10-05 and moves forward to 03:30 (+05:00)
+      assert.equal(toInstant(rules, '2025-10-05T02:30:00'), '2025-10-04T22:30:00.000Z');
+      // Fold: 02:30 occurs twice on 2025-04-06; the later instant (+04:00) wins
+      assert.equal(toInstant(rules, '2025-04-06T02:30:00'), '2025-04-05T22:30:00.000Z');
+      assert.equal(toWallClock(rules, '2025-04-05T21:30:00Z'), '2025-04-06T02:30:00');
+      assert.equal(toWallClock(rules, '2025-04-05T22:30:00Z'), '2025-04-06T02:30:00');
+    });
+
+    it('applies historic observances only until newer ones take over', () => {
+      const calendar = ical.parseFile('./test/fixtures/multi-era-vtimezone.ics');
+      const multiEra = tz.createVTimezoneEvaluator(getVTimezone(calendar));
+
+      // 1985: DST from the first Sunday in April; since 2007: from the second Sunday in March
+      assert.equal(multiEra.getOffsetMinutes(Date.parse('1985-03-20T12:00:00Z')), -300);
+      assert.equal(multiEra.getOffsetMinutes(Date.parse('1985-10-30T12:00:00Z')), -300);
+      assert.equal(multiEra.getOffsetMinutes(Date.parse('2025-03-20T12:00:00Z')), -240);
+      assert.equal(multiEra.getOffsetMinutes(Date.parse('2025-10-30T12:00:00Z')), -240);
+    });
+
+    it('uses RDATE onsets and the UNTIL of a rule', () => {
+      const calendar = ical.parseICS(buildCalendar(
+        'BEGIN:VTIMEZONE',
+        'TZID:Hand Made',
+        'BEGIN:STANDARD',
+        'DTSTART:20201025T030000',
+        'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU;UNTIL=20221030T010000Z',
+        'TZOFFSETFROM:+0200',
+        'TZOFFSETTO:+0100',
+        'END:STANDARD',
+        'BEGIN:DAYLIGHT',
+        'DTSTART:20200329T020000',
+        'RDATE:20210328T020000,20220327T020000',
+        'TZOFFSETFROM:+0100',
+        'TZOFFSETTO:+0200',
+        'END:DAYLIGHT',
+        'END:VTIMEZONE',
+      ));
+      const handMade = tz.createVTimezoneEvaluator(getVTimezone(calendar));
+
+      assert.equal(handMade.getOffsetMinutes(Date.parse('2021-07-01T00:00:00Z')), 120);
+      assert.equal(handMade.getOffsetMinutes(Date.parse('2022-12-01T00:00:00Z')), 60);
+      // Neither the rule nor an RDATE starts DST in 2023
+      assert.equal(handMade.getOffsetMinutes(Date.parse('2023-07-01T00:00:00Z')), 60);
+    });
+
+    it('returns undefined without usable observances', () => {
+      assert.equal(tz.createVTimezoneEvaluator({type: 'VTIMEZONE', tzid: 'Empty'}), undefined);
+      assert.equal(tz.createVTimezoneEvaluator(undefined), undefined);
+    });
+  });
+
+  describe('parsing and expansion', () => {
+    it('resolves organisation-specific TZIDs with their VTIMEZONE', () => {
+      const calendar = ical.parseICS(buildCalendar(
+        ...islandTime,
+        'BEGIN:VEVENT',
+        'UID:island',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART;TZID=Island Time:20250301T090000',
+        'DTEND;TZID=Island Time:20250301T100000',
+        'RRULE:FREQ=WEEKLY;COUNT=8',
+        'EXDATE;TZID=Island Time:20250315T090000',
+        'END:VEVENT',
+      ), {diagnostics: true});
+      const [event] = getEvents(calendar);
+
+      assert.deepEqual(calendar.diagnostics, []);
+      assert.equal(event.start.toISOString(), '2025-03-01T04:00:00.000Z');
+      assert.equal(event.start.tz, 'Island Time');
+
+      const instances = ical.expandRecurringEvent(event, {from: new Date('2025-01-01T00:00:00Z'), to: new Date('2025-12-31T00:00:00Z')});
+      // 09:00 local stays 09:00 across the end of DST on 2025-04-06
+      assert.deepEqual(instances.map(({start}) => start.toISOString()), [
+        '2025-03-01T04:00:00.000Z',
+        '2025-03-08T04:00:00.000Z',
+        '2025-03-22T04:00:00.000Z',
+        '2025-03-29T04:00:00.000Z',
+        '2025-04-05T04:00:00.000Z',
+        '2025-04-12T05:00:00.000Z',
+        '2025-04-19T05:00:00.000Z',
+      ]);
+      assert.ok(instances.every(({start}) => start.tz === 'Island Time'));
+    });
+
+    it('does not substitute an IANA zone whose transitions differ', () => {
+      const calendar = ical.parseICS(buildCalendar(
+        ...oldEastern,
+        'BEGIN:VEVENT',
+        'UID:old-rules',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART;TZID=Customized Time Zone:20250331T100000',
+        'DURATION:PT1H',
+        'RRULE:FREQ=DAILY;UNTIL=20250407T140000Z',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:old-rules',
+        'DTSTAMP:20250101T000000Z',
+        'RECURRENCE-ID;TZID=Customized Time Zone:20250401T100000',
+        'DTSTART;TZID=Customized Time Zone:20250401T120000',
+        'DURATION:PT1H',
+        'END:VEVENT',
+      ));
+      const [event] = getEvents(calendar);
+
+      // America/New_York is already on EDT here; the VTIMEZONE is not until 2025-04-06
+      assert.equal(event.start.toISOString(), '2025-03-31T15:00:00.000Z');
+      assert.equal(event.start.tz, 'Customized Time Zone');
+
+      const instances = ical.expandRecurringEvent(event, {from: new Date('2025-01-01T00:00:00Z'), to: new Date('2025-12-31T00:00:00Z')});
+      assert.deepEqual(instances.map(({start, isOverride}) => `${start.toISOString()}${isOverride ? ' override' : ''}`), [
+        '2025-03-31T15:00:00.000Z',
+        '2025-04-01T17:00:00.000Z override',
+        '2025-04-02T15:00:00.000Z',
+        '2025-04-03T15:00:00.000Z',
+        '2025-04-04T15:00:00.000Z',
+        '2025-04-05T15:00:00.000Z',
+        '2025-04-06T14:00:00.000Z',
+        '2025-04-07T14:00:00.000Z',
+      ]);
+    });
+
+    it('applies the VTIMEZONE to floating times', () => {
+      const calendar = ical.parseICS(buildCalendar(
+        ...islandTime,
+        'BEGIN:VEVENT',
+        'UID:floating',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART:20250710T090000',
+        'END:VEVENT',
+      ));
+
+      assert.equal(getEvents(calendar)[0].start.toISOString(), '2025-07-10T05:00:00.000Z');
+    });
+
+    it('writes the TZID and wall-clock time back out', () => {
+      const text = ical.stringify(ical.parseICS(buildCalendar(
+        ...islandTime,
+        'BEGIN:VEVENT',
+        'UID:round-trip',
+        'DTSTAMP:20250101T000000Z',
+        'DTSTART;TZID=Island Time:20250301T090000',
+        'RRULE:FREQ=WEEKLY;UNTIL=20250420T000000Z',
+        'END:VEVENT',
+      )));
+
+      assert.match(text, /^DTSTART;TZID=Island Time:20250301T090000\r$/mv);
+      assert.match(text, /^RRULE:FREQ=WEEKLY;UNTIL=20250420T000000Z\r$/mv);
+
+      const [event] = getEvents(ical.parseICS(text));
+      assert.equal(event.start.toISOString(), '2025-03-01T04:00:00.000Z');
+      assert.equal(event.rrule.all().length, 8);
+    });
+  });
+});
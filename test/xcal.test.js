@@ -0,0 +1,208 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'mocha';
+import ical from 'node-ical';
+
+const XCAL_SAMPLE = `<?xml version="1.0" encoding="utf-8"?>
+<icalendar xmlns="urn:ietf:params:xml:ns:icalendar-2.0">
+  <vcalendar>
+    <properties>
+      <version><text>2.0</text></version>
+      <prodid><text>-//Example Inc.//Example Calendar//EN</text></prodid>
+      <x-wr-calname><unknown>Partners</unknown></x-wr-calname>
+    </properties>
+    <components>
+      <vevent>
+        <properties>
+          <uid><text>xcal-1</text></uid>
+          <dtstamp><date-time>2025-01-01T00:00:00Z</date-time></dtstamp>
+          <dtstart>
+            <parameters><tzid><text>Europe/Berlin</text></tzid></parameters>
+            <date-time>2025-03-03T09:00:00</date-time>
+          </dtstart>
+          <duration><duration>PT1H</duration></duration>
+          <rrule>
+            <recur>
+              <freq>WEEKLY</freq>
+              <byday>MO</byday>
+              <byday>TH</byday>
+              <count>4</count>
+            </recur>
+          </rrule>
+          <exdate>
+            <parameters><tzid><text>Europe/Berlin</text></tzid></parameters>
+            <date-time>2025-03-06T09:00:00</date-time>
+          </exdate>
+          <summary><text>Review &amp; planning; weekly</text></summary>
+          <categories><text>Work</text><text>Partners, external</text></categories>
+          <geo><latitude>52.52</latitude><longitude>13.405</longitude></geo>
+          <attendee>
+            <parameters>
+              <cn><text>Jane Doe</text></cn>
+              <member><cal-address>mailto:team@example.com</cal-address></member>
+            </parameters>
+            <cal-address>mailto:jane@example.com</cal-address>
+          </attendee>
+        </properties>
+        <components>
+          <valarm>
+            <properties>
+              <action><text>DISPLAY</text></action>
+              <trigger><duration>-PT15M</duration></trigger>
+            </properties>
+          </valarm>
+        </components>
+      </vevent>
+      <vevent>
+        <properties>
+          <uid><text>xcal-2</text></uid>
+          <dtstart><date>2025-03-20</date></dtstart>
+          <summary><text>Offsite</text></summary>
+        </properties>
+      </vevent>
+    </components>
+  </vcalendar>
+</icalendar>`;
+
+describe('xCal', () => {
+  describe('parseXCal', () => {
+    const data = ical.parseXCal(XCAL_SAMPLE);
+    const event = data['xcal-1'];
+
+    it('maps properties onto the parseICS model', () => {
+      assert.equal(event.type, 'VEVENT');
+      assert.equal(event.summary, 'Review & planning; weekly');
+      assert.deepEqual(event.categories, ['Work', 'Partners, external']);
+      assert.deepEqual(event.geo, {lat: 52.52, lon: 13.405});
+      assert.equal(event.attendee.params.CN, 'Jane Doe');
+      assert.equal(event.attendee.params.MEMBER, 'mailto:team@example.com');
+      assert.equal(event.alarms[0].trigger, '-PT15M');
+      assert.equal(data.vcalendar['WR-CALNAME'], 'Partners');
+    });
+
+    it('keeps timezone and date-only metadata on dates', () => {
+      assert.equal(event.start.toISOString(), '2025-03-03T08:00:00.000Z');
+      assert.equal(event.start.tz, 'Europe/Berlin');
+      assert.equal(event.end.toISOString(), '2025-03-03T09:00:00.000Z');
+      assert.equal(data['xcal-2'].start.dateOnly, true);
+      assert.equal(data['xcal-2'].datetype, 'date');
+    });
+
+    it('expands xCal-sourced recurring events', () => {
+      const instances = ical.expandRecurringEvent(event, {
+        from: new Date('2025-03-01T00:00:00Z'),
+        to: new Date('2025-03-31T00:00:00Z'),
+      });
+
+      assert.deepEqual(instances.map(instance => instance.start.toISOString()), [
+        '2025-03-03T08:00:00.000Z',
+        '2025-03-10T08:00:00.000Z',
+        '2025-03-13T08:00:00.000Z',
+      ]);
+    });
+
+    it('accepts namespace prefixes', () => {
+      const prefixed = XCAL_SAMPLE
+        .replace('<icalendar xmlns="urn:ietf:params:xml:ns:icalendar-2.0">', '<x:icalendar xmlns:x="urn:ietf:params:xml:ns:icalendar-2.0">')
+        .replace('</icalendar>', '</x:icalendar>');
+
+      assert.equal(ical.parseXCal(prefixed)['xcal-2'].summary, 'Offsite');
+    });
+
+    it('keeps the sign of UTC offsets west of UTC', () => {
+      const xml = `<?xml version="1.0" encoding="utf-8"?>
+<icalendar xmlns="urn:ietf:params:xml:ns:icalendar-2.0">
+  <vcalendar>
+    <properties><version><text>2.0</text></version></properties>
+    <components>
+      <vtimezone>
+        <properties><tzid><text>Office Time</text></tzid></properties>
+        <components>
+          <standard>
+            <properties>
+              <dtstart><date-time>1970-01-01T00:00:00</date-time></dtstart>
+              <tzoffsetfrom><utc-offset>-05:00</utc-offset></tzoffsetfrom>
+              <tzoffsetto><utc-offset>-05:00</utc-offset></tzoffsetto>
+            </properties>
+          </standard>
+        </components>
+      </vtimezone>
+      <vevent>
+        <properties>
+          <uid><text>west</text></uid>
+          <dtstart>
+            <parameters><tzid><text>Office Time</text></tzid></parameters>
+            <date-time>2025-06-02T09:00:00</date-time>
+          </dtstart>
+        </properties>
+      </vevent>
+    </components>
+  </vcalendar>
+</icalendar>`;
+
+      assert.equal(ical.parseXCal(xml).west.start.toISOString(), '2025-06-02T14:00:00.000Z');
+
+      const original = ical.sync.parseFile('./test/fixtures/multi-era-vtimezone.ics');
+      const reparsed = ical.parseXCal(ical.toXCal(original));
+      for (const [key, component] of Object.entries(original)) {
+        if (component?.type === 'VEVENT') {
+          assert.equal(reparsed[key].start.toISOString(), component.start.toISOString());
+        }
+      }
+    });
+
+    it('rejects documents without an icalendar root', () => {
+      assert.throws(() => ical.parseXCal('<calendar/>'), TypeError);
+      assert.throws(() => ical.parseXCal(42), TypeError);
+    });
+  });
+
+  describe('toXCal', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//TEST//xcal//EN',
+      'BEGIN:VEVENT',
+      'UID:xcal-out',
+      'DTSTAMP:20250101T000000Z',
+      'DTSTART;TZID=America/New_York:20250601T100000',
+      'DTEND;TZID=America/New_York:20250601T110000',
+      'RRULE:FREQ=DAILY;COUNT=3',
+      String.raw`SUMMARY:Fish & chips <lunch>\, daily`,
+      'GEO:40.7;-74.0',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n');
+    const xml = ical.toXCal(ical.parseICS(ics));
+
+    it('writes the RFC 6321 element structure', () => {
+      assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>/v);
+      assert.match(xml, /<icalendar xmlns="urn:ietf:params:xml:ns:icalendar-2\.0">/v);
+      assert.match(xml, /<tzid>\s*<text>America\/New_York<\/text>\s*<\/tzid>/v);
+      assert.match(xml, /<date-time>2025-06-01T10:00:00<\/date-time>/v);
+      assert.match(xml, /<recur>\s*<freq>DAILY<\/freq>\s*<count>3<\/count>\s*<\/recur>/v);
+      assert.match(xml, /<latitude>40\.7<\/latitude>\s*<longitude>-74<\/longitude>/v);
+      assert.match(xml, /<text>Fish &amp; chips &lt;lunch&gt;, daily<\/text>/v);
+    });
+
+    it('round-trips through parseXCal', () => {
+      const original = ical.parseICS(ics)['xcal-out'];
+      const reparsed = ical.parseXCal(xml)['xcal-out'];
+
+      assert.equal(reparsed.summary, original.summary);
+      assert.equal(reparsed.start.toISOString(), original.start.toISOString());
+      assert.equal(reparsed.start.tz, 'America/New_York');
+      assert.equal(reparsed.end.toISOString(), original.end.toISOString());
+      assert.equal(reparsed.rrule.toString(), original.rrule.toString());
+      assert.deepEqual(reparsed.geo, original.geo);
+    });
+
+    it('round-trips the xCal sample', () => {
+      const data = ical.parseXCal(ical.toXCal(ical.parseXCal(XCAL_SAMPLE)));
+
+      assert.equal(data['xcal-1'].summary, 'Review & planning; weekly');
+      assert.deepEqual(data['xcal-1'].categories, ['Work', 'Partners, external']);
+      assert.equal(data['xcal-1'].attendee.params.MEMBER, 'mailto:team@example.com');
+      assert.equal(data['xcal-2'].start.dateOnly, true);
+    });
+  });
+});